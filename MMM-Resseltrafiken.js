@@ -0,0 +1,136 @@
+/**
+ * Resseltrafiken - MagicMirror Module
+ *
+ * Shows the departure board of the web application as a MagicMirror module:
+ * the next boats from one stop, rotating between routes, dimmed at night and
+ * shifted against burn-in. Uses the same time handler, route model, board and
+ * renderer as the web application. Install by cloning this repository into
+ * MagicMirror's modules folder as MMM-Resseltrafiken.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+Module.register("MMM-Resseltrafiken", {
+    defaults: {
+        stop: "Lumabryggan",             // Stop to list departures from
+        route: null,                     // Route key, alias or name to limit the board to
+        count: 3,                        // Departures per route
+        rotate: 15,                      // Seconds per route, 0 shows all routes at once
+        shift: true,                     // Shift the board a few pixels every minute against burn-in
+        dim: true,                       // Dim the board after the day's last boat
+        routeOrder: null,                // Route keys in display order, overrides the data file
+        countdownLimit: 60,              // Minutes left below which departures count down
+        language: null,                  // 'sv' or 'en', null uses MagicMirror's language
+        timeZone: 'Europe/Stockholm',    // Time zone of the timetables
+        dataIndexPath: 'data/index.json', // Season index, relative to the module folder
+        dataPath: 'data/Ressel.json'     // Fallback timetable data if the index is unavailable
+    },
+
+    getScripts() {
+        return ['js/timehandler.js', 'js/i18n.js', 'js/routemodel.js', 'js/board.js', 'js/renderer.js']
+            .map(script => this.file(script));
+    },
+
+    getStyles() {
+        return [this.file('css/board.css')];
+    },
+
+    start() {
+        this.timeHandler = new TimeHandler({ timeZone: this.config.timeZone });
+        this.i18n = new I18n({ language: this.config.language || config.language });
+        this.routeModel = new RouteModel(this.config, this.timeHandler);
+        this.renderer = new Renderer(this.config, this.timeHandler, this.i18n);
+        this.departureBoard = new DepartureBoard(this.timeHandler, this.routeModel);
+        this.timetable = null;
+        this.season = null;
+        this.error = null;
+        this.routeIndex = 0;
+
+        this.loadTimetable().then(() => this.updateDom());
+        this.scheduleUpdate();
+        if (this.config.rotate > 0) {
+            setInterval(() => {
+                this.routeIndex++;
+                this.updateDom();
+            }, this.config.rotate * 1000);
+        }
+    },
+
+    /**
+     * Loads the timetable of the current season, or the fallback data file
+     * if there is no season index. Does nothing if that season is loaded
+     */
+    async loadTimetable() {
+        try {
+            let path = this.config.dataPath;
+            const index = await this.fetchJson(this.config.dataIndexPath).catch(() => null);
+            const season = index && this.timeHandler.getSeasonForDate(index.seasons, this.timeHandler.now());
+            if (season) {
+                if (this.timetable && this.season && season.file === this.season.file) return;
+                path = this.config.dataIndexPath.replace(/[^/]*$/, '') + season.file;
+            } else if (this.timetable) {
+                return;
+            }
+
+            this.timetable = await this.fetchJson(path);
+            this.season = season;
+            this.error = null;
+        } catch (error) {
+            Log.error(`${this.name}: ${error.message}`);
+            this.error = this.i18n.t('error.loadTimetable');
+        }
+    },
+
+    /**
+     * Fetches and parses a JSON file in the module folder
+     * @param {string} path Path relative to the module folder
+     * @returns {Promise<Object>} The parsed JSON
+     * @throws {Error} If the request fails
+     */
+    async fetchJson(path) {
+        const response = await fetch(this.file(path));
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    },
+
+    /**
+     * Redraws the board just after every minute boundary, when the countdowns
+     * and the clock change, and switches season when a new one starts
+     */
+    scheduleUpdate() {
+        const delay = 60000 - (this.timeHandler.clock().getTime() % 60000) + 50;
+        setTimeout(async () => {
+            await this.loadTimetable();
+            this.updateDom();
+            this.scheduleUpdate();
+        }, delay);
+    },
+
+    getDom() {
+        const wrapper = this.renderer.createWrapper();
+        if (this.error) {
+            this.renderer.createNotification(wrapper, this.error, 'error');
+            return wrapper;
+        }
+        if (!this.timetable) {
+            wrapper.classList.add('dimmed', 'light', 'small');
+            wrapper.textContent = this.i18n.t('app.loading');
+            return wrapper;
+        }
+
+        const stop = this.routeModel.resolveStop(this.timetable, this.config.stop) || this.config.stop;
+        wrapper.appendChild(this.renderer.createBoard({
+            stop: stop,
+            routes: this.departureBoard.getRoutes(this.timetable, stop, this.config.count, this.config.route),
+            routeIndex: this.config.rotate > 0 ? this.routeIndex : null,
+            clock: this.i18n.formatTime(this.timeHandler.now()),
+            night: this.config.dim && this.departureBoard.isNight(this.timetable),
+            shift: this.config.shift ? this.departureBoard.getPixelShift() : null
+        }));
+        return wrapper;
+    }
+});
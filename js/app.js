@@ -25,13 +25,55 @@ document.addEventListener('DOMContentLoaded', async function() {
         highlightStop: "Lumabryggan",    // Stop to highlight in the UI
         cityReturnStop: "Nybroplan",     // Return stop to highlight for city direction
         maxVisibleDepartures: 9,         // Maximum number of visible departures per stop
-        dataPath: 'data/Ressel.json',    // Path to timetable data
+        routeOrder: null,                // Route keys in display order, overrides the data file
+        hiddenRoutes: [],                // Route keys left out of the timetables
+        hideCancelledDepartures: false,  // Drop cancelled departures instead of striking them through
+        timeDisplay: 'clock',            // Departure times as 'clock' (07:20), 'countdown' (om 4 min) or 'hybrid'
+        countdownLimit: 60,              // Minutes left below which 'hybrid' shows a countdown
+        reminderLeadMinutes: 5,          // Default minutes before departure to send a reminder
+        language: null,                  // Interface language ('sv' or 'en'), null follows the browser
+        timeZone: 'Europe/Stockholm',    // Time zone of the timetables, used whatever zone the device is in
+        dataIndexPath: 'data/index.json', // Path to season index listing timetable files
+        dataPath: 'data/Ressel.json',    // Fallback timetable data if the index is unavailable
         debug: false                     // Enable debug logging
     };
 
     let timetableData = null;            // Holds the current timetable data
-    const timeHandler = new TimeHandler();
-    const renderer = new Renderer(config);
+    let seasonIndex = null;              // Season entries from the data index
+    let currentSeason = null;            // Season entry of the loaded timetable
+    const seasonCache = new Map();       // Loaded timetable data keyed by path
+    const timeHandler = new TimeHandler({ timeZone: config.timeZone });
+    const i18n = new I18n({ language: config.language });
+    const renderer = new Renderer(config, timeHandler, i18n);
+    const validator = new TimetableValidator();
+    const routeModel = new RouteModel(config, timeHandler);
+    const journeyPlanner = new JourneyPlanner(timeHandler);
+    const urlState = new UrlState();
+    const reminderScheduler = new ReminderScheduler(timeHandler, { leadMinutes: config.reminderLeadMinutes, i18n, routeModel });
+    const calendarExport = new CalendarExport(timeHandler, { i18n });
+    const gtfsConverter = new GtfsConverter(timeHandler);
+    const zipArchive = new ZipArchive();
+    const departureBoard = new DepartureBoard(timeHandler, routeModel);
+    const fareCalculator = new FareCalculator();
+    const settingsStore = new SettingsStore(config);
+    let importedFeed = null;             // File name and warnings of an uploaded GTFS feed being shown
+    let gtfsMessage = null;              // Message shown in the GTFS panel, e.g. a feed that could not be read
+    let reminderMessage = null;          // Key of the message shown in the reminder panel, e.g. blocked notifications
+    let settingsMessage = null;          // Message shown in the settings panel, e.g. a file that could not be read
+    let viewState = urlState.parse(window.location.search);  // Route, direction, stop, date and simulated time from the URL
+    let simulatedAt = null;              // Simulated time the clock was last set to, from viewState.at
+    let scrollToFocusedStop = true;      // Scroll to the focused stop on the next render
+    let boardElement = null;             // Rendered timetables, patched in place by later updates
+    let updateTimer = null;              // Timer of the next periodic update
+    let countdownTimer = null;           // Timer of the next countdown update
+    let reminderTimer = null;            // Timer of the next reminder check while the page is hidden
+    const boardOptions = urlState.getBoardOptions(viewState);  // Departure board from ?board=, or null for the timetables
+    let boardRouteIndex = 0;             // Route shown on the rotating departure board
+    let rotateTimer = null;              // Timer of the next board rotation
+    const cacheStatus = {                // Offline and update state reported by the service worker
+        offline: navigator.onLine === false,
+        updateAvailable: false
+    };
 
     /**
      * Logs debug messages if debug mode is enabled
@@ -45,57 +87,142 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
 
     /**
-     * Loads and validates the timetable data
+     * Fetches and parses a JSON file
+     * @param {string} path - Path to the JSON file
+     * @returns {Promise<Object>} The parsed JSON
+     * @throws {Error} If the request fails
+     */
+    async function fetchJson(path) {
+        const response = await fetch(path);
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Loads the season index listing all timetable files
+     * A missing index is not an error; the app then falls back to config.dataPath
+     * @returns {Promise<Array<Object>|null>} Season entries, or null if unavailable
+     */
+    async function loadSeasonIndex() {
+        try {
+            const index = await fetchJson(config.dataIndexPath);
+            debugLog('Season index loaded', index.seasons);
+            return Array.isArray(index.seasons) && index.seasons.length > 0 ? index.seasons : null;
+        } catch (error) {
+            debugLog('Season index unavailable, using fallback data path', error);
+            return null;
+        }
+    }
+
+    /**
+     * Resolves the path of a season file relative to the data index
+     * @param {Object} season - Season entry from the index
+     * @returns {string} Path to the season's timetable file
+     */
+    function getSeasonPath(season) {
+        return config.dataIndexPath.replace(/[^/]*$/, '') + season.file;
+    }
+
+    /**
+     * Fetches and validates a timetable file, reusing previously loaded files
+     * @param {string} path - Path to the timetable file
+     * @returns {Promise<Object>} The parsed and validated timetable data
+     */
+    async function fetchTimetable(path) {
+        if (!seasonCache.has(path)) {
+            const data = await fetchJson(path);
+            validateTimetableData(data);
+            seasonCache.set(path, data);
+        }
+        return seasonCache.get(path);
+    }
+
+    /**
+     * Loads and validates the timetable data for the season valid today
      * @returns {Promise<Object>} The parsed and validated timetable data
      * @throws {Error} If data cannot be loaded or is invalid
      */
     async function loadTimetableData() {
         try {
             debugLog('Loading timetable data...');
-            const response = await fetch(config.dataPath);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            if (!seasonIndex) {
+                seasonIndex = await loadSeasonIndex();
             }
 
-            const data = await response.json();
-            validateTimetableData(data);
-            debugLog('Timetable data loaded successfully');
+            const season = timeHandler.getSeasonForDate(seasonIndex, timeHandler.now());
+            const data = await fetchTimetable(season ? getSeasonPath(season) : config.dataPath);
+            currentSeason = season;
+            debugLog('Timetable data loaded successfully', season);
+            preloadNextSeason();
             return data;
         } catch (error) {
             console.error('Error loading timetable:', error);
-            handleError(error, 'Kunde inte ladda tidtabellsdata');
+            handleError(error, i18n.t('error.loadTimetable'));
             return null;
         }
     }
 
+    /**
+     * Loads the next season's timetable in the background so the switch
+     * at the season boundary does not depend on the network
+     */
+    function preloadNextSeason() {
+        const nextSeason = timeHandler.getNextSeason(seasonIndex, timeHandler.now());
+        if (!nextSeason) return;
+
+        fetchTimetable(getSeasonPath(nextSeason))
+            .then(() => debugLog('Next season preloaded', nextSeason))
+            .catch(error => console.warn('Could not preload the next timetable:', error));
+    }
+
+    /**
+     * Switches to another season's timetable when today's date has crossed
+     * into it. Runs on every update, so the switch happens at midnight
+     * @returns {Promise<void>}
+     */
+    async function checkSeasonSwitch() {
+        // An uploaded GTFS feed stays on screen until the user leaves it
+        if (!seasonIndex || importedFeed) return;
+
+        const season = timeHandler.getSeasonForDate(seasonIndex, timeHandler.now());
+        if (season === currentSeason) return;
+
+        debugLog('Switching season', season);
+        const data = await loadTimetableData();
+        if (data) {
+            timetableData = data;
+        }
+    }
+
     /**
      * Validates the structure and content of timetable data
      * @param {Object} data - The timetable data to validate
-     * @throws {Error} If data structure is invalid
+     * @throws {Error} If data structure is invalid, with the found problems in error.issues
      */
     function validateTimetableData(data) {
-        if (!data.metadata || !data.routes) {
-            throw new Error('Ogiltig datastruktur i tidtabellen');
-        }
+        const issues = validator.validate(data);
+        validator.formatIssues(issues).forEach(line => console.warn(`[Resseltrafiken] ${line}`));
 
-        // Validate version and period
-        const validFrom = new Date(data.metadata.valid_period.start_date);
-        const validTo = new Date(data.metadata.valid_period.end_date);
-        const now = new Date();
-        
-        if (now > validTo) {
-            console.warn('Varning: Tidtabellsdata kan vara inaktuell');
+        if (validator.hasErrors(issues)) {
+            const error = new Error(i18n.t('error.invalidData'));
+            error.issues = issues;
+            throw error;
         }
 
         debugLog('Data validation complete', {
             version: data.metadata.version,
-            validPeriod: `${validFrom.toLocaleDateString()} - ${validTo.toLocaleDateString()}`
+            validPeriod: `${data.metadata.valid_period.start_date} - ${data.metadata.valid_period.end_date}`
         });
     }
 
     /**
      * Updates the display with current timetable information
+     * The timetables are rendered afresh and the displayed ones patched to
+     * match, so only changed times and highlights are written to the page
      * @param {Object} timetable - The current timetable data
      */
     function updateDisplay(timetable) {
@@ -105,23 +232,50 @@ document.addEventListener('DOMContentLoaded', async function() {
             return;
         }
 
-        appElement.innerHTML = '';
-        const wrapper = renderer.createWrapper();
-
         if (!timetable) {
-            handleError(null, 'Ingen tidtabellsdata tillgänglig');
+            appElement.innerHTML = '';
+            boardElement = null;
+            handleError(null, i18n.t('error.noTimetable'));
             return;
         }
 
         try {
             debugLog('Updating display...');
-            const scheduleType = timeHandler.getScheduleType(timetable);
-            renderTimetables(wrapper, timetable, scheduleType);
-            renderer.setupOverflowObservers(wrapper);
-            appElement.appendChild(wrapper);
+            const wrapper = renderer.createWrapper();
+            const viewDate = getViewDate();
+            const scheduleType = viewDate ?
+                timeHandler.getScheduleTypeForDate(viewDate) :
+                timeHandler.getScheduleType(timetable);
+            if (boardOptions) {
+                renderBoard(wrapper, timetable);
+            } else {
+                renderTimetables(wrapper, timetable, scheduleType, viewDate);
+            }
+
+            const focusStop = viewState.stop && !boardOptions ? routeModel.resolveStop(timetable, viewState.stop) : null;
+            if (focusStop) {
+                renderer.focusStop(wrapper, focusStop);
+            }
+
+            // Earlier error messages go, the board itself is kept and patched
+            Array.from(appElement.children).forEach(child => {
+                if (child !== boardElement) child.remove();
+            });
+            if (boardElement && boardElement.parentNode === appElement) {
+                renderer.patchElement(boardElement, wrapper);
+            } else {
+                boardElement = wrapper;
+                appElement.appendChild(boardElement);
+                renderer.setupOverflowObservers(boardElement);
+            }
+
+            if (focusStop && scrollToFocusedStop) {
+                renderer.focusStop(boardElement, focusStop, true);
+                scrollToFocusedStop = false;
+            }
             debugLog('Display update complete');
         } catch (error) {
-            handleError(error, 'Fel vid uppdatering av display');
+            handleError(error, i18n.t('error.updateDisplay'));
         }
     }
 
@@ -130,96 +284,100 @@ document.addEventListener('DOMContentLoaded', async function() {
      * @param {HTMLElement} wrapper - The container element
      * @param {Object} timetable - The timetable data
      * @param {string} scheduleType - The current schedule type (weekday/weekend)
+     * @param {Date|null} viewDate - Date chosen in the URL, or null for the live board
      */
-    function renderTimetables(wrapper, timetable, scheduleType) {
-        const scheduleDisplayName = timeHandler.getScheduleDisplayName(scheduleType);
+    function renderTimetables(wrapper, timetable, scheduleType, viewDate) {
+        const serviceDate = viewDate || timeHandler.getServiceDate(timetable);
 
-        // Render Sjöstadstrafiken schedules
-        renderSjostadsTimetable(wrapper, timetable, scheduleType, scheduleDisplayName);
+        renderSimulatedTimeBanner(wrapper);
+        if (viewDate) {
+            renderer.createNotification(wrapper, i18n.t('notice.showingDate', { date: i18n.formatDate(viewDate) }), 'warning');
+        }
+        // A timetable past its period may be out of date, e.g. when no newer season is published
+        const validPeriod = timetable.metadata.valid_period;
+        if (timeHandler.formatISODate(serviceDate) > validPeriod.end_date) {
+            renderer.createNotification(wrapper, i18n.t('notice.outdated', {
+                end: i18n.formatDate(validPeriod.end_date, 'medium')
+            }), 'warning');
+        }
+        if (viewState.route && !routeModel.resolveRouteKey(timetable, viewState.route)) {
+            renderer.createNotification(wrapper, i18n.t('notice.unknownRoute', { route: viewState.route }), 'warning');
+        }
 
-        // Render Emelietrafiken schedules
-        renderEmelieTimetables(wrapper, timetable, scheduleType, scheduleDisplayName);
+        const routeViews = routeModel.getRouteViews(timetable, viewState);
+        if (routeViews.length === 0 && config.hiddenRoutes.length > 0) {
+            renderer.createNotification(wrapper, i18n.t('notice.allRoutesHidden'), 'warning');
+        }
+        routeViews.forEach(routeView => {
+            renderRoute(wrapper, routeView, scheduleType, serviceDate, viewDate);
+        });
     }
 
     /**
-     * Renders Sjöstadstrafiken timetable
+     * Shows a banner while the board runs on a simulated time
      * @param {HTMLElement} wrapper - The container element
-     * @param {Object} timetable - The timetable data
-     * @param {string} scheduleType - Current schedule type
-     * @param {string} scheduleDisplayName - Display name for schedule type
-     */
-    function renderSjostadsTimetable(wrapper, timetable, scheduleType, scheduleDisplayName) {
-        const sjoStadsSchedule = timetable.routes.sjo_staden.schedule[scheduleType];
-        if (sjoStadsSchedule) {
-            const processedDepartures = {};
-            for (const [stop, times] of Object.entries(sjoStadsSchedule)) {
-                processedDepartures[stop] = timeHandler.processScheduleTimes(
-                    times, 
-                    config.maxVisibleDepartures
-                );
-            }
+     */
+    function renderSimulatedTimeBanner(wrapper) {
+        if (!simulatedAt) return;
 
-            wrapper.appendChild(
-                renderer.createTimetable(
-                    { departures: processedDepartures },
-                    "Sjöstadstrafiken",
-                    scheduleDisplayName
-                )
-            );
-        }
+        wrapper.appendChild(renderer.createSimulatedTimeBanner(
+            i18n.formatDate(timeHandler.now(), 'dateTime'),
+            () => applyViewState({ ...viewState, at: null }, true)
+        ));
     }
 
     /**
-     * Renders Emelietrafiken timetables
+     * Renders the departure board: the next boats from the chosen stop,
+     * one route at a time when the board rotates
      * @param {HTMLElement} wrapper - The container element
      * @param {Object} timetable - The timetable data
-     * @param {string} scheduleType - Current schedule type
-     * @param {string} scheduleDisplayName - Display name for schedule type
      */
-    function renderEmelieTimetables(wrapper, timetable, scheduleType, scheduleDisplayName) {
-        const routes = timetable.routes.city_line.directions;
+    function renderBoard(wrapper, timetable) {
+        const stop = routeModel.resolveStop(timetable, viewState.stop || config.highlightStop) || config.highlightStop;
 
-        // Process schedule data for rendering
-        const processEmelieSchedule = (schedule) => {
-            const processed = { ...schedule };
-            processed.departures = {};
-            
-            for (const [stop, times] of Object.entries(schedule.departures)) {
-                processed.departures[stop] = timeHandler.processScheduleTimes(
-                    times, 
-                    config.maxVisibleDepartures
-                );
-            }
-            return processed;
-        };
+        renderSimulatedTimeBanner(wrapper);
+        wrapper.appendChild(renderer.createBoard({
+            stop: stop,
+            routes: departureBoard.getRoutes(timetable, stop, boardOptions.count, viewState.route),
+            routeIndex: boardOptions.rotate > 0 ? boardRouteIndex : null,
+            clock: i18n.formatTime(timeHandler.now()),
+            night: boardOptions.dim && departureBoard.isNight(timetable),
+            shift: boardOptions.shift ? departureBoard.getPixelShift() : null
+        }));
+    }
 
-        // Render outbound route (to city)
-        const outboundSchedule = routes.Hammarbysjöstad_to_Nybroplan[`${scheduleType}_schedule`];
-        if (outboundSchedule) {
-            wrapper.appendChild(
-                renderer.createTimetable(
-                    processEmelieSchedule(outboundSchedule),
-                    "M/S Emelie → City",
-                    scheduleDisplayName,
-                    config.highlightStop
-                )
-            );
+    /**
+     * Gets the date chosen in the URL, if it is not today
+     * @returns {Date|null} Chosen date, or null to show the live board
+     */
+    function getViewDate() {
+        if (!viewState.date || viewState.date === timeHandler.formatISODate(timeHandler.now())) {
+            return null;
         }
+        const [year, month, day] = viewState.date.split('-').map(Number);
+        return timeHandler.createDate(year, month, day);
+    }
 
-        // Render return route if configured
-        if (config.showBothDirections) {
-            const returnSchedule = routes.Nybroplan_to_Hammarbysjöstad[`${scheduleType}_schedule`];
-            if (returnSchedule) {
-                wrapper.appendChild(
-                    renderer.createTimetable(
-                        processEmelieSchedule(returnSchedule),
-                        "M/S Emelie ← City",
-                        scheduleDisplayName,
-                        config.cityReturnStop
-                    )
+    /**
+     * Renders the timetables of one route, one per displayed direction,
+     * with the app's reminder, calendar and fare controls
+     * @param {HTMLElement} wrapper - The container element
+     * @param {Object} routeView - Route view from the route model
+     * @param {string} scheduleType - Current schedule type
+     * @param {Date} serviceDate - Calendar date whose schedule is shown
+     * @param {Date|null} viewDate - Date chosen in the URL, or null for the live board
+     */
+    function renderRoute(wrapper, routeView, scheduleType, serviceDate, viewDate) {
+        renderer.createRouteTimetables(wrapper, routeView, scheduleType, serviceDate, {
+            fromStart: !!viewDate,
+            addControls: (schedule, directionKey, routeScheduleType) => {
+                schedule.reminders = getReminderControls(routeView.key, directionKey, serviceDate);
+                schedule.calendar = getCalendarControls(
+                    routeView, directionKey, serviceDate, routeScheduleType, schedule.trips
                 );
+                schedule.fares = fareCalculator.getFares(routeView.route);
             }
-        }
+        });
     }
 
     /**
@@ -231,32 +389,674 @@ document.addEventListener('DOMContentLoaded', async function() {
         console.error('Application error:', error);
         const appElement = document.getElementById('app');
         const wrapper = renderer.createWrapper();
-        wrapper.innerHTML = `
-            <div class="notification error" role="alert">
-                ${message}
-            </div>
-        `;
+        renderer.createNotification(wrapper, message, 'error');
+
+        // Validation errors carry a per-path report for whoever maintains the data
+        if (error && Array.isArray(error.issues)) {
+            wrapper.appendChild(renderer.createValidationReport(validator.formatIssues(error.issues)));
+        }
         appElement.appendChild(wrapper);
     }
 
     /**
-     * Starts periodic updates of the display
-     * @param {Object} timetable - The timetable data
+     * Sets up the route, direction, stop and date controls above the timetables
+     * Changes are written to the URL so the view can be bookmarked and shared
+     */
+    function setupViewControls() {
+        const controlsElement = document.getElementById('controls');
+        if (!controlsElement) return;
+
+        // Controls show canonical names even when the URL uses an alias such as "emelie"
+        const resolvedState = {
+            ...viewState,
+            route: viewState.route ? routeModel.resolveRouteKey(timetableData, viewState.route) : null,
+            stop: viewState.stop ? routeModel.resolveStop(timetableData, viewState.stop) : null
+        };
+
+        controlsElement.innerHTML = '';
+        controlsElement.appendChild(renderer.createViewControls(
+            routeModel.getRouteViews(timetableData, { direction: null, includeHidden: true }),
+            journeyPlanner.getStops(timetableData),
+            resolvedState,
+            newState => applyViewState({ ...viewState, ...newState }, true)
+        ));
+    }
+
+    /**
+     * Applies a new view state and re-renders
+     * @param {Object} newState - View state with route, direction, stop, date and simulated time
+     * @param {boolean} writeToUrl - Write the state to the URL (false when it came from the URL)
+     * @returns {Promise<void>}
+     */
+    async function applyViewState(newState, writeToUrl) {
+        debugLog('Applying view state', newState);
+        viewState = newState;
+        scrollToFocusedStop = true;
+        if (writeToUrl) {
+            urlState.write(viewState);
+        }
+
+        // A simulated time may fall in another season
+        if (applySimulatedTime()) {
+            await checkSeasonSwitch();
+        }
+        const languageChanged = applySettings();
+        updateDisplay(timetableData);
+        setupViewControls();
+        renderSettingsPanel();
+        if (languageChanged) {
+            renderLanguagePanels();
+        }
+        // The URL may have changed the update interval or the time display
+        startPeriodicUpdates();
+        startCountdownUpdates();
+    }
+
+    /**
+     * Sets the clock to the simulated time in viewState.at, or back to the real time.
+     * The simulated clock starts at the chosen moment and then keeps running
+     * @returns {boolean} True if the clock was changed
+     */
+    function applySimulatedTime() {
+        const at = viewState.at || null;
+        if (at === simulatedAt) return false;
+
+        const start = at ? timeHandler.parseZonedDateTime(at) : null;
+        if (at && !start) {
+            console.warn(`Ignoring invalid simulated time: ${at}`);
+        }
+        simulatedAt = start ? at : null;
+        timeHandler.setClock(start ? timeHandler.createOffsetClock(start) : null);
+        debugLog('Clock set', simulatedAt || 'real time');
+        return true;
+    }
+
+    /**
+     * Applies the saved settings and the overrides in the URL to the config
+     * The renderer and route model share the config, so the next render follows it
+     * @returns {boolean} True if the language changed
      */
-    function startPeriodicUpdates(timetable) {
-        setInterval(() => {
-            try {
-                debugLog('Running periodic update');
-                updateDisplay(timetable);
-            } catch (error) {
-                handleError(error, 'Kunde inte uppdatera tidtabellen');
+    function applySettings() {
+        Object.assign(config, settingsStore.resolve(settingsStore.getOverrides(viewState)));
+        renderer.setupStyles();
+        debugLog('Settings applied', config);
+        return applyLanguage();
+    }
+
+    /**
+     * Switches the page to the configured language: the lang attribute, the
+     * title, the manifest and the static texts marked with data-i18n
+     * @returns {boolean} True if the language changed
+     */
+    function applyLanguage() {
+        const previous = document.documentElement.lang;
+        const language = i18n.setLanguage(config.language);
+        if (language === previous) return false;
+
+        document.documentElement.lang = language;
+        document.title = i18n.t('app.title');
+        const manifest = document.querySelector('link[rel="manifest"]');
+        if (manifest) {
+            manifest.setAttribute('href', i18n.t('app.manifest'));
+        }
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = i18n.t(element.dataset.i18n);
+        });
+        debugLog('Language set', language);
+        return true;
+    }
+
+    /**
+     * Renders the panels that are otherwise only drawn when the timetable
+     * changes, so they follow a change of language
+     */
+    function renderLanguagePanels() {
+        setupJourneyPlanner();
+        renderFaresPanel();
+        renderReminderPanel();
+        renderGtfsPanel();
+        renderCacheStatus();
+    }
+
+    /**
+     * Applies changed settings and redraws everything that depends on them
+     */
+    function applySettingsChange() {
+        const languageChanged = applySettings();
+        updateDisplay(timetableData);
+        setupViewControls();
+        renderReminderPanel();
+        renderSettingsPanel();
+        // Hidden lines leave the fares panel too
+        renderFaresPanel();
+        if (languageChanged) {
+            renderLanguagePanels();
+        }
+        startPeriodicUpdates();
+        startCountdownUpdates();
+    }
+
+    /**
+     * Renders the settings panel below the GTFS panel
+     */
+    function renderSettingsPanel() {
+        const settingsElement = document.getElementById('settings');
+        if (!settingsElement || !timetableData) return;
+
+        settingsElement.innerHTML = '';
+        settingsElement.appendChild(renderer.createSettingsPanel(
+            {
+                settings: settingsStore.resolve(),
+                stops: journeyPlanner.getStops(timetableData),
+                routes: routeModel.getRouteViews(timetableData, { includeHidden: true }),
+                overridden: Object.keys(settingsStore.getOverrides(viewState)),
+                message: settingsMessage
+            },
+            {
+                onChange: changes => {
+                    settingsStore.update(changes);
+                    settingsMessage = null;
+                    applySettingsChange();
+                },
+                onReset: () => {
+                    settingsStore.reset();
+                    settingsMessage = null;
+                    applySettingsChange();
+                },
+                onExport: () => {
+                    renderer.downloadFile('resseltrafiken-installningar.json', settingsStore.exportJson(), 'application/json');
+                },
+                onImport: importSettings,
+                onClearOverrides: () => {
+                    const state = { ...viewState };
+                    settingsStore.getParams().forEach(param => {
+                        state[param] = null;
+                    });
+                    applyViewState(state, true);
+                }
             }
-        }, config.updateInterval);
+        ));
+    }
+
+    /**
+     * Replaces the saved settings with an exported settings file
+     * @param {File} file - Settings file chosen by the user
+     * @returns {Promise<void>}
+     */
+    async function importSettings(file) {
+        try {
+            const ignored = settingsStore.importJson(await file.text());
+            debugLog('Settings imported', { file: file.name, ignored });
+            settingsMessage = ignored.length > 0 ?
+                { text: i18n.t('settings.partlyImported', { file: file.name, keys: ignored.join(', ') }), type: 'warning' } :
+                null;
+            applySettingsChange();
+        } catch (error) {
+            console.error('Error importing settings:', error);
+            // Errors of the settings store carry a message key
+            const reason = error.messageKey ? i18n.t(error.messageKey) : error.message;
+            settingsMessage = { text: i18n.t('error.readFile', { file: file.name, reason: reason }), type: 'error' };
+            renderSettingsPanel();
+        }
+    }
+
+    /**
+     * Sets up the journey planner below the timetables
+     * Searches always use the currently loaded timetable
+     */
+    function setupJourneyPlanner() {
+        const plannerElement = document.getElementById('planner');
+        if (!plannerElement) return;
+
+        plannerElement.innerHTML = '';
+        plannerElement.appendChild(renderer.createJourneyPlanner(
+            journeyPlanner.getStops(timetableData),
+            query => {
+                // Searches run in the current service day, so after midnight the late boats are found
+                const serviceTime = timeHandler.getServiceTime();
+                debugLog('Planning journey', query);
+                return journeyPlanner.plan(timetableData, {
+                    ...query,
+                    date: serviceTime.date,
+                    time: query.time || timeHandler.minutesToTime(serviceTime.minutes)
+                });
+            }
+        ));
+    }
+
+    /**
+     * Renders the fares of the shown lines and the ticket calculator below
+     * the journey planner. Lines without fares, such as those of an uploaded
+     * GTFS feed, are left out, and without any the panel is empty
+     */
+    function renderFaresPanel() {
+        const faresElement = document.getElementById('fares');
+        if (!faresElement || !timetableData) return;
+
+        faresElement.innerHTML = '';
+        const routes = fareCalculator.getPricedRoutes(routeModel.getRouteViews(timetableData));
+        if (routes.length === 0) return;
+
+        faresElement.appendChild(renderer.createFaresPanel(routes, query => {
+            debugLog('Calculating fares', query);
+            const route = routes.find(priced => priced.key === query.route) || routes[0];
+            return fareCalculator.calculate(route.fares, query);
+        }));
+    }
+
+    /**
+     * Creates the reminder controls the renderer uses for one timetable
+     * Departures shown as "tomorrow" are reminded on the following day, and
+     * late boats after midnight on the calendar day they leave
+     * @param {string} routeKey - Route key in the timetable
+     * @param {string|null} directionKey - Direction name, or null for routes without directions
+     * @param {Date} serviceDate - Service day whose departures are shown
+     * @returns {Object} Controls with leadMinutes, has and toggle
+     */
+    function getReminderControls(routeKey, directionKey, serviceDate) {
+        const toDeparture = (stop, time, isToday) => {
+            const minutes = timeHandler.getServiceMinutes(time);
+            const days = (isToday ? 0 : 1) + Math.floor(minutes / (24 * 60));
+            return {
+                route: routeKey,
+                direction: directionKey,
+                stop: stop,
+                time: timeHandler.formatServiceTime(minutes),
+                date: timeHandler.formatISODate(timeHandler.addDays(serviceDate, days))
+            };
+        };
+
+        return {
+            leadMinutes: config.reminderLeadMinutes,
+            has: (stop, time, isToday) => reminderScheduler.hasReminder(toDeparture(stop, time, isToday)),
+            toggle: async (stop, time, isToday) => {
+                const departure = toDeparture(stop, time, isToday);
+                if (!reminderScheduler.hasReminder(departure) && !(await requestNotificationPermission())) {
+                    return false;
+                }
+                const isSet = reminderScheduler.toggleReminder(departure);
+                renderReminderPanel();
+                return isSet;
+            }
+        };
+    }
+
+    /**
+     * Creates the calendar export controls the renderer uses for one timetable
+     * @param {Object} routeView - Route view from the route model
+     * @param {string|null} directionKey - Direction name, or null for routes without directions
+     * @param {Date} serviceDate - Service day whose departures are shown
+     * @param {string} scheduleType - Schedule type the line runs on the service day
+     * @param {Array<Object>|null} trips - Trips of the direction
+     * @returns {Object} Controls with commuteLabel, departure and commute
+     */
+    function getCalendarControls(routeView, directionKey, serviceDate, scheduleType, trips) {
+        const route = routeView.route;
+        const period = (route.metadata && route.metadata.valid_period) || timetableData.metadata.valid_period;
+
+        const toDeparture = selection => ({
+            route: routeView.key,
+            routeName: routeView.name,
+            direction: directionKey,
+            stop: selection.stop,
+            time: selection.time,
+            date: selection.isToday ? serviceDate : timeHandler.addDays(serviceDate, 1),
+            trip: trips && selection.index !== null ? trips[selection.index] : null
+        });
+
+        return {
+            commuteLabel: scheduleType === 'weekday' ?
+                i18n.t('calendar.commuteWeekday') :
+                i18n.t('calendar.commuteWeekend'),
+            departure: selection => calendarExport.createDepartureCalendar(toDeparture(selection)),
+            commute: selection => {
+                const [year, month, day] = period.end_date.split('-').map(Number);
+                return calendarExport.createCommuteCalendar(route, {
+                    ...toDeparture(selection),
+                    scheduleType: scheduleType,
+                    until: timeHandler.createDate(year, month, day)
+                });
+            }
+        };
+    }
+
+    /**
+     * Asks for permission to show notifications
+     * @returns {Promise<boolean>} True if notifications may be shown
+     */
+    async function requestNotificationPermission() {
+        if (!('Notification' in window)) {
+            reminderMessage = 'reminders.unsupported';
+            renderReminderPanel();
+            return false;
+        }
+
+        const permission = Notification.permission === 'default' ?
+            await Notification.requestPermission() :
+            Notification.permission;
+        reminderMessage = permission === 'granted' ?
+            null :
+            'reminders.blocked';
+        renderReminderPanel();
+        return permission === 'granted';
+    }
+
+    /**
+     * Shows a reminder notification, through the service worker when one is active
+     * so that it also appears when the page is in the background
+     * @param {Object} notification - Notification with tag, title and body
+     */
+    async function showNotification(notification) {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+        const options = { body: notification.body, tag: notification.tag, icon: 'icons/boat.png' };
+        try {
+            const registration = 'serviceWorker' in navigator ?
+                await navigator.serviceWorker.getRegistration() :
+                null;
+            if (registration) {
+                await registration.showNotification(notification.title, options);
+            } else {
+                new Notification(notification.title, options);
+            }
+        } catch (error) {
+            console.warn('Could not show reminder:', error);
+        }
+    }
+
+    /**
+     * Sends the reminders that are due. Runs on every update
+     */
+    function checkReminders() {
+        // Reminders follow the real time, not a simulated one
+        if (!timetableData || simulatedAt) return;
+
+        const due = reminderScheduler.getDueNotifications(timetableData);
+        if (due.length === 0) return;
+
+        debugLog('Sending reminders', due);
+        due.forEach(showNotification);
+        renderReminderPanel();
+    }
+
+    /**
+     * Renders the reminder panel below the journey planner
+     */
+    function renderReminderPanel() {
+        const remindersElement = document.getElementById('reminders');
+        if (!remindersElement || !timetableData) return;
+
+        remindersElement.innerHTML = '';
+        remindersElement.appendChild(renderer.createReminderPanel(
+            {
+                reminders: reminderScheduler.getReminders(),
+                rule: reminderScheduler.getMorningRule(),
+                stops: journeyPlanner.getStops(timetableData),
+                message: reminderMessage && i18n.t(reminderMessage)
+            },
+            {
+                onRuleChange: async rule => {
+                    if (rule.enabled && !(await requestNotificationPermission())) {
+                        rule.enabled = false;
+                    }
+                    reminderScheduler.setMorningRule(rule);
+                    renderReminderPanel();
+                },
+                onRemove: reminder => {
+                    reminderScheduler.toggleReminder(reminder);
+                    renderReminderPanel();
+                    updateDisplay(timetableData);
+                }
+            }
+        ));
+    }
+
+    /**
+     * Renders the GTFS panel for downloading the shown timetable as a
+     * GTFS feed and for viewing an uploaded feed
+     */
+    function renderGtfsPanel() {
+        const gtfsElement = document.getElementById('gtfs');
+        if (!gtfsElement || !timetableData) return;
+
+        gtfsElement.innerHTML = '';
+        gtfsElement.appendChild(renderer.createGtfsPanel(
+            { imported: importedFeed, message: gtfsMessage },
+            {
+                onExport: () => {
+                    const archive = zipArchive.create(gtfsConverter.exportFeed(timetableData), timeHandler.clock());
+                    renderer.downloadFile('resseltrafiken-gtfs.zip', archive, 'application/zip');
+                },
+                onImport: importGtfsFeed,
+                onRestore: reloadTimetable
+            }
+        ));
+    }
+
+    /**
+     * Reads an uploaded GTFS feed and shows it instead of the published
+     * timetable. Nothing is stored, reloading the page shows the published
+     * timetable again
+     * @param {File} file - Zipped GTFS feed chosen by the user
+     * @returns {Promise<void>}
+     */
+    async function importGtfsFeed(file) {
+        try {
+            const files = await zipArchive.read(await file.arrayBuffer());
+            const { timetable, warnings } = gtfsConverter.importFeed(files);
+            validateTimetableData(timetable);
+
+            debugLog('GTFS feed imported', { file: file.name, warnings });
+            timetableData = timetable;
+            importedFeed = { name: file.name, warnings: warnings };
+            gtfsMessage = null;
+            updateDisplay(timetableData);
+            setupViewControls();
+            setupJourneyPlanner();
+            renderFaresPanel();
+            renderReminderPanel();
+            renderSettingsPanel();
+        } catch (error) {
+            console.error('Error importing GTFS feed:', error);
+            // Errors of the GTFS converter carry a message key
+            const reason = error.messageKey ? i18n.t(error.messageKey, error.messageParams) : error.message;
+            gtfsMessage = i18n.t('error.readFile', { file: file.name, reason: reason });
+        }
+        renderGtfsPanel();
+    }
+
+    /**
+     * Shows whether the timetable comes from the offline cache and
+     * whether a newer timetable is waiting
+     */
+    function renderCacheStatus() {
+        const statusElement = document.getElementById('status');
+        if (!statusElement) return;
+
+        statusElement.innerHTML = '';
+        const indicator = renderer.createCacheStatus(cacheStatus, reloadTimetable);
+        if (indicator) {
+            statusElement.appendChild(indicator);
+        }
+    }
+
+    /**
+     * Reloads the timetable after the service worker has cached a newer version,
+     * or to go back to the published timetable from an uploaded GTFS feed
+     * @returns {Promise<void>}
+     */
+    async function reloadTimetable() {
+        debugLog('Reloading timetable data');
+        seasonCache.clear();
+        seasonIndex = null;
+        const data = await loadTimetableData();
+        if (!data) return;
+
+        timetableData = data;
+        importedFeed = null;
+        gtfsMessage = null;
+        cacheStatus.updateAvailable = false;
+        renderCacheStatus();
+        updateDisplay(timetableData);
+        setupViewControls();
+        setupJourneyPlanner();
+        renderFaresPanel();
+        renderReminderPanel();
+        renderGtfsPanel();
+        renderSettingsPanel();
+    }
+
+    /**
+     * Listens for cache and update messages from the service worker
+     * and asks it to cache the next season's timetable for offline use
+     */
+    function setupServiceWorkerMessages() {
+        window.addEventListener('online', () => {
+            cacheStatus.offline = false;
+            renderCacheStatus();
+        });
+        window.addEventListener('offline', () => {
+            cacheStatus.offline = true;
+            renderCacheStatus();
+        });
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', event => {
+                const message = event.data || {};
+                debugLog('Service worker message', message);
+                if (message.type === 'offline' || message.type === 'online') {
+                    cacheStatus.offline = message.type === 'offline';
+                } else if (message.type === 'timetable-update') {
+                    cacheStatus.updateAvailable = true;
+                } else {
+                    return;
+                }
+                renderCacheStatus();
+            });
+
+            navigator.serviceWorker.ready
+                .then(registration => registration.active.postMessage({ type: 'precache-data' }))
+                .catch(error => debugLog('Service worker unavailable', error));
+        }
+
+        renderCacheStatus();
+    }
+
+    /**
+     * Schedules the next periodic update at the next whole interval of the clock
+     */
+    function startPeriodicUpdates() {
+        if (document.hidden) return;
+
+        clearTimeout(updateTimer);
+        updateTimer = setTimeout(runPeriodicUpdate, getAlignedDelay(config.updateInterval));
+    }
+
+    /**
+     * Runs a periodic update of the display and schedules the next one
+     * Each update first checks whether a new season has started
+     * @returns {Promise<void>}
+     */
+    async function runPeriodicUpdate() {
+        clearTimeout(updateTimer);
+        try {
+            debugLog('Running periodic update');
+            await checkSeasonSwitch();
+            updateDisplay(timetableData);
+            checkReminders();
+        } catch (error) {
+            handleError(error, i18n.t('error.update'));
+        }
+        startPeriodicUpdates();
+    }
+
+    /**
+     * Gets the delay until the clock next reaches a whole interval, so
+     * updates land just after each minute or second turns instead of drifting
+     * @param {number} interval - Interval in milliseconds
+     * @returns {number} Delay in milliseconds
+     */
+    function getAlignedDelay(interval) {
+        return interval - (timeHandler.clock().getTime() % interval) + 50;
+    }
+
+    /**
+     * Keeps countdowns current between the periodic updates. Runs every
+     * second, but a departure is only written when its text changes.
+     * Restarts the timer, or stops it when the time display has no countdowns
+     */
+    function startCountdownUpdates() {
+        clearTimeout(countdownTimer);
+        // The departure board always counts down
+        if ((config.timeDisplay === 'clock' && !boardOptions) || document.hidden) return;
+
+        countdownTimer = setTimeout(() => {
+            if (boardElement) {
+                renderer.updateCountdowns(boardElement);
+            }
+            startCountdownUpdates();
+        }, getAlignedDelay(1000));
+    }
+
+    /**
+     * Keeps checking reminders once a minute while the page is hidden, when
+     * the periodic updates that otherwise send them are paused
+     */
+    function startReminderChecks() {
+        if (!document.hidden) return;
+
+        clearTimeout(reminderTimer);
+        reminderTimer = setTimeout(() => {
+            checkReminders();
+            startReminderChecks();
+        }, getAlignedDelay(60000));
+    }
+
+    /**
+     * Shows the next route on the departure board every boardOptions.rotate seconds
+     */
+    function startBoardRotation() {
+        if (!boardOptions || boardOptions.rotate === 0 || document.hidden) return;
+
+        clearTimeout(rotateTimer);
+        rotateTimer = setTimeout(() => {
+            boardRouteIndex++;
+            updateDisplay(timetableData);
+            startBoardRotation();
+        }, boardOptions.rotate * 1000);
+    }
+
+    /**
+     * Stops updating while the page is hidden and catches up as soon as it
+     * is shown again. Only the reminder checks go on in the background
+     */
+    function setupVisibilityHandling() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                debugLog('Page hidden, pausing updates');
+                clearTimeout(updateTimer);
+                clearTimeout(countdownTimer);
+                clearTimeout(rotateTimer);
+                startReminderChecks();
+                return;
+            }
+            debugLog('Page visible, resuming updates');
+            clearTimeout(reminderTimer);
+            runPeriodicUpdate();
+            startCountdownUpdates();
+            startBoardRotation();
+        });
     }
 
     // Initialize the application
     try {
         debugLog('Initializing application...');
+        if (boardOptions) {
+            document.body.classList.add('board-mode');
+        }
+        setupServiceWorkerMessages();
+        applySimulatedTime();
+        applySettings();
         
         // Load initial data
         timetableData = await loadTimetableData();
@@ -264,13 +1064,28 @@ document.addEventListener('DOMContentLoaded', async function() {
         if (timetableData) {
             // Perform first display update
             updateDisplay(timetableData);
+            setupViewControls();
+            setupJourneyPlanner();
+            renderFaresPanel();
+            renderReminderPanel();
+            renderGtfsPanel();
+            renderSettingsPanel();
+            checkReminders();
+
+            // Back and forward navigation restores earlier views
+            window.addEventListener('popstate', () => {
+                applyViewState(urlState.parse(window.location.search), false);
+            });
             
             // Start periodic updates
-            startPeriodicUpdates(timetableData);
+            setupVisibilityHandling();
+            startPeriodicUpdates();
+            startCountdownUpdates();
+            startBoardRotation();
             
             debugLog('Application initialized successfully');
         }
     } catch (error) {
-        handleError(error, 'Kunde inte starta applikationen');
+        handleError(error, i18n.t('error.start'));
     }
 });
@@ -0,0 +1,123 @@
+/**
+ * Resseltrafiken Web Application - Departure Board Module
+ *
+ * Collects the next boats from one stop for the large departure board used
+ * on wall screens and in the MagicMirror module: one list per route, with the
+ * destination of every boat. Also decides when the board is dimmed for the
+ * night and how far it is shifted to keep the screen from burning in.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+class DepartureBoard {
+    /**
+     * Initializes the DepartureBoard
+     * @param {TimeHandler} timeHandler Time handler used for schedule lookups
+     * @param {RouteModel} routeModel Route model used for route names, order and stops
+     * @param {Object} [options] Board options
+     * @param {number} [options.maxShift=4] Largest burn-in shift in pixels
+     */
+    constructor(timeHandler, routeModel, options = {}) {
+        this.timeHandler = timeHandler;
+        this.routeModel = routeModel;
+        this.maxShift = options.maxShift ?? 4;
+    }
+
+    /**
+     * Gets the next departures from a stop, per route
+     * Arrivals at the end of a trip are left out, as no one boards there.
+     * After the last boat of the day, the next service day's first boats are listed
+     * @param {Object} timetable Timetable data
+     * @param {string} stop Stop to list departures from
+     * @param {number} count Number of departures per route
+     * @param {string|null} [routeFilter] Route key, alias or name to limit the board to
+     * @returns {Array<Object>} Routes with key, name and departures, each with
+     *                          time, minutes, isToday, destination and cancellation
+     */
+    getRoutes(timetable, stop, count, routeFilter = null) {
+        const timeHandler = this.timeHandler;
+        const serviceDate = timeHandler.getServiceDate(timetable);
+        const serviceTime = timeHandler.getServiceTime();
+        const isRunningDay = timeHandler.formatISODate(serviceTime.date) === timeHandler.formatISODate(serviceDate);
+        const currentMinutes = isRunningDay ? serviceTime.minutes : 0;
+        const scheduleType = timeHandler.getScheduleTypeForDate(serviceDate);
+
+        return this.routeModel.getRouteViews(timetable, { route: routeFilter })
+            .filter(routeView => timeHandler.isRouteValidOn(routeView.route, serviceDate))
+            .map(routeView => {
+                const route = routeView.route;
+                const departures = timeHandler.getDirectionKeys(route).flatMap(directionKey => {
+                    const schedule = timeHandler.getEffectiveDepartures(route, directionKey, scheduleType, serviceDate);
+                    if (!schedule || !schedule[stop]) return [];
+
+                    const trips = directionKey === null ? null : timeHandler.buildTrips(schedule);
+                    return timeHandler.processScheduleTimes(schedule[stop], schedule[stop].length * 2, {
+                        cancellations: timeHandler.getUpcomingCancellations(route, directionKey, stop, serviceDate),
+                        currentMinutes: currentMinutes
+                    })
+                        .filter(timeObj => timeObj.minutes > currentMinutes)
+                        .map(timeObj => ({
+                            ...timeObj,
+                            destination: this.getDestination(route, stop, trips && trips[timeObj.index])
+                        }))
+                        .filter(departure => departure.destination);
+                });
+
+                return {
+                    key: routeView.key,
+                    name: routeView.name,
+                    serviceDate: serviceDate,
+                    departures: departures.sort((a, b) => a.minutes - b.minutes).slice(0, count)
+                };
+            })
+            .filter(board => board.departures.length > 0);
+    }
+
+    /**
+     * Gets where a boat leaving a stop is headed: the last stop of its trip,
+     * or the next stop of the loop on lines without trips
+     * @private
+     * @param {Object} route Route data
+     * @param {string} stop Stop the boat leaves from
+     * @param {Object|null} trip Trip from TimeHandler.buildTrips, if the line has trips
+     * @returns {string|null} Destination, or null if the boat ends its trip at the stop
+     */
+    getDestination(route, stop, trip) {
+        if (trip) {
+            const last = trip.stops[trip.stops.length - 1].stop;
+            return last === stop ? null : last;
+        }
+
+        const stops = this.routeModel.getStops(route, null);
+        const index = stops.indexOf(stop);
+        return index === -1 ? null : stops[(index + 1) % stops.length];
+    }
+
+    /**
+     * Checks if the board should be dimmed: after the day's last boat, until
+     * the next service day starts
+     * @param {Object} timetable Timetable data
+     * @returns {boolean} True to dim the board
+     */
+    isNight(timetable) {
+        return this.timeHandler.isAfterLastDeparture(timetable);
+    }
+
+    /**
+     * Gets the burn-in shift for the current minute. The board moves one
+     * step every minute, around a square of maxShift pixels
+     * @returns {Object} Shift with x and y in pixels
+     */
+    getPixelShift() {
+        const steps = [[0, 0], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+        const minutes = Math.floor(this.timeHandler.clock().getTime() / 60000);
+        const [x, y] = steps[minutes % steps.length];
+        return { x: x * this.maxShift, y: y * this.maxShift };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DepartureBoard;
+}
@@ -0,0 +1,328 @@
+/**
+ * Resseltrafiken Web Application - Calendar Export Module
+ *
+ * Builds iCalendar (.ics) files for a single departure, a whole trip with its
+ * arrival time, or a recurring commute for the rest of the season. Times are
+ * written in Europe/Stockholm with its VTIMEZONE, and days on which a
+ * recurring departure does not run, such as holidays, no-traffic days and
+ * cancellations, become EXDATEs.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+class CalendarExport {
+    /**
+     * Initializes the CalendarExport
+     * @param {TimeHandler} timeHandler Time handler used for schedule lookups
+     * @param {Object} [options] Export options
+     * @param {number} [options.durationMinutes=10] Length of events for departures without a trip
+     * @param {string} [options.productId] PRODID written to the calendar
+     * @param {I18n} [options.i18n] Messages for the event texts
+     */
+    constructor(timeHandler, options = {}) {
+        this.timeHandler = timeHandler;
+        this.durationMinutes = options.durationMinutes ?? 10;
+        this.productId = options.productId || "-//Resseltrafiken//Tidtabell 2.0.0//SV";
+        this.timeZone = "Europe/Stockholm";
+        this.i18n = options.i18n || new I18n();
+
+        // iCalendar weekday codes, indexed by Date.getUTCDay()
+        this.weekdayCodes = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+        // Daylight saving rules for Europe/Stockholm since 1996
+        this.timeZoneDefinition = [
+            "BEGIN:VTIMEZONE",
+            "TZID:Europe/Stockholm",
+            "BEGIN:DAYLIGHT",
+            "TZOFFSETFROM:+0100",
+            "TZOFFSETTO:+0200",
+            "TZNAME:CEST",
+            "DTSTART:19700329T020000",
+            "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+            "END:DAYLIGHT",
+            "BEGIN:STANDARD",
+            "TZOFFSETFROM:+0200",
+            "TZOFFSETTO:+0100",
+            "TZNAME:CET",
+            "DTSTART:19701025T030000",
+            "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+            "END:STANDARD",
+            "END:VTIMEZONE"
+        ];
+    }
+
+    /**
+     * Creates a calendar with one departure. With a trip, the event lasts
+     * until the boat reaches the trip's last stop
+     * @param {Object} departure Departure to export
+     * @param {string} departure.route Route key
+     * @param {string} departure.routeName Route name shown in the event
+     * @param {string|null} departure.direction Direction name
+     * @param {string} departure.stop Stop the boat is boarded at
+     * @param {string} departure.time Service-day time, e.g. "07:20" or "24:05"
+     * @param {Date} departure.date Service day of the departure
+     * @param {Object} [departure.trip] Trip from TimeHandler.buildTrips
+     * @returns {Object} File with filename and content
+     */
+    createDepartureCalendar(departure) {
+        const start = this.getWallClock(departure.date, departure.time);
+        const event = [
+            "BEGIN:VEVENT",
+            `UID:${this.createUid(departure, start)}`,
+            `DTSTAMP:${this.formatUtc(this.timeHandler.clock())}`,
+            ...this.createEventTimes(departure, start),
+            ...this.createEventText(departure),
+            "END:VEVENT"
+        ];
+
+        return {
+            filename: `resseltrafiken-${this.timeHandler.formatISODate(start.date)}-${this.formatFileTime(start.minutes)}.ics`,
+            content: this.createCalendar([event])
+        };
+    }
+
+    /**
+     * Creates a calendar with a departure repeating every day of its schedule
+     * type until the end of the season: Monday to Friday for weekday
+     * departures, Saturday and Sunday otherwise. Days on which the departure
+     * does not run are excluded
+     * @param {Object} route Route data from the timetable
+     * @param {Object} commute Departure to repeat, as for createDepartureCalendar
+     * @param {string} commute.scheduleType Schedule type the departure belongs to
+     * @param {Date} commute.until Last service day of the season
+     * @returns {Object} File with filename and content
+     */
+    createCommuteCalendar(route, commute) {
+        const serviceDays = commute.scheduleType === "weekday" ? [1, 2, 3, 4, 5] : [6, 0];
+        const dates = [];
+        for (let date = commute.date; this.timeHandler.formatISODate(date) <= this.timeHandler.formatISODate(commute.until);
+            date = this.timeHandler.addDays(date, 1)) {
+            if (serviceDays.includes(date.getUTCDay())) {
+                dates.push(this.getWallClock(date, commute.time));
+            }
+        }
+        if (dates.length === 0) {
+            return this.createDepartureCalendar(commute);
+        }
+
+        const first = dates[0];
+        const last = dates[dates.length - 1];
+        // A boat after midnight leaves on the calendar day after its service day
+        const weekdays = [1, 2, 3, 4, 5, 6, 0]
+            .filter(day => dates.some(occurrence => occurrence.date.getUTCDay() === day))
+            .map(day => this.weekdayCodes[day]);
+        const excluded = dates.filter(occurrence => !this.timeHandler.getDepartureStatus(
+            route, commute.direction, commute.stop, this.timeHandler.minutesToTime(occurrence.minutes), occurrence.date
+        ).runs);
+
+        const until = this.timeHandler.toInstant(last.date, last.minutes);
+        const event = [
+            "BEGIN:VEVENT",
+            `UID:${this.createUid(commute, first, "commute")}`,
+            `DTSTAMP:${this.formatUtc(this.timeHandler.clock())}`,
+            ...this.createEventTimes(commute, first),
+            `RRULE:FREQ=WEEKLY;BYDAY=${weekdays.join(",")};UNTIL=${this.formatUtc(until)}`,
+            ...excluded.map(occurrence => `EXDATE;TZID=${this.timeZone}:${this.formatLocal(occurrence.date, occurrence.minutes)}`),
+            ...this.createEventText(commute),
+            "END:VEVENT"
+        ];
+
+        return {
+            filename: `resseltrafiken-${this.formatFileTime(first.minutes)}-${commute.scheduleType}.ics`,
+            content: this.createCalendar([event])
+        };
+    }
+
+    /**
+     * Wraps events in a calendar with the time zone definition
+     * @private
+     * @param {Array<string[]>} events Event lines
+     * @returns {string} iCalendar text with CRLF line endings
+     */
+    createCalendar(events) {
+        const lines = [
+            "BEGIN:VCALENDAR",
+            "VERSION:2.0",
+            `PRODID:${this.productId}`,
+            "CALSCALE:GREGORIAN",
+            "METHOD:PUBLISH",
+            ...this.timeZoneDefinition,
+            ...events.flat(),
+            "END:VCALENDAR"
+        ];
+        return lines.map(line => this.foldLine(line)).join("\r\n") + "\r\n";
+    }
+
+    /**
+     * Creates DTSTART and DTEND of a departure
+     * @private
+     * @param {Object} departure Departure being exported
+     * @param {Object} start Wall-clock date and minutes of the departure
+     * @returns {string[]} Event lines
+     */
+    createEventTimes(departure, start) {
+        const arrival = this.getArrival(departure);
+        const duration = arrival ?
+            arrival.minutes - this.timeHandler.getServiceMinutes(departure.time) :
+            this.durationMinutes;
+
+        return [
+            `DTSTART;TZID=${this.timeZone}:${this.formatLocal(start.date, start.minutes)}`,
+            `DTEND;TZID=${this.timeZone}:${this.formatLocal(start.date, start.minutes + duration)}`
+        ];
+    }
+
+    /**
+     * Creates SUMMARY, LOCATION and DESCRIPTION of a departure
+     * @private
+     * @param {Object} departure Departure being exported
+     * @returns {string[]} Event lines
+     */
+    createEventText(departure) {
+        const arrival = this.getArrival(departure);
+        const time = this.timeHandler.formatServiceTime(this.timeHandler.getServiceMinutes(departure.time));
+        const i18n = this.i18n;
+        const summary = arrival ?
+            `${departure.routeName}: ${i18n.stopName(departure.stop)} → ${i18n.stopName(arrival.stop)}` :
+            i18n.t('calendar.summary', { route: departure.routeName, stop: i18n.stopName(departure.stop) });
+        const description = arrival ?
+            this.getRemainingStops(departure).map(tripStop => `${tripStop.time} ${i18n.stopName(tripStop.stop)}`).join("\n") :
+            i18n.t('calendar.description', { time: time, stop: i18n.stopName(departure.stop) });
+
+        return [
+            `SUMMARY:${this.escapeText(summary)}`,
+            `LOCATION:${this.escapeText(departure.stop)}`,
+            `DESCRIPTION:${this.escapeText(description)}`
+        ];
+    }
+
+    /**
+     * Gets the stops of a departure's trip from the boarding stop onwards
+     * @private
+     * @param {Object} departure Departure being exported
+     * @returns {Array<Object>} Trip stops, empty without a trip
+     */
+    getRemainingStops(departure) {
+        if (!departure.trip) return [];
+        const index = departure.trip.stops.findIndex(tripStop => tripStop.stop === departure.stop);
+        return index === -1 ? [] : departure.trip.stops.slice(index);
+    }
+
+    /**
+     * Gets the last stop of a departure's trip
+     * @private
+     * @param {Object} departure Departure being exported
+     * @returns {Object|null} Trip stop with stop, time and minutes, or null without a later stop
+     */
+    getArrival(departure) {
+        const stops = this.getRemainingStops(departure);
+        return stops.length > 1 ? stops[stops.length - 1] : null;
+    }
+
+    /**
+     * Converts a service-day time to the calendar date and time the boat leaves
+     * @private
+     * @param {Date} serviceDate Service day
+     * @param {string} time Service-day time, e.g. "24:05"
+     * @returns {Object} Object with date and minutes since midnight
+     */
+    getWallClock(serviceDate, time) {
+        const minutes = this.timeHandler.getServiceMinutes(time);
+        const days = Math.floor(minutes / (24 * 60));
+        return {
+            date: this.timeHandler.addDays(serviceDate, days),
+            minutes: minutes - days * 24 * 60
+        };
+    }
+
+    /**
+     * Creates a stable UID, so importing the same departure again updates the event
+     * @private
+     * @param {Object} departure Departure being exported
+     * @param {Object} start Wall-clock date and minutes of the departure
+     * @param {string} [kind="departure"] Kind of event
+     * @returns {string} Event UID
+     */
+    createUid(departure, start, kind = "departure") {
+        const parts = [kind, departure.route, departure.direction || "", departure.stop,
+            kind === "departure" ? this.timeHandler.formatISODate(start.date) : "",
+            this.formatFileTime(start.minutes)];
+        const uid = parts.join("-").toLowerCase().normalize("NFD").replace(/[^a-z0-9-]/g, "");
+        return `${uid}@resseltrafiken`;
+    }
+
+    /**
+     * Formats a wall-clock date and time as a local iCalendar date-time
+     * @private
+     * @param {Date} date Wall-clock date
+     * @param {number} minutes Minutes since midnight, may exceed 24:00
+     * @returns {string} Date-time such as 20250218T072000
+     */
+    formatLocal(date, minutes) {
+        const day = this.timeHandler.addDays(date, Math.floor(minutes / (24 * 60)));
+        const time = this.timeHandler.minutesToTime(minutes % (24 * 60)).replace(":", "");
+        return `${this.timeHandler.formatISODate(day).replace(/-/g, "")}T${time}00`;
+    }
+
+    /**
+     * Formats an instant as a UTC iCalendar date-time
+     * @private
+     * @param {Date} instant Instant to format
+     * @returns {string} Date-time such as 20250218T062000Z
+     */
+    formatUtc(instant) {
+        return instant.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+    }
+
+    /**
+     * Formats minutes for file names and UIDs
+     * @private
+     * @param {number} minutes Minutes since midnight
+     * @returns {string} Time such as 0720
+     */
+    formatFileTime(minutes) {
+        return this.timeHandler.minutesToTime(minutes).replace(":", "");
+    }
+
+    /**
+     * Escapes a text value
+     * @private
+     * @param {string} text Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeText(text) {
+        return String(text)
+            .replace(/\\/g, "\\\\")
+            .replace(/;/g, "\\;")
+            .replace(/,/g, "\\,")
+            .replace(/\r?\n/g, "\\n");
+    }
+
+    /**
+     * Folds a content line longer than 75 octets
+     * @private
+     * @param {string} line Content line
+     * @returns {string} Folded line
+     */
+    foldLine(line) {
+        const encoder = new TextEncoder();
+        let folded = "";
+        let octets = 0;
+        for (const character of line) {
+            const size = encoder.encode(character).length;
+            if (octets + size > 75) {
+                folded += "\r\n ";
+                octets = 1;
+            }
+            folded += character;
+            octets += size;
+        }
+        return folded;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalendarExport;
+}
@@ -0,0 +1,791 @@
+/**
+ * Resseltrafiken Web Application - Timetable Editor Module
+ *
+ * Edits timetable data in the Ressel.json format for editor.html: the stops
+ * and directions of a line, its schedules as grids with one row per trip and
+ * one column per stop, and its traffic exceptions. Times pasted from a
+ * spreadsheet or CSV file are spread over the grid, and validation issues
+ * are mapped back to the cells they concern.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+class TimetableEditor {
+    /**
+     * Initializes the TimetableEditor
+     * @param {TimeHandler} timeHandler Time handler used for schedule lookups
+     * @param {TimetableValidator} validator Validator for the edited timetable
+     */
+    constructor(timeHandler, validator) {
+        this.timeHandler = timeHandler;
+        this.validator = validator;
+        this.scheduleTypes = ["weekday", "weekend", "holiday"];
+        this.exceptionKeys = ["no_traffic", "holiday_traffic"];
+        this.timetable = null;
+    }
+
+    /**
+     * Loads a timetable to edit. The editor works on its own copy
+     * @param {Object} data Timetable data
+     * @throws {Error} If the data has no routes to edit, with the key of a translated message in error.messageKey
+     */
+    load(data) {
+        if (!data || typeof data !== "object" || !data.routes || typeof data.routes !== "object" ||
+            Object.keys(data.routes).length === 0) {
+            throw this.createEditError("Filen är ingen tidtabell", "editor.notTimetable");
+        }
+        this.timetable = JSON.parse(JSON.stringify(data));
+        if (!this.timetable.metadata || typeof this.timetable.metadata !== "object") {
+            this.timetable.metadata = {};
+        }
+    }
+
+    /**
+     * Gets the edited timetable as a JSON document, stamped with today's date
+     * @returns {string} JSON document
+     */
+    serialize() {
+        this.timetable.metadata.last_updated = this.timeHandler.formatISODate(this.timeHandler.now());
+        return `${JSON.stringify(this.timetable, null, 2)}\n`;
+    }
+
+    /**
+     * Validates the edited timetable
+     * @returns {Array<Object>} Issues from TimetableValidator.validate
+     */
+    validate() {
+        return this.validator.validate(this.timetable);
+    }
+
+    /**
+     * Sets the version name of the timetable
+     * @param {string} version Version name, e.g. "Sommar 2025"
+     */
+    setVersion(version) {
+        this.timetable.metadata.version = version.trim();
+    }
+
+    /**
+     * Sets the start or end of the timetable's valid period
+     * @param {string} field "start_date" or "end_date"
+     * @param {string} date Date in YYYY-MM-DD format
+     */
+    setValidPeriod(field, date) {
+        this.timetable.metadata.valid_period = { ...this.timetable.metadata.valid_period, [field]: date };
+    }
+
+    /**
+     * Gets the routes of the timetable in file order
+     * @returns {Array<Object>} Routes with key, name and whether they have directions
+     */
+    getRoutes() {
+        return Object.entries(this.timetable.routes).map(([key, route]) => ({
+            key: key,
+            name: route.name || key,
+            hasDirections: route.directions !== undefined
+        }));
+    }
+
+    /**
+     * Gets the directions of a route; lines without directions have one with key null
+     * @param {string} routeKey Route key
+     * @returns {Array<Object>} Directions with key and title
+     */
+    getDirections(routeKey) {
+        const route = this.getRoute(routeKey);
+        return this.timeHandler.getDirectionKeys(route).map(directionKey => ({
+            key: directionKey,
+            title: directionKey === null ?
+                (route.display && route.display.title) || "" :
+                (route.directions[directionKey].display && route.directions[directionKey].display.title) || ""
+        }));
+    }
+
+    /**
+     * Gets the stops of a route direction, the columns of its grids
+     * The stop list of lines without directions gives the order; other stops follow
+     * in the order of the schedules
+     * @param {string} routeKey Route key
+     * @param {string|null} directionKey Direction key, or null for lines without directions
+     * @returns {string[]} Stop names
+     */
+    getStops(routeKey, directionKey) {
+        const route = this.getRoute(routeKey);
+        const stops = new Set(directionKey === null && Array.isArray(route.stops) ? route.stops : []);
+        this.scheduleTypes.forEach(type => {
+            Object.keys(this.timeHandler.getBaseDepartures(route, directionKey, type) || {})
+                .forEach(stop => stops.add(stop));
+        });
+        return [...stops];
+    }
+
+    /**
+     * Checks if a route direction has a schedule of a type
+     * @param {string} routeKey Route key
+     * @param {string|null} directionKey Direction key
+     * @param {string} scheduleType Schedule type (weekday/weekend/holiday)
+     * @returns {boolean} True if the schedule exists
+     */
+    hasSchedule(routeKey, directionKey, scheduleType) {
+        return this.timeHandler.getBaseDepartures(this.getRoute(routeKey), directionKey, scheduleType) !== null;
+    }
+
+    /**
+     * Gets a schedule as a grid with one row per trip and one column per stop.
+     * Stops with fewer times than others leave the rest of their column empty
+     * @param {string} routeKey Route key
+     * @param {string|null} directionKey Direction key
+     * @param {string} scheduleType Schedule type (weekday/weekend/holiday)
+     * @returns {Object} Grid with stops and rows of times, "" for empty cells
+     */
+    getGrid(routeKey, directionKey, scheduleType) {
+        const stops = this.getStops(routeKey, directionKey);
+        const departures = this.timeHandler.getBaseDepartures(this.getRoute(routeKey), directionKey, scheduleType) || {};
+        const rowCount = Math.max(0, ...stops.map(stop => (departures[stop] || []).length));
+
+        const rows = [];
+        for (let row = 0; row < rowCount; row++) {
+            rows.push(stops.map(stop => {
+                const time = (departures[stop] || [])[row];
+                return time === undefined || time === null ? "" : String(time);
+            }));
+        }
+        return { stops, rows };
+    }
+
+    /**
+     * Sets one cell of a grid. Blank cells at the end of a column are dropped
+     * @param {string} routeKey Route key
+     * @param {string|null} directionKey Direction key
+     * @param {string} scheduleType Schedule type (weekday/weekend/holiday)
+     * @param {number} row Trip index
+     * @param {number} column Stop index
+     * @param {string} value Time as typed
+     * @returns {string} Time as stored, e.g. "07:05" for "7.05"
+     */
+    setCell(routeKey, directionKey, scheduleType, row, column, value) {
+        const time = this.normalizeTime(value);
+        this.writeTimes(routeKey, directionKey, scheduleType, row, column, [[time]]);
+        return time;
+    }
+
+    /**
+     * Inserts an empty trip before a row of a grid
+     * @param {string} routeKey Route key
+     * @param {string|null} directionKey Direction key
+     * @param {string} scheduleType Schedule type (weekday/weekend/holiday)
+     * @param {number} row Trip index the new trip gets
+     */
+    insertRow(routeKey, directionKey, scheduleType, row) {
+        const departures = this.getDepartures(routeKey, directionKey, scheduleType);
+        this.getStops(routeKey, directionKey).forEach(stop => {
+            const times = departures[stop] || (departures[stop] = []);
+            while (times.length < row) times.push("");
+            times.splice(row, 0, "");
+        });
+    }
+
+    /**
+     * Removes a trip from a grid
+     * @param {string} routeKey Route key
+     * @param {string|null} directionKey Direction key
+     * @param {string} scheduleType Schedule type (weekday/weekend/holiday)
+     * @param {number} row Trip index
+     */
+    removeRow(routeKey, directionKey, scheduleType, row) {
+        const departures = this.getDepartures(routeKey, directionKey, scheduleType);
+        Object.values(departures).forEach(times => {
+            if (Array.isArray(times) && row < times.length) times.splice(row, 1);
+        });
+    }
+
+    /**
+     * Pastes text from a spreadsheet or CSV file into a grid, starting at a cell.
+     * A first line of stop names instead of times chooses the columns by name,
+     * adding stops the direction does not have yet
+     * @param {string} routeKey Route key
+     * @param {string|null} directionKey Direction key
+     * @param {string} scheduleType Schedule type (weekday/weekend/holiday)
+     * @param {number} row Trip index of the first pasted line
+     * @param {number} column Stop index of the first pasted column, unless the text names the stops
+     * @param {string} text Pasted text
+     * @returns {Object} Number of times pasted and of values left out for lack of a stop column
+     */
+    paste(routeKey, directionKey, scheduleType, row, column, text) {
+        let lines = this.parseCells(text);
+        let columns = null;
+
+        if (lines.length > 0 && this.isHeaderLine(lines[0])) {
+            const stops = this.getStops(routeKey, directionKey);
+            columns = lines[0].map(name => {
+                if (!name) return -1;
+                if (!stops.includes(name)) {
+                    this.addStop(routeKey, directionKey, name);
+                    stops.push(name);
+                }
+                return stops.indexOf(name);
+            });
+            lines = lines.slice(1);
+        }
+
+        const stopCount = this.getStops(routeKey, directionKey).length;
+        const placed = [];
+        let pasted = 0;
+        let ignored = 0;
+        lines.forEach((cells, lineIndex) => {
+            placed[lineIndex] = [];
+            cells.forEach((value, cellIndex) => {
+                const target = columns ? columns[cellIndex] : column + cellIndex;
+                if (target === undefined || target < 0 || target >= stopCount) {
+                    if (value) ignored++;
+                    return;
+                }
+                placed[lineIndex][target] = this.normalizeTime(value);
+                if (value) pasted++;
+            });
+        });
+
+        this.writeTimes(routeKey, directionKey, scheduleType, row, 0, placed);
+        return { pasted, ignored };
+    }
+
+    /**
+     * Replaces a schedule with the times of a CSV file, read as a paste into the first cell
+     * @param {string} routeKey Route key
+     * @param {string|null} directionKey Direction key
+     * @param {string} scheduleType Schedule type (weekday/weekend/holiday)
+     * @param {string} text CSV text
+     * @returns {Object} Number of times pasted and of values left out, as from paste
+     */
+    importCsv(routeKey, directionKey, scheduleType, text) {
+        const departures = this.getDepartures(routeKey, directionKey, scheduleType);
+        Object.keys(departures).forEach(stop => {
+            departures[stop] = [];
+        });
+        return this.paste(routeKey, directionKey, scheduleType, 0, 0, text);
+    }
+
+    /**
+     * Splits pasted text into lines of cells. Spreadsheets paste tab-separated
+     * text; CSV files use commas or semicolons, with quotes around cells that
+     * contain them. Text with none of these, such as times copied from a PDF,
+     * is split at spaces
+     * @param {string} text Pasted text
+     * @returns {Array<string[]>} Lines of trimmed cells
+     */
+    parseCells(text) {
+        const lines = String(text).replace(/\r\n?/g, "\n").split("\n");
+        while (lines.length > 0 && lines[lines.length - 1].trim() === "") lines.pop();
+
+        const delimiter = ["\t", ";", ","].find(candidate => lines.some(line => line.includes(candidate)));
+        if (!delimiter) {
+            return lines.map(line => line.trim() === "" ? [""] : line.trim().split(/\s+/));
+        }
+
+        return lines.map(line => {
+            const cells = [];
+            let cell = "";
+            let quoted = false;
+            for (let index = 0; index < line.length; index++) {
+                const character = line[index];
+                if (quoted) {
+                    if (character === '"' && line[index + 1] === '"') {
+                        cell += '"';
+                        index++;
+                    } else if (character === '"') {
+                        quoted = false;
+                    } else {
+                        cell += character;
+                    }
+                } else if (character === '"' && cell.trim() === "") {
+                    quoted = true;
+                    cell = "";
+                } else if (character === delimiter) {
+                    cells.push(cell.trim());
+                    cell = "";
+                } else {
+                    cell += character;
+                }
+            }
+            cells.push(cell.trim());
+            return cells;
+        });
+    }
+
+    /**
+     * Normalizes a typed time to HH:MM. "7.05", "7:05" and "705" become "07:05";
+     * anything else is kept as typed for the validator to report
+     * @param {string} value Time as typed
+     * @returns {string} Normalized time, or the trimmed value
+     */
+    normalizeTime(value) {
+        const text = String(value === undefined || value === null ? "" : value).trim();
+        const match = /^(\d{1,2})[:.](\d{2})$/.exec(text) || /^(\d{1,2})(\d{2})$/.exec(text);
+        return match ? `${match[1].padStart(2, "0")}:${match[2]}` : text;
+    }
+
+    /**
+     * Adds a stop as the last column of a route direction, with no times yet
+     * @param {string} routeKey Route key
+     * @param {string|null} directionKey Direction key
+     * @param {string} name Stop name
+     * @throws {Error} If the name is empty or already used, with error.messageKey
+     */
+    addStop(routeKey, directionKey, name) {
+        const stop = this.checkStopName(name, this.getStops(routeKey, directionKey));
+        const route = this.getRoute(routeKey);
+        if (directionKey === null && Array.isArray(route.stops)) {
+            route.stops.push(stop);
+        }
+        this.getScheduleTypes(routeKey, directionKey).forEach(type => {
+            this.getDepartures(routeKey, directionKey, type)[stop] = [];
+        });
+    }
+
+    /**
+     * Renames a stop everywhere on a line: in every direction and schedule,
+     * the stop list, the highlighted stops, extra departures and cancellations
+     * @param {string} routeKey Route key
+     * @param {string} name Current stop name
+     * @param {string} newName New stop name
+     * @throws {Error} If the new name is empty or already used on the line, with error.messageKey
+     */
+    renameStop(routeKey, name, newName) {
+        const route = this.getRoute(routeKey);
+        const lineStops = new Set(this.timeHandler.getDirectionKeys(route)
+            .flatMap(directionKey => this.getStops(routeKey, directionKey)));
+        lineStops.delete(name);
+        const stop = this.checkStopName(newName, [...lineStops]);
+        const rename = value => value === name ? stop : value;
+
+        if (Array.isArray(route.stops)) {
+            route.stops = route.stops.map(rename);
+        }
+        this.timeHandler.getDirectionKeys(route).forEach(directionKey => {
+            this.getScheduleTypes(routeKey, directionKey).forEach(type => {
+                this.setDepartures(routeKey, directionKey, type,
+                    this.renameKeys(this.getDepartures(routeKey, directionKey, type), rename));
+            });
+            const display = directionKey === null ? route.display : route.directions[directionKey].display;
+            if (display && display.highlight_stop === name) {
+                display.highlight_stop = stop;
+            }
+        });
+        if (route.display && route.display.highlight_stop === name) {
+            route.display.highlight_stop = stop;
+        }
+
+        const metadata = route.metadata || {};
+        const extraDepartures = (metadata.holiday_schedule && metadata.holiday_schedule.extra_departures) || {};
+        Object.keys(extraDepartures).forEach(key => {
+            extraDepartures[key] = this.renameKeys(extraDepartures[key] || {}, rename);
+        });
+        (Array.isArray(metadata.recurring_cancellations) ? metadata.recurring_cancellations : []).forEach(rule => {
+            (rule.departures || []).forEach(departure => {
+                if (departure.stop === name) departure.stop = stop;
+            });
+        });
+    }
+
+    /**
+     * Moves a stop one column to the left or right in every schedule of a direction
+     * @param {string} routeKey Route key
+     * @param {string|null} directionKey Direction key
+     * @param {string} name Stop name
+     * @param {number} step -1 to move left, 1 to move right
+     */
+    moveStop(routeKey, directionKey, name, step) {
+        const stops = this.getStops(routeKey, directionKey);
+        const index = stops.indexOf(name);
+        if (index === -1 || index + step < 0 || index + step >= stops.length) return;
+        [stops[index], stops[index + step]] = [stops[index + step], stops[index]];
+
+        const route = this.getRoute(routeKey);
+        if (directionKey === null && Array.isArray(route.stops)) {
+            route.stops = stops.filter(stop => route.stops.includes(stop));
+        }
+        this.getScheduleTypes(routeKey, directionKey).forEach(type => {
+            const departures = this.getDepartures(routeKey, directionKey, type);
+            const ordered = {};
+            stops.filter(stop => stop in departures).forEach(stop => {
+                ordered[stop] = departures[stop];
+            });
+            this.setDepartures(routeKey, directionKey, type, ordered);
+        });
+    }
+
+    /**
+     * Removes a stop from every schedule of a direction. References to it elsewhere
+     * are left for the validator to report
+     * @param {string} routeKey Route key
+     * @param {string|null} directionKey Direction key
+     * @param {string} name Stop name
+     */
+    removeStop(routeKey, directionKey, name) {
+        const route = this.getRoute(routeKey);
+        if (directionKey === null && Array.isArray(route.stops)) {
+            route.stops = route.stops.filter(stop => stop !== name);
+        }
+        this.getScheduleTypes(routeKey, directionKey).forEach(type => {
+            delete this.getDepartures(routeKey, directionKey, type)[name];
+        });
+    }
+
+    /**
+     * Adds a direction to a line with directions. A return trip usually calls
+     * at the same stops in reverse, so the new direction gets the stops of the
+     * first direction in reverse order, with no times yet
+     * @param {string} routeKey Route key
+     * @param {string} key Direction key, e.g. "Nybroplan_to_Hammarbysjöstad"; spaces become underscores
+     * @param {string} [title] Displayed title
+     * @returns {string} Direction key as stored
+     * @throws {Error} If the key is empty or already used, with error.messageKey
+     */
+    addDirection(routeKey, key, title = "") {
+        const route = this.getRoute(routeKey);
+        const directionKey = String(key || "").trim().replace(/\s+/g, "_");
+        if (!directionKey || directionKey.includes(".")) {
+            throw this.createEditError("Ange ett namn på riktningen", "editor.directionKeyMissing");
+        }
+        if (directionKey in route.directions) {
+            throw this.createEditError(`Riktningen ${directionKey} finns redan`, "editor.directionExists", { direction: directionKey });
+        }
+
+        const [firstKey] = Object.keys(route.directions);
+        const stops = firstKey ? this.getStops(routeKey, firstKey).reverse() : [];
+        const direction = {};
+        if (title.trim()) {
+            direction.display = { title: title.trim() };
+        }
+        this.validator.scheduleTypes.forEach(type => {
+            direction[`${type}_schedule`] = { departures: Object.fromEntries(stops.map(stop => [stop, []])) };
+        });
+        route.directions[directionKey] = direction;
+        return directionKey;
+    }
+
+    /**
+     * Sets the displayed title of a direction, or of a line without directions
+     * @param {string} routeKey Route key
+     * @param {string|null} directionKey Direction key
+     * @param {string} title Title; an empty title falls back to the generated one
+     */
+    setDirectionTitle(routeKey, directionKey, title) {
+        const route = this.getRoute(routeKey);
+        const item = directionKey === null ? route : route.directions[directionKey];
+        const display = { ...item.display };
+        if (title.trim()) {
+            display.title = title.trim();
+        } else {
+            delete display.title;
+        }
+        if (Object.keys(display).length > 0) {
+            item.display = display;
+        } else {
+            delete item.display;
+        }
+    }
+
+    /**
+     * Removes a direction from a line
+     * @param {string} routeKey Route key
+     * @param {string} directionKey Direction key
+     * @throws {Error} If it is the line's last direction, with error.messageKey
+     */
+    removeDirection(routeKey, directionKey) {
+        const route = this.getRoute(routeKey);
+        if (Object.keys(route.directions).length <= 1) {
+            throw this.createEditError("En linje måste ha minst en riktning", "editor.lastDirection");
+        }
+        delete route.directions[directionKey];
+    }
+
+    /**
+     * Creates a holiday schedule for a direction as a copy of its weekend schedule
+     * @param {string} routeKey Route key
+     * @param {string|null} directionKey Direction key
+     */
+    addHolidaySchedule(routeKey, directionKey) {
+        const weekend = this.getDepartures(routeKey, directionKey, "weekend");
+        this.setDepartures(routeKey, directionKey, "holiday", JSON.parse(JSON.stringify(weekend)));
+    }
+
+    /**
+     * Removes the holiday schedule of a direction; the line then runs its weekend schedule on holidays
+     * @param {string} routeKey Route key
+     * @param {string|null} directionKey Direction key
+     */
+    removeHolidaySchedule(routeKey, directionKey) {
+        const route = this.getRoute(routeKey);
+        if (directionKey === null) {
+            delete route.schedule.holiday;
+        } else {
+            delete route.directions[directionKey].holiday_schedule;
+        }
+    }
+
+    /**
+     * Gets the traffic exceptions of a line
+     * @param {string} routeKey Route key
+     * @returns {Object} no_traffic and holiday_traffic date lists, and day_type_rules
+     */
+    getExceptions(routeKey) {
+        const metadata = this.getRoute(routeKey).metadata || {};
+        const notes = metadata.holiday_notes || {};
+        return {
+            no_traffic: Array.isArray(notes.no_traffic) ? [...notes.no_traffic] : [],
+            holiday_traffic: Array.isArray(notes.holiday_traffic) ? [...notes.holiday_traffic] : [],
+            day_type_rules: { ...metadata.day_type_rules }
+        };
+    }
+
+    /**
+     * Sets the dates of a line without traffic or with holiday traffic. Dates may be
+     * separated by lines, commas or spaces; they are stored sorted, once each
+     * @param {string} routeKey Route key
+     * @param {string} key "no_traffic" or "holiday_traffic"
+     * @param {string} text Dates in YYYY-MM-DD format
+     */
+    setExceptionDates(routeKey, key, text) {
+        const route = this.getRoute(routeKey);
+        const dates = [...new Set(String(text).split(/[\s,;]+/).filter(Boolean))].sort();
+        const metadata = route.metadata || {};
+        const notes = { ...metadata.holiday_notes };
+
+        if (dates.length > 0) {
+            notes[key] = dates;
+        } else {
+            delete notes[key];
+        }
+        if (Object.keys(notes).length > 0) {
+            metadata.holiday_notes = notes;
+        } else {
+            delete metadata.holiday_notes;
+        }
+        this.setRouteMetadata(route, metadata);
+    }
+
+    /**
+     * Sets the schedule a line runs on a holiday calendar day type
+     * @param {string} routeKey Route key
+     * @param {string} dayType "holiday", "eve" or "squeeze"
+     * @param {string|null} rule "weekday", "weekend", "holiday" or "no_service", or null for the default
+     */
+    setDayTypeRule(routeKey, dayType, rule) {
+        const route = this.getRoute(routeKey);
+        const metadata = route.metadata || {};
+        const rules = { ...metadata.day_type_rules };
+
+        if (rule) {
+            rules[dayType] = rule;
+        } else {
+            delete rules[dayType];
+        }
+        if (Object.keys(rules).length > 0) {
+            metadata.day_type_rules = rules;
+        } else {
+            delete metadata.day_type_rules;
+        }
+        this.setRouteMetadata(route, metadata);
+    }
+
+    /**
+     * Sorts the validation issues of one grid by cell, by stop column and for the whole grid
+     * @param {Array<Object>} issues Issues from validate
+     * @param {string} routeKey Route key
+     * @param {string|null} directionKey Direction key
+     * @param {string} scheduleType Schedule type (weekday/weekend/holiday)
+     * @returns {Object} Messages in cells keyed "row:column", in columns keyed by column, and for the grid
+     */
+    getGridIssues(issues, routeKey, directionKey, scheduleType) {
+        const path = directionKey === null ?
+            `routes.${routeKey}.schedule.${scheduleType}` :
+            `routes.${routeKey}.directions.${directionKey}.${scheduleType}_schedule.departures`;
+        const stops = this.getStops(routeKey, directionKey);
+        const result = { cells: {}, columns: {}, grid: [] };
+        const add = (target, key, message) => {
+            target[key] = target[key] ? `${target[key]}; ${message}` : message;
+        };
+
+        issues.forEach(issue => {
+            if (issue.path === path) {
+                result.grid.push(issue.message);
+                return;
+            }
+            if (!issue.path.startsWith(`${path}.`)) return;
+
+            const match = /^(.*?)(?:\[(\d+)\])?$/.exec(issue.path.slice(path.length + 1));
+            const column = stops.indexOf(match[1]);
+            if (column === -1) {
+                result.grid.push(issue.message);
+            } else if (match[2] !== undefined) {
+                add(result.cells, `${match[2]}:${column}`, issue.message);
+            } else {
+                add(result.columns, column, issue.message);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Writes a block of times into a grid, starting at a cell. Missing values in the
+     * block leave their cells as they are; blank cells at the end of a column are dropped
+     * @private
+     * @param {string} routeKey Route key
+     * @param {string|null} directionKey Direction key
+     * @param {string} scheduleType Schedule type (weekday/weekend/holiday)
+     * @param {number} row Trip index of the block's first line
+     * @param {number} column Stop index of the block's first value
+     * @param {Array<Array<string>>} block Lines of times
+     */
+    writeTimes(routeKey, directionKey, scheduleType, row, column, block) {
+        const stops = this.getStops(routeKey, directionKey);
+        const departures = this.getDepartures(routeKey, directionKey, scheduleType);
+        const touched = new Set();
+
+        block.forEach((values, lineIndex) => {
+            values.forEach((time, valueIndex) => {
+                const stop = stops[column + valueIndex];
+                if (time === undefined || stop === undefined) return;
+                const times = Array.isArray(departures[stop]) ? departures[stop] : (departures[stop] = []);
+                while (times.length <= row + lineIndex) times.push("");
+                times[row + lineIndex] = time;
+                touched.add(times);
+            });
+        });
+
+        touched.forEach(times => {
+            while (times.length > 0 && times[times.length - 1] === "") times.pop();
+        });
+    }
+
+    /**
+     * Checks if a pasted line names stops rather than listing times
+     * @private
+     * @param {string[]} cells Cells of the line
+     * @returns {boolean} True if no cell is a time and some cell has text
+     */
+    isHeaderLine(cells) {
+        return cells.some(Boolean) &&
+            cells.every(cell => !cell || !this.validator.isValidTime(this.normalizeTime(cell)));
+    }
+
+    /**
+     * Checks a stop name for a new or renamed stop
+     * @private
+     * @param {string} name Stop name
+     * @param {string[]} usedNames Names already in use
+     * @returns {string} Trimmed stop name
+     * @throws {Error} If the name is empty or already used, with error.messageKey
+     */
+    checkStopName(name, usedNames) {
+        const stop = String(name || "").trim();
+        if (!stop || stop.includes(".")) {
+            throw this.createEditError("Ange ett hållplatsnamn", "editor.stopNameMissing");
+        }
+        if (usedNames.includes(stop)) {
+            throw this.createEditError(`Hållplatsen ${stop} finns redan`, "editor.stopExists", { stop: stop });
+        }
+        return stop;
+    }
+
+    /**
+     * Gets a route of the edited timetable
+     * @private
+     * @param {string} routeKey Route key
+     * @returns {Object} Route data
+     */
+    getRoute(routeKey) {
+        return this.timetable.routes[routeKey];
+    }
+
+    /**
+     * Gets the schedule types a direction has schedules for
+     * @private
+     * @param {string} routeKey Route key
+     * @param {string|null} directionKey Direction key
+     * @returns {string[]} Schedule types
+     */
+    getScheduleTypes(routeKey, directionKey) {
+        return this.scheduleTypes.filter(type => this.hasSchedule(routeKey, directionKey, type));
+    }
+
+    /**
+     * Gets the stop-to-times mapping of a schedule to edit, creating the schedule if it is missing
+     * @private
+     * @param {string} routeKey Route key
+     * @param {string|null} directionKey Direction key
+     * @param {string} scheduleType Schedule type (weekday/weekend/holiday)
+     * @returns {Object} Stop to times mapping
+     */
+    getDepartures(routeKey, directionKey, scheduleType) {
+        return this.timeHandler.getBaseDepartures(this.getRoute(routeKey), directionKey, scheduleType) ||
+            this.setDepartures(routeKey, directionKey, scheduleType, {});
+    }
+
+    /**
+     * Replaces the stop-to-times mapping of a schedule
+     * @private
+     * @param {string} routeKey Route key
+     * @param {string|null} directionKey Direction key
+     * @param {string} scheduleType Schedule type (weekday/weekend/holiday)
+     * @param {Object} departures Stop to times mapping
+     * @returns {Object} The mapping
+     */
+    setDepartures(routeKey, directionKey, scheduleType, departures) {
+        const route = this.getRoute(routeKey);
+        if (directionKey === null) {
+            route.schedule = { ...route.schedule, [scheduleType]: departures };
+        } else {
+            const direction = route.directions[directionKey];
+            direction[`${scheduleType}_schedule`] = { ...direction[`${scheduleType}_schedule`], departures: departures };
+        }
+        return departures;
+    }
+
+    /**
+     * Stores line metadata, leaving it out when it is empty
+     * @private
+     * @param {Object} route Route data
+     * @param {Object} metadata Line metadata
+     */
+    setRouteMetadata(route, metadata) {
+        if (Object.keys(metadata).length > 0) {
+            route.metadata = metadata;
+        } else {
+            delete route.metadata;
+        }
+    }
+
+    /**
+     * Copies an object with its keys renamed, keeping their order
+     * @private
+     * @param {Object} object Object to copy
+     * @param {Function} rename Maps an old key to the new one
+     * @returns {Object} Copy with renamed keys
+     */
+    renameKeys(object, rename) {
+        return Object.fromEntries(Object.entries(object).map(([key, value]) => [rename(key), value]));
+    }
+
+    /**
+     * Creates an error for an edit that cannot be made
+     * @private
+     * @param {string} message Message in Swedish
+     * @param {string} messageKey Key of the message in the I18n catalogs
+     * @param {Object} [messageParams] Placeholder values of the message
+     * @returns {Error} Error with messageKey and messageParams
+     */
+    createEditError(message, messageKey, messageParams = {}) {
+        const error = new Error(message);
+        error.messageKey = messageKey;
+        error.messageParams = messageParams;
+        return error;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimetableEditor;
+}
@@ -0,0 +1,366 @@
+/**
+ * Resseltrafiken Web Application - Timetable Editor Page
+ *
+ * Controller of editor.html. Loads the published timetable or a chosen file
+ * into the TimetableEditor, redraws the editor after each change, validates
+ * the timetable as it is edited, previews the board it gives at a chosen time
+ * and downloads the result as a new Ressel.json.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+document.addEventListener('DOMContentLoaded', async function() {
+    /**
+     * Editor configuration object, with the app's defaults for the preview
+     * @type {Object}
+     */
+    const config = {
+        showBothDirections: true,        // Preview both outbound and return trips
+        highlightStop: "Lumabryggan",    // Stop to highlight in the preview
+        cityReturnStop: "Nybroplan",     // Return stop to highlight for city direction
+        maxVisibleDepartures: 9,         // Maximum number of departures per stop in the preview
+        routeOrder: null,                // Route keys in display order, overrides the data file
+        hiddenRoutes: [],                // Route keys left out of the preview
+        timeDisplay: 'clock',            // Departure times as clock times in the preview
+        countdownLimit: 60,              // Minutes left below which 'hybrid' shows a countdown
+        language: null,                  // Interface language ('sv' or 'en'), null follows the browser
+        timeZone: 'Europe/Stockholm',    // Time zone of the timetables
+        dataIndexPath: 'data/index.json', // Path to season index listing timetable files
+        dataPath: 'data/Ressel.json'     // Fallback timetable data if the index is unavailable
+    };
+
+    const timeHandler = new TimeHandler({ timeZone: config.timeZone });
+    // The preview runs on a clock stopped at the chosen time
+    const previewTimeHandler = new TimeHandler({ timeZone: config.timeZone });
+    const i18n = new I18n({ language: config.language });
+    const validator = new TimetableValidator();
+    const editor = new TimetableEditor(timeHandler, validator);
+    const renderer = new Renderer(config, previewTimeHandler, i18n);
+    const routeModel = new RouteModel(config, previewTimeHandler);
+    let fileName = 'Ressel.json';        // Name the timetable was loaded from and is downloaded as
+    let message = null;                  // Message shown in the editor, e.g. a file that could not be read
+    let hasChanges = false;              // Edits made since the timetable was loaded or downloaded
+    let editorElement = null;            // Rendered editor
+    const selection = {                  // Grid being edited
+        route: null,
+        direction: null,
+        schedule: 'weekday'
+    };
+    let previewAt = `${timeHandler.formatISODate(timeHandler.now())}T${timeHandler.minutesToTime(timeHandler.getCurrentMinutes())}`;
+
+    /**
+     * Fetches and parses a JSON file
+     * @param {string} path - Path to the JSON file
+     * @returns {Promise<Object>} The parsed JSON
+     * @throws {Error} If the request fails
+     */
+    async function fetchJson(path) {
+        const response = await fetch(path);
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Loads the published timetable of the season valid today, as the app does
+     * @returns {Promise<void>}
+     */
+    async function loadPublished() {
+        if (hasChanges && !window.confirm(i18n.t('editor.discardChanges'))) return;
+
+        let path = config.dataPath;
+        try {
+            const index = await fetchJson(config.dataIndexPath);
+            const season = timeHandler.getSeasonForDate(index.seasons, timeHandler.now());
+            if (season) {
+                path = config.dataIndexPath.replace(/[^/]*$/, '') + season.file;
+            }
+        } catch (error) {
+            console.warn('Season index unavailable, using fallback data path', error);
+        }
+
+        try {
+            loadTimetable(await fetchJson(path), path.replace(/^.*\//, ''));
+        } catch (error) {
+            console.error('Error loading timetable:', error);
+            message = { text: i18n.t('error.loadTimetable'), type: 'error' };
+        }
+        render();
+    }
+
+    /**
+     * Loads a timetable file chosen by the user
+     * @param {File} file - JSON file
+     * @returns {Promise<void>}
+     */
+    async function openFile(file) {
+        if (hasChanges && !window.confirm(i18n.t('editor.discardChanges'))) {
+            render();
+            return;
+        }
+
+        try {
+            loadTimetable(JSON.parse(await file.text()), file.name);
+        } catch (error) {
+            console.error('Error opening timetable:', error);
+            const reason = error.messageKey ? i18n.t(error.messageKey) : error.message;
+            message = { text: i18n.t('error.readFile', { file: file.name, reason: reason }), type: 'error' };
+        }
+        render();
+    }
+
+    /**
+     * Hands timetable data to the editor and selects its first grid
+     * @param {Object} data - Timetable data
+     * @param {string} name - File name to download the timetable as
+     * @throws {Error} If the data is not a timetable
+     */
+    function loadTimetable(data, name) {
+        editor.load(data);
+        fileName = name;
+        hasChanges = false;
+        selection.route = null;
+        selection.direction = null;
+        selection.schedule = 'weekday';
+        message = { text: i18n.t('editor.loaded', { file: name }), type: 'success' };
+    }
+
+    /**
+     * Makes the selection point at a grid that exists, after a load or an edit
+     * that removed the selected direction
+     */
+    function updateSelection() {
+        const routes = editor.getRoutes();
+        if (!routes.some(route => route.key === selection.route)) {
+            selection.route = routes[0].key;
+        }
+        const directions = editor.getDirections(selection.route);
+        if (!directions.some(direction => direction.key === selection.direction)) {
+            selection.direction = directions[0].key;
+        }
+    }
+
+    /**
+     * Makes an edit and redraws the editor. Edits that cannot be made are
+     * shown as a message; their errors carry a message key
+     * @param {Function} action - Edit to make
+     * @param {Array<number>|null} [focusCell] - Row and column of the grid cell to focus afterwards
+     */
+    function edit(action, focusCell = null) {
+        message = null;
+        try {
+            action();
+            hasChanges = true;
+        } catch (error) {
+            if (!error.messageKey) throw error;
+            message = { text: i18n.t(error.messageKey, error.messageParams), type: 'error' };
+        }
+        render();
+
+        if (focusCell) {
+            const cell = editorElement.querySelector(`input[data-row="${focusCell[0]}"][data-column="${focusCell[1]}"]`);
+            if (cell) cell.focus();
+        }
+    }
+
+    /**
+     * Redraws the editor for the loaded timetable and the selected grid
+     */
+    function render() {
+        const container = document.getElementById('editor');
+        if (!container) return;
+        if (!editor.timetable) {
+            container.innerHTML = '';
+            if (message) {
+                const wrapper = renderer.createWrapper();
+                wrapper.classList.add('editor-panel');
+                const notification = document.createElement('div');
+                notification.className = `notification ${message.type}`;
+                notification.setAttribute('role', 'alert');
+                notification.textContent = message.text;
+                wrapper.appendChild(notification);
+                container.appendChild(wrapper);
+            }
+            return;
+        }
+
+        updateSelection();
+        const { route, direction, schedule } = selection;
+        const issues = editor.validate();
+
+        const element = renderer.createEditor({
+            fileName: fileName,
+            message: message,
+            metadata: {
+                version: editor.timetable.metadata.version,
+                ...editor.timetable.metadata.valid_period
+            },
+            routes: editor.getRoutes(),
+            routeKey: route,
+            directions: editor.getDirections(route),
+            directionKey: direction,
+            scheduleTypes: editor.scheduleTypes,
+            scheduleType: schedule,
+            hasSchedule: editor.hasSchedule(route, direction, schedule),
+            grid: editor.getGrid(route, direction, schedule),
+            gridIssues: editor.getGridIssues(issues, route, direction, schedule),
+            exceptions: editor.getExceptions(route),
+            dayTypes: validator.dayTypes,
+            dayTypeRules: validator.dayTypeRules,
+            issues: validator.formatIssues(issues),
+            previewAt: previewAt
+        }, getHandlers());
+
+        container.innerHTML = '';
+        container.appendChild(element);
+        editorElement = element;
+        renderPreview(issues);
+    }
+
+    /**
+     * Updates the validation, the marked cells and the preview after a change
+     * that leaves the editor's layout as it is, such as a typed time
+     */
+    function refresh() {
+        const { route, direction, schedule } = selection;
+        const issues = editor.validate();
+        const validation = editorElement.querySelector('.editor-validation');
+        validation.replaceChild(
+            renderer.createEditorIssues(validator.formatIssues(issues)),
+            validation.lastChild
+        );
+        const grid = editorElement.querySelector('.editor-grid');
+        if (grid) {
+            renderer.markGridIssues(grid, editor.getGridIssues(issues, route, direction, schedule));
+        }
+        renderPreview(issues);
+    }
+
+    /**
+     * Gets the callbacks of the editor
+     * @returns {Object} Callbacks for createEditor
+     */
+    function getHandlers() {
+        const grid = () => [selection.route, selection.direction, selection.schedule];
+
+        return {
+            onOpen: openFile,
+            onLoadPublished: loadPublished,
+            onDownload: () => {
+                renderer.downloadFile(fileName, editor.serialize(), 'application/json');
+                hasChanges = false;
+            },
+            onMetadata: (field, value) => {
+                if (field === 'version') {
+                    editor.setVersion(value);
+                } else {
+                    editor.setValidPeriod(field, value);
+                }
+                hasChanges = true;
+                refresh();
+            },
+            onSelect: changes => {
+                message = null;
+                if (changes.route) {
+                    selection.route = changes.route;
+                    selection.direction = null;
+                }
+                if (changes.direction) selection.direction = changes.direction;
+                if (changes.schedule) selection.schedule = changes.schedule;
+                render();
+            },
+            onDirectionTitle: title => edit(() => editor.setDirectionTitle(selection.route, selection.direction, title)),
+            onAddDirection: (key, title) => edit(() => {
+                selection.direction = editor.addDirection(selection.route, key, title);
+            }),
+            onRemoveDirection: () => edit(() => editor.removeDirection(selection.route, selection.direction)),
+            onAddStop: name => edit(() => editor.addStop(selection.route, selection.direction, name)),
+            onRenameStop: (stop, name) => edit(() => editor.renameStop(selection.route, stop, name)),
+            onMoveStop: (stop, step) => edit(() => editor.moveStop(selection.route, selection.direction, stop, step)),
+            onRemoveStop: stop => edit(() => editor.removeStop(selection.route, selection.direction, stop)),
+            onCell: (row, column, value) => {
+                const time = editor.setCell(...grid(), row, column, value);
+                hasChanges = true;
+                refresh();
+                return time;
+            },
+            onPaste: (row, column, text) => edit(() => {
+                showPasteResult(editor.paste(...grid(), row, column, text));
+            }, [row, column]),
+            onInsertRow: row => edit(() => editor.insertRow(...grid(), row), [row, 0]),
+            onRemoveRow: row => edit(() => editor.removeRow(...grid(), row)),
+            onImportCsv: async file => {
+                const text = await file.text();
+                edit(() => showPasteResult(editor.importCsv(...grid(), text)));
+            },
+            onAddHolidaySchedule: () => edit(() => editor.addHolidaySchedule(selection.route, selection.direction)),
+            onRemoveHolidaySchedule: () => edit(() => editor.removeHolidaySchedule(selection.route, selection.direction)),
+            onExceptionDates: (key, text) => edit(() => editor.setExceptionDates(selection.route, key, text)),
+            onDayTypeRule: (dayType, rule) => edit(() => editor.setDayTypeRule(selection.route, dayType, rule)),
+            onPreviewAt: value => {
+                if (!timeHandler.parseZonedDateTime(value)) return;
+                previewAt = value;
+                renderPreview(editor.validate());
+            }
+        };
+    }
+
+    /**
+     * Shows how many times a paste or CSV import placed in the grid
+     * @param {Object} result - Counts from TimetableEditor.paste
+     */
+    function showPasteResult(result) {
+        const texts = [i18n.t('editor.pasted', { count: result.pasted })];
+        if (result.ignored > 0) {
+            texts.push(i18n.t('editor.ignored', { count: result.ignored }));
+        }
+        message = { text: texts.join('. '), type: result.ignored > 0 ? 'warning' : 'success' };
+    }
+
+    /**
+     * Renders the board the edited timetable gives at the preview time, as the
+     * app shows it. Timetables with errors are not previewed
+     * @param {Array<Object>} issues - Validation issues of the edited timetable
+     */
+    function renderPreview(issues) {
+        const board = editorElement.querySelector('.editor-preview-board');
+        board.innerHTML = '';
+        if (validator.hasErrors(issues)) {
+            renderer.createNotification(board, i18n.t('editor.previewBlocked'), 'warning');
+            return;
+        }
+
+        const instant = timeHandler.parseZonedDateTime(previewAt);
+        previewTimeHandler.setClock(() => instant);
+        const timetable = editor.timetable;
+        const serviceDate = previewTimeHandler.getServiceDate(timetable);
+        const scheduleType = previewTimeHandler.getScheduleTypeForDate(serviceDate);
+
+        const wrapper = renderer.createWrapper();
+        routeModel.getRouteViews(timetable).forEach(routeView => {
+            renderer.createRouteTimetables(wrapper, routeView, scheduleType, serviceDate);
+        });
+        board.appendChild(wrapper);
+    }
+
+    // Initialize the editor
+    document.documentElement.lang = i18n.language;
+    document.title = i18n.t('editor.title');
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = i18n.t(element.dataset.i18n);
+    });
+
+    // Edits live only in the page until the timetable is downloaded
+    window.addEventListener('beforeunload', event => {
+        if (!hasChanges) return;
+        event.preventDefault();
+        event.returnValue = '';
+    });
+
+    await loadPublished();
+});
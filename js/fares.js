@@ -0,0 +1,127 @@
+/**
+ * Resseltrafiken Web Application - Fares Module
+ *
+ * Reads the fares in a line's metadata.pricing and works out what a regular
+ * journey costs a month with single tickets, discount cards and monthly
+ * passes, so the cheapest way to travel can be recommended.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+class FareCalculator {
+    /**
+     * Initializes the FareCalculator
+     * @param {Object} [options] Calculation options
+     * @param {number} [options.weeksPerMonth=52/12] Weeks in the month a monthly pass covers
+     */
+    constructor(options = {}) {
+        this.weeksPerMonth = options.weeksPerMonth || 52 / 12;
+
+        // Fare types in the order they are listed, and the traveller types they are priced for
+        this.fareTypes = ['single', 'day', 'discount_card', 'monthly'];
+        this.travellerTypes = ['adult', 'senior_youth'];
+
+        // Fare types the calculator compares; a day ticket is for visitors, not regular trips
+        this.ticketOptions = ['single', 'discount_card', 'monthly'];
+    }
+
+    /**
+     * Gets the fares of a line
+     * @param {Object} route Route data
+     * @returns {Object|null} Fares with a price per traveller type for each fare type,
+     *                        the trips of a discount card and the notes, or null if the line has none
+     */
+    getFares(route) {
+        const pricing = route && route.metadata && route.metadata.pricing;
+        if (!pricing || typeof pricing !== 'object') return null;
+
+        const fares = {};
+        this.fareTypes.forEach(type => {
+            const fare = pricing[type];
+            if (!fare || typeof fare !== 'object') return;
+
+            const prices = {};
+            this.travellerTypes.forEach(traveller => {
+                if (Number.isFinite(fare[traveller]) && fare[traveller] >= 0) {
+                    prices[traveller] = fare[traveller];
+                }
+            });
+            if (Object.keys(prices).length === 0) return;
+
+            fares[type] = type === 'discount_card' ?
+                { ...prices, trips: Number.isInteger(fare.trips) && fare.trips > 0 ? fare.trips : 10 } :
+                prices;
+        });
+        if (Object.keys(fares).length === 0) return null;
+
+        return {
+            fares: fares,
+            notes: pricing.notes && typeof pricing.notes === 'object' ? pricing.notes : {}
+        };
+    }
+
+    /**
+     * Gets the lines that have fares
+     * @param {Array<Object>} routeViews Route views from the route model, in display order
+     * @returns {Array<Object>} Lines with key, name and fares from getFares
+     */
+    getPricedRoutes(routeViews) {
+        return routeViews
+            .map(routeView => ({ key: routeView.key, name: routeView.name, fares: this.getFares(routeView.route) }))
+            .filter(route => route.fares);
+    }
+
+    /**
+     * Compares what a month of regular travel costs with each kind of ticket.
+     * Every traveller needs a ticket of their own; children travel free
+     * @param {Object} fares Fares from getFares
+     * @param {Object} travel Regular travel
+     * @param {number} travel.tripsPerWeek Single trips per week and traveller
+     * @param {Object} travel.travellers Number of travellers per type: adult, senior_youth and child
+     * @returns {Object} Trips a month per traveller, and the options with type, tickets
+     *                   per traveller and cost, cheapest first; the first is recommended.
+     *                   Options the line has no fare for, for a traveller, are left out
+     */
+    calculate(fares, travel) {
+        const tripsPerWeek = Math.max(0, Number(travel.tripsPerWeek) || 0);
+        const tripsPerMonth = Math.ceil(tripsPerWeek * this.weeksPerMonth);
+        const travellers = {};
+        this.travellerTypes.forEach(type => {
+            travellers[type] = Math.max(0, Math.floor(Number(travel.travellers[type]) || 0));
+        });
+        const payingTypes = this.travellerTypes.filter(type => travellers[type] > 0);
+
+        const options = this.ticketOptions
+            .filter(type => fares.fares[type] && payingTypes.every(traveller => fares.fares[type][traveller] !== undefined))
+            .map(type => {
+                const fare = fares.fares[type];
+                const tickets = this.getTicketsPerTraveller(type, fare, tripsPerMonth);
+                const cost = payingTypes.reduce((sum, traveller) => sum + travellers[traveller] * tickets * fare[traveller], 0);
+                return { type: type, tickets: tickets, cost: cost };
+            })
+            .sort((a, b) => a.cost - b.cost || this.ticketOptions.indexOf(a.type) - this.ticketOptions.indexOf(b.type));
+
+        return { tripsPerMonth: tripsPerMonth, options: options };
+    }
+
+    /**
+     * Gets how many tickets of a kind one traveller needs in a month
+     * @private
+     * @param {string} type Fare type
+     * @param {Object} fare Fare from getFares
+     * @param {number} tripsPerMonth Trips a month
+     * @returns {number} Tickets needed
+     */
+    getTicketsPerTraveller(type, fare, tripsPerMonth) {
+        if (tripsPerMonth === 0) return 0;
+        if (type === 'discount_card') return Math.ceil(tripsPerMonth / fare.trips);
+        if (type === 'monthly') return 1;
+        return tripsPerMonth;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FareCalculator;
+}
@@ -0,0 +1,859 @@
+/**
+ * Resseltrafiken Web Application - GTFS Module
+ *
+ * Converts timetables between the Ressel.json format and GTFS feeds. Export
+ * writes every line's trips with a weekday, weekend and optional holiday
+ * service; days that run another schedule or have no traffic become
+ * calendar_dates exceptions, resolved by the TimeHandler exactly as the app
+ * resolves them. Extra departures of holiday periods get their own service.
+ *
+ * Import reads the feed back into the Ressel.json format. Schedules come from
+ * calendar.txt, and calendar_dates that differ from the Swedish holiday
+ * calendar become no_traffic and holiday_traffic dates or day type rules.
+ * Lines without direction_id are read as loops served stop by stop, like
+ * the triangular Sjöstadstrafiken.
+ *
+ * Recurring cancellations of single departures are not part of the feed, and
+ * an import does not give back the holiday fields as written: holiday_traffic
+ * dates and day type rules the holiday calendar implies are left out, and
+ * holiday periods and their extra departures are renamed. The import warns
+ * about both.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+class GtfsConverter {
+    /**
+     * Initializes the GtfsConverter
+     * @param {TimeHandler} timeHandler Time handler used for schedule lookups
+     * @param {Object} [options] Feed options
+     * @param {string} [options.agencyId="ressel"] Agency ID
+     * @param {string} [options.agencyName="Resseltrafiken"] Agency name
+     * @param {string} [options.agencyUrl="https://www.ressel.se/"] Agency web site
+     * @param {number} [options.maxLoopHop=30] Longest time between two stops of a loop trip
+     */
+    constructor(timeHandler, options = {}) {
+        this.timeHandler = timeHandler;
+        this.agencyId = options.agencyId || "ressel";
+        this.agencyName = options.agencyName || "Resseltrafiken";
+        this.agencyUrl = options.agencyUrl || "https://www.ressel.se/";
+        this.maxLoopHop = options.maxLoopHop ?? 30;
+        this.routeType = 4;    // GTFS route type for ferries
+        this.dayColumns = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+        this.serviceDays = {
+            weekday: ["monday", "tuesday", "wednesday", "thursday", "friday"],
+            weekend: ["saturday", "sunday"],
+            holiday: []
+        };
+    }
+
+    /**
+     * Converts a timetable to GTFS files
+     * @param {Object} timetable Timetable in the Ressel.json format
+     * @returns {Object} Mapping of GTFS file name to CSV content
+     */
+    exportFeed(timetable) {
+        const tables = {
+            agency: [],
+            stops: [],
+            routes: [],
+            trips: [],
+            stop_times: [],
+            calendar: [],
+            calendar_dates: []
+        };
+        const stops = new Map();
+
+        tables.agency.push({
+            agency_id: this.agencyId,
+            agency_name: this.agencyName,
+            agency_url: this.agencyUrl,
+            agency_timezone: this.timeHandler.timeZone,
+            agency_lang: "sv"
+        });
+
+        Object.entries(timetable.routes || {}).forEach(([routeKey, route]) => {
+            tables.routes.push({
+                route_id: routeKey,
+                agency_id: this.agencyId,
+                route_short_name: (route.display && route.display.name) || "",
+                route_long_name: route.name,
+                route_type: this.routeType,
+                route_sort_order: (route.display && route.display.order) ?? ""
+            });
+
+            const period = (route.metadata && route.metadata.valid_period) || timetable.metadata.valid_period;
+            this.exportServices(routeKey, route, period, tables);
+            this.exportTrips(routeKey, route, tables, stops);
+        });
+
+        stops.forEach((stopId, name) => tables.stops.push({ stop_id: stopId, stop_name: name, stop_lat: "", stop_lon: "" }));
+
+        const files = {};
+        Object.entries(tables).forEach(([name, rows]) => {
+            files[`${name}.txt`] = this.formatCsv(rows);
+        });
+        return files;
+    }
+
+    /**
+     * Adds the services of a line to calendar.txt and calendar_dates.txt
+     * @private
+     * @param {string} routeKey Route key
+     * @param {Object} route Route data
+     * @param {Object} period Valid period with start_date and end_date
+     * @param {Object} tables GTFS tables being built
+     */
+    exportServices(routeKey, route, period, tables) {
+        const start = this.formatGtfsDate(period.start_date);
+        const end = this.formatGtfsDate(period.end_date);
+        const hasHoliday = this.hasSchedule(route, "holiday");
+        const hasExtras = this.getExtraDepartures(route).length > 0;
+
+        ["weekday", "weekend", ...(hasHoliday ? ["holiday"] : []), ...(hasExtras ? ["extra"] : [])].forEach(type => {
+            const row = { service_id: `${routeKey}_${type}` };
+            this.dayColumns.forEach(day => {
+                row[day] = (this.serviceDays[type] || []).includes(day) ? 1 : 0;
+            });
+            tables.calendar.push({ ...row, start_date: start, end_date: end });
+        });
+
+        this.forEachDate(period, date => {
+            const day = date.getUTCDay();
+            const baseType = day === 0 || day === 6 ? "weekend" : "weekday";
+            const exceptions = this.timeHandler.getDateExceptions(route, date);
+            let effectiveType = null;
+            if (!exceptions.noTraffic) {
+                effectiveType = this.timeHandler.getEffectiveScheduleType(
+                    route, this.timeHandler.getScheduleTypeForDate(date), date
+                );
+                if (effectiveType === "holiday" && !hasHoliday) {
+                    effectiveType = "weekend";
+                }
+            }
+
+            const gtfsDate = this.formatGtfsDate(this.timeHandler.formatISODate(date));
+            if (effectiveType !== baseType) {
+                tables.calendar_dates.push({ service_id: `${routeKey}_${baseType}`, date: gtfsDate, exception_type: 2 });
+                if (effectiveType) {
+                    tables.calendar_dates.push({ service_id: `${routeKey}_${effectiveType}`, date: gtfsDate, exception_type: 1 });
+                }
+            }
+            if (hasExtras && effectiveType && exceptions.holidayPeriod) {
+                tables.calendar_dates.push({ service_id: `${routeKey}_extra`, date: gtfsDate, exception_type: 1 });
+            }
+        });
+    }
+
+    /**
+     * Adds the trips of a line to trips.txt and stop_times.txt
+     * @private
+     * @param {string} routeKey Route key
+     * @param {Object} route Route data
+     * @param {Object} tables GTFS tables being built
+     * @param {Map<string, string>} stops Stop name to stop ID, extended with new stops
+     */
+    exportTrips(routeKey, route, tables, stops) {
+        const addTrip = (serviceType, directionIndex, headsign, tripStops) => {
+            const tripId = `${routeKey}_${serviceType}_${directionIndex === null ? "loop" : directionIndex}_${tables.trips.length + 1}`;
+            tables.trips.push({
+                route_id: routeKey,
+                service_id: `${routeKey}_${serviceType}`,
+                trip_id: tripId,
+                trip_headsign: headsign,
+                direction_id: directionIndex === null ? "" : directionIndex
+            });
+            tripStops.forEach((tripStop, sequence) => {
+                const time = this.formatGtfsTime(tripStop.minutes);
+                tables.stop_times.push({
+                    trip_id: tripId,
+                    arrival_time: time,
+                    departure_time: time,
+                    stop_id: this.getStopId(stops, tripStop.stop),
+                    stop_sequence: sequence + 1
+                });
+            });
+        };
+
+        const scheduleTypes = ["weekday", "weekend", "holiday"].filter(type => this.hasSchedule(route, type));
+        this.timeHandler.getDirectionKeys(route).forEach((directionKey, directionIndex) => {
+            scheduleTypes.forEach(type => {
+                const departures = this.timeHandler.getBaseDepartures(route, directionKey, type);
+                const trips = directionKey === null ?
+                    this.buildLoopTrips(route, departures) :
+                    (this.timeHandler.buildTrips(departures) || []).map(trip => trip.stops);
+                trips.forEach(tripStops => {
+                    addTrip(type, directionKey === null ? null : directionIndex,
+                        this.getHeadsign(directionKey, tripStops), tripStops);
+                });
+            });
+        });
+
+        this.getExtraDepartures(route).forEach(({ directionKey, directionIndex, extras }) => {
+            const tripStops = Object.entries(extras)
+                .map(([stop, time]) => ({ stop, minutes: this.timeHandler.getServiceMinutes(time) }))
+                .sort((a, b) => a.minutes - b.minutes);
+            addTrip("extra", directionIndex, this.getHeadsign(directionKey, tripStops), tripStops);
+        });
+    }
+
+    /**
+     * Splits the departures of a line without trips into loop trips. Each
+     * departure is used once: a trip continues to the next stop of the loop at
+     * that stop's first unused departure within maxLoopHop minutes
+     * @private
+     * @param {Object} route Route data
+     * @param {Object} departures Stop to times mapping
+     * @returns {Array<Array<Object>>} Trips as lists of stop and minutes
+     */
+    buildLoopTrips(route, departures) {
+        const loop = (Array.isArray(route.stops) ? route.stops : Object.keys(departures))
+            .filter(stop => departures[stop]);
+        const unused = {};
+        loop.forEach(stop => {
+            unused[stop] = departures[stop].map(time => this.timeHandler.getServiceMinutes(time));
+        });
+
+        const starts = loop.flatMap((stop, stopIndex) => unused[stop].map(minutes => ({ stop, stopIndex, minutes })))
+            .sort((a, b) => a.minutes - b.minutes || a.stopIndex - b.stopIndex);
+
+        const trips = [];
+        starts.forEach(start => {
+            const startIndex = unused[start.stop].indexOf(start.minutes);
+            if (startIndex === -1) return;
+            unused[start.stop].splice(startIndex, 1);
+
+            const tripStops = [{ stop: start.stop, minutes: start.minutes }];
+            for (let step = 1; step < loop.length; step++) {
+                const nextStop = loop[(start.stopIndex + step) % loop.length];
+                const previous = tripStops[tripStops.length - 1].minutes;
+                const nextIndex = unused[nextStop].findIndex(minutes =>
+                    minutes > previous && minutes <= previous + this.maxLoopHop);
+                if (nextIndex === -1) break;
+                tripStops.push({ stop: nextStop, minutes: unused[nextStop][nextIndex] });
+                unused[nextStop].splice(nextIndex, 1);
+            }
+            trips.push(tripStops);
+        });
+        return trips;
+    }
+
+    /**
+     * Gets the extra departures of a line's holiday periods, one trip per direction
+     * @private
+     * @param {Object} route Route data
+     * @returns {Array<Object>} Extra trips with directionKey, directionIndex and extras
+     */
+    getExtraDepartures(route) {
+        const holidaySchedule = route.metadata && route.metadata.holiday_schedule;
+        if (!holidaySchedule || !route.directions) return [];
+
+        return this.timeHandler.getDirectionKeys(route)
+            .map((directionKey, directionIndex) => ({
+                directionKey,
+                directionIndex,
+                extras: this.timeHandler.getExtraDeparturesForDirection(holidaySchedule.extra_departures, directionKey)
+            }))
+            .filter(extra => extra.extras && Object.keys(extra.extras).length > 1);
+    }
+
+    /**
+     * Checks if a line has a schedule of a type
+     * @private
+     * @param {Object} route Route data
+     * @param {string} type Schedule type
+     * @returns {boolean} True if every direction has the schedule
+     */
+    hasSchedule(route, type) {
+        return this.timeHandler.getDirectionKeys(route)
+            .every(directionKey => this.timeHandler.getBaseDepartures(route, directionKey, type));
+    }
+
+    /**
+     * Gets the headsign of a trip: the destination in the direction name, or the last stop
+     * @private
+     * @param {string|null} directionKey Direction name
+     * @param {Array<Object>} tripStops Stops of the trip
+     * @returns {string} Headsign
+     */
+    getHeadsign(directionKey, tripStops) {
+        const destination = directionKey && directionKey.split("_to_")[1];
+        return destination || tripStops[tripStops.length - 1].stop;
+    }
+
+    /**
+     * Gets the stop ID for a stop name, creating one from the name if needed
+     * @private
+     * @param {Map<string, string>} stops Stop name to stop ID
+     * @param {string} name Stop name
+     * @returns {string} Stop ID
+     */
+    getStopId(stops, name) {
+        if (!stops.has(name)) {
+            const slug = name.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+                .replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+            let stopId = slug || "stop";
+            for (let suffix = 2; [...stops.values()].includes(stopId); suffix++) {
+                stopId = `${slug}_${suffix}`;
+            }
+            stops.set(name, stopId);
+        }
+        return stops.get(name);
+    }
+
+    /**
+     * Converts GTFS files to a timetable
+     * @param {Object} files Mapping of GTFS file name to CSV content
+     * @returns {Object} Object with timetable (Ressel.json format) and warnings
+     * from createImportMessage
+     * @throws {Error} If a required file is missing or the feed has no trips,
+     * with messageKey and messageParams
+     */
+    importFeed(files) {
+        ["routes.txt", "trips.txt", "stop_times.txt", "stops.txt"].forEach(name => {
+            if (typeof files[name] !== "string") {
+                throw this.createImportError(`GTFS-filen ${name} saknas`, "gtfs.error.missingFile", { file: name });
+            }
+        });
+
+        const warnings = [];
+        const agency = this.parseCsv(files["agency.txt"] || "")[0];
+        if (agency && agency.agency_timezone && agency.agency_timezone !== this.timeHandler.timeZone) {
+            warnings.push(this.createImportMessage(
+                `Flödet använder tidszonen ${agency.agency_timezone}, tiderna läses som ${this.timeHandler.timeZone}`,
+                "gtfs.warning.timeZone",
+                { feedZone: agency.agency_timezone, zone: this.timeHandler.timeZone }
+            ));
+        }
+
+        const stopNames = new Map(this.parseCsv(files["stops.txt"]).map(stop => [stop.stop_id, stop.stop_name || stop.stop_id]));
+        const services = this.readServices(files);
+        const stopTimes = new Map();
+        this.parseCsv(files["stop_times.txt"]).forEach(row => {
+            if (!stopTimes.has(row.trip_id)) stopTimes.set(row.trip_id, []);
+            stopTimes.get(row.trip_id).push(row);
+        });
+
+        const tripsByRoute = new Map();
+        this.parseCsv(files["trips.txt"]).forEach(trip => {
+            const rows = (stopTimes.get(trip.trip_id) || [])
+                .sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence));
+            const tripStops = rows.map(row => ({
+                stop: stopNames.get(row.stop_id) || row.stop_id,
+                minutes: this.parseGtfsTime(row.departure_time || row.arrival_time)
+            })).filter(tripStop => tripStop.minutes !== null);
+            if (tripStops.length === 0) return;
+
+            if (!tripsByRoute.has(trip.route_id)) tripsByRoute.set(trip.route_id, []);
+            tripsByRoute.get(trip.route_id).push({ ...trip, stops: tripStops });
+        });
+
+        const timetable = {
+            metadata: {
+                version: `GTFS ${this.timeHandler.formatISODate(this.timeHandler.now())}`,
+                last_updated: this.timeHandler.formatISODate(this.timeHandler.now())
+            },
+            routes: {}
+        };
+        let feedStart = null;
+        let feedEnd = null;
+
+        this.parseCsv(files["routes.txt"]).forEach(gtfsRoute => {
+            const trips = tripsByRoute.get(gtfsRoute.route_id) || [];
+            const route = this.importRoute(gtfsRoute, trips, services, warnings);
+            if (!route) return;
+
+            const period = route.metadata.valid_period;
+            feedStart = !feedStart || period.start_date < feedStart ? period.start_date : feedStart;
+            feedEnd = !feedEnd || period.end_date > feedEnd ? period.end_date : feedEnd;
+            timetable.routes[gtfsRoute.route_id] = route;
+        });
+
+        if (!feedStart) {
+            throw this.createImportError("GTFS-flödet innehåller inga turer med trafikdagar", "gtfs.error.noTrips");
+        }
+        timetable.metadata.valid_period = { start_date: feedStart, end_date: feedEnd };
+        return { timetable, warnings };
+    }
+
+    /**
+     * Reads calendar.txt and calendar_dates.txt into services
+     * @private
+     * @param {Object} files GTFS files
+     * @returns {Map<string, Object>} Service ID to days, start, end, added and removed dates
+     */
+    readServices(files) {
+        const services = new Map();
+        const getService = serviceId => {
+            if (!services.has(serviceId)) {
+                services.set(serviceId, { id: serviceId, days: [], start: null, end: null, added: new Set(), removed: new Set() });
+            }
+            return services.get(serviceId);
+        };
+
+        this.parseCsv(files["calendar.txt"] || "").forEach(row => {
+            const service = getService(row.service_id);
+            service.days = this.dayColumns.filter(day => row[day] === "1");
+            service.start = this.parseGtfsDate(row.start_date);
+            service.end = this.parseGtfsDate(row.end_date);
+        });
+        this.parseCsv(files["calendar_dates.txt"] || "").forEach(row => {
+            const service = getService(row.service_id);
+            const date = this.parseGtfsDate(row.date);
+            (row.exception_type === "2" ? service.removed : service.added).add(date);
+        });
+
+        return services;
+    }
+
+    /**
+     * Converts one GTFS route with its trips
+     * @private
+     * @param {Object} gtfsRoute Row of routes.txt
+     * @param {Array<Object>} trips Trips of the route with their stops
+     * @param {Map<string, Object>} services Services from readServices
+     * @param {Array<Object>} warnings Warnings, extended with problems found
+     * @returns {Object|null} Route in the Ressel.json format, or null if it has no usable trips
+     */
+    importRoute(gtfsRoute, trips, services, warnings) {
+        const routeName = gtfsRoute.route_long_name || gtfsRoute.route_short_name || gtfsRoute.route_id;
+        const serviceTypes = new Map();
+        const extraTrips = [];
+
+        trips.forEach(trip => {
+            const type = this.getServiceType(services.get(trip.service_id));
+            if (type === "extra") {
+                extraTrips.push(trip);
+                return;
+            }
+            if (!serviceTypes.has(trip.service_id)) serviceTypes.set(trip.service_id, type);
+        });
+        const usedTypes = [...new Set(serviceTypes.values())];
+        if (!usedTypes.includes("weekday") || !usedTypes.includes("weekend")) {
+            warnings.push(this.createImportMessage(
+                `${routeName}: saknar vardags- eller helgtrafik och hoppas över`,
+                "gtfs.warning.missingSchedule",
+                { route: routeName }
+            ));
+            return null;
+        }
+
+        const route = { name: routeName, type: "regular", display: {}, metadata: {} };
+        if (gtfsRoute.route_sort_order) {
+            route.display.order = Number(gtfsRoute.route_sort_order);
+        }
+        if (gtfsRoute.route_short_name && gtfsRoute.route_long_name) {
+            route.display.name = gtfsRoute.route_short_name;
+        }
+
+        const regularTrips = trips.filter(trip => serviceTypes.has(trip.service_id));
+        if (regularTrips.every(trip => trip.direction_id === undefined || trip.direction_id === "")) {
+            route.type = "triangular";
+            route.stops = this.getStopOrder(regularTrips);
+            route.schedule = {};
+            usedTypes.forEach(type => {
+                route.schedule[type] = this.collectTimes(
+                    route.stops, regularTrips.filter(trip => serviceTypes.get(trip.service_id) === type), false
+                );
+            });
+        } else {
+            route.directions = {};
+            const directionIds = [...new Set(regularTrips.map(trip => trip.direction_id || "0"))].sort();
+            const headsigns = directionIds.map(directionId =>
+                (regularTrips.find(trip => (trip.direction_id || "0") === directionId && trip.trip_headsign) || {}).trip_headsign);
+            directionIds.forEach((directionId, index) => {
+                const directionTrips = regularTrips.filter(trip => (trip.direction_id || "0") === directionId);
+                const stops = this.getStopOrder(directionTrips);
+                // A line with two directions starts where the other direction is headed
+                const origin = (directionIds.length === 2 && headsigns[1 - index]) || stops[0];
+                const key = `${origin}_to_${headsigns[index] || stops[stops.length - 1]}`;
+                const direction = {};
+
+                usedTypes.forEach(type => {
+                    const typeTrips = directionTrips.filter(trip => serviceTypes.get(trip.service_id) === type);
+                    const complete = typeTrips.filter(trip => trip.stops.length === stops.length &&
+                        trip.stops.every((tripStop, index) => tripStop.stop === stops[index]));
+                    if (complete.length < typeTrips.length) {
+                        const count = typeTrips.length - complete.length;
+                        warnings.push(this.createImportMessage(
+                            `${routeName}: ${count} turer mot ${key} stannar inte vid alla hållplatser och hoppas över`,
+                            "gtfs.warning.incompleteTrips",
+                            { route: routeName, count: count, direction: key }
+                        ));
+                    }
+                    direction[`${type}_schedule`] = { departures: this.collectTimes(stops, complete, true) };
+                });
+                route.directions[key] = direction;
+            });
+        }
+
+        this.importCalendar(route, trips, services, serviceTypes, extraTrips, warnings);
+        return route;
+    }
+
+    /**
+     * Classifies a service by its weekdays
+     * @private
+     * @param {Object|undefined} service Service from readServices
+     * @returns {string} "weekday", "weekend", "holiday" or "extra" (only added dates)
+     */
+    getServiceType(service) {
+        if (!service || service.days.length === 0) {
+            return service && service.id && service.id.endsWith("_holiday") ? "holiday" : "extra";
+        }
+        return service.days.some(day => this.serviceDays.weekday.includes(day)) ? "weekday" : "weekend";
+    }
+
+    /**
+     * Gets the stop order of a set of trips, from the trip with most stops
+     * @private
+     * @param {Array<Object>} trips Trips with stops
+     * @returns {string[]} Stop names in order
+     */
+    getStopOrder(trips) {
+        const longest = trips.reduce((best, trip) => trip.stops.length > best.stops.length ? trip : best, trips[0]);
+        const order = longest.stops.map(tripStop => tripStop.stop);
+        trips.forEach(trip => trip.stops.forEach(tripStop => {
+            if (!order.includes(tripStop.stop)) order.push(tripStop.stop);
+        }));
+        return order;
+    }
+
+    /**
+     * Collects the departure times per stop from a set of trips
+     * @private
+     * @param {string[]} stops Stops in order
+     * @param {Array<Object>} trips Trips with stops
+     * @param {boolean} byTrip True to keep the trips' order, so each index is one trip
+     * @returns {Object} Stop to times mapping
+     */
+    collectTimes(stops, trips, byTrip) {
+        const ordered = [...trips].sort((a, b) => a.stops[0].minutes - b.stops[0].minutes);
+        const departures = {};
+        stops.forEach(stop => {
+            const minutes = [];
+            ordered.forEach(trip => trip.stops
+                .filter(tripStop => tripStop.stop === stop)
+                .forEach(tripStop => minutes.push(tripStop.minutes)));
+            if (!byTrip) minutes.sort((a, b) => a - b);
+            departures[stop] = minutes.map(value => this.timeHandler.formatServiceTime(value));
+        });
+        return departures;
+    }
+
+    /**
+     * Rebuilds a line's holiday notes, day type rules, holiday periods and
+     * extra departures from the dates its services run
+     * @private
+     * @param {Object} route Route being imported
+     * @param {Array<Object>} trips Trips of the route
+     * @param {Map<string, Object>} services Services from readServices
+     * @param {Map<string, string>} serviceTypes Service ID to schedule type of the route's regular trips
+     * @param {Array<Object>} extraTrips Trips of services that only run on added dates
+     * @param {Array<Object>} warnings Warnings, extended with problems found
+     */
+    importCalendar(route, trips, services, serviceTypes, extraTrips, warnings) {
+        const routeServices = [...new Set(trips.map(trip => trip.service_id))]
+            .map(serviceId => services.get(serviceId))
+            .filter(Boolean);
+        const dates = routeServices.flatMap(service => [service.start, service.end, ...service.added]).filter(Boolean).sort();
+        const period = { start_date: dates[0], end_date: dates[dates.length - 1] };
+        route.metadata.valid_period = period;
+
+        const days = [];
+        this.forEachDate(period, date => {
+            const running = routeServices.filter(service => this.runsOn(service, date));
+            const day = {
+                isoDate: this.timeHandler.formatISODate(date),
+                holiday: this.timeHandler.getHoliday(date),
+                defaultType: this.timeHandler.getScheduleTypeForDate(date),
+                feedType: running.map(service => serviceTypes.get(service.id)).find(Boolean) || null
+            };
+            day.extra = running.some(service => !serviceTypes.has(service.id));
+            days.push(day);
+        });
+
+        // A day type gets a rule when all its days in the feed run the same other schedule
+        const rules = {};
+        ["holiday", "eve", "squeeze"].forEach(dayType => {
+            const typeDays = days.filter(day => day.holiday && day.holiday.type === dayType);
+            const feedTypes = [...new Set(typeDays.map(day => day.feedType))];
+            if (typeDays.length > 0 && feedTypes.length === 1 && feedTypes[0] && feedTypes[0] !== typeDays[0].defaultType) {
+                rules[dayType] = feedTypes[0];
+            }
+        });
+
+        const notes = { no_traffic: [], holiday_traffic: [] };
+        days.forEach(day => {
+            const expectedType = (day.holiday && rules[day.holiday.type]) || day.defaultType;
+            if (day.feedType === expectedType) return;
+
+            if (day.feedType === null) {
+                notes.no_traffic.push(day.isoDate);
+            } else if (day.feedType === "weekend") {
+                notes.holiday_traffic.push(day.isoDate);
+            } else {
+                // Only weekday and holiday services are left here, weekend service days are holiday traffic notes
+                warnings.push(this.createImportMessage(
+                    `${route.name}: ${day.isoDate} kör ${day.feedType}-trafik, vilket inte kan anges i tidtabellen`,
+                    `gtfs.warning.${day.feedType}Traffic`,
+                    { route: route.name, date: day.isoDate }
+                ));
+            }
+        });
+
+        Object.keys(notes).forEach(key => {
+            if (notes[key].length === 0) delete notes[key];
+        });
+        if (Object.keys(notes).length > 0) {
+            route.metadata.holiday_notes = notes;
+        }
+        if (Object.keys(rules).length > 0) {
+            route.metadata.day_type_rules = rules;
+        }
+        // The feed only has the days each service runs, so notes and rules the calendar already implies are not rebuilt
+        if (days.some(day => day.holiday)) {
+            warnings.push(this.createImportMessage(
+                `${route.name}: helgtrafikdagar och dagtypsregler som följer helgdagskalendern återskapas inte`,
+                "gtfs.warning.holidayDays",
+                { route: route.name }
+            ));
+        }
+
+        const extraRanges = this.getExtraRanges(days);
+        if (extraTrips.length > 0 && route.directions && extraRanges.length > 0) {
+            const extraDepartures = {};
+            extraTrips.forEach(trip => {
+                const last = trip.stops[trip.stops.length - 1];
+                const departures = {};
+                trip.stops.forEach(tripStop => {
+                    departures[tripStop.stop] = this.timeHandler.formatServiceTime(tripStop.minutes);
+                });
+                extraDepartures[`to_${(trip.trip_headsign || last.stop).toLowerCase()}`] = departures;
+            });
+            route.metadata.holiday_schedule = {
+                periods: extraRanges.map((range, index) => ({
+                    name: `Extraturer ${index + 1}`,
+                    dates: `${range.start} - ${range.end}`
+                })),
+                extra_departures: extraDepartures
+            };
+            warnings.push(this.createImportMessage(
+                `${route.name}: lovperioderna och deras extraturer får nya namn, eftersom flödet saknar namnen`,
+                "gtfs.warning.holidayPeriods",
+                { route: route.name }
+            ));
+        }
+    }
+
+    /**
+     * Checks if a service runs on a date
+     * @private
+     * @param {Object} service Service from readServices
+     * @param {Date} date Date to check
+     * @returns {boolean} True if the service runs
+     */
+    runsOn(service, date) {
+        const isoDate = this.timeHandler.formatISODate(date);
+        if (service.removed.has(isoDate)) return false;
+        if (service.added.has(isoDate)) return true;
+        const day = this.dayColumns[(date.getUTCDay() + 6) % 7];
+        return Boolean(service.start && isoDate >= service.start && isoDate <= service.end && service.days.includes(day));
+    }
+
+    /**
+     * Groups the days with extra departures into periods. Days without
+     * traffic inside a period, such as Christmas Day, do not split it
+     * @private
+     * @param {Array<Object>} days Days of the line in order, with isoDate, feedType and extra
+     * @returns {Array<Object>} Ranges with start and end (YYYY-MM-DD)
+     */
+    getExtraRanges(days) {
+        const ranges = [];
+        let open = null;
+        days.forEach(day => {
+            if (day.extra) {
+                if (!open) {
+                    open = { start: day.isoDate, end: day.isoDate };
+                    ranges.push(open);
+                }
+                open.end = day.isoDate;
+            } else if (day.feedType !== null) {
+                open = null;
+            }
+        });
+        return ranges;
+    }
+
+    /**
+     * Calls a function for every date of a period
+     * @private
+     * @param {Object} period Period with start_date and end_date (YYYY-MM-DD)
+     * @param {Function} callback Called with each date
+     */
+    forEachDate(period, callback) {
+        const end = this.parseIsoDate(period.end_date);
+        for (let date = this.parseIsoDate(period.start_date); date <= end; date = this.timeHandler.addDays(date, 1)) {
+            callback(date);
+        }
+    }
+
+    /**
+     * Parses a YYYY-MM-DD date
+     * @private
+     * @param {string} isoDate Date to parse
+     * @returns {Date} Wall-clock date
+     */
+    parseIsoDate(isoDate) {
+        const [year, month, day] = isoDate.split("-").map(Number);
+        return this.timeHandler.createDate(year, month, day);
+    }
+
+    /**
+     * Formats a YYYY-MM-DD date as a GTFS date
+     * @private
+     * @param {string} isoDate Date such as 2025-02-18
+     * @returns {string} Date such as 20250218
+     */
+    formatGtfsDate(isoDate) {
+        return isoDate.replace(/-/g, "");
+    }
+
+    /**
+     * Parses a GTFS date
+     * @private
+     * @param {string} gtfsDate Date such as 20250218
+     * @returns {string|null} Date such as 2025-02-18, or null if invalid
+     */
+    parseGtfsDate(gtfsDate) {
+        const match = /^(\d{4})(\d{2})(\d{2})$/.exec(gtfsDate || "");
+        return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+    }
+
+    /**
+     * Formats service-day minutes as a GTFS time, past 24:00 for late boats
+     * @private
+     * @param {number} minutes Minutes since midnight of the service day
+     * @returns {string} Time such as 24:05:00
+     */
+    formatGtfsTime(minutes) {
+        return `${this.timeHandler.minutesToTime(minutes)}:00`;
+    }
+
+    /**
+     * Parses a GTFS time
+     * @private
+     * @param {string} time Time such as 7:20:00 or 24:05:00
+     * @returns {number|null} Minutes since midnight of the service day, or null if empty
+     */
+    parseGtfsTime(time) {
+        const match = /^\s*(\d{1,2}):(\d{2})(?::\d{2})?\s*$/.exec(time || "");
+        return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+    }
+
+    /**
+     * Formats rows as CSV with a header from the first row's keys
+     * @private
+     * @param {Array<Object>} rows Rows to format
+     * @returns {string} CSV text
+     */
+    formatCsv(rows) {
+        if (rows.length === 0) return "";
+        const columns = Object.keys(rows[0]);
+        const escape = value => {
+            const text = String(value ?? "");
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns.join(","), ...rows.map(row => columns.map(column => escape(row[column])).join(","))]
+            .join("\r\n") + "\r\n";
+    }
+
+    /**
+     * Parses CSV text with a header row
+     * @private
+     * @param {string} text CSV text
+     * @returns {Array<Object>} Rows keyed by column name
+     */
+    parseCsv(text) {
+        const records = [];
+        let record = [];
+        let field = "";
+        let quoted = false;
+        const input = text.replace(/^﻿/, "");
+
+        for (let index = 0; index < input.length; index++) {
+            const character = input[index];
+            if (quoted) {
+                if (character === '"' && input[index + 1] === '"') {
+                    field += '"';
+                    index++;
+                } else if (character === '"') {
+                    quoted = false;
+                } else {
+                    field += character;
+                }
+            } else if (character === '"') {
+                quoted = true;
+            } else if (character === ",") {
+                record.push(field);
+                field = "";
+            } else if (character === "\n" || character === "\r") {
+                if (character === "\r" && input[index + 1] === "\n") index++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = "";
+            } else {
+                field += character;
+            }
+        }
+        if (field !== "" || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        const [header, ...rows] = records.filter(row => row.some(value => value !== ""));
+        if (!header) return [];
+        const columns = header.map(column => column.trim());
+        return rows.map(row => {
+            const entry = {};
+            columns.forEach((column, index) => {
+                entry[column] = (row[index] ?? "").trim();
+            });
+            return entry;
+        });
+    }
+
+    /**
+     * Creates an import warning that the app can show in its language
+     * @private
+     * @param {string} message Message in Swedish
+     * @param {string} messageKey Key of the message in the I18n catalogs
+     * @param {Object} [messageParams] Placeholder values of the message
+     * @returns {Object} Warning with message, messageKey and messageParams
+     */
+    createImportMessage(message, messageKey, messageParams = {}) {
+        return { message, messageKey, messageParams };
+    }
+
+    /**
+     * Creates an error for a feed that cannot be imported
+     * @private
+     * @param {string} message Message in Swedish
+     * @param {string} messageKey Key of the message in the I18n catalogs
+     * @param {Object} [messageParams] Placeholder values of the message
+     * @returns {Error} Error with messageKey and messageParams
+     */
+    createImportError(message, messageKey, messageParams = {}) {
+        const error = new Error(message);
+        error.messageKey = messageKey;
+        error.messageParams = messageParams;
+        return error;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GtfsConverter;
+}
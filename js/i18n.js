@@ -0,0 +1,724 @@
+/**
+ * Resseltrafiken Web Application - Internationalization Module
+ *
+ * Message catalogs for the user interface in Swedish and English, with
+ * lookup, placeholders and plural forms, and date, time and price
+ * formatting through Intl. Also translates holiday names and, where a catalog lists
+ * them, stop names. The language is taken from the settings or the browser.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+class I18n {
+    /**
+     * Initializes the I18n
+     * @param {Object} [options] Language options
+     * @param {string|null} [options.language] Language code, or null to follow the browser
+     */
+    constructor(options = {}) {
+        // Swedish is complete; other catalogs fall back to it for missing messages
+        this.fallbackLanguage = "sv";
+        this.locales = { sv: "sv-SE", en: "en-GB" };
+        this.catalogs = {
+            sv: {
+                "language.sv": "Svenska",
+                "language.en": "English",
+
+                "app.title": "Resseltrafiken - Tidtabell för Sjöstadstrafiken och M/S Emelie",
+                "app.manifest": "manifest.json",
+                "app.skipLink": "Hoppa till innehåll",
+                "app.loading": "Laddar tidtabeller...",
+                "app.footer": "Resseltrafiken v2.0.0 | Utvecklad av Christian Gillinger",
+
+                "error.loadTimetable": "Kunde inte ladda tidtabellsdata",
+                "error.noTimetable": "Ingen tidtabellsdata tillgänglig",
+                "error.updateDisplay": "Fel vid uppdatering av display",
+                "error.update": "Kunde inte uppdatera tidtabellen",
+                "error.start": "Kunde inte starta applikationen",
+                "error.invalidData": "Ogiltig datastruktur i tidtabellen",
+                "error.readFile": "Kunde inte läsa {file}: {reason}",
+                "error.validationReport": "Problem i tidtabellsdata ({count})",
+
+                "notice.showingDate": "Visar tidtabell för {date}",
+                "notice.unknownRoute": "Okänd linje: {route}",
+                "notice.allRoutesHidden": "Alla linjer är dolda i inställningarna",
+                "notice.validPeriod": "{route}: Tidtabellen gäller {start} – {end}",
+                "notice.noTraffic": "{route}: Ingen trafik denna dag",
+                "notice.outdated": "Tidtabellen gällde till {end} och kan vara inaktuell",
+
+                "schedule.weekday": "Vardagar",
+                "schedule.weekend": "Helgtrafik",
+                "schedule.holiday": "Helgdagstrafik",
+
+                "timetable.region": "Resseltrafiken tidtabeller",
+                "timetable.boatIcon": "Båtikon",
+                "timetable.departures": "Avgångar",
+                "timetable.tomorrow": "I morgon {time}",
+                "timetable.cancelled": "Inställd",
+                "timetable.cancelledReason": "Inställd: {reason}",
+                "timetable.leavingSoon": "Snar avgång {time}",
+                "timetable.nextDeparture": "Nästa avgång {time}",
+                "timetable.leaves": "Avgår {time}",
+                "timetable.scrollHint": "Scroll för mer innehåll",
+                "timetable.cancellationNote": "Överstrukna avgångar är inställda",
+                "timetable.cancellationNoteReasons": "Överstrukna avgångar är inställda: {reasons}",
+
+                "countdown.minutes": "om {minutes} min",
+                "countdown.hours": "om {hours} h",
+                "countdown.hoursMinutes": "om {hours} h {minutes} min",
+
+                "trip.region": "Tur {time} från {stop}",
+                "trip.departure": "{time} från {stop}",
+                "trip.departureTomorrow": "I morgon {time} från {stop}",
+                "trip.tomorrow": "Turen går i morgon",
+                "trip.upcoming": "Avgår från {stop} om {minutes} min",
+                "trip.at": "Båten ligger nu vid {stop}",
+                "trip.between": "Båten är nu mellan {from} och {to}",
+                "trip.finished": "Turen har avslutats",
+
+                "board.region": "Avgångar från {stop}",
+                "board.empty": "Inga fler avgångar i dag",
+                "board.towards": "mot {stop}",
+
+                "simulated.banner": "Simulerad tid: {time}. Tavlan visar inte aktuell trafik. ",
+                "simulated.exit": "Visa aktuell tid",
+
+                "cache.offline": "Offline – visar sparad tidtabell",
+                "cache.update": "Ny tidtabell finns – uppdatera",
+
+                "controls.label": "Visningsval",
+                "controls.route": "Linje",
+                "controls.allRoutes": "Alla linjer",
+                "controls.direction": "Riktning",
+                "controls.allDirections": "Alla riktningar",
+                "controls.outbound": "Utresa",
+                "controls.return": "Retur",
+                "controls.stop": "Hållplats",
+                "controls.defaultStop": "Standard",
+                "controls.date": "Datum",
+                "controls.at": "Visa tavlan vid",
+
+                "planner.label": "Reseplanerare",
+                "planner.heading": "Planera resa",
+                "planner.from": "Från",
+                "planner.to": "Till",
+                "planner.when": "När",
+                "planner.departAfter": "Avgå efter",
+                "planner.arriveBy": "Framme senast",
+                "planner.time": "Tid",
+                "planner.search": "Sök resa",
+                "planner.none": "Inga resor hittades",
+                "planner.direct": "direkt",
+                "planner.transfers.one": "{count} byte",
+                "planner.transfers.other": "{count} byten",
+                "planner.summary": "{departure} – {arrival} ({duration} min, {transfers})",
+                "planner.transfer": "Byte vid {stop}, väntetid {minutes} min",
+                "planner.leg": "{departure} {from} → {arrival} {to} med {route}",
+
+                "fares.heading": "Priser",
+                "fares.ticket": "Biljett",
+                "fares.adult": "Vuxen",
+                "fares.senior_youth": "Pensionär/ungdom",
+                "fares.child": "Barn",
+                "fares.single": "Enkelbiljett",
+                "fares.day": "Dagsbiljett",
+                "fares.discount_card": "Rabattkort, {trips} resor",
+                "fares.monthly": "Månadskort",
+                "fares.youthAge": "Ungdom: {age}",
+                "fares.calculator": "Vilken biljett lönar sig?",
+                "fares.route": "Linje",
+                "fares.tripsPerWeek": "Enkelresor per vecka",
+                "fares.calculate": "Räkna",
+                "fares.tripsPerMonth": "{trips} resor i månaden per resenär",
+                "fares.option.single.one": "{count} enkelbiljett per resenär",
+                "fares.option.single.other": "{count} enkelbiljetter per resenär",
+                "fares.option.discount_card.one": "{count} rabattkort per resenär",
+                "fares.option.discount_card.other": "{count} rabattkort per resenär",
+                "fares.option.monthly": "Månadskort",
+                "fares.optionCost": "{option}: {cost}",
+                "fares.cheapest": "Billigast",
+                "fares.free": "Ingen biljett behövs",
+                "fares.noOptions": "Linjen har inga priser för de valda resenärerna",
+                "fares.tripFare": "Enkelbiljett: vuxen {adult}, pensionär/ungdom {senior_youth}",
+
+                "reminders.heading": "Påminnelser",
+                "reminders.morningRule": "Vardagsmorgnar, nästa båt från",
+                "reminders.stop": "Hållplats",
+                "reminders.leadLabel": "Minuter innan avgång",
+                "reminders.leadSuffix": "min innan",
+                "reminders.empty": "Tryck på en avgång för att bli påmind",
+                "reminders.item": "{date} {time} från {stop} ({minutes} min innan) ",
+                "reminders.remove": "Ta bort",
+                "reminders.removeLabel": "Ta bort påminnelse {time} från {stop}",
+                "reminders.set": "Påminn mig {minutes} min innan",
+                "reminders.unset": "Ta bort påminnelse",
+                "reminders.unsupported": "Webbläsaren kan inte visa påminnelser",
+                "reminders.blocked": "Påminnelser kräver att notiser tillåts för sidan",
+                "reminders.title": "{route}: {time} från {stop}",
+                "reminders.cancelled": "Avgången är inställd: {reason}",
+                "reminders.notRunning": "Avgången går inte i dag",
+                "reminders.leavesIn": "Båten går om {minutes} min",
+                "reminders.leavesNow": "Båten går nu",
+
+                "calendar.add": "Lägg till i kalender",
+                "calendar.commuteWeekday": "Varje vardag säsongen ut",
+                "calendar.commuteWeekend": "Varje helg säsongen ut",
+                "calendar.summary": "{route} från {stop}",
+                "calendar.description": "Avgång {time} från {stop}",
+
+                "gtfs.imported": "Visar inläst flöde {file}, inte den publicerade tidtabellen. ",
+                "gtfs.restore": "Visa publicerad tidtabell",
+                "gtfs.warnings": "Kunde inte läsas in helt ({count})",
+                "gtfs.download": "Ladda ner som GTFS",
+                "gtfs.upload": "Visa GTFS-flöde ",
+                "gtfs.error.missingFile": "GTFS-filen {file} saknas",
+                "gtfs.error.noTrips": "GTFS-flödet innehåller inga turer med trafikdagar",
+                "gtfs.warning.timeZone": "Flödet använder tidszonen {feedZone}, tiderna läses som {zone}",
+                "gtfs.warning.missingSchedule": "{route}: saknar vardags- eller helgtrafik och hoppas över",
+                "gtfs.warning.incompleteTrips.one": "{route}: {count} tur mot {direction} stannar inte vid alla hållplatser och hoppas över",
+                "gtfs.warning.incompleteTrips.other": "{route}: {count} turer mot {direction} stannar inte vid alla hållplatser och hoppas över",
+                "gtfs.warning.weekdayTraffic": "{route}: {date} kör vardagstrafik, vilket inte kan anges i tidtabellen",
+                "gtfs.warning.holidayTraffic": "{route}: {date} kör helgdagstrafik, vilket inte kan anges i tidtabellen",
+                "gtfs.warning.holidayDays": "{route}: helgtrafikdagar och dagtypsregler som följer helgdagskalendern återskapas inte",
+                "gtfs.warning.holidayPeriods": "{route}: lovperioderna och deras extraturer får nya namn, eftersom flödet saknar namnen",
+
+                "settings.heading": "Inställningar",
+                "settings.highlightStop": "Hemmabrygga",
+                "settings.cityReturnStop": "Brygga i stan",
+                "settings.maxVisibleDepartures": "Avgångar per hållplats",
+                "settings.showBothDirections": "Visa båda riktningarna",
+                "settings.updateInterval": "Uppdatera var",
+                "settings.timeDisplay": "Avgångstider",
+                "settings.time.clock": "Klockslag",
+                "settings.time.countdown": "Nedräkning",
+                "settings.time.hybrid": "Klockslag och nedräkning",
+                "settings.routeOrder": "Linjeordning",
+                "settings.hiddenRoutes": "Dolda linjer",
+                "settings.language": "Språk",
+                "settings.browserLanguage": "Webbläsarens språk",
+                "settings.overridden": "Adressen gäller före de sparade inställningarna för {settings}. ",
+                "settings.clearOverrides": "Använd sparade inställningar",
+                "settings.routes": "Linjer",
+                "settings.moveUp": "Flytta upp {route}",
+                "settings.moveDown": "Flytta ned {route}",
+                "settings.export": "Exportera",
+                "settings.import": "Importera ",
+                "settings.reset": "Återställ",
+                "settings.partlyImported": "{file} lästes in, utom {keys}",
+                "settings.invalidJson": "Filen är inte giltig JSON",
+                "settings.noSettings": "Filen innehåller inga inställningar",
+
+                "editor.title": "Resseltrafiken - Tidtabellsredigerare",
+                "editor.heading": "Tidtabellsredigerare",
+                "editor.loading": "Laddar tidtabell...",
+                "editor.backLink": "Till tidtabellen",
+                "editor.open": "Öppna fil ",
+                "editor.loadPublished": "Ladda publicerad tidtabell",
+                "editor.download": "Ladda ner {file}",
+                "editor.loaded": "{file} är inläst",
+                "editor.discardChanges": "Ändringar som inte laddats ner går förlorade. Fortsätta?",
+                "editor.notTimetable": "Filen är ingen tidtabell",
+                "editor.version": "Version",
+                "editor.validFrom": "Gäller från",
+                "editor.validTo": "Gäller till",
+                "editor.route": "Linje",
+                "editor.direction": "Riktning",
+                "editor.schedule": "Schema",
+                "editor.directionTitle": "Rubrik",
+                "editor.directionKey": "Namn, t.ex. Nybroplan_to_Hammarbysjöstad",
+                "editor.addDirection": "Lägg till riktning",
+                "editor.removeDirection": "Ta bort riktning",
+                "editor.directionKeyMissing": "Ange ett namn på riktningen",
+                "editor.directionExists": "Riktningen {direction} finns redan",
+                "editor.lastDirection": "En linje måste ha minst en riktning",
+                "editor.stops": "Hållplatser",
+                "editor.stopName": "Hållplatsnamn",
+                "editor.addStop": "Lägg till hållplats",
+                "editor.renameStop": "Byt namn på {stop}",
+                "editor.moveStopLeft": "Flytta {stop} åt vänster",
+                "editor.moveStopRight": "Flytta {stop} åt höger",
+                "editor.removeStop": "Ta bort {stop}",
+                "editor.stopNameMissing": "Ange ett hållplatsnamn",
+                "editor.stopExists": "Hållplatsen {stop} finns redan",
+                "editor.pasteHint": "Klistra in tider från ett kalkylark eller en CSV-fil i en ruta. Börjar det inklistrade med en rad hållplatsnamn hamnar tiderna under de hållplatserna.",
+                "editor.cell": "{stop}, tur {number}",
+                "editor.insertRow": "Infoga tur före tur {number}",
+                "editor.removeRow": "Ta bort tur {number}",
+                "editor.addRow": "Lägg till tur",
+                "editor.importCsv": "Ersätt med CSV-fil ",
+                "editor.pasted.one": "{count} tid inklistrad",
+                "editor.pasted.other": "{count} tider inklistrade",
+                "editor.ignored.one": "{count} värde utan hållplatskolumn hoppades över",
+                "editor.ignored.other": "{count} värden utan hållplatskolumn hoppades över",
+                "editor.noHolidaySchedule": "Linjen har inget helgdagsschema och kör helgschemat på helgdagar. ",
+                "editor.addHolidaySchedule": "Skapa från helgschemat",
+                "editor.removeHolidaySchedule": "Ta bort helgdagsschemat",
+                "editor.exceptions": "Undantag för linjen",
+                "editor.no_traffic": "Ingen trafik, ett datum per rad",
+                "editor.holiday_traffic": "Helgtrafik, ett datum per rad",
+                "editor.dayType.holiday": "Röda dagar",
+                "editor.dayType.eve": "Aftnar",
+                "editor.dayType.squeeze": "Klämdagar",
+                "editor.defaultRule": "Standard",
+                "editor.noService": "Ingen trafik",
+                "editor.validation": "Kontroll",
+                "editor.valid": "Tidtabellen följer dataformatet",
+                "editor.preview": "Förhandsvisning",
+                "editor.previewAt": "Tidpunkt",
+                "editor.previewBlocked": "Rätta felen för att se förhandsvisningen",
+
+                "holiday.new-years-day": "Nyårsdagen",
+                "holiday.epiphany": "Trettondedag jul",
+                "holiday.may-day": "Första maj",
+                "holiday.national-day": "Nationaldagen",
+                "holiday.christmas-eve": "Julafton",
+                "holiday.christmas-day": "Juldagen",
+                "holiday.boxing-day": "Annandag jul",
+                "holiday.new-years-eve": "Nyårsafton",
+                "holiday.good-friday": "Långfredagen",
+                "holiday.easter-eve": "Påskafton",
+                "holiday.easter-day": "Påskdagen",
+                "holiday.easter-monday": "Annandag påsk",
+                "holiday.ascension-day": "Kristi himmelsfärdsdag",
+                "holiday.whitsun-eve": "Pingstafton",
+                "holiday.whitsun-day": "Pingstdagen",
+                "holiday.midsummer-eve": "Midsommarafton",
+                "holiday.midsummer-day": "Midsommardagen",
+                "holiday.all-saints-day": "Alla helgons dag",
+                "holiday.squeeze-before": "Klämdag före {holiday}",
+                "holiday.squeeze-after": "Klämdag efter {holiday}"
+            },
+            en: {
+                "language.sv": "Svenska",
+                "language.en": "English",
+
+                "app.title": "Resseltrafiken - Timetables for Sjöstadstrafiken and M/S Emelie",
+                "app.manifest": "manifest.en.json",
+                "app.skipLink": "Skip to content",
+                "app.loading": "Loading timetables...",
+                "app.footer": "Resseltrafiken v2.0.0 | Developed by Christian Gillinger",
+
+                "error.loadTimetable": "Could not load the timetable data",
+                "error.noTimetable": "No timetable data available",
+                "error.updateDisplay": "Could not update the display",
+                "error.update": "Could not update the timetable",
+                "error.start": "Could not start the application",
+                "error.invalidData": "Invalid data structure in the timetable",
+                "error.readFile": "Could not read {file}: {reason}",
+                "error.validationReport": "Problems in the timetable data ({count})",
+
+                "notice.showingDate": "Showing the timetable for {date}",
+                "notice.unknownRoute": "Unknown line: {route}",
+                "notice.allRoutesHidden": "All lines are hidden in the settings",
+                "notice.validPeriod": "{route}: The timetable is valid {start} – {end}",
+                "notice.noTraffic": "{route}: No service on this day",
+                "notice.outdated": "The timetable was valid until {end} and may be out of date",
+
+                "schedule.weekday": "Weekdays",
+                "schedule.weekend": "Weekend service",
+                "schedule.holiday": "Holiday service",
+
+                "timetable.region": "Resseltrafiken timetables",
+                "timetable.boatIcon": "Boat icon",
+                "timetable.departures": "Departures",
+                "timetable.tomorrow": "Tomorrow {time}",
+                "timetable.cancelled": "Cancelled",
+                "timetable.cancelledReason": "Cancelled: {reason}",
+                "timetable.leavingSoon": "Leaving soon {time}",
+                "timetable.nextDeparture": "Next departure {time}",
+                "timetable.leaves": "Leaves {time}",
+                "timetable.scrollHint": "Scroll for more",
+                "timetable.cancellationNote": "Struck-through departures are cancelled",
+                "timetable.cancellationNoteReasons": "Struck-through departures are cancelled: {reasons}",
+
+                "countdown.minutes": "in {minutes} min",
+                "countdown.hours": "in {hours} h",
+                "countdown.hoursMinutes": "in {hours} h {minutes} min",
+
+                "trip.region": "Trip {time} from {stop}",
+                "trip.departure": "{time} from {stop}",
+                "trip.departureTomorrow": "Tomorrow {time} from {stop}",
+                "trip.tomorrow": "The trip runs tomorrow",
+                "trip.upcoming": "Leaves {stop} in {minutes} min",
+                "trip.at": "The boat is now at {stop}",
+                "trip.between": "The boat is now between {from} and {to}",
+                "trip.finished": "The trip has ended",
+
+                "board.region": "Departures from {stop}",
+                "board.empty": "No more departures today",
+                "board.towards": "to {stop}",
+
+                "simulated.banner": "Simulated time: {time}. The board does not show current service. ",
+                "simulated.exit": "Show current time",
+
+                "cache.offline": "Offline – showing saved timetable",
+                "cache.update": "New timetable available – update",
+
+                "controls.label": "View options",
+                "controls.route": "Line",
+                "controls.allRoutes": "All lines",
+                "controls.direction": "Direction",
+                "controls.allDirections": "All directions",
+                "controls.outbound": "Outbound",
+                "controls.return": "Return",
+                "controls.stop": "Stop",
+                "controls.defaultStop": "Default",
+                "controls.date": "Date",
+                "controls.at": "Show the board at",
+
+                "planner.label": "Journey planner",
+                "planner.heading": "Plan a journey",
+                "planner.from": "From",
+                "planner.to": "To",
+                "planner.when": "When",
+                "planner.departAfter": "Leave after",
+                "planner.arriveBy": "Arrive by",
+                "planner.time": "Time",
+                "planner.search": "Search",
+                "planner.none": "No journeys found",
+                "planner.direct": "direct",
+                "planner.transfers.one": "{count} change",
+                "planner.transfers.other": "{count} changes",
+                "planner.summary": "{departure} – {arrival} ({duration} min, {transfers})",
+                "planner.transfer": "Change at {stop}, {minutes} min wait",
+                "planner.leg": "{departure} {from} → {arrival} {to} on {route}",
+
+                "fares.heading": "Fares",
+                "fares.ticket": "Ticket",
+                "fares.adult": "Adult",
+                "fares.senior_youth": "Senior/youth",
+                "fares.child": "Child",
+                "fares.single": "Single ticket",
+                "fares.day": "Day ticket",
+                "fares.discount_card": "Discount card, {trips} trips",
+                "fares.monthly": "Monthly pass",
+                "fares.youthAge": "Youth: {age}",
+                "fares.calculator": "Which ticket pays off?",
+                "fares.route": "Line",
+                "fares.tripsPerWeek": "Single trips per week",
+                "fares.calculate": "Calculate",
+                "fares.tripsPerMonth": "{trips} trips a month per traveller",
+                "fares.option.single.one": "{count} single ticket per traveller",
+                "fares.option.single.other": "{count} single tickets per traveller",
+                "fares.option.discount_card.one": "{count} discount card per traveller",
+                "fares.option.discount_card.other": "{count} discount cards per traveller",
+                "fares.option.monthly": "Monthly pass",
+                "fares.optionCost": "{option}: {cost}",
+                "fares.cheapest": "Cheapest",
+                "fares.free": "No ticket needed",
+                "fares.noOptions": "The line has no fares for the chosen travellers",
+                "fares.tripFare": "Single ticket: adult {adult}, senior/youth {senior_youth}",
+
+                "reminders.heading": "Reminders",
+                "reminders.morningRule": "Weekday mornings, next boat from",
+                "reminders.stop": "Stop",
+                "reminders.leadLabel": "Minutes before departure",
+                "reminders.leadSuffix": "min before",
+                "reminders.empty": "Tap a departure to be reminded",
+                "reminders.item": "{date} {time} from {stop} ({minutes} min before) ",
+                "reminders.remove": "Remove",
+                "reminders.removeLabel": "Remove reminder {time} from {stop}",
+                "reminders.set": "Remind me {minutes} min before",
+                "reminders.unset": "Remove reminder",
+                "reminders.unsupported": "This browser cannot show reminders",
+                "reminders.blocked": "Reminders need notifications to be allowed for this page",
+                "reminders.title": "{route}: {time} from {stop}",
+                "reminders.cancelled": "The departure is cancelled: {reason}",
+                "reminders.notRunning": "The departure does not run today",
+                "reminders.leavesIn": "The boat leaves in {minutes} min",
+                "reminders.leavesNow": "The boat is leaving now",
+
+                "calendar.add": "Add to calendar",
+                "calendar.commuteWeekday": "Every weekday for the rest of the season",
+                "calendar.commuteWeekend": "Every weekend for the rest of the season",
+                "calendar.summary": "{route} from {stop}",
+                "calendar.description": "Departure {time} from {stop}",
+
+                "gtfs.imported": "Showing the uploaded feed {file}, not the published timetable. ",
+                "gtfs.restore": "Show published timetable",
+                "gtfs.warnings": "Could not be read completely ({count})",
+                "gtfs.download": "Download as GTFS",
+                "gtfs.upload": "Show GTFS feed ",
+                "gtfs.error.missingFile": "The GTFS file {file} is missing",
+                "gtfs.error.noTrips": "The GTFS feed has no trips with service days",
+                "gtfs.warning.timeZone": "The feed uses the time zone {feedZone}, its times are read as {zone}",
+                "gtfs.warning.missingSchedule": "{route}: has no weekday or weekend service and is skipped",
+                "gtfs.warning.incompleteTrips.one": "{route}: {count} trip towards {direction} does not call at every stop and is skipped",
+                "gtfs.warning.incompleteTrips.other": "{route}: {count} trips towards {direction} do not call at every stop and are skipped",
+                "gtfs.warning.weekdayTraffic": "{route}: {date} runs weekday service, which the timetable cannot express",
+                "gtfs.warning.holidayTraffic": "{route}: {date} runs holiday service, which the timetable cannot express",
+                "gtfs.warning.holidayDays": "{route}: holiday traffic dates and day type rules that follow the holiday calendar are not rebuilt",
+                "gtfs.warning.holidayPeriods": "{route}: holiday periods and their extra departures are renamed, as the feed has no names for them",
+
+                "settings.heading": "Settings",
+                "settings.highlightStop": "Home pier",
+                "settings.cityReturnStop": "City pier",
+                "settings.maxVisibleDepartures": "Departures per stop",
+                "settings.showBothDirections": "Show both directions",
+                "settings.updateInterval": "Update every",
+                "settings.timeDisplay": "Departure times",
+                "settings.time.clock": "Clock time",
+                "settings.time.countdown": "Countdown",
+                "settings.time.hybrid": "Clock time and countdown",
+                "settings.routeOrder": "Line order",
+                "settings.hiddenRoutes": "Hidden lines",
+                "settings.language": "Language",
+                "settings.browserLanguage": "Browser language",
+                "settings.overridden": "The address overrides the saved settings for {settings}. ",
+                "settings.clearOverrides": "Use saved settings",
+                "settings.routes": "Lines",
+                "settings.moveUp": "Move {route} up",
+                "settings.moveDown": "Move {route} down",
+                "settings.export": "Export",
+                "settings.import": "Import ",
+                "settings.reset": "Reset",
+                "settings.partlyImported": "{file} was imported, except {keys}",
+                "settings.invalidJson": "The file is not valid JSON",
+                "settings.noSettings": "The file contains no settings",
+
+                "editor.title": "Resseltrafiken - Timetable editor",
+                "editor.heading": "Timetable editor",
+                "editor.loading": "Loading timetable...",
+                "editor.backLink": "Back to the timetable",
+                "editor.open": "Open file ",
+                "editor.loadPublished": "Load published timetable",
+                "editor.download": "Download {file}",
+                "editor.loaded": "{file} is loaded",
+                "editor.discardChanges": "Changes that have not been downloaded will be lost. Continue?",
+                "editor.notTimetable": "The file is not a timetable",
+                "editor.version": "Version",
+                "editor.validFrom": "Valid from",
+                "editor.validTo": "Valid until",
+                "editor.route": "Line",
+                "editor.direction": "Direction",
+                "editor.schedule": "Schedule",
+                "editor.directionTitle": "Title",
+                "editor.directionKey": "Name, e.g. Nybroplan_to_Hammarbysjöstad",
+                "editor.addDirection": "Add direction",
+                "editor.removeDirection": "Remove direction",
+                "editor.directionKeyMissing": "Enter a name for the direction",
+                "editor.directionExists": "The direction {direction} already exists",
+                "editor.lastDirection": "A line needs at least one direction",
+                "editor.stops": "Stops",
+                "editor.stopName": "Stop name",
+                "editor.addStop": "Add stop",
+                "editor.renameStop": "Rename {stop}",
+                "editor.moveStopLeft": "Move {stop} left",
+                "editor.moveStopRight": "Move {stop} right",
+                "editor.removeStop": "Remove {stop}",
+                "editor.stopNameMissing": "Enter a stop name",
+                "editor.stopExists": "The stop {stop} already exists",
+                "editor.pasteHint": "Paste times from a spreadsheet or CSV file into a cell. When the pasted text starts with a line of stop names, the times go under those stops.",
+                "editor.cell": "{stop}, trip {number}",
+                "editor.insertRow": "Insert a trip before trip {number}",
+                "editor.removeRow": "Remove trip {number}",
+                "editor.addRow": "Add trip",
+                "editor.importCsv": "Replace with CSV file ",
+                "editor.pasted.one": "{count} time pasted",
+                "editor.pasted.other": "{count} times pasted",
+                "editor.ignored.one": "{count} value without a stop column was skipped",
+                "editor.ignored.other": "{count} values without a stop column were skipped",
+                "editor.noHolidaySchedule": "The line has no holiday schedule and runs its weekend schedule on holidays. ",
+                "editor.addHolidaySchedule": "Create from the weekend schedule",
+                "editor.removeHolidaySchedule": "Remove the holiday schedule",
+                "editor.exceptions": "Exceptions for the line",
+                "editor.no_traffic": "No traffic, one date per line",
+                "editor.holiday_traffic": "Holiday traffic, one date per line",
+                "editor.dayType.holiday": "Public holidays",
+                "editor.dayType.eve": "Eves",
+                "editor.dayType.squeeze": "Bridge days",
+                "editor.defaultRule": "Default",
+                "editor.noService": "No traffic",
+                "editor.validation": "Check",
+                "editor.valid": "The timetable follows the data format",
+                "editor.preview": "Preview",
+                "editor.previewAt": "Time",
+                "editor.previewBlocked": "Fix the errors to see the preview",
+
+                "holiday.new-years-day": "New Year's Day",
+                "holiday.epiphany": "Epiphany",
+                "holiday.may-day": "May Day",
+                "holiday.national-day": "National Day",
+                "holiday.christmas-eve": "Christmas Eve",
+                "holiday.christmas-day": "Christmas Day",
+                "holiday.boxing-day": "Boxing Day",
+                "holiday.new-years-eve": "New Year's Eve",
+                "holiday.good-friday": "Good Friday",
+                "holiday.easter-eve": "Easter Eve",
+                "holiday.easter-day": "Easter Sunday",
+                "holiday.easter-monday": "Easter Monday",
+                "holiday.ascension-day": "Ascension Day",
+                "holiday.whitsun-eve": "Whitsun Eve",
+                "holiday.whitsun-day": "Whit Sunday",
+                "holiday.midsummer-eve": "Midsummer Eve",
+                "holiday.midsummer-day": "Midsummer Day",
+                "holiday.all-saints-day": "All Saints' Day",
+                "holiday.squeeze-before": "Bridge day before {holiday}",
+                "holiday.squeeze-after": "Bridge day after {holiday}"
+            }
+        };
+
+        // Stop names shown in place of the timetable's, per language. Piers keep
+        // their Swedish names, as on the signs, unless a catalog lists them here
+        this.stopNames = { sv: {}, en: {} };
+
+        this.dateFormats = {
+            long: { weekday: "long", day: "numeric", month: "long", year: "numeric" },
+            medium: { day: "numeric", month: "short", year: "numeric" },
+            short: { weekday: "short", day: "numeric", month: "short" },
+            time: { hour: "2-digit", minute: "2-digit", hourCycle: "h23" },
+            dateTime: { weekday: "short", day: "numeric", month: "short", hour: "2-digit", minute: "2-digit", hourCycle: "h23" }
+        };
+        this.currency = "SEK";
+        this.formatters = new Map();
+        this.setLanguage(options.language || null);
+    }
+
+    /**
+     * Gets the languages there are catalogs for
+     * @returns {string[]} Language codes
+     */
+    getLanguages() {
+        return Object.keys(this.catalogs);
+    }
+
+    /**
+     * Chooses the language to show: the given one if there is a catalog for
+     * it, otherwise the first of the browser's languages that has one.
+     * Browsers asking for neither get English, as most visitors read it;
+     * without a browser the fallback language is used
+     * @param {string|null} language Language code from the settings, or null
+     * @param {string[]} [browserLanguages] Preferred languages, defaults to navigator.languages
+     * @returns {string} Language code
+     */
+    resolveLanguage(language, browserLanguages = null) {
+        const preferred = browserLanguages ||
+            (typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []);
+        const match = [language, ...preferred]
+            .filter(Boolean)
+            .map(code => code.toLowerCase().split('-')[0])
+            .find(code => this.catalogs[code]);
+
+        if (match) return match;
+        return preferred.filter(Boolean).length > 0 ? "en" : this.fallbackLanguage;
+    }
+
+    /**
+     * Sets the language used for messages and formatting
+     * @param {string|null} language Language code, or null to follow the browser
+     * @returns {string} The language now in use
+     */
+    setLanguage(language) {
+        this.language = this.resolveLanguage(language);
+        this.locale = this.locales[this.language];
+        return this.language;
+    }
+
+    /**
+     * Looks up a message and fills in its placeholders, such as {stop}
+     * With a count parameter, the key's plural form (.one, .other) is used if it has them
+     * @param {string} key Message key
+     * @param {Object} [params] Placeholder values
+     * @returns {string} Message, or the key if no catalog has it
+     */
+    t(key, params = {}) {
+        let messageKey = key;
+        if (typeof params.count === "number") {
+            const form = new Intl.PluralRules(this.locale).select(params.count);
+            messageKey = [`${key}.${form}`, `${key}.other`, key].find(candidate => this.lookup(candidate) !== undefined) || key;
+        }
+
+        const message = this.lookup(messageKey);
+        if (message === undefined) {
+            console.warn(`Missing message: ${messageKey}`);
+            return key;
+        }
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder);
+    }
+
+    /**
+     * Finds a message in the current catalog, then in the fallback catalog
+     * @private
+     * @param {string} key Message key
+     * @returns {string|undefined} Message
+     */
+    lookup(key) {
+        const message = this.catalogs[this.language][key];
+        return message !== undefined ? message : this.catalogs[this.fallbackLanguage][key];
+    }
+
+    /**
+     * Gets the name of a holiday from TimeHandler.getHoliday in the current language
+     * @param {Object} holiday Holiday with id, and the holidayId of a squeeze day's holiday
+     * @returns {string} Holiday name
+     */
+    holidayName(holiday) {
+        if (holiday.holidayId) {
+            return this.t(`holiday.${holiday.id}`, { holiday: this.holidayName({ id: holiday.holidayId }) });
+        }
+        return this.t(`holiday.${holiday.id}`);
+    }
+
+    /**
+     * Gets the name of a stop in the current language
+     * @param {string} stop Stop name from the timetable
+     * @returns {string} Stop name to show
+     */
+    stopName(stop) {
+        return (this.stopNames[this.language] || {})[stop] || stop;
+    }
+
+    /**
+     * Formats a date in the current language
+     * @param {Date|string} value Wall-clock date, or a date in YYYY-MM-DD format
+     * @param {string} [style="long"] "long", "medium", "short", "time" or "dateTime"
+     * @returns {string} Formatted date
+     */
+    formatDate(value, style = "long") {
+        let date = value;
+        if (typeof value === "string") {
+            const [year, month, day] = value.split('-').map(Number);
+            date = new Date(Date.UTC(year, month - 1, day));
+        }
+
+        // Wall-clock dates carry the Stockholm time in their UTC fields
+        const cacheKey = `${this.locale}|${style}`;
+        if (!this.formatters.has(cacheKey)) {
+            this.formatters.set(cacheKey, new Intl.DateTimeFormat(this.locale, { ...this.dateFormats[style], timeZone: "UTC" }));
+        }
+        return this.formatters.get(cacheKey).format(date);
+    }
+
+    /**
+     * Formats the time of day of a wall-clock date, e.g. "07:20"
+     * @param {Date} date Wall-clock date, see TimeHandler.now
+     * @returns {string} Formatted time
+     */
+    formatTime(date) {
+        return this.formatDate(date, "time");
+    }
+
+    /**
+     * Formats a price in whole kronor, e.g. "75 kr" or "SEK 75"
+     * @param {number} amount Price in kronor
+     * @returns {string} Formatted price
+     */
+    formatCurrency(amount) {
+        const cacheKey = `${this.locale}|currency`;
+        if (!this.formatters.has(cacheKey)) {
+            this.formatters.set(cacheKey, new Intl.NumberFormat(this.locale, {
+                style: "currency",
+                currency: this.currency,
+                maximumFractionDigits: 0
+            }));
+        }
+        return this.formatters.get(cacheKey).format(amount);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
@@ -0,0 +1,380 @@
+/**
+ * Resseltrafiken Web Application - Journey Planner Module
+ *
+ * Plans journeys between any two piers on a given date, across all lines in
+ * the timetable and with transfers between them. Departures are resolved by
+ * the TimeHandler, so date exceptions, holiday schedules and cancellations
+ * apply to planned journeys in the same way as to the timetable display.
+ *
+ * Directed lines are planned along their trips. The triangular line has no
+ * trips in the data, so it is modelled as a loop in stop order where the boat
+ * reaches the next stop at that stop's first departure after leaving.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+class JourneyPlanner {
+    /**
+     * Initializes the JourneyPlanner
+     * @param {TimeHandler} timeHandler Time handler used for schedule lookups
+     * @param {Object} [options] Planner options
+     * @param {number} [options.minTransferMinutes=2] Minimum time between arriving and departing at a transfer
+     * @param {number} [options.maxTransferWaitMinutes=60] Longest wait accepted at a transfer
+     * @param {number} [options.maxTransfers=2] Maximum number of transfers per journey
+     * @param {number} [options.maxResults=5] Maximum number of journeys returned
+     * @param {number} [options.searchWindow=180] Minutes after (or before, for arrive-by) the query time to search
+     */
+    constructor(timeHandler, options = {}) {
+        this.timeHandler = timeHandler;
+        this.minTransferMinutes = options.minTransferMinutes ?? 2;
+        this.maxTransferWaitMinutes = options.maxTransferWaitMinutes ?? 60;
+        this.maxTransfers = options.maxTransfers ?? 2;
+        this.maxResults = options.maxResults ?? 5;
+        this.searchWindow = options.searchWindow ?? 180;
+        this.maxLoopHop = 30;    // Longest plausible time between two stops on the triangular line
+    }
+
+    /**
+     * Plans journeys between two stops
+     * @param {Object} timetable Timetable data
+     * @param {Object} query Journey query
+     * @param {string} query.origin Stop to depart from
+     * @param {string} query.destination Stop to arrive at
+     * @param {Date} query.date Travel service day
+     * @param {string} query.time Time in HH:MM format; times before the service day starts
+     *                            (e.g. "00:30") or past 24:00 (e.g. "24:30") are that night's late boats
+     * @param {string} [query.mode="depart"] "depart" to depart after time, "arrive" to arrive by time
+     * @returns {Array<Object>} Ranked itineraries with legs, transfer waits and total travel time
+     */
+    plan(timetable, query) {
+        if (!query.origin || !query.destination || query.origin === query.destination) {
+            return [];
+        }
+
+        const arriveBy = query.mode === "arrive";
+        const queryMinutes = this.timeHandler.getServiceMinutes(query.time);
+        const window = {
+            earliest: arriveBy ? queryMinutes - this.searchWindow : queryMinutes,
+            latest: arriveBy ? queryMinutes : queryMinutes + this.searchWindow
+        };
+
+        const rides = this.buildRides(timetable, query.date);
+        const journeys = [];
+
+        // Every departure from the origin within the window starts a search, so that
+        // alternatives are found; later legs board the first possible ride per pattern
+        rides.forEach(ride => {
+            const boardIndex = this.findBoardIndex(ride, query.origin, window.earliest);
+            if (boardIndex === -1 || ride.stops[boardIndex].minutes > window.latest) return;
+            this.extendJourney(rides, ride, boardIndex, [], query.destination, new Set([query.origin]), journeys);
+        });
+
+        const candidates = arriveBy ?
+            journeys.filter(journey => journey.arrivalMinutes <= window.latest) :
+            journeys;
+
+        return this.rankJourneys(this.removeDominated(candidates), arriveBy).slice(0, this.maxResults);
+    }
+
+    /**
+     * Gets every stop served by any line in the timetable
+     * @param {Object} timetable Timetable data
+     * @returns {string[]} Stop names, sorted alphabetically
+     */
+    getStops(timetable) {
+        const stops = new Set();
+        Object.values((timetable && timetable.routes) || {}).forEach(route => {
+            this.timeHandler.getDirectionKeys(route).forEach(directionKey => {
+                ["weekday", "weekend"].forEach(scheduleType => {
+                    const departures = this.timeHandler.getBaseDepartures(route, directionKey, scheduleType) || {};
+                    Object.keys(departures).forEach(stop => stops.add(stop));
+                });
+            });
+        });
+        return [...stops].sort((a, b) => a.localeCompare(b, 'sv'));
+    }
+
+    /**
+     * Builds every ride (one boat's run through a sequence of stops) on a date
+     * @param {Object} timetable Timetable data
+     * @param {Date} date Travel date
+     * @returns {Array<Object>} Rides with routeKey, routeName, directionKey, pattern and stops
+     */
+    buildRides(timetable, date) {
+        const rides = [];
+        const scheduleType = this.timeHandler.getScheduleTypeForDate(date);
+
+        Object.entries((timetable && timetable.routes) || {}).forEach(([routeKey, route]) => {
+            if (!this.timeHandler.isRouteValidOn(route, date)) return;
+
+            const routeName = (route.display && route.display.name) || route.name || routeKey;
+
+            this.timeHandler.getDirectionKeys(route).forEach(directionKey => {
+                const departures = this.timeHandler.getEffectiveDepartures(route, directionKey, scheduleType, date);
+                if (!departures) return;
+
+                const cancelled = {};
+                Object.keys(departures).forEach(stop => {
+                    cancelled[stop] = this.timeHandler.getCancelledDepartures(route, directionKey, stop, date);
+                });
+                const markCancelled = stops => stops.map(tripStop => ({
+                    ...tripStop,
+                    cancelled: Object.prototype.hasOwnProperty.call(cancelled[tripStop.stop], tripStop.time)
+                }));
+
+                const base = { routeKey, routeName, directionKey };
+
+                if (directionKey === null) {
+                    this.buildLoopRides(route, departures).forEach(stops => {
+                        rides.push({ ...base, pattern: `${routeKey}/${stops[0].stop}`, loop: true, stops: markCancelled(stops) });
+                    });
+                    return;
+                }
+
+                (this.timeHandler.buildTrips(departures) || []).forEach(trip => {
+                    rides.push({ ...base, pattern: `${routeKey}/${directionKey}`, loop: false, stops: markCancelled(trip.stops) });
+                });
+            });
+        });
+
+        rides.forEach((ride, index) => { ride.id = index; });
+        return rides.sort((a, b) => a.stops[0].minutes - b.stops[0].minutes);
+    }
+
+    /**
+     * Builds rides for a line without trips, following its stops as a loop.
+     * Each departure starts a ride that visits the other stops in order
+     * @private
+     * @param {Object} route Route data
+     * @param {Object} departures Stop to times mapping
+     * @returns {Array<Array<Object>>} Stop sequences with stop, time and minutes
+     */
+    buildLoopRides(route, departures) {
+        const loop = (Array.isArray(route.stops) ? route.stops : Object.keys(departures))
+            .filter(stop => departures[stop]);
+        const minutesAt = {};
+        loop.forEach(stop => {
+            minutesAt[stop] = departures[stop].map(time => {
+                const minutes = this.timeHandler.getServiceMinutes(time);
+                return { time: this.timeHandler.formatServiceTime(minutes), minutes };
+            });
+        });
+
+        const sequences = [];
+        loop.forEach((stop, stopIndex) => {
+            minutesAt[stop].forEach(start => {
+                const stops = [{ stop, time: start.time, minutes: start.minutes }];
+
+                for (let step = 1; step < loop.length; step++) {
+                    const nextStop = loop[(stopIndex + step) % loop.length];
+                    const previous = stops[stops.length - 1].minutes;
+                    const next = minutesAt[nextStop].find(entry =>
+                        entry.minutes > previous && entry.minutes <= previous + this.maxLoopHop);
+                    if (!next) break;
+                    stops.push({ stop: nextStop, time: next.time, minutes: next.minutes });
+                }
+
+                if (stops.length > 1) {
+                    sequences.push(stops);
+                }
+            });
+        });
+        return sequences;
+    }
+
+    /**
+     * Finds where a ride can be boarded at a stop
+     * Loop rides can only be boarded where they start, since a ride starts at every departure
+     * @private
+     * @param {Object} ride Ride to board
+     * @param {string} stop Stop to board at
+     * @param {number} readyAt Earliest boarding time in minutes
+     * @returns {number} Index of the boarding stop in the ride, or -1
+     */
+    findBoardIndex(ride, stop, readyAt) {
+        const lastIndex = ride.loop ? 1 : ride.stops.length - 1;
+        for (let i = 0; i < lastIndex; i++) {
+            const rideStop = ride.stops[i];
+            if (rideStop.stop === stop && !rideStop.cancelled && rideStop.minutes >= readyAt) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Follows a boarded ride to every later stop, recording journeys that reach
+     * the destination and transferring to other lines where allowed
+     * @private
+     * @param {Array<Object>} rides All rides on the date
+     * @param {Object} ride Boarded ride
+     * @param {number} boardIndex Index of the boarding stop
+     * @param {Array<Object>} legs Legs travelled before this ride
+     * @param {string} destination Destination stop
+     * @param {Set<string>} visited Stops already passed, to avoid going in circles
+     * @param {Array<Object>} journeys Collected journeys
+     */
+    extendJourney(rides, ride, boardIndex, legs, destination, visited, journeys) {
+        for (let alightIndex = boardIndex + 1; alightIndex < ride.stops.length; alightIndex++) {
+            const alight = ride.stops[alightIndex];
+            if (alight.cancelled || visited.has(alight.stop)) continue;
+
+            const journeyLegs = [...legs, this.createLeg(ride, boardIndex, alightIndex)];
+
+            if (alight.stop === destination) {
+                journeys.push(this.createJourney(journeyLegs));
+                continue;
+            }
+            if (journeyLegs.length > this.maxTransfers) continue;
+
+            const readyAt = alight.minutes + this.minTransferMinutes;
+            const latestBoarding = alight.minutes + this.maxTransferWaitMinutes;
+            const nextVisited = new Set([...visited, alight.stop]);
+            this.getFirstRidesPerPattern(rides, alight.stop, readyAt, ride.pattern)
+                .filter(next => next.ride.stops[next.boardIndex].minutes <= latestBoarding)
+                .forEach(next => {
+                    this.extendJourney(rides, next.ride, next.boardIndex, journeyLegs, destination, nextVisited, journeys);
+                });
+        }
+    }
+
+    /**
+     * Gets the first boardable ride of every pattern at a stop
+     * @private
+     * @param {Array<Object>} rides All rides, sorted by start time
+     * @param {string} stop Stop to board at
+     * @param {number} readyAt Earliest boarding time in minutes
+     * @param {string} currentPattern Pattern of the ride being left, which is not re-boarded
+     * @returns {Array<Object>} Rides with their boarding index
+     */
+    getFirstRidesPerPattern(rides, stop, readyAt, currentPattern) {
+        const firstByPattern = new Map();
+
+        rides.forEach(ride => {
+            if (ride.pattern === currentPattern) return;
+            const boardIndex = this.findBoardIndex(ride, stop, readyAt);
+            if (boardIndex === -1) return;
+
+            const existing = firstByPattern.get(ride.pattern);
+            if (!existing || ride.stops[boardIndex].minutes < existing.ride.stops[existing.boardIndex].minutes) {
+                firstByPattern.set(ride.pattern, { ride, boardIndex });
+            }
+        });
+
+        return [...firstByPattern.values()];
+    }
+
+    /**
+     * Creates a leg travelled on one ride
+     * @private
+     * @param {Object} ride Ride travelled on
+     * @param {number} boardIndex Index of the boarding stop
+     * @param {number} alightIndex Index of the alighting stop
+     * @returns {Object} Leg with route, direction, from/to stops and times
+     */
+    createLeg(ride, boardIndex, alightIndex) {
+        const board = ride.stops[boardIndex];
+        const alight = ride.stops[alightIndex];
+
+        return {
+            rideId: ride.id,
+            routeKey: ride.routeKey,
+            routeName: ride.routeName,
+            directionKey: ride.directionKey,
+            from: board.stop,
+            to: alight.stop,
+            departure: this.formatMinutes(board.minutes),
+            arrival: this.formatMinutes(alight.minutes),
+            departureMinutes: board.minutes,
+            arrivalMinutes: alight.minutes,
+            stops: ride.stops.slice(boardIndex, alightIndex + 1).map(rideStop => rideStop.stop)
+        };
+    }
+
+    /**
+     * Creates a journey from its legs and computes waits and totals
+     * @private
+     * @param {Array<Object>} legs Legs in travel order
+     * @returns {Object} Journey
+     */
+    createJourney(legs) {
+        const first = legs[0];
+        const last = legs[legs.length - 1];
+        const transferWaits = legs.slice(1).map((leg, index) => ({
+            stop: leg.from,
+            minutes: leg.departureMinutes - legs[index].arrivalMinutes
+        }));
+
+        return {
+            departure: first.departure,
+            arrival: last.arrival,
+            departureMinutes: first.departureMinutes,
+            arrivalMinutes: last.arrivalMinutes,
+            duration: last.arrivalMinutes - first.departureMinutes,
+            transfers: legs.length - 1,
+            transferWaits: transferWaits,
+            legs: legs
+        };
+    }
+
+    /**
+     * Removes journeys for which another journey departs no earlier, arrives
+     * no later and has no more transfers. Identical alternatives are kept once
+     * @private
+     * @param {Array<Object>} journeys Candidate journeys
+     * @returns {Array<Object>} Non-dominated journeys
+     */
+    removeDominated(journeys) {
+        const seen = new Set();
+
+        return journeys.filter((journey, index) => {
+            const key = `${journey.departureMinutes}-${journey.arrivalMinutes}-${journey.transfers}`;
+            if (seen.has(key)) return false;
+
+            const dominated = journeys.some((other, otherIndex) =>
+                otherIndex !== index &&
+                other.departureMinutes >= journey.departureMinutes &&
+                other.arrivalMinutes <= journey.arrivalMinutes &&
+                other.transfers <= journey.transfers &&
+                (other.departureMinutes > journey.departureMinutes ||
+                 other.arrivalMinutes < journey.arrivalMinutes ||
+                 other.transfers < journey.transfers));
+
+            if (!dominated) seen.add(key);
+            return !dominated;
+        });
+    }
+
+    /**
+     * Sorts journeys by earliest arrival, or latest departure for arrive-by queries,
+     * then by travel time and number of transfers
+     * @private
+     * @param {Array<Object>} journeys Journeys to sort
+     * @param {boolean} arriveBy True for arrive-by queries
+     * @returns {Array<Object>} Sorted journeys
+     */
+    rankJourneys(journeys, arriveBy) {
+        return [...journeys].sort((a, b) => {
+            const primary = arriveBy ?
+                b.departureMinutes - a.departureMinutes :
+                a.arrivalMinutes - b.arrivalMinutes;
+            return primary || (a.duration - b.duration) || (a.transfers - b.transfers);
+        });
+    }
+
+    /**
+     * Formats minutes as HH:MM, wrapping times past midnight
+     * @private
+     * @param {number} minutes Minutes since midnight, may exceed 24 hours
+     * @returns {string} Time in HH:MM format
+     */
+    formatMinutes(minutes) {
+        return this.timeHandler.minutesToTime(((minutes % (24 * 60)) + 24 * 60) % (24 * 60));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JourneyPlanner;
+}
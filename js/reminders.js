@@ -0,0 +1,317 @@
+/**
+ * Resseltrafiken Web Application - Reminders Module
+ *
+ * Keeps departure reminders and the weekday morning rule in local storage
+ * and works out which reminders are due. Each check resolves the departure
+ * against the timetable of its date, so cancellations, no-traffic days and
+ * holiday schedules are respected; showing the notification is left to the caller.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+class ReminderScheduler {
+    /**
+     * Initializes the ReminderScheduler
+     * @param {TimeHandler} timeHandler Time handler used for schedule lookups
+     * @param {Object} [options] Reminder options
+     * @param {Storage} [options.storage] Storage for reminders, defaults to localStorage
+     * @param {string} [options.storageKey="resseltrafiken-reminders"] Storage key
+     * @param {number} [options.leadMinutes=5] Default minutes before departure to remind
+     * @param {string} [options.morningStart="06:00"] Start of the weekday morning window
+     * @param {string} [options.morningEnd="10:00"] End of the weekday morning window
+     * @param {I18n} [options.i18n] Messages for the notification texts
+     * @param {RouteModel} [options.routeModel] Route names as shown on the board
+     */
+    constructor(timeHandler, options = {}) {
+        this.timeHandler = timeHandler;
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = options.storageKey || "resseltrafiken-reminders";
+        this.leadMinutes = options.leadMinutes !== undefined ? options.leadMinutes : 5;
+        this.morningStart = options.morningStart || "06:00";
+        this.morningEnd = options.morningEnd || "10:00";
+        this.i18n = options.i18n || new I18n();
+        this.routeModel = options.routeModel || new RouteModel({}, timeHandler);
+        this.state = this.load();
+    }
+
+    /**
+     * Loads reminders from storage
+     * @private
+     * @returns {Object} State with reminders, morningRule and notified keys
+     */
+    load() {
+        const empty = {
+            reminders: [],
+            morningRule: { enabled: false, stop: null, leadMinutes: this.leadMinutes },
+            notified: []
+        };
+
+        try {
+            const stored = this.storage && JSON.parse(this.storage.getItem(this.storageKey));
+            if (!stored) return empty;
+            return {
+                reminders: Array.isArray(stored.reminders) ? stored.reminders : [],
+                morningRule: { ...empty.morningRule, ...stored.morningRule },
+                notified: Array.isArray(stored.notified) ? stored.notified : []
+            };
+        } catch (error) {
+            console.warn('Could not read saved reminders:', error);
+            return empty;
+        }
+    }
+
+    /**
+     * Writes reminders to storage
+     * @private
+     */
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (error) {
+            console.warn('Could not save reminders:', error);
+        }
+    }
+
+    /**
+     * Builds the key identifying a departure
+     * @private
+     * @param {Object} departure Departure with route, direction, stop, time and date
+     * @returns {string} Departure key
+     */
+    getKey(departure) {
+        return [departure.route, departure.direction || "", departure.stop, departure.date, departure.time].join("|");
+    }
+
+    /**
+     * Gets all single-departure reminders, soonest first
+     * @returns {Array<Object>} Reminders with route, direction, stop, time, date and leadMinutes
+     */
+    getReminders() {
+        return [...this.state.reminders].sort((a, b) =>
+            `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+    }
+
+    /**
+     * Checks if a departure has a reminder
+     * @param {Object} departure Departure with route, direction, stop, time and date (YYYY-MM-DD)
+     * @returns {boolean} True if a reminder is set
+     */
+    hasReminder(departure) {
+        const key = this.getKey(departure);
+        return this.state.reminders.some(reminder => this.getKey(reminder) === key);
+    }
+
+    /**
+     * Sets or removes the reminder for a departure
+     * @param {Object} departure Departure with route, direction, stop, time and date (YYYY-MM-DD)
+     * @param {number} [leadMinutes] Minutes before departure to remind
+     * @returns {boolean} True if a reminder is now set
+     */
+    toggleReminder(departure, leadMinutes = this.leadMinutes) {
+        const key = this.getKey(departure);
+        if (this.hasReminder(departure)) {
+            this.state.reminders = this.state.reminders.filter(reminder => this.getKey(reminder) !== key);
+            this.save();
+            return false;
+        }
+
+        this.state.reminders.push({
+            route: departure.route,
+            direction: departure.direction || null,
+            stop: departure.stop,
+            time: departure.time,
+            date: departure.date,
+            leadMinutes: leadMinutes
+        });
+        this.save();
+        return true;
+    }
+
+    /**
+     * Gets the weekday morning rule
+     * @returns {Object} Rule with enabled, stop and leadMinutes
+     */
+    getMorningRule() {
+        return { ...this.state.morningRule };
+    }
+
+    /**
+     * Updates the weekday morning rule
+     * @param {Object} rule Rule with enabled, stop and leadMinutes
+     */
+    setMorningRule(rule) {
+        this.state.morningRule = { ...this.state.morningRule, ...rule };
+        this.save();
+    }
+
+    /**
+     * Gets the reminders that are due, and marks them as notified so each
+     * fires once. Reminders for departures that have left are dropped
+     * @param {Object} timetable Current timetable data
+     * @param {Date} [now] Current wall-clock time, defaults to TimeHandler.now()
+     * @returns {Array<Object>} Notifications with tag, title and body
+     */
+    getDueNotifications(timetable, now = this.timeHandler.now()) {
+        const today = this.timeHandler.formatISODate(now);
+        const nowMinutes = this.timeHandler.getCurrentMinutes(now);
+        const due = [];
+
+        this.state.reminders = this.state.reminders.filter(reminder => {
+            if (reminder.date < today) return false;
+            if (reminder.date > today) return true;
+
+            const departureMinutes = this.timeHandler.timeToMinutes(reminder.time);
+            if (departureMinutes < nowMinutes) return false;
+            if (this.timeHandler.getMinutesBetween(now, nowMinutes, departureMinutes) > reminder.leadMinutes) return true;
+
+            const notification = this.createNotification(timetable, reminder, now);
+            if (notification) {
+                due.push(notification);
+            }
+            return false;
+        });
+
+        const morning = this.getMorningNotification(timetable, now);
+        if (morning && !this.state.notified.includes(morning.tag)) {
+            due.push(morning);
+            this.state.notified.push(morning.tag);
+        }
+        this.state.notified = this.state.notified.filter(tag => tag.includes(`|${today}|`));
+
+        this.save();
+        return due;
+    }
+
+    /**
+     * Creates the notification for a due reminder. A departure that no longer
+     * runs, because it is cancelled or the day has no traffic, is reported as such
+     * @private
+     * @param {Object} timetable Current timetable data
+     * @param {Object} reminder Due reminder
+     * @param {Date} date Date of the departure
+     * @returns {Object|null} Notification, or null if the route is unknown
+     */
+    createNotification(timetable, reminder, date) {
+        const route = timetable && timetable.routes && timetable.routes[reminder.route];
+        if (!route) return null;
+
+        const i18n = this.i18n;
+        const tag = this.getKey(reminder);
+        const title = i18n.t('reminders.title', {
+            route: this.routeModel.getRouteName(reminder.route, route),
+            time: reminder.time,
+            stop: i18n.stopName(reminder.stop)
+        });
+        const status = this.timeHandler.getDepartureStatus(route, reminder.direction, reminder.stop, reminder.time, date);
+
+        if (!status.runs) {
+            return {
+                tag: tag,
+                title: title,
+                body: status.reason ?
+                    i18n.t('reminders.cancelled', { reason: status.reason }) :
+                    i18n.t('reminders.notRunning')
+            };
+        }
+
+        const minutesLeft = this.timeHandler.getMinutesBetween(
+            date, this.timeHandler.getCurrentMinutes(date), this.timeHandler.timeToMinutes(reminder.time)
+        );
+        return {
+            tag: tag,
+            title: title,
+            body: this.getLeavesText(minutesLeft)
+        };
+    }
+
+    /**
+     * Gets the morning rule's notification for the next boat from the chosen stop.
+     * The rule applies on days running the weekday schedule, so holidays are skipped
+     * @private
+     * @param {Object} timetable Current timetable data
+     * @param {Date} now Current time
+     * @returns {Object|null} Notification, or null if none is due
+     */
+    getMorningNotification(timetable, now) {
+        const rule = this.state.morningRule;
+        if (!rule.enabled || !rule.stop || !timetable) return null;
+        if (this.timeHandler.getScheduleTypeForDate(now) !== "weekday") return null;
+
+        const nowMinutes = this.timeHandler.getCurrentMinutes(now);
+        const start = this.timeHandler.timeToMinutes(this.morningStart);
+        const end = this.timeHandler.timeToMinutes(this.morningEnd);
+        const next = this.findNextDeparture(timetable, rule.stop, now, Math.max(nowMinutes, start), end);
+        if (!next) return null;
+
+        const minutesLeft = this.timeHandler.getMinutesBetween(now, nowMinutes, next.minutes);
+        if (minutesLeft > rule.leadMinutes) return null;
+
+        return {
+            tag: `morning|${rule.stop}|${this.timeHandler.formatISODate(now)}|${next.time}`,
+            title: this.i18n.t('reminders.title', {
+                route: next.routeName,
+                time: next.time,
+                stop: this.i18n.stopName(rule.stop)
+            }),
+            body: this.getLeavesText(minutesLeft)
+        };
+    }
+
+    /**
+     * Gets the notification text for a boat leaving in some minutes
+     * @private
+     * @param {number} minutesLeft Minutes until the departure
+     * @returns {string} Notification text
+     */
+    getLeavesText(minutesLeft) {
+        return minutesLeft > 0 ?
+            this.i18n.t('reminders.leavesIn', { minutes: minutesLeft }) :
+            this.i18n.t('reminders.leavesNow');
+    }
+
+    /**
+     * Finds the next running departure from a stop on any route
+     * @private
+     * @param {Object} timetable Current timetable data
+     * @param {string} stop Stop name
+     * @param {Date} date Date to search
+     * @param {number} fromMinutes Earliest departure, in minutes since midnight
+     * @param {number} toMinutes Latest departure, in minutes since midnight
+     * @returns {Object|null} Departure with time, minutes and routeName
+     */
+    findNextDeparture(timetable, stop, date, fromMinutes, toMinutes) {
+        let next = null;
+
+        Object.entries(timetable.routes || {}).forEach(([routeKey, route]) => {
+            this.timeHandler.getDirectionKeys(route).forEach(directionKey => {
+                const scheduleType = this.timeHandler.getScheduleTypeForDate(date);
+                const departures = this.timeHandler.isRouteValidOn(route, date) ?
+                    this.timeHandler.getEffectiveDepartures(route, directionKey, scheduleType, date) :
+                    null;
+                if (!departures) return;
+
+                // The last stop of a directed trip is an arrival, not a departure
+                const stops = Object.keys(departures);
+                if (directionKey !== null && stops[stops.length - 1] === stop) return;
+
+                const cancelled = this.timeHandler.getCancelledDepartures(route, directionKey, stop, date);
+                (departures[stop] || []).forEach(time => {
+                    const minutes = this.timeHandler.timeToMinutes(time);
+                    if (minutes < fromMinutes || minutes > toMinutes || time in cancelled) return;
+                    if (!next || minutes < next.minutes) {
+                        next = { time: time, minutes: minutes, routeName: this.routeModel.getRouteName(routeKey, route) };
+                    }
+                });
+            });
+        });
+
+        return next;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReminderScheduler;
+}
@@ -18,15 +18,22 @@ class Renderer {
     /**
      * Initializes the Renderer with configuration
      * @param {Object} config Configuration object
+     * @param {TimeHandler} [timeHandler] Time handler to share, so the renderer follows the app's clock
+     * @param {I18n} [i18n] Messages and formatting to share, so the renderer follows the app's language
      */
-    constructor(config) {
+    constructor(config, timeHandler = null, i18n = null) {
         this.config = config;
+        this.timeHandler = timeHandler || new TimeHandler({ timeZone: config.timeZone });
+        this.i18n = i18n || new I18n({ language: config.language });
+        this.selectedTrip = null;    // Trip whose details are open, kept across re-renders
+        this.tripStates = new Map(); // Trips and controls of each timetable by title, from the latest render
+        this.overflowObserver = null;
         this.setupStyles();
     }
 
     /**
      * Sets up CSS variables for dynamic styling
-     * @private
+     * Called again when the settings change
      */
     setupStyles() {
         document.documentElement.style.setProperty('--visible-departures', this.config.maxVisibleDepartures);
@@ -40,12 +47,13 @@ class Renderer {
         const wrapper = document.createElement("div");
         wrapper.className = "MMM-Resseltrafiken";
         wrapper.setAttribute('role', 'region');
-        wrapper.setAttribute('aria-label', 'Resseltrafiken tidtabeller');
+        wrapper.setAttribute('aria-label', this.i18n.t('timetable.region'));
         return wrapper;
     }
 
     /**
      * Creates a notification element
+     * The message is set as text, since it can carry route names from the URL or uploaded files
      * @param {HTMLElement} wrapper Parent element
      * @param {string} message Notification message
      * @param {string} type Notification type (warning, error, etc.)
@@ -54,10 +62,34 @@ class Renderer {
         const notification = document.createElement("div");
         notification.className = `notification ${type}`;
         notification.setAttribute('role', 'alert');
-        notification.innerHTML = message;
+        notification.textContent = message;
         wrapper.appendChild(notification);
     }
 
+    /**
+     * Creates a collapsible report of timetable data problems
+     * @param {string[]} lines Formatted validation issues
+     * @returns {HTMLElement} Report element
+     */
+    createValidationReport(lines) {
+        const report = document.createElement("details");
+        report.className = "validation-report";
+
+        const summary = document.createElement("summary");
+        summary.textContent = this.i18n.t('error.validationReport', { count: lines.length });
+        report.appendChild(summary);
+
+        const list = document.createElement("ul");
+        lines.forEach(line => {
+            const item = document.createElement("li");
+            item.textContent = line;
+            list.appendChild(item);
+        });
+        report.appendChild(list);
+
+        return report;
+    }
+
     /**
      * Creates a timetable container with header
      * @param {string} title Timetable title
@@ -69,6 +101,7 @@ class Renderer {
         container.className = "timetable";
         container.setAttribute('role', 'region');
         container.setAttribute('aria-label', `${title} - ${scheduleType}`);
+        container.setAttribute('data-title', title);
 
         // Create title section
         const titleSection = document.createElement("div");
@@ -87,7 +120,7 @@ class Renderer {
         // Add boat icon
         const icon = document.createElement("img");
         icon.src = "icons/boat.png";
-        icon.alt = "Båtikon";
+        icon.alt = this.i18n.t('timetable.boatIcon');
         icon.setAttribute('role', 'presentation');
         titleElement.appendChild(icon);
         
@@ -97,7 +130,7 @@ class Renderer {
         // Add departures header
         const departuresHeader = document.createElement("div");
         departuresHeader.className = "departures-header";
-        departuresHeader.textContent = "Avgångar";
+        departuresHeader.textContent = this.i18n.t('timetable.departures');
         departuresHeader.setAttribute('role', 'heading');
         departuresHeader.setAttribute('aria-level', '2');
         container.appendChild(departuresHeader);
@@ -111,12 +144,16 @@ class Renderer {
      * @param {Array} times Array of departure times
      * @param {string} currentTime Current time
      * @param {string} highlightStop Stop to highlight
+     * @param {Array<Object>|null} [trips] Trips of the direction, makes times clickable
+     * @param {Object|null} [reminders] Reminder controls from the app, makes times clickable and marks reminded times
+     * @param {Date|null} [serviceDate] Service day of the times on the live board, enables countdowns
      * @returns {HTMLElement} Row element
      */
-    createDepartureRow(stop, times, currentTime, highlightStop) {
+    createDepartureRow(stop, times, currentTime, highlightStop, trips = null, reminders = null, serviceDate = null) {
         const row = document.createElement("div");
         row.className = "row";
         row.setAttribute('role', 'row');
+        row.dataset.stop = stop;
         
         if (stop === highlightStop) {
             row.classList.add("highlight-stop");
@@ -125,7 +162,7 @@ class Renderer {
         // Create stop name element
         const stopElement = document.createElement("div");
         stopElement.className = "stop";
-        stopElement.textContent = stop;
+        stopElement.textContent = this.i18n.stopName(stop);
         stopElement.setAttribute('role', 'cell');
         row.appendChild(stopElement);
 
@@ -134,29 +171,71 @@ class Renderer {
         timesElement.className = "times";
         timesElement.setAttribute('role', 'row');
 
-        // Find next departure for highlighted stop
-        const timeHandler = new TimeHandler();
+        // Find next departure for highlighted stop, comparing service-day minutes
+        // so that a 00:05 boat counts as later than 23:45
+        const timeHandler = this.timeHandler;
+        const i18n = this.i18n;
+        const currentMinutes = timeHandler.timeToMinutes(currentTime);
+        const minutesOf = timeObj => timeObj.minutes ?? timeHandler.getServiceMinutes(timeObj.time);
         const nextDeparture = stop === highlightStop ? 
-            times.find(timeObj => timeHandler.timeToMinutes(timeObj.time) > timeHandler.timeToMinutes(currentTime))?.time : null;
+            times.find(timeObj => !timeObj.cancelled && timeObj.isToday !== false &&
+                minutesOf(timeObj) > currentMinutes) : null;
 
         // Add individual time elements
         times.forEach(timeObj => {
             const timeElement = document.createElement("span");
             timeElement.textContent = timeObj.time;
             timeElement.setAttribute('role', 'cell');
+
+            const hasTrip = Boolean(trips && trips[timeObj.index]);
+            if (hasTrip || (reminders && !timeObj.cancelled)) {
+                timeElement.classList.add("selectable-time");
+                timeElement.tabIndex = 0;
+                timeElement.dataset.time = timeObj.serviceTime || timeObj.time;
+                timeElement.dataset.stop = stop;
+                timeElement.dataset.today = timeObj.isToday ? "true" : "false";
+            }
+            if (hasTrip) {
+                timeElement.classList.add("trip-time");
+                timeElement.dataset.tripIndex = timeObj.index;
+            }
+            if (reminders && reminders.has(stop, timeObj.serviceTime || timeObj.time, timeObj.isToday)) {
+                timeElement.classList.add("reminder-set");
+            }
             
             if (!timeObj.isToday) {
                 timeElement.classList.add("tomorrow-time");
-                timeElement.setAttribute('aria-label', `I morgon ${timeObj.time}`);
+                timeElement.setAttribute('aria-label', i18n.t('timetable.tomorrow', { time: timeObj.time }));
+            }
+
+            if (timeObj.cancelled) {
+                timeElement.classList.add("cancelled-time");
+                timeElement.title = timeObj.cancelReason ?
+                    i18n.t('timetable.cancelledReason', { reason: timeObj.cancelReason }) :
+                    i18n.t('timetable.cancelled');
+                timeElement.setAttribute('aria-label', `${timeElement.title} ${timeObj.time}`);
+                timesElement.appendChild(timeElement);
+                return;
             }
 
-            if (stop === highlightStop && timeObj.time === nextDeparture) {
-                const totalMinutes = timeHandler.timeToMinutes(timeObj.time) - timeHandler.timeToMinutes(currentTime);
+            if (timeObj === nextDeparture) {
+                // Real minutes left, which differ from the wall-clock difference on DST nights
+                const totalMinutes = timeHandler.getMinutesBetween(
+                    timeHandler.getServiceTime().date,
+                    currentMinutes,
+                    minutesOf(timeObj)
+                );
                 const highlightClass = totalMinutes <= 10 ? "highlight-yellow" : "highlight-green";
                 timeElement.classList.add(highlightClass);
                 
-                const timeDescription = totalMinutes <= 10 ? "Snar avgång" : "Nästa avgång";
-                timeElement.setAttribute('aria-label', `${timeDescription} ${timeObj.time}`);
+                const timeDescription = totalMinutes <= 10 ? 'timetable.leavingSoon' : 'timetable.nextDeparture';
+                timeElement.setAttribute('aria-label', i18n.t(timeDescription, { time: timeObj.time }));
+            }
+
+            if (serviceDate) {
+                timeElement.dataset.departure = timeHandler.toInstant(serviceDate, minutesOf(timeObj)).getTime();
+                timeElement.dataset.clockTime = timeObj.time;
+                this.updateCountdown(timeElement, timeHandler.clock().getTime());
             }
 
             timesElement.appendChild(timeElement);
@@ -166,9 +245,292 @@ class Renderer {
         return row;
     }
 
+    /**
+     * Updates the countdowns of all departures below an element without
+     * rebuilding them. Only texts and classes that change are written
+     * @param {HTMLElement} root Element containing the timetables
+     */
+    updateCountdowns(root) {
+        const now = this.timeHandler.clock().getTime();
+        root.querySelectorAll('[data-departure]').forEach(timeElement => this.updateCountdown(timeElement, now));
+    }
+
+    /**
+     * Shows a departure as a clock time or as minutes left, depending on the
+     * configured time display, and keeps the next departure's colour current
+     * @param {HTMLElement} timeElement Departure element with data-departure and data-clock-time,
+     *                                  and optionally data-countdown-mode to override the time display
+     * @param {number} now Current instant in milliseconds
+     */
+    updateCountdown(timeElement, now) {
+        // Rounded up, so a boat leaving 07:20 is "in 4 min" from 07:16:00 until 07:16:59
+        const minutesLeft = Math.ceil((Number(timeElement.dataset.departure) - now) / 60000);
+        const mode = timeElement.dataset.countdownMode || this.config.timeDisplay || "clock";
+        const showCountdown = minutesLeft > 0 &&
+            (mode === "countdown" || (mode === "hybrid" && minutesLeft < this.config.countdownLimit));
+
+        const text = showCountdown ? this.formatCountdown(minutesLeft) : timeElement.dataset.clockTime;
+        if (timeElement.textContent !== text) {
+            timeElement.textContent = text;
+            timeElement.classList.toggle("countdown-time", showCountdown);
+            timeElement.title = showCountdown ? this.i18n.t('timetable.leaves', { time: timeElement.dataset.clockTime }) : "";
+        }
+
+        if (minutesLeft > 0 && (timeElement.classList.contains("highlight-green") ||
+            timeElement.classList.contains("highlight-yellow"))) {
+            timeElement.classList.toggle("highlight-yellow", minutesLeft <= 10);
+            timeElement.classList.toggle("highlight-green", minutesLeft > 10);
+        }
+    }
+
+    /**
+     * Formats the time left until a departure
+     * @param {number} minutes Minutes left, at least 1
+     * @returns {string} Text such as "om 4 min" or "om 1 h 5 min"
+     */
+    formatCountdown(minutes) {
+        if (minutes < 60) {
+            return this.i18n.t('countdown.minutes', { minutes });
+        }
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        return rest > 0 ?
+            this.i18n.t('countdown.hoursMinutes', { hours, minutes: rest }) :
+            this.i18n.t('countdown.hours', { hours });
+    }
+
+    /**
+     * Creates the large departure board for wall screens: the next boats from
+     * one stop with their destinations and countdowns
+     * @param {Object} board Board contents
+     * @param {string} board.stop Stop the boats leave from
+     * @param {Array<Object>} board.routes Routes from DepartureBoard.getRoutes
+     * @param {number|null} board.routeIndex Route to show when rotating, or null to show all
+     * @param {string} board.clock Current time shown in the header
+     * @param {boolean} board.night True to dim the board
+     * @param {Object|null} board.shift Burn-in shift with x and y in pixels, or null
+     * @returns {HTMLElement} Board element
+     */
+    createBoard(board) {
+        const timeHandler = this.timeHandler;
+        const i18n = this.i18n;
+        const element = document.createElement("div");
+        element.className = "departure-board";
+        element.setAttribute('role', 'region');
+        element.setAttribute('aria-label', i18n.t('board.region', { stop: i18n.stopName(board.stop) }));
+        if (board.night) {
+            element.classList.add("board-night");
+        }
+        if (board.shift) {
+            element.style.transform = `translate(${board.shift.x}px, ${board.shift.y}px)`;
+        }
+
+        const header = document.createElement("div");
+        header.className = "board-header";
+        const stop = document.createElement("div");
+        stop.className = "board-stop";
+        stop.setAttribute('role', 'heading');
+        stop.setAttribute('aria-level', '1');
+        stop.textContent = i18n.stopName(board.stop);
+        header.appendChild(stop);
+        const clock = document.createElement("div");
+        clock.className = "board-clock";
+        clock.textContent = board.clock;
+        header.appendChild(clock);
+        element.appendChild(header);
+
+        if (board.routes.length === 0) {
+            const empty = document.createElement("div");
+            empty.className = "board-empty";
+            empty.textContent = i18n.t('board.empty');
+            element.appendChild(empty);
+            return element;
+        }
+
+        const routes = board.routeIndex === null ?
+            board.routes :
+            [board.routes[board.routeIndex % board.routes.length]];
+        const now = timeHandler.clock().getTime();
+
+        routes.forEach(route => {
+            const section = document.createElement("div");
+            section.className = "board-route";
+
+            const name = document.createElement("div");
+            name.className = "board-route-name";
+            name.setAttribute('role', 'heading');
+            name.setAttribute('aria-level', '2');
+            name.textContent = route.name;
+            section.appendChild(name);
+
+            const list = document.createElement("ol");
+            list.className = "board-departures";
+            const next = route.departures.find(departure => !departure.cancelled);
+
+            route.departures.forEach(departure => {
+                const item = document.createElement("li");
+                item.className = "board-departure";
+
+                const time = document.createElement("span");
+                time.className = "board-time";
+                time.textContent = departure.time;
+                if (!departure.isToday) {
+                    time.classList.add("tomorrow-time");
+                }
+                item.appendChild(time);
+
+                const destination = document.createElement("span");
+                destination.className = "board-destination";
+                destination.textContent = i18n.t('board.towards', { stop: i18n.stopName(departure.destination) });
+                item.appendChild(destination);
+
+                const countdown = document.createElement("span");
+                countdown.className = "board-countdown";
+                if (departure.cancelled) {
+                    item.classList.add("cancelled-departure");
+                    countdown.textContent = i18n.t('timetable.cancelled');
+                } else {
+                    const instant = timeHandler.toInstant(route.serviceDate, departure.minutes).getTime();
+                    countdown.dataset.departure = instant;
+                    countdown.dataset.clockTime = "";
+                    countdown.dataset.countdownMode = "countdown";
+                    if (departure === next) {
+                        countdown.classList.add(instant - now <= 10 * 60000 ? "highlight-yellow" : "highlight-green");
+                    }
+                    this.updateCountdown(countdown, now);
+                }
+                item.appendChild(countdown);
+
+                list.appendChild(item);
+            });
+            section.appendChild(list);
+            element.appendChild(section);
+        });
+
+        if (board.routeIndex !== null && board.routes.length > 1) {
+            const pager = document.createElement("div");
+            pager.className = "board-pager";
+            pager.setAttribute('aria-hidden', 'true');
+            board.routes.forEach((route, index) => {
+                const dot = document.createElement("span");
+                dot.className = index === board.routeIndex % board.routes.length ? "board-page active" : "board-page";
+                pager.appendChild(dot);
+            });
+            element.appendChild(pager);
+        }
+
+        return element;
+    }
+
+    /**
+     * Renders the timetables of one route on a service day, one per displayed
+     * direction, or a notice when the route does not run that day. The app,
+     * the editor preview and the tests all render the board through here
+     * @param {HTMLElement} wrapper Container element
+     * @param {Object} routeView Route view from RouteModel.getRouteViews
+     * @param {string} scheduleType Schedule type of the service day
+     * @param {Date} serviceDate Calendar date whose schedule is shown
+     * @param {Object} [options] Rendering options
+     * @param {boolean} [options.fromStart=false] Show the day from its start without countdowns, as for a chosen date
+     * @param {Function} [options.addControls] Adds the app's controls to a schedule before it is
+     *                                         rendered, called with the schedule, direction key and effective schedule type
+     */
+    createRouteTimetables(wrapper, routeView, scheduleType, serviceDate, options = {}) {
+        const timeHandler = this.timeHandler;
+        const i18n = this.i18n;
+        const route = routeView.route;
+
+        if (!timeHandler.isRouteValidOn(route, serviceDate)) {
+            const period = route.metadata.valid_period;
+            this.createNotification(
+                wrapper,
+                i18n.t('notice.validPeriod', {
+                    route: routeView.name,
+                    start: i18n.formatDate(period.start_date, 'medium'),
+                    end: i18n.formatDate(period.end_date, 'medium')
+                }),
+                'warning'
+            );
+            return;
+        }
+
+        const exceptions = timeHandler.getDateExceptions(route, serviceDate);
+        if (exceptions.noTraffic) {
+            this.createNotification(wrapper, i18n.t('notice.noTraffic', { route: routeView.name }), 'warning');
+            return;
+        }
+
+        // Holiday traffic days and the line's day type rules decide the schedule regardless of weekday
+        const routeScheduleType = timeHandler.getEffectiveScheduleType(route, scheduleType, serviceDate);
+        let scheduleDisplayName = i18n.t(['weekday', 'holiday'].includes(routeScheduleType) ?
+            `schedule.${routeScheduleType}` :
+            'schedule.weekend');
+        // Holiday periods are named in the timetable data, holidays by the catalog
+        const occasions = [
+            exceptions.holiday && i18n.holidayName(exceptions.holiday),
+            exceptions.holidayPeriod && exceptions.holidayPeriod.name
+        ].filter(Boolean);
+        if (occasions.length > 0) {
+            scheduleDisplayName += ` (${occasions.join(', ')})`;
+        }
+
+        routeView.directions.forEach(direction => {
+            const departures = timeHandler.getEffectiveDepartures(route, direction.key, scheduleType, serviceDate);
+            if (!departures) return;
+
+            const schedule = this.processDepartures(route, direction.key, departures, serviceDate, options.fromStart);
+            if (options.addControls) {
+                options.addControls(schedule, direction.key, routeScheduleType);
+            }
+            wrapper.appendChild(this.createTimetable(schedule, direction.title, scheduleDisplayName, direction.highlightStop));
+        });
+    }
+
+    /**
+     * Processes the departures of a route direction for rendering
+     * @private
+     * @param {Object} route Route data
+     * @param {string|null} directionKey Direction name, or null for routes without directions
+     * @param {Object} departures Stop to times mapping
+     * @param {Date} serviceDate Service day whose departures are shown
+     * @param {boolean} [fromStart=false] Show the day from its start, as for a chosen date
+     * @returns {Object} Schedule with processed departures per stop and the trips they belong to
+     */
+    processDepartures(route, directionKey, departures, serviceDate, fromStart = false) {
+        const timeHandler = this.timeHandler;
+        // Only directed lines have trips; the triangular line's stops are served independently
+        const processed = {
+            departures: {},
+            trips: directionKey === null ? null : timeHandler.buildTrips(departures)
+        };
+
+        // A chosen date, or the next service day once the last boat has left,
+        // is shown from its start; otherwise from the time in the running service day
+        const serviceTime = timeHandler.getServiceTime();
+        const isRunningDay = !fromStart &&
+            timeHandler.formatISODate(serviceTime.date) === timeHandler.formatISODate(serviceDate);
+        const currentMinutes = isRunningDay ? serviceTime.minutes : 0;
+        processed.currentTime = timeHandler.minutesToTime(currentMinutes);
+        // Countdowns only make sense on the live board
+        processed.serviceDate = fromStart ? null : serviceDate;
+
+        for (const [stop, times] of Object.entries(departures)) {
+            processed.departures[stop] = timeHandler.processScheduleTimes(
+                times,
+                this.config.maxVisibleDepartures,
+                {
+                    cancellations: timeHandler.getUpcomingCancellations(route, directionKey, stop, serviceDate),
+                    hideCancelled: this.config.hideCancelledDepartures,
+                    currentMinutes: currentMinutes
+                }
+            );
+        }
+        return processed;
+    }
+
     /**
      * Creates a complete timetable
-     * @param {Object} schedule Schedule data
+     * @param {Object} schedule Schedule data, with optional currentTime (HH:MM) to render the timetable as of
      * @param {string} title Timetable title
      * @param {string} scheduleDisplayName Display name for schedule type
      * @param {string} customHighlightStop Optional stop to highlight
@@ -177,54 +539,1764 @@ class Renderer {
     createTimetable(schedule, title, scheduleDisplayName, customHighlightStop = null) {
         const container = this.createTimetableContainer(title, scheduleDisplayName);
 
-        const now = new Date();
-        const currentTime = now.getHours().toString().padStart(2, '0') + ":" + 
-                          now.getMinutes().toString().padStart(2, '0');
+        const currentTime = schedule.currentTime || this.timeHandler.minutesToTime(this.timeHandler.getServiceTime().minutes);
 
         const highlightStopToUse = customHighlightStop || this.config.highlightStop;
 
         // Create rows for each stop
+        const cancelReasons = new Set();
         Object.entries(schedule.departures || {}).forEach(([stop, times]) => {
-            const row = this.createDepartureRow(stop, times, currentTime, highlightStopToUse);
+            const row = this.createDepartureRow(
+                stop, times, currentTime, highlightStopToUse, schedule.trips, schedule.reminders, schedule.serviceDate
+            );
             container.appendChild(row);
+            times.filter(timeObj => timeObj.cancelled)
+                .forEach(timeObj => cancelReasons.add(timeObj.cancelReason || ''));
+        });
+
+        if (cancelReasons.size > 0) {
+            container.appendChild(this.createCancellationNote([...cancelReasons]));
+        }
+
+        if (schedule.trips || schedule.reminders) {
+            this.setupTripSelection(
+                container, schedule.trips || [], title, currentTime, schedule.reminders, schedule.calendar, schedule.fares
+            );
+        }
+
+        return container;
+    }
+
+    /**
+     * Makes departure times open the details of their trip, or of the single
+     * departure on lines without trips, and re-opens the selection when the
+     * timetable is rebuilt
+     * @param {HTMLElement} container Timetable container
+     * @param {Array<Object>} trips Trips of the direction
+     * @param {string} title Timetable title, identifies the timetable across re-renders
+     * @param {string} currentTime Current time in HH:MM format
+     * @param {Object|null} [reminders] Reminder controls from the app
+     * @param {Object|null} [calendar] Calendar export controls from the app
+     * @param {Object|null} [fares] Fares of the line from FareCalculator.getFares
+     */
+    setupTripSelection(container, trips, title, currentTime, reminders = null, calendar = null, fares = null) {
+        this.tripStates.set(title, { trips, currentTime, reminders, calendar, fares });
+
+        // Patched timetables keep the listeners of their first render, so the
+        // handler looks up the timetable it is on when it runs
+        const selectTrip = (event) => {
+            const timeElement = event.target.closest && event.target.closest('[data-time]');
+            if (!timeElement) return;
+
+            const target = event.currentTarget;
+            const title = target.getAttribute('data-title');
+            const state = this.tripStates.get(title);
+            if (!state) return;
+
+            const selection = {
+                title: title,
+                index: timeElement.dataset.tripIndex !== undefined ? Number(timeElement.dataset.tripIndex) : null,
+                stop: timeElement.dataset.stop,
+                time: timeElement.dataset.time,
+                isToday: timeElement.dataset.today === "true"
+            };
+            const current = this.selectedTrip;
+            const isSameTrip = current &&
+                current.title === title &&
+                current.isToday === selection.isToday &&
+                (selection.index !== null ?
+                    current.index === selection.index :
+                    current.stop === selection.stop && current.time === selection.time);
+
+            this.selectedTrip = isSameTrip ? null : selection;
+            this.showTripDetails(target, state.trips, state.currentTime, state.reminders, state.calendar, state.fares);
+        };
+
+        container.addEventListener('click', selectTrip);
+        container.addEventListener('keydown', event => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                selectTrip(event);
+            }
+        });
+
+        this.showTripDetails(container, trips, currentTime, reminders, calendar, fares);
+    }
+
+    /**
+     * Shows the details of the selected trip in a timetable, or removes them
+     * if the selected trip belongs to another timetable
+     * @param {HTMLElement} container Timetable container
+     * @param {Array<Object>} trips Trips of the direction
+     * @param {string} currentTime Current time in HH:MM format
+     * @param {Object|null} [reminders] Reminder controls from the app
+     * @param {Object|null} [calendar] Calendar export controls from the app
+     * @param {Object|null} [fares] Fares of the line from FareCalculator.getFares
+     */
+    showTripDetails(container, trips, currentTime, reminders = null, calendar = null, fares = null) {
+        const existing = container.querySelector('.trip-details');
+        if (existing) {
+            existing.remove();
+        }
+
+        const selection = this.selectedTrip;
+        const title = container.getAttribute('data-title');
+        if (!selection || selection.title !== title) {
+            return;
+        }
+
+        const trip = selection.index !== null ? trips[selection.index] : null;
+        if (!trip && !reminders) {
+            return;
+        }
+
+        const details = trip ?
+            this.createTripDetails(trip, selection, currentTime) :
+            this.createDepartureDetails(selection);
+        if (fares) {
+            details.appendChild(this.createTripFare(fares));
+        }
+        if (reminders && selection.time) {
+            details.appendChild(this.createReminderToggle(container, selection, reminders));
+        }
+        if (calendar && selection.time) {
+            details.appendChild(this.createCalendarExport(selection, calendar));
+        }
+        // Its buttons are bound to this render, so updates replace rather than patch it
+        details.dataset.patch = "replace";
+        container.appendChild(details);
+    }
+
+    /**
+     * Creates the details of a departure that is not part of a trip
+     * @param {Object} selection Selected stop and time, and whether it is today
+     * @returns {HTMLElement} Details element
+     */
+    createDepartureDetails(selection) {
+        const details = document.createElement("div");
+        details.className = "trip-details";
+        details.setAttribute('role', 'region');
+
+        const header = document.createElement("div");
+        header.className = "trip-header";
+        const time = this.timeHandler.formatServiceTime(this.timeHandler.getServiceMinutes(selection.time));
+        header.textContent = this.i18n.t(selection.isToday ? 'trip.departure' : 'trip.departureTomorrow', {
+            time: time,
+            stop: this.i18n.stopName(selection.stop)
+        });
+        details.setAttribute('aria-label', header.textContent);
+        details.appendChild(header);
+
+        return details;
+    }
+
+    /**
+     * Creates the fare line of a trip's details: the single ticket prices and
+     * how to pay
+     * @param {Object} fares Fares of the line from FareCalculator.getFares
+     * @returns {HTMLElement} Fare element
+     */
+    createTripFare(fares) {
+        const i18n = this.i18n;
+        const element = document.createElement("div");
+        element.className = "trip-fare";
+
+        const single = fares.fares.single;
+        if (single) {
+            const price = traveller => single[traveller] !== undefined ? i18n.formatCurrency(single[traveller]) : "–";
+            element.appendChild(document.createTextNode(i18n.t('fares.tripFare', {
+                adult: price("adult"),
+                senior_youth: price("senior_youth")
+            })));
+        }
+        if (fares.notes.payment) {
+            const payment = document.createElement("span");
+            payment.className = "fare-payment";
+            payment.textContent = fares.notes.payment;
+            element.appendChild(payment);
+        }
+
+        return element;
+    }
+
+    /**
+     * Creates the button that sets or removes a reminder for the selected departure
+     * @param {HTMLElement} container Timetable container, its time element is marked when a reminder is set
+     * @param {Object} selection Selected stop and time, and whether it is today
+     * @param {Object} reminders Reminder controls from the app
+     * @returns {HTMLElement} Reminder button
+     */
+    createReminderToggle(container, selection, reminders) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "reminder-toggle";
+
+        const update = (isSet) => {
+            button.textContent = isSet ?
+                this.i18n.t('reminders.unset') :
+                this.i18n.t('reminders.set', { minutes: reminders.leadMinutes });
+            button.setAttribute('aria-pressed', isSet ? 'true' : 'false');
+            (button.closest('.timetable') || container).querySelectorAll('[data-time]').forEach(element => {
+                if (element.dataset.stop === selection.stop &&
+                    element.dataset.time === selection.time &&
+                    element.dataset.today === (selection.isToday ? "true" : "false")) {
+                    element.classList.toggle("reminder-set", isSet);
+                }
+            });
+        };
+
+        button.addEventListener('click', async event => {
+            event.stopPropagation();
+            const isSet = await reminders.toggle(selection.stop, selection.time, selection.isToday);
+            update(isSet);
+        });
+        update(reminders.has(selection.stop, selection.time, selection.isToday));
+
+        return button;
+    }
+
+    /**
+     * Creates the buttons that download the selected departure as a calendar
+     * file, once or repeating for the rest of the season
+     * @param {Object} selection Selected stop, time and trip, and whether it is today
+     * @param {Object} calendar Calendar export controls from the app
+     * @returns {HTMLElement} Export buttons
+     */
+    createCalendarExport(selection, calendar) {
+        const element = document.createElement("div");
+        element.className = "calendar-export";
+
+        [
+            { text: this.i18n.t('calendar.add'), create: calendar.departure },
+            { text: calendar.commuteLabel, create: calendar.commute }
+        ].forEach(({ text, create }) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.textContent = text;
+            button.addEventListener('click', event => {
+                event.stopPropagation();
+                const file = create(selection);
+                this.downloadFile(file.filename, file.content, 'text/calendar;charset=utf-8');
+            });
+            element.appendChild(button);
+        });
+
+        return element;
+    }
+
+    /**
+     * Offers generated content as a file download
+     * @param {string} filename Suggested file name
+     * @param {string|Uint8Array} content File content
+     * @param {string} type MIME type
+     */
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: type }));
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Creates the details of one trip: every stop with its time and
+     * an estimate of where the boat is now
+     * @param {Object} trip Trip from TimeHandler.buildTrips
+     * @param {Object} selection Selected stop and whether the trip runs today
+     * @param {string} currentTime Current time in HH:MM format
+     * @returns {HTMLElement} Trip details element
+     */
+    createTripDetails(trip, selection, currentTime) {
+        const timeHandler = this.timeHandler;
+        const i18n = this.i18n;
+        const first = trip.stops[0];
+        const last = trip.stops[trip.stops.length - 1];
+
+        const details = document.createElement("div");
+        details.className = "trip-details";
+        details.setAttribute('role', 'region');
+        details.setAttribute('aria-label', i18n.t('trip.region', { time: first.time, stop: i18n.stopName(first.stop) }));
+
+        const header = document.createElement("div");
+        header.className = "trip-header";
+        header.textContent = `${first.time} ${i18n.stopName(first.stop)} → ${last.time} ${i18n.stopName(last.stop)}`;
+        details.appendChild(header);
+
+        const position = selection.isToday ?
+            timeHandler.getTripPosition(trip, timeHandler.timeToMinutes(currentTime)) :
+            { status: "tomorrow" };
+
+        const positionElement = document.createElement("div");
+        positionElement.className = "trip-position";
+        positionElement.textContent = this.getTripPositionText(position);
+        details.appendChild(positionElement);
+
+        const list = document.createElement("ol");
+        list.className = "trip-stops";
+        trip.stops.forEach(tripStop => {
+            const item = document.createElement("li");
+            const time = document.createElement("span");
+            time.className = "trip-stop-time";
+            time.textContent = tripStop.time;
+            const name = document.createElement("span");
+            name.className = "trip-stop-name";
+            name.textContent = i18n.stopName(tripStop.stop);
+            item.appendChild(time);
+            item.appendChild(name);
+
+            if (tripStop.stop === selection.stop) {
+                item.classList.add("selected-stop");
+            }
+            if (selection.isToday && tripStop.minutes < timeHandler.timeToMinutes(currentTime)) {
+                item.classList.add("passed-stop");
+            }
+            list.appendChild(item);
+        });
+        details.appendChild(list);
+
+        return details;
+    }
+
+    /**
+     * Describes a trip position in words
+     * @param {Object} position Position from TimeHandler.getTripPosition
+     * @returns {string} Position description
+     */
+    getTripPositionText(position) {
+        const i18n = this.i18n;
+        switch (position.status) {
+            case "tomorrow":
+                return i18n.t('trip.tomorrow');
+            case "upcoming":
+                return i18n.t('trip.upcoming', {
+                    stop: i18n.stopName(position.stop),
+                    minutes: position.minutesUntilDeparture
+                });
+            case "at":
+                return i18n.t('trip.at', { stop: i18n.stopName(position.stop) });
+            case "between":
+                return i18n.t('trip.between', { from: i18n.stopName(position.from), to: i18n.stopName(position.to) });
+            default:
+                return i18n.t('trip.finished');
+        }
+    }
+
+    /**
+     * Creates a note explaining struck-through departures
+     * @param {string[]} reasons Unique cancellation reasons shown in the timetable
+     * @returns {HTMLElement} Note element
+     */
+    createCancellationNote(reasons) {
+        const note = document.createElement("div");
+        note.className = "cancellation-note";
+        const reasonText = reasons.filter(Boolean).join(', ');
+        note.textContent = reasonText ?
+            this.i18n.t('timetable.cancellationNoteReasons', { reasons: reasonText }) :
+            this.i18n.t('timetable.cancellationNote');
+        return note;
+    }
+
+    /**
+     * Creates the banner shown while the board runs on a simulated time
+     * @param {string} timeText Simulated date and time, e.g. "2025-06-20 23:30"
+     * @param {Function} onExit Called when the user returns to the real time
+     * @returns {HTMLElement} Banner element
+     */
+    createSimulatedTimeBanner(timeText, onExit) {
+        const banner = document.createElement("div");
+        banner.className = "notification warning simulated-time";
+        banner.setAttribute('role', 'status');
+        banner.dataset.patch = "replace";
+
+        const text = document.createElement("span");
+        text.textContent = this.i18n.t('simulated.banner', { time: timeText });
+        banner.appendChild(text);
+
+        const exit = document.createElement("button");
+        exit.type = "button";
+        exit.textContent = this.i18n.t('simulated.exit');
+        exit.addEventListener('click', onExit);
+        banner.appendChild(exit);
+
+        return banner;
+    }
+
+    /**
+     * Creates the offline and update indicator shown above the timetables
+     * @param {Object} status Cache status
+     * @param {boolean} status.offline True if the timetable is served from the offline cache
+     * @param {boolean} status.updateAvailable True if a newer timetable has been downloaded
+     * @param {Function} onUpdate Called when the user asks to load the newer timetable
+     * @returns {HTMLElement|null} Indicator element, or null if there is nothing to show
+     */
+    createCacheStatus(status, onUpdate) {
+        if (!status.offline && !status.updateAvailable) {
+            return null;
+        }
+
+        const indicator = document.createElement("div");
+        indicator.className = "cache-status";
+
+        if (status.offline) {
+            const offline = document.createElement("span");
+            offline.className = "cache-offline";
+            offline.textContent = this.i18n.t('cache.offline');
+            indicator.appendChild(offline);
+        }
+
+        if (status.updateAvailable) {
+            const update = document.createElement("button");
+            update.type = "button";
+            update.className = "cache-update";
+            update.textContent = this.i18n.t('cache.update');
+            update.addEventListener("click", onUpdate);
+            indicator.appendChild(update);
+        }
+
+        return indicator;
+    }
+
+    /**
+     * Creates the view controls for route, direction, stop, date and simulated time
+     * @param {Array<Object>} routeViews Unfiltered route views from the route model
+     * @param {string[]} stops Stops to choose between
+     * @param {Object} state Current view state
+     * @param {Function} onChange Called with the new view state when a control changes
+     * @returns {HTMLElement} View controls element
+     */
+    createViewControls(routeViews, stops, state, onChange) {
+        const i18n = this.i18n;
+        const controls = document.createElement("form");
+        controls.className = "view-controls";
+        controls.setAttribute('aria-label', i18n.t('controls.label'));
+
+        const createSelect = (name, label, options) => {
+            const wrapper = document.createElement("label");
+            wrapper.textContent = label;
+            const select = document.createElement("select");
+            select.name = name;
+            options.forEach(([value, text]) => {
+                const option = document.createElement("option");
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+            select.value = state[name] || "";
+            wrapper.appendChild(select);
+            controls.appendChild(wrapper);
+            return select;
+        };
+
+        const selectedRoute = routeViews.find(view => view.key === state.route);
+        const directionOptions = selectedRoute ?
+            selectedRoute.directions
+                .filter(direction => direction.key !== null)
+                .map(direction => [direction.key, direction.title]) :
+            [["outbound", i18n.t('controls.outbound')], ["return", i18n.t('controls.return')]];
+
+        const route = createSelect("route", i18n.t('controls.route'), [["", i18n.t('controls.allRoutes')],
+            ...routeViews.map(view => [view.key, view.name])]);
+        const direction = createSelect("direction", i18n.t('controls.direction'),
+            [["", i18n.t('controls.allDirections')], ...directionOptions]);
+        const stop = createSelect("stop", i18n.t('controls.stop'),
+            [["", i18n.t('controls.defaultStop')], ...stops.map(name => [name, i18n.stopName(name)])]);
+
+        const createInput = (name, label, type) => {
+            const wrapper = document.createElement("label");
+            wrapper.textContent = label;
+            const input = document.createElement("input");
+            input.type = type;
+            input.name = name;
+            input.value = state[name] || "";
+            wrapper.appendChild(input);
+            controls.appendChild(wrapper);
+            return input;
+        };
+
+        const date = createInput("date", i18n.t('controls.date'), "date");
+        const at = createInput("at", i18n.t('controls.at'), "datetime-local");
+
+        const emitChange = (event) => {
+            onChange({
+                route: route.value || null,
+                // A direction only makes sense for the route it was chosen for
+                direction: event && event.target === route ? null : direction.value || null,
+                stop: stop.value || null,
+                date: date.value || null,
+                at: at.value ? at.value.slice(0, 16) : null
+            });
+        };
+        [route, direction, stop, date, at].forEach(control => control.addEventListener('change', emitChange));
+        controls.addEventListener('submit', event => event.preventDefault());
+
+        return controls;
+    }
+
+    /**
+     * Marks every row of a stop as focused, optionally scrolling the first into view
+     * @param {HTMLElement} wrapper Root element containing the timetables
+     * @param {string} stop Stop to focus
+     * @param {boolean} [scroll=false] Scroll the first row of the stop into view
+     */
+    focusStop(wrapper, stop, scroll = false) {
+        const rows = Array.from(wrapper.querySelectorAll('.row')).filter(element => element.dataset.stop === stop);
+        rows.forEach(row => row.classList.add("focused-stop"));
+        if (scroll && rows.length > 0) {
+            rows[0].scrollIntoView({ block: 'center' });
+        }
+    }
+
+    /**
+     * Creates the journey planner with from/to pickers and a results area
+     * @param {string[]} stops Stops to choose between
+     * @param {Function} onSearch Called with { origin, destination, mode, time } on submit,
+     *                            returns the journeys to show
+     * @returns {HTMLElement} Journey planner element
+     */
+    createJourneyPlanner(stops, onSearch) {
+        const i18n = this.i18n;
+        const planner = this.createWrapper();
+        planner.classList.add("journey-planner");
+        planner.setAttribute('aria-label', i18n.t('planner.label'));
+
+        const title = document.createElement("div");
+        title.className = "title-section";
+        const titleElement = document.createElement("div");
+        titleElement.className = "title";
+        titleElement.setAttribute('role', 'heading');
+        titleElement.setAttribute('aria-level', '1');
+        titleElement.textContent = i18n.t('planner.heading');
+        title.appendChild(titleElement);
+        planner.appendChild(title);
+
+        const form = document.createElement("form");
+        form.className = "planner-form";
+
+        const createSelect = (name, label, options) => {
+            const wrapper = document.createElement("label");
+            wrapper.textContent = label;
+            const select = document.createElement("select");
+            select.name = name;
+            options.forEach(([value, text]) => {
+                const option = document.createElement("option");
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+            wrapper.appendChild(select);
+            form.appendChild(wrapper);
+            return select;
+        };
+
+        const stopOptions = stops.map(stop => [stop, i18n.stopName(stop)]);
+        const origin = createSelect("origin", i18n.t('planner.from'), stopOptions);
+        const destination = createSelect("destination", i18n.t('planner.to'), stopOptions);
+        if (stops.length > 1) {
+            destination.value = stops[1];
+        }
+        const mode = createSelect("mode", i18n.t('planner.when'),
+            [["depart", i18n.t('planner.departAfter')], ["arrive", i18n.t('planner.arriveBy')]]);
+
+        const timeInput = document.createElement("input");
+        timeInput.type = "time";
+        timeInput.name = "time";
+        timeInput.setAttribute('aria-label', i18n.t('planner.time'));
+        form.appendChild(timeInput);
+
+        const submit = document.createElement("button");
+        submit.type = "submit";
+        submit.textContent = i18n.t('planner.search');
+        form.appendChild(submit);
+
+        const results = document.createElement("div");
+        results.className = "planner-results";
+        results.setAttribute('aria-live', 'polite');
+
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            const journeys = onSearch({
+                origin: origin.value,
+                destination: destination.value,
+                mode: mode.value,
+                time: timeInput.value
+            });
+            results.innerHTML = '';
+            results.appendChild(this.createJourneyList(journeys));
+        });
+
+        planner.appendChild(form);
+        planner.appendChild(results);
+        return planner;
+    }
+
+    /**
+     * Creates a list of planned journeys
+     * @param {Array<Object>} journeys Journeys from JourneyPlanner.plan
+     * @returns {HTMLElement} Journey list element
+     */
+    createJourneyList(journeys) {
+        const i18n = this.i18n;
+        if (journeys.length === 0) {
+            const empty = document.createElement("div");
+            empty.className = "notification warning";
+            empty.textContent = i18n.t('planner.none');
+            return empty;
+        }
+
+        const list = document.createElement("ol");
+        list.className = "journey-list";
+
+        journeys.forEach(journey => {
+            const item = document.createElement("li");
+            item.className = "journey";
+
+            const summary = document.createElement("div");
+            summary.className = "journey-summary";
+            const transfers = journey.transfers === 0 ?
+                i18n.t('planner.direct') :
+                i18n.t('planner.transfers', { count: journey.transfers });
+            summary.textContent = i18n.t('planner.summary', {
+                departure: journey.departure,
+                arrival: journey.arrival,
+                duration: journey.duration,
+                transfers: transfers
+            });
+            item.appendChild(summary);
+
+            const legs = document.createElement("ul");
+            legs.className = "journey-legs";
+            journey.legs.forEach((leg, index) => {
+                if (index > 0) {
+                    const wait = document.createElement("li");
+                    wait.className = "journey-transfer";
+                    wait.textContent = i18n.t('planner.transfer', {
+                        stop: i18n.stopName(leg.from),
+                        minutes: journey.transferWaits[index - 1].minutes
+                    });
+                    legs.appendChild(wait);
+                }
+
+                const legItem = document.createElement("li");
+                legItem.className = "journey-leg";
+                legItem.textContent = i18n.t('planner.leg', {
+                    departure: leg.departure,
+                    from: i18n.stopName(leg.from),
+                    arrival: leg.arrival,
+                    to: i18n.stopName(leg.to),
+                    route: leg.routeName
+                });
+                legs.appendChild(legItem);
+            });
+            item.appendChild(legs);
+
+            list.appendChild(item);
+        });
+
+        return list;
+    }
+
+    /**
+     * Creates the fares panel: the fares of each line with their notes, and a
+     * calculator that recommends the cheapest ticket for regular trips
+     * @param {Array<Object>} routes Lines with key, name and fares, from FareCalculator.getPricedRoutes
+     * @param {Function} onCalculate Called with { route, tripsPerWeek, travellers } on submit,
+     *                               returns the result of FareCalculator.calculate
+     * @returns {HTMLElement} Fares panel element
+     */
+    createFaresPanel(routes, onCalculate) {
+        const i18n = this.i18n;
+        const travellerTypes = ["adult", "senior_youth"];
+        const panel = this.createWrapper();
+        panel.classList.add("fares-panel");
+        panel.setAttribute('aria-label', i18n.t('fares.heading'));
+
+        const title = document.createElement("div");
+        title.className = "title-section";
+        const titleElement = document.createElement("div");
+        titleElement.className = "title";
+        titleElement.setAttribute('role', 'heading');
+        titleElement.setAttribute('aria-level', '1');
+        titleElement.textContent = i18n.t('fares.heading');
+        title.appendChild(titleElement);
+        panel.appendChild(title);
+
+        routes.forEach(route => {
+            const section = document.createElement("div");
+            section.className = "fare-route";
+
+            const name = document.createElement("div");
+            name.className = "departures-header";
+            name.setAttribute('role', 'heading');
+            name.setAttribute('aria-level', '2');
+            name.textContent = route.name;
+            section.appendChild(name);
+
+            const table = document.createElement("table");
+            table.className = "fare-table";
+            const header = document.createElement("tr");
+            ["ticket", ...travellerTypes].forEach(key => {
+                const cell = document.createElement("th");
+                cell.setAttribute('scope', 'col');
+                cell.textContent = i18n.t(`fares.${key}`);
+                header.appendChild(cell);
+            });
+            table.appendChild(header);
+
+            Object.entries(route.fares.fares).forEach(([type, fare]) => {
+                const row = document.createElement("tr");
+                const ticket = document.createElement("th");
+                ticket.setAttribute('scope', 'row');
+                ticket.textContent = i18n.t(`fares.${type}`, { trips: fare.trips });
+                row.appendChild(ticket);
+                travellerTypes.forEach(traveller => {
+                    const cell = document.createElement("td");
+                    cell.textContent = fare[traveller] !== undefined ? i18n.formatCurrency(fare[traveller]) : "–";
+                    row.appendChild(cell);
+                });
+                table.appendChild(row);
+            });
+            section.appendChild(table);
+
+            // Notes are texts from the timetable data, only the youth age needs a label
+            const notes = Object.entries(route.fares.notes);
+            if (notes.length > 0) {
+                const list = document.createElement("ul");
+                list.className = "fare-notes";
+                notes.forEach(([key, note]) => {
+                    const item = document.createElement("li");
+                    item.textContent = key === "youth_age" ? i18n.t('fares.youthAge', { age: note }) : note;
+                    list.appendChild(item);
+                });
+                section.appendChild(list);
+            }
+            panel.appendChild(section);
         });
 
+        const form = document.createElement("form");
+        form.className = "fare-calculator";
+        const heading = document.createElement("div");
+        heading.className = "departures-header";
+        heading.setAttribute('role', 'heading');
+        heading.setAttribute('aria-level', '2');
+        heading.textContent = i18n.t('fares.calculator');
+        form.appendChild(heading);
+
+        const createNumberInput = (name, label, value, max) => {
+            const wrapper = document.createElement("label");
+            wrapper.textContent = label;
+            const input = document.createElement("input");
+            input.type = "number";
+            input.name = name;
+            input.min = "0";
+            input.max = String(max);
+            input.value = String(value);
+            wrapper.appendChild(input);
+            form.appendChild(wrapper);
+            return input;
+        };
+
+        // A line to choose is only asked for when more than one line has fares
+        let routeSelect = null;
+        if (routes.length > 1) {
+            const wrapper = document.createElement("label");
+            wrapper.textContent = i18n.t('fares.route');
+            routeSelect = document.createElement("select");
+            routeSelect.name = "route";
+            routes.forEach(route => {
+                const option = document.createElement("option");
+                option.value = route.key;
+                option.textContent = route.name;
+                routeSelect.appendChild(option);
+            });
+            wrapper.appendChild(routeSelect);
+            form.appendChild(wrapper);
+        }
+        const tripsPerWeek = createNumberInput("tripsPerWeek", i18n.t('fares.tripsPerWeek'), 10, 50);
+        const travellers = {
+            adult: createNumberInput("adult", i18n.t('fares.adult'), 1, 20),
+            senior_youth: createNumberInput("senior_youth", i18n.t('fares.senior_youth'), 0, 20),
+            child: createNumberInput("child", i18n.t('fares.child'), 0, 20)
+        };
+
+        const submit = document.createElement("button");
+        submit.type = "submit";
+        submit.textContent = i18n.t('fares.calculate');
+        form.appendChild(submit);
+
+        const results = document.createElement("div");
+        results.className = "fare-results";
+        results.setAttribute('aria-live', 'polite');
+
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            const counts = {};
+            Object.entries(travellers).forEach(([type, input]) => {
+                counts[type] = Number(input.value) || 0;
+            });
+            const result = onCalculate({
+                route: routeSelect ? routeSelect.value : routes[0].key,
+                tripsPerWeek: Number(tripsPerWeek.value) || 0,
+                travellers: counts
+            });
+            results.innerHTML = '';
+            results.appendChild(this.createFareResult(result));
+        });
+
+        form.appendChild(results);
+        panel.appendChild(form);
+        return panel;
+    }
+
+    /**
+     * Creates the calculator's comparison of ticket options
+     * @param {Object} result Result of FareCalculator.calculate
+     * @returns {HTMLElement} Result element
+     */
+    createFareResult(result) {
+        const i18n = this.i18n;
+        if (result.options.length === 0 || result.options[0].cost === 0) {
+            const message = document.createElement("div");
+            message.className = "notification warning";
+            message.textContent = result.options.length === 0 ? i18n.t('fares.noOptions') : i18n.t('fares.free');
+            return message;
+        }
+
+        const element = document.createElement("div");
+        const summary = document.createElement("div");
+        summary.className = "fare-summary";
+        summary.textContent = i18n.t('fares.tripsPerMonth', { trips: result.tripsPerMonth });
+        element.appendChild(summary);
+
+        const list = document.createElement("ol");
+        list.className = "fare-options";
+        result.options.forEach((option, index) => {
+            const item = document.createElement("li");
+            item.textContent = i18n.t('fares.optionCost', {
+                option: i18n.t(`fares.option.${option.type}`, { count: option.tickets }),
+                cost: i18n.formatCurrency(option.cost)
+            });
+            if (index === 0) {
+                item.classList.add("fare-cheapest");
+                const badge = document.createElement("span");
+                badge.className = "fare-badge";
+                badge.textContent = i18n.t('fares.cheapest');
+                item.appendChild(badge);
+            }
+            list.appendChild(item);
+        });
+        element.appendChild(list);
+
+        return element;
+    }
+
+    /**
+     * Creates the reminder panel: the weekday morning rule and the list of set reminders
+     * @param {Object} state Reminder state
+     * @param {Array<Object>} state.reminders Reminders from ReminderScheduler.getReminders
+     * @param {Object} state.rule Morning rule with enabled, stop and leadMinutes
+     * @param {string[]} state.stops Stops to choose from for the morning rule
+     * @param {string|null} [state.message] Message to show, e.g. when notifications are blocked
+     * @param {Object} handlers Callbacks
+     * @param {Function} handlers.onRuleChange Called with the changed morning rule
+     * @param {Function} handlers.onRemove Called with a reminder to remove
+     * @returns {HTMLElement} Reminder panel element
+     */
+    createReminderPanel(state, handlers) {
+        const i18n = this.i18n;
+        const panel = this.createWrapper();
+        panel.classList.add("reminder-panel");
+        panel.setAttribute('aria-label', i18n.t('reminders.heading'));
+
+        const title = document.createElement("div");
+        title.className = "title-section";
+        const titleElement = document.createElement("div");
+        titleElement.className = "title";
+        titleElement.setAttribute('role', 'heading');
+        titleElement.setAttribute('aria-level', '1');
+        titleElement.textContent = i18n.t('reminders.heading');
+        title.appendChild(titleElement);
+        panel.appendChild(title);
+
+        if (state.message) {
+            const message = document.createElement("div");
+            message.className = "notification warning";
+            message.textContent = state.message;
+            panel.appendChild(message);
+        }
+
+        // Weekday morning rule
+        const form = document.createElement("div");
+        form.className = "reminder-rule";
+
+        const enabledLabel = document.createElement("label");
+        const enabled = document.createElement("input");
+        enabled.type = "checkbox";
+        enabled.checked = state.rule.enabled;
+        enabledLabel.appendChild(enabled);
+        enabledLabel.appendChild(document.createTextNode(` ${i18n.t('reminders.morningRule')}`));
+        form.appendChild(enabledLabel);
+
+        const stop = document.createElement("select");
+        stop.setAttribute('aria-label', i18n.t('reminders.stop'));
+        state.stops.forEach(name => {
+            const option = document.createElement("option");
+            option.value = name;
+            option.textContent = i18n.stopName(name);
+            stop.appendChild(option);
+        });
+        stop.value = state.rule.stop || this.config.highlightStop;
+        form.appendChild(stop);
+
+        const lead = document.createElement("input");
+        lead.type = "number";
+        lead.min = "1";
+        lead.max = "60";
+        lead.value = state.rule.leadMinutes;
+        lead.setAttribute('aria-label', i18n.t('reminders.leadLabel'));
+        form.appendChild(lead);
+        form.appendChild(document.createTextNode(` ${i18n.t('reminders.leadSuffix')}`));
+
+        const onRuleChange = () => handlers.onRuleChange({
+            enabled: enabled.checked,
+            stop: stop.value,
+            leadMinutes: Math.max(1, Number(lead.value) || state.rule.leadMinutes)
+        });
+        [enabled, stop, lead].forEach(input => input.addEventListener('change', onRuleChange));
+        panel.appendChild(form);
+
+        // Reminders for single departures
+        const list = document.createElement("ul");
+        list.className = "reminder-list";
+        if (state.reminders.length === 0) {
+            const empty = document.createElement("li");
+            empty.className = "reminder-empty";
+            empty.textContent = i18n.t('reminders.empty');
+            list.appendChild(empty);
+        }
+        state.reminders.forEach(reminder => {
+            const item = document.createElement("li");
+            item.textContent = i18n.t('reminders.item', {
+                date: i18n.formatDate(reminder.date, "short"),
+                time: reminder.time,
+                stop: i18n.stopName(reminder.stop),
+                minutes: reminder.leadMinutes
+            });
+
+            const remove = document.createElement("button");
+            remove.type = "button";
+            remove.textContent = i18n.t('reminders.remove');
+            remove.setAttribute('aria-label', i18n.t('reminders.removeLabel', {
+                time: reminder.time,
+                stop: i18n.stopName(reminder.stop)
+            }));
+            remove.addEventListener('click', () => handlers.onRemove(reminder));
+            item.appendChild(remove);
+            list.appendChild(item);
+        });
+        panel.appendChild(list);
+
+        return panel;
+    }
+
+    /**
+     * Creates the GTFS panel with a download of the shown timetable and an
+     * upload for viewing another feed
+     * @param {Object} state Panel state
+     * @param {Object|null} state.imported Uploaded feed being shown, with name and the warnings of GtfsConverter.importFeed
+     * @param {string|null} state.message Error message to show, if any
+     * @param {Object} handlers Callbacks
+     * @param {Function} handlers.onExport Called when the user downloads the feed
+     * @param {Function} handlers.onImport Called with the chosen feed file
+     * @param {Function} handlers.onRestore Called to go back to the published timetable
+     * @returns {HTMLElement} GTFS panel element
+     */
+    createGtfsPanel(state, handlers) {
+        const i18n = this.i18n;
+        const panel = this.createWrapper();
+        panel.classList.add("gtfs-panel");
+        panel.setAttribute('aria-label', 'GTFS');
+
+        const title = document.createElement("div");
+        title.className = "title-section";
+        const titleElement = document.createElement("div");
+        titleElement.className = "title";
+        titleElement.setAttribute('role', 'heading');
+        titleElement.setAttribute('aria-level', '1');
+        titleElement.textContent = "GTFS";
+        title.appendChild(titleElement);
+        panel.appendChild(title);
+
+        if (state.message) {
+            const message = document.createElement("div");
+            message.className = "notification error";
+            message.textContent = state.message;
+            panel.appendChild(message);
+        }
+
+        if (state.imported) {
+            const notice = document.createElement("div");
+            notice.className = "notification warning";
+            notice.setAttribute('role', 'status');
+            notice.appendChild(document.createTextNode(i18n.t('gtfs.imported', { file: state.imported.name })));
+
+            const restore = document.createElement("button");
+            restore.type = "button";
+            restore.textContent = i18n.t('gtfs.restore');
+            restore.addEventListener('click', handlers.onRestore);
+            notice.appendChild(restore);
+            panel.appendChild(notice);
+
+            if (state.imported.warnings.length > 0) {
+                const report = this.createValidationReport(state.imported.warnings
+                    .map(warning => i18n.t(warning.messageKey, warning.messageParams)));
+                report.querySelector("summary").textContent = i18n.t('gtfs.warnings', { count: state.imported.warnings.length });
+                panel.appendChild(report);
+            }
+        }
+
+        const actions = document.createElement("div");
+        actions.className = "gtfs-actions";
+
+        const download = document.createElement("button");
+        download.type = "button";
+        download.textContent = i18n.t('gtfs.download');
+        download.addEventListener('click', handlers.onExport);
+        actions.appendChild(download);
+
+        const uploadLabel = document.createElement("label");
+        uploadLabel.className = "gtfs-upload";
+        const upload = document.createElement("input");
+        upload.type = "file";
+        upload.accept = ".zip,application/zip";
+        upload.addEventListener('change', () => {
+            if (upload.files.length > 0) {
+                handlers.onImport(upload.files[0]);
+            }
+        });
+        uploadLabel.appendChild(document.createTextNode(i18n.t('gtfs.upload')));
+        uploadLabel.appendChild(upload);
+        actions.appendChild(uploadLabel);
+
+        panel.appendChild(actions);
+        return panel;
+    }
+
+    /**
+     * Creates the settings panel. Every change is passed on at once, so the
+     * timetables follow the settings without a reload
+     * @param {Object} state Panel state
+     * @param {Object} state.settings Saved settings merged with the defaults
+     * @param {string[]} state.stops Stops to choose from
+     * @param {Array<Object>} state.routes Routes with key and name, in display order
+     * @param {string[]} state.overridden Settings overridden by the URL
+     * @param {Object|null} state.message Message with text and type, if any
+     * @param {Object} handlers Callbacks
+     * @param {Function} handlers.onChange Called with the changed settings
+     * @param {Function} handlers.onReset Called to go back to the default settings
+     * @param {Function} handlers.onExport Called when the user downloads the settings
+     * @param {Function} handlers.onImport Called with the chosen settings file
+     * @param {Function} handlers.onClearOverrides Called to drop the overrides in the URL
+     * @returns {HTMLElement} Settings panel element
+     */
+    createSettingsPanel(state, handlers) {
+        const i18n = this.i18n;
+        const settings = state.settings;
+        const label = key => i18n.t(`settings.${key}`);
+
+        const panel = this.createWrapper();
+        panel.classList.add("settings-panel");
+        panel.setAttribute('aria-label', i18n.t('settings.heading'));
+
+        const title = document.createElement("div");
+        title.className = "title-section";
+        const titleElement = document.createElement("div");
+        titleElement.className = "title";
+        titleElement.setAttribute('role', 'heading');
+        titleElement.setAttribute('aria-level', '1');
+        titleElement.textContent = i18n.t('settings.heading');
+        title.appendChild(titleElement);
+        panel.appendChild(title);
+
+        if (state.message) {
+            const message = document.createElement("div");
+            message.className = `notification ${state.message.type}`;
+            message.setAttribute('role', 'status');
+            message.textContent = state.message.text;
+            panel.appendChild(message);
+        }
+
+        if (state.overridden.length > 0) {
+            const notice = document.createElement("div");
+            notice.className = "notification warning";
+            notice.appendChild(document.createTextNode(i18n.t('settings.overridden', {
+                settings: state.overridden.map(key => label(key).toLowerCase()).join(', ')
+            })));
+            const clear = document.createElement("button");
+            clear.type = "button";
+            clear.textContent = i18n.t('settings.clearOverrides');
+            clear.addEventListener('click', handlers.onClearOverrides);
+            notice.appendChild(clear);
+            panel.appendChild(notice);
+        }
+
+        const form = document.createElement("div");
+        form.className = "settings-form";
+
+        const addField = (key, control, suffix = null) => {
+            const field = document.createElement("label");
+            field.appendChild(document.createTextNode(`${label(key)} `));
+            field.appendChild(control);
+            if (suffix) {
+                field.appendChild(document.createTextNode(` ${suffix}`));
+            }
+            form.appendChild(field);
+        };
+
+        // An empty value follows the browser's language
+        const language = document.createElement("select");
+        language.name = "language";
+        [["", i18n.t('settings.browserLanguage')],
+            ...i18n.getLanguages().map(code => [code, i18n.t(`language.${code}`)])].forEach(([value, text]) => {
+            const option = document.createElement("option");
+            option.value = value;
+            option.textContent = text;
+            language.appendChild(option);
+        });
+        language.value = settings.language || "";
+        language.addEventListener('change', () => handlers.onChange({ language: language.value || null }));
+        addField("language", language);
+
+        const createStopSelect = key => {
+            const select = document.createElement("select");
+            select.name = key;
+            state.stops.forEach(name => {
+                const option = document.createElement("option");
+                option.value = name;
+                option.textContent = i18n.stopName(name);
+                select.appendChild(option);
+            });
+            select.value = settings[key];
+            select.addEventListener('change', () => handlers.onChange({ [key]: select.value }));
+            addField(key, select);
+        };
+        createStopSelect("highlightStop");
+        createStopSelect("cityReturnStop");
+
+        const createNumberInput = (key, min, max, scale, suffix) => {
+            const input = document.createElement("input");
+            input.type = "number";
+            input.name = key;
+            input.min = String(min);
+            input.max = String(max);
+            input.value = settings[key] / scale;
+            input.addEventListener('change', () => {
+                const value = Math.min(max, Math.max(min, Math.round(Number(input.value)) || min));
+                handlers.onChange({ [key]: value * scale });
+            });
+            addField(key, input, suffix);
+        };
+        createNumberInput("maxVisibleDepartures", 1, 30, 1, null);
+        createNumberInput("updateInterval", 10, 600, 1000, "s");
+
+        const timeDisplay = document.createElement("select");
+        timeDisplay.name = "timeDisplay";
+        ["clock", "countdown", "hybrid"].forEach(mode => {
+            const option = document.createElement("option");
+            option.value = mode;
+            option.textContent = i18n.t(`settings.time.${mode}`);
+            timeDisplay.appendChild(option);
+        });
+        timeDisplay.value = settings.timeDisplay;
+        timeDisplay.addEventListener('change', () => handlers.onChange({ timeDisplay: timeDisplay.value }));
+        addField("timeDisplay", timeDisplay);
+
+        const bothDirections = document.createElement("input");
+        bothDirections.type = "checkbox";
+        bothDirections.name = "showBothDirections";
+        bothDirections.checked = settings.showBothDirections;
+        bothDirections.addEventListener('change', () => handlers.onChange({ showBothDirections: bothDirections.checked }));
+        const bothLabel = document.createElement("label");
+        bothLabel.appendChild(bothDirections);
+        bothLabel.appendChild(document.createTextNode(` ${label('showBothDirections')}`));
+        form.appendChild(bothLabel);
+        panel.appendChild(form);
+
+        // Route visibility and order; moving a route saves the whole order
+        const hidden = settings.hiddenRoutes || [];
+        const keys = state.routes.map(route => route.key);
+        const list = document.createElement("ul");
+        list.className = "settings-routes";
+        list.setAttribute('aria-label', i18n.t('settings.routes'));
+        state.routes.forEach((route, index) => {
+            const item = document.createElement("li");
+
+            const visibleLabel = document.createElement("label");
+            const visible = document.createElement("input");
+            visible.type = "checkbox";
+            visible.checked = !hidden.includes(route.key);
+            visible.addEventListener('change', () => handlers.onChange({
+                hiddenRoutes: visible.checked ?
+                    hidden.filter(key => key !== route.key) :
+                    [...hidden, route.key]
+            }));
+            visibleLabel.appendChild(visible);
+            visibleLabel.appendChild(document.createTextNode(` ${route.name}`));
+            item.appendChild(visibleLabel);
+
+            [["↑", 'settings.moveUp', -1], ["↓", 'settings.moveDown', 1]].forEach(([text, key, step]) => {
+                const move = document.createElement("button");
+                move.type = "button";
+                move.textContent = text;
+                move.setAttribute('aria-label', i18n.t(key, { route: route.name }));
+                move.disabled = index + step < 0 || index + step >= keys.length;
+                move.addEventListener('click', () => {
+                    const order = [...keys];
+                    [order[index], order[index + step]] = [order[index + step], order[index]];
+                    handlers.onChange({ routeOrder: order });
+                });
+                item.appendChild(move);
+            });
+            list.appendChild(item);
+        });
+        panel.appendChild(list);
+
+        const actions = document.createElement("div");
+        actions.className = "settings-actions";
+
+        const download = document.createElement("button");
+        download.type = "button";
+        download.textContent = i18n.t('settings.export');
+        download.addEventListener('click', handlers.onExport);
+        actions.appendChild(download);
+
+        const uploadLabel = document.createElement("label");
+        uploadLabel.className = "settings-upload";
+        const upload = document.createElement("input");
+        upload.type = "file";
+        upload.accept = ".json,application/json";
+        upload.addEventListener('change', () => {
+            if (upload.files.length > 0) {
+                handlers.onImport(upload.files[0]);
+            }
+        });
+        uploadLabel.appendChild(document.createTextNode(i18n.t('settings.import')));
+        uploadLabel.appendChild(upload);
+        actions.appendChild(uploadLabel);
+
+        const reset = document.createElement("button");
+        reset.type = "button";
+        reset.textContent = i18n.t('settings.reset');
+        reset.addEventListener('click', handlers.onReset);
+        actions.appendChild(reset);
+
+        panel.appendChild(actions);
+        return panel;
+    }
+
+    /**
+     * Creates the timetable editor of editor.html. Structural changes such as a
+     * new stop redraw the editor; typed times are only passed on, so the grid
+     * keeps its focus while the validation and preview follow
+     * @param {Object} state Editor state
+     * @param {string} state.fileName Name the timetable is downloaded as
+     * @param {Object|null} state.message Message with text and type, if any
+     * @param {Object} state.metadata Version and valid period of the timetable
+     * @param {Array<Object>} state.routes Routes with key, name and hasDirections
+     * @param {string} state.routeKey Selected route
+     * @param {Array<Object>} state.directions Directions of the route with key and title
+     * @param {string|null} state.directionKey Selected direction
+     * @param {string[]} state.scheduleTypes Schedule types to choose from
+     * @param {string} state.scheduleType Selected schedule type
+     * @param {boolean} state.hasSchedule True if the direction has the selected schedule
+     * @param {Object} state.grid Stops and rows of times from TimetableEditor.getGrid
+     * @param {Object} state.gridIssues Issues of the grid from TimetableEditor.getGridIssues
+     * @param {Object} state.exceptions Exception dates and day type rules of the route
+     * @param {string[]} state.dayTypes Holiday calendar day types
+     * @param {string[]} state.dayTypeRules Schedules a day type can run
+     * @param {string[]} state.issues Formatted validation issues of the timetable
+     * @param {string} state.previewAt Time the preview shows, YYYY-MM-DDTHH:MM
+     * @param {Object} handlers Callbacks, named after the edit they make
+     * @returns {HTMLElement} Editor element; the preview board goes in its .editor-preview-board
+     */
+    createEditor(state, handlers) {
+        const i18n = this.i18n;
+        const panel = this.createWrapper();
+        panel.classList.add("editor-panel");
+        panel.setAttribute('aria-label', i18n.t('editor.heading'));
+
+        const createButton = (text, onClick, label = null) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.textContent = text;
+            if (label) {
+                button.setAttribute('aria-label', label);
+            }
+            button.addEventListener('click', onClick);
+            return button;
+        };
+        const createField = (text, control) => {
+            const field = document.createElement("label");
+            field.appendChild(document.createTextNode(`${text} `));
+            field.appendChild(control);
+            return field;
+        };
+        const createInput = (value, onChange, type = "text") => {
+            const input = document.createElement("input");
+            input.type = type;
+            input.value = value || "";
+            input.addEventListener('change', () => onChange(input.value));
+            return input;
+        };
+        const createSelect = (options, value, onChange) => {
+            const select = document.createElement("select");
+            options.forEach(([optionValue, text]) => {
+                const option = document.createElement("option");
+                option.value = optionValue;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+            select.value = value;
+            select.addEventListener('change', () => onChange(select.value));
+            return select;
+        };
+        const createFileInput = (text, accept, onFile) => {
+            const label = document.createElement("label");
+            label.className = "editor-upload";
+            const input = document.createElement("input");
+            input.type = "file";
+            input.accept = accept;
+            input.addEventListener('change', () => {
+                if (input.files.length > 0) {
+                    onFile(input.files[0]);
+                }
+            });
+            label.appendChild(document.createTextNode(text));
+            label.appendChild(input);
+            return label;
+        };
+        const createSection = (heading, className) => {
+            const section = document.createElement("section");
+            section.className = className;
+            const title = document.createElement("h2");
+            title.textContent = heading;
+            section.appendChild(title);
+            panel.appendChild(section);
+            return section;
+        };
+
+        const title = document.createElement("div");
+        title.className = "title-section";
+        const titleElement = document.createElement("div");
+        titleElement.className = "title";
+        titleElement.setAttribute('role', 'heading');
+        titleElement.setAttribute('aria-level', '1');
+        titleElement.textContent = i18n.t('editor.heading');
+        title.appendChild(titleElement);
+        panel.appendChild(title);
+
+        if (state.message) {
+            const message = document.createElement("div");
+            message.className = `notification ${state.message.type}`;
+            message.setAttribute('role', 'status');
+            message.textContent = state.message.text;
+            panel.appendChild(message);
+        }
+
+        const actions = document.createElement("div");
+        actions.className = "editor-actions";
+        actions.appendChild(createFileInput(i18n.t('editor.open'), ".json,application/json", handlers.onOpen));
+        actions.appendChild(createButton(i18n.t('editor.loadPublished'), handlers.onLoadPublished));
+        actions.appendChild(createButton(i18n.t('editor.download', { file: state.fileName }), handlers.onDownload));
+        panel.appendChild(actions);
+
+        const metadata = document.createElement("div");
+        metadata.className = "editor-form";
+        metadata.appendChild(createField(i18n.t('editor.version'),
+            createInput(state.metadata.version, value => handlers.onMetadata('version', value))));
+        metadata.appendChild(createField(i18n.t('editor.validFrom'),
+            createInput(state.metadata.start_date, value => handlers.onMetadata('start_date', value), "date")));
+        metadata.appendChild(createField(i18n.t('editor.validTo'),
+            createInput(state.metadata.end_date, value => handlers.onMetadata('end_date', value), "date")));
+        panel.appendChild(metadata);
+
+        // Which grid is edited
+        const selection = document.createElement("div");
+        selection.className = "editor-form";
+        selection.appendChild(createField(i18n.t('editor.route'), createSelect(
+            state.routes.map(route => [route.key, route.name]), state.routeKey, value => handlers.onSelect({ route: value }))));
+        const route = state.routes.find(candidate => candidate.key === state.routeKey);
+        if (route.hasDirections) {
+            selection.appendChild(createField(i18n.t('editor.direction'), createSelect(
+                state.directions.map(direction => [direction.key, direction.title || direction.key]),
+                state.directionKey, value => handlers.onSelect({ direction: value }))));
+        }
+        selection.appendChild(createField(i18n.t('editor.schedule'), createSelect(
+            state.scheduleTypes.map(type => [type, i18n.t(`schedule.${type}`)]),
+            state.scheduleType, value => handlers.onSelect({ schedule: value }))));
+        panel.appendChild(selection);
+
+        const directionSection = createSection(i18n.t(route.hasDirections ? 'editor.direction' : 'editor.route'), "editor-direction");
+        const direction = state.directions.find(candidate => candidate.key === state.directionKey);
+        const directionForm = document.createElement("div");
+        directionForm.className = "editor-form";
+        directionForm.appendChild(createField(i18n.t('editor.directionTitle'),
+            createInput(direction.title, handlers.onDirectionTitle)));
+        if (route.hasDirections) {
+            directionForm.appendChild(createButton(i18n.t('editor.removeDirection'), handlers.onRemoveDirection));
+        }
+        directionSection.appendChild(directionForm);
+
+        if (route.hasDirections) {
+            const addForm = document.createElement("div");
+            addForm.className = "editor-form";
+            const keyInput = document.createElement("input");
+            keyInput.type = "text";
+            keyInput.placeholder = i18n.t('editor.directionKey');
+            const titleInput = document.createElement("input");
+            titleInput.type = "text";
+            titleInput.placeholder = i18n.t('editor.directionTitle');
+            addForm.appendChild(keyInput);
+            addForm.appendChild(titleInput);
+            addForm.appendChild(createButton(i18n.t('editor.addDirection'),
+                () => handlers.onAddDirection(keyInput.value, titleInput.value)));
+            directionSection.appendChild(addForm);
+        }
+
+        // Stops are the columns of every schedule of the direction
+        const stopSection = createSection(i18n.t('editor.stops'), "editor-stops");
+        const stopList = document.createElement("ol");
+        state.grid.stops.forEach((stop, index) => {
+            const item = document.createElement("li");
+            const nameInput = createInput(stop, value => handlers.onRenameStop(stop, value));
+            nameInput.setAttribute('aria-label', i18n.t('editor.renameStop', { stop }));
+            item.appendChild(nameInput);
+            [["←", 'editor.moveStopLeft', -1], ["→", 'editor.moveStopRight', 1]].forEach(([text, key, step]) => {
+                const move = createButton(text, () => handlers.onMoveStop(stop, step), i18n.t(key, { stop }));
+                move.disabled = index + step < 0 || index + step >= state.grid.stops.length;
+                item.appendChild(move);
+            });
+            item.appendChild(createButton("×", () => handlers.onRemoveStop(stop), i18n.t('editor.removeStop', { stop })));
+            stopList.appendChild(item);
+        });
+        stopSection.appendChild(stopList);
+
+        const addStop = document.createElement("div");
+        addStop.className = "editor-form";
+        const stopInput = document.createElement("input");
+        stopInput.type = "text";
+        stopInput.placeholder = i18n.t('editor.stopName');
+        addStop.appendChild(stopInput);
+        addStop.appendChild(createButton(i18n.t('editor.addStop'), () => handlers.onAddStop(stopInput.value)));
+        stopSection.appendChild(addStop);
+
+        const gridSection = createSection(i18n.t(`schedule.${state.scheduleType}`), "editor-schedule");
+        if (state.hasSchedule) {
+            const hint = document.createElement("p");
+            hint.className = "editor-hint";
+            hint.textContent = i18n.t('editor.pasteHint');
+            gridSection.appendChild(hint);
+            gridSection.appendChild(this.createEditorGrid(state.grid, state.gridIssues, handlers));
+
+            const gridActions = document.createElement("div");
+            gridActions.className = "editor-actions";
+            gridActions.appendChild(createButton(i18n.t('editor.addRow'), () => handlers.onInsertRow(state.grid.rows.length)));
+            gridActions.appendChild(createFileInput(i18n.t('editor.importCsv'), ".csv,.tsv,.txt,text/csv,text/plain", handlers.onImportCsv));
+            if (state.scheduleType === "holiday") {
+                gridActions.appendChild(createButton(i18n.t('editor.removeHolidaySchedule'), handlers.onRemoveHolidaySchedule));
+            }
+            gridSection.appendChild(gridActions);
+        } else {
+            const notice = document.createElement("div");
+            notice.className = "notification warning";
+            notice.appendChild(document.createTextNode(i18n.t('editor.noHolidaySchedule')));
+            notice.appendChild(createButton(i18n.t('editor.addHolidaySchedule'), handlers.onAddHolidaySchedule));
+            gridSection.appendChild(notice);
+        }
+
+        // Exceptions apply to the whole line
+        const exceptionSection = createSection(i18n.t('editor.exceptions'), "editor-exceptions");
+        ["no_traffic", "holiday_traffic"].forEach(key => {
+            const dates = document.createElement("textarea");
+            dates.rows = 4;
+            dates.value = state.exceptions[key].join("\n");
+            dates.addEventListener('change', () => handlers.onExceptionDates(key, dates.value));
+            exceptionSection.appendChild(createField(i18n.t(`editor.${key}`), dates));
+        });
+        const rules = document.createElement("div");
+        rules.className = "editor-form";
+        const ruleOptions = [
+            ["", i18n.t('editor.defaultRule')],
+            ...state.dayTypeRules.map(rule => [rule, i18n.t(rule === "no_service" ? 'editor.noService' : `schedule.${rule}`)])
+        ];
+        state.dayTypes.forEach(dayType => {
+            rules.appendChild(createField(i18n.t(`editor.dayType.${dayType}`), createSelect(
+                ruleOptions, state.exceptions.day_type_rules[dayType] || "", value => handlers.onDayTypeRule(dayType, value || null))));
+        });
+        exceptionSection.appendChild(rules);
+
+        const validationSection = createSection(i18n.t('editor.validation'), "editor-validation");
+        validationSection.appendChild(this.createEditorIssues(state.issues));
+
+        const previewSection = createSection(i18n.t('editor.preview'), "editor-preview");
+        const previewForm = document.createElement("div");
+        previewForm.className = "editor-form";
+        previewForm.appendChild(createField(i18n.t('editor.previewAt'),
+            createInput(state.previewAt, handlers.onPreviewAt, "datetime-local")));
+        previewSection.appendChild(previewForm);
+        const board = document.createElement("div");
+        board.className = "editor-preview-board";
+        previewSection.appendChild(board);
+
+        return panel;
+    }
+
+    /**
+     * Creates the grid of one schedule: a row per trip and a column per stop.
+     * Arrow keys and Enter move between trips; text pasted with several cells
+     * is passed on as a whole instead of landing in one cell
+     * @private
+     * @param {Object} grid Stops and rows of times from TimetableEditor.getGrid
+     * @param {Object} gridIssues Issues of the grid from TimetableEditor.getGridIssues
+     * @param {Object} handlers Callbacks onCell, onPaste, onInsertRow and onRemoveRow
+     * @returns {HTMLElement} Scrollable grid element
+     */
+    createEditorGrid(grid, gridIssues, handlers) {
+        const i18n = this.i18n;
+        const container = document.createElement("div");
+        container.className = "editor-grid-container";
+        const table = document.createElement("table");
+        table.className = "editor-grid";
+
+        const head = document.createElement("thead");
+        const headRow = document.createElement("tr");
+        headRow.appendChild(document.createElement("th"));
+        grid.stops.forEach(stop => {
+            const cell = document.createElement("th");
+            cell.setAttribute('scope', 'col');
+            cell.textContent = stop;
+            headRow.appendChild(cell);
+        });
+        headRow.appendChild(document.createElement("th"));
+        head.appendChild(headRow);
+        table.appendChild(head);
+
+        const body = document.createElement("tbody");
+        grid.rows.forEach((times, row) => {
+            const tableRow = document.createElement("tr");
+            const number = document.createElement("th");
+            number.setAttribute('scope', 'row');
+            number.textContent = String(row + 1);
+            tableRow.appendChild(number);
+
+            times.forEach((time, column) => {
+                const cell = document.createElement("td");
+                const input = document.createElement("input");
+                input.type = "text";
+                input.value = time;
+                input.dataset.row = row;
+                input.dataset.column = column;
+                input.setAttribute('inputmode', 'numeric');
+                input.setAttribute('aria-label', i18n.t('editor.cell', { stop: grid.stops[column], number: row + 1 }));
+                cell.appendChild(input);
+                tableRow.appendChild(cell);
+            });
+
+            const rowActions = document.createElement("td");
+            rowActions.className = "editor-row-actions";
+            [["+", 'editor.insertRow', handlers.onInsertRow], ["×", 'editor.removeRow', handlers.onRemoveRow]].forEach(([text, key, handler]) => {
+                const button = document.createElement("button");
+                button.type = "button";
+                button.textContent = text;
+                button.setAttribute('aria-label', i18n.t(key, { number: row + 1 }));
+                button.addEventListener('click', () => handler(row));
+                rowActions.appendChild(button);
+            });
+            tableRow.appendChild(rowActions);
+            body.appendChild(tableRow);
+        });
+        table.appendChild(body);
+
+        const position = input => [Number(input.dataset.row), Number(input.dataset.column)];
+        table.addEventListener('change', event => {
+            if (!event.target.matches("input[data-row]")) return;
+            event.target.value = handlers.onCell(...position(event.target), event.target.value);
+        });
+        table.addEventListener('paste', event => {
+            if (!event.target.matches("input[data-row]") || !event.clipboardData) return;
+            const text = event.clipboardData.getData("text/plain");
+            if (/[\t\n;,]/.test(text.trim())) {
+                event.preventDefault();
+                handlers.onPaste(...position(event.target), text);
+            }
+        });
+        table.addEventListener('keydown', event => {
+            if (!event.target.matches("input[data-row]")) return;
+            const step = { ArrowUp: -1, ArrowDown: 1, Enter: 1 }[event.key];
+            if (!step) return;
+            const [row, column] = position(event.target);
+            const next = table.querySelector(`input[data-row="${row + step}"][data-column="${column}"]`);
+            if (next) {
+                event.preventDefault();
+                next.focus();
+            }
+        });
+
+        this.markGridIssues(table, gridIssues);
+        container.appendChild(table);
         return container;
     }
 
+    /**
+     * Marks the cells and stop columns of a grid that have validation issues,
+     * with the messages as tooltips
+     * @param {HTMLElement} root Element containing the grid
+     * @param {Object} gridIssues Issues of the grid from TimetableEditor.getGridIssues
+     */
+    markGridIssues(root, gridIssues) {
+        const mark = (element, message) => {
+            element.classList.toggle("invalid", Boolean(message));
+            if (message) {
+                element.title = message;
+            } else {
+                element.removeAttribute("title");
+            }
+        };
+
+        root.querySelectorAll("input[data-row]").forEach(input => {
+            mark(input, gridIssues.cells[`${input.dataset.row}:${input.dataset.column}`]);
+        });
+        root.querySelectorAll('th[scope="col"]').forEach((cell, column) => {
+            mark(cell, gridIssues.columns[column]);
+        });
+    }
+
+    /**
+     * Creates the validation result of the edited timetable
+     * @param {string[]} lines Formatted validation issues
+     * @returns {HTMLElement} Validation report, or a notice that the timetable is valid
+     */
+    createEditorIssues(lines) {
+        if (lines.length === 0) {
+            const valid = document.createElement("div");
+            valid.className = "notification success";
+            valid.setAttribute('role', 'status');
+            valid.textContent = this.i18n.t('editor.valid');
+            return valid;
+        }
+
+        const report = this.createValidationReport(lines);
+        report.open = true;
+        return report;
+    }
+
     /**
      * Checks if an element has overflow content
      * @param {HTMLElement} element Element to check
      */
     checkOverflow(element) {
+        const hint = ` - ${this.i18n.t('timetable.scrollHint')}`;
+        const label = (element.getAttribute('aria-label') || '').replace(hint, '');
         if (element.scrollHeight > element.clientHeight) {
             element.classList.add('overflow');
-            element.setAttribute('aria-label', `${element.getAttribute('aria-label')} - Scroll för mer innehåll`);
+            element.setAttribute('aria-label', `${label}${hint}`);
         } else {
             element.classList.remove('overflow');
+            element.setAttribute('aria-label', label);
         }
     }
 
     /**
      * Sets up overflow observers for dynamic content
+     * A single observer is kept, so observing a new wrapper stops observing the previous one
      * @param {HTMLElement} wrapper Root element to observe
      */
     setupOverflowObservers(wrapper) {
+        if (this.overflowObserver) {
+            this.overflowObserver.disconnect();
+        }
+
+        // Timetables may be added or replaced by later updates, so they are looked up on every change
+        const checkAll = () => wrapper.querySelectorAll('.timetable').forEach(table => this.checkOverflow(table));
+        this.overflowObserver = new MutationObserver(checkAll);
+
         // Delay to ensure content is rendered
         setTimeout(() => {
-            const timetables = wrapper.querySelectorAll('.timetable');
-            timetables.forEach(table => this.checkOverflow(table));
-            
-            // Create observer for dynamic changes
-            const observer = new MutationObserver(() => {
-                timetables.forEach(table => this.checkOverflow(table));
-            });
-            
-            observer.observe(wrapper, {
+            checkAll();
+            this.overflowObserver.observe(wrapper, {
                 childList: true,
                 subtree: true,
                 characterData: true
             });
         }, 0);
     }
+
+    /**
+     * Updates a rendered element in place to match a freshly rendered one.
+     * Only changed attributes, text and children are written, so scroll
+     * position, focus and the unchanged parts of the aria-live region are left alone
+     * @param {HTMLElement} target Element in the document
+     * @param {HTMLElement} source Freshly rendered element, its children are moved into target
+     */
+    patchElement(target, source) {
+        Array.from(target.attributes).forEach(attribute => {
+            if (!source.hasAttribute(attribute.name)) {
+                target.removeAttribute(attribute.name);
+            }
+        });
+        Array.from(source.attributes).forEach(attribute => {
+            if (target.getAttribute(attribute.name) !== attribute.value) {
+                target.setAttribute(attribute.name, attribute.value);
+            }
+        });
+
+        const targetChildren = Array.from(target.childNodes);
+        const sourceChildren = Array.from(source.childNodes);
+        sourceChildren.forEach((sourceChild, index) => {
+            const targetChild = targetChildren[index];
+            if (!targetChild) {
+                target.appendChild(sourceChild);
+            } else if (!this.canPatch(targetChild, sourceChild)) {
+                target.replaceChild(sourceChild, targetChild);
+            } else if (sourceChild.nodeType === Node.TEXT_NODE) {
+                if (targetChild.nodeValue !== sourceChild.nodeValue) {
+                    targetChild.nodeValue = sourceChild.nodeValue;
+                }
+            } else {
+                this.patchElement(targetChild, sourceChild);
+            }
+        });
+        targetChildren.slice(sourceChildren.length).forEach(child => child.remove());
+    }
+
+    /**
+     * Checks if a rendered node can be patched to match a fresh one. Timetables
+     * carry the trip selection listeners of their first render, so an element
+     * is only patched into one with the same data-title and is replaced when
+     * a notice before it comes or goes. Elements marked data-patch="replace"
+     * carry listeners bound to the data they were rendered from, so they are
+     * only kept while they are unchanged
+     * @private
+     * @param {Node} target Node in the document
+     * @param {Node} source Freshly rendered node
+     * @returns {boolean} True to patch, false to replace
+     */
+    canPatch(target, source) {
+        if (target.nodeType !== source.nodeType || target.nodeName !== source.nodeName) {
+            return false;
+        }
+        if (source.nodeType === Node.ELEMENT_NODE && target.getAttribute('data-title') !== source.getAttribute('data-title')) {
+            return false;
+        }
+        if (source.nodeType === Node.ELEMENT_NODE && source.dataset.patch === "replace") {
+            return target.isEqualNode(source);
+        }
+        return true;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Renderer;
 }
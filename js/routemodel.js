@@ -0,0 +1,244 @@
+/**
+ * Resseltrafiken Web Application - Route Model Module
+ *
+ * Walks the routes and directions of a timetable and describes how each one
+ * is displayed: title, highlighted stop and display order. Display settings
+ * come from the optional "display" blocks in the timetable data, with the
+ * application config taking precedence.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+class RouteModel {
+    /**
+     * Initializes the RouteModel
+     * @param {Object} config Application configuration object
+     * @param {TimeHandler} timeHandler Time handler used for schedule lookups
+     */
+    constructor(config, timeHandler) {
+        this.config = config;
+        this.timeHandler = timeHandler;
+    }
+
+    /**
+     * Gets display descriptions of all routes in a timetable, in display order
+     * Order comes from config.routeOrder if set, then display.order in the data,
+     * then the order of the routes in the file. Routes in config.hiddenRoutes
+     * are left out unless the filter asks for them
+     * @param {Object} timetable Timetable data
+     * @param {Object} [filter] Optional view filter, e.g. from the URL
+     * @param {string} [filter.route] Show only this route (key, alias or name)
+     * @param {boolean} [filter.includeHidden] Include routes hidden in config.hiddenRoutes
+     * @param {string} [filter.direction] Show only this direction (key, "outbound" or "return")
+     * @param {string} [filter.stop] Highlight this stop wherever it is served
+     * @returns {Array<Object>} Route views with key, route, name and directions
+     */
+    getRouteViews(timetable, filter = {}) {
+        const entries = Object.entries((timetable && timetable.routes) || {});
+        const routeKey = filter.route ? this.resolveRouteKey(timetable, filter.route) : null;
+        const focusStop = filter.stop ? this.resolveStop(timetable, filter.stop) : null;
+        const hiddenRoutes = filter.includeHidden || routeKey ? [] : this.config.hiddenRoutes || [];
+
+        return entries
+            .filter(([key]) => (!routeKey || key === routeKey) && !hiddenRoutes.includes(key))
+            .map(([key, route], index) => ({
+                key: key,
+                route: route,
+                name: this.getRouteName(key, route),
+                order: this.getRouteOrder(key, route, index),
+                directions: this.getDirectionViews(key, route, filter.direction, focusStop)
+            }))
+            .filter(view => view.directions.length > 0)
+            .sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Gets display descriptions of the directions of a route
+     * Return directions are left out unless config.showBothDirections is set
+     * or the return direction is asked for explicitly
+     * @param {string} routeKey Route key in the timetable
+     * @param {Object} route Route data
+     * @param {string|null} [directionFilter] Direction key, "outbound" or "return"
+     * @param {string|null} [focusStop] Stop to highlight wherever it is served
+     * @returns {Array<Object>} Direction views with key, title, highlightStop and isReturn
+     */
+    getDirectionViews(routeKey, route, directionFilter = null, focusStop = null) {
+        return this.timeHandler.getDirectionKeys(route)
+            .map(directionKey => {
+                const display = directionKey === null ?
+                    this.getDisplay(route) :
+                    this.getDisplay(route.directions[directionKey]);
+                const isReturn = display.return === true;
+                const servesFocusStop = focusStop !== null && this.getStops(route, directionKey).includes(focusStop);
+
+                return {
+                    key: directionKey,
+                    title: display.title || this.getDefaultTitle(routeKey, route, directionKey),
+                    highlightStop: servesFocusStop ?
+                        focusStop :
+                        this.getHighlightStop(route, directionKey, display, isReturn),
+                    isReturn: isReturn
+                };
+            })
+            .filter(direction => this.matchesDirection(direction, directionFilter));
+    }
+
+    /**
+     * Checks a direction view against a direction filter
+     * @private
+     * @param {Object} direction Direction view
+     * @param {string|null} directionFilter Direction key, "outbound" or "return"
+     * @returns {boolean} True if the direction should be shown
+     */
+    matchesDirection(direction, directionFilter) {
+        if (!directionFilter) {
+            return this.config.showBothDirections || !direction.isReturn;
+        }
+
+        const wanted = this.normalizeName(directionFilter);
+        if (wanted === "outbound") return !direction.isReturn;
+        if (wanted === "return") return direction.isReturn;
+        return direction.key !== null && this.normalizeName(direction.key) === wanted;
+    }
+
+    /**
+     * Resolves a route key from a key, display alias or name
+     * @param {Object} timetable Timetable data
+     * @param {string} value Value to resolve, e.g. "sjostaden" or "emelie"
+     * @returns {string|null} Route key, or null if no route matches
+     */
+    resolveRouteKey(timetable, value) {
+        const wanted = this.normalizeName(value);
+        const match = Object.entries((timetable && timetable.routes) || {}).find(([key, route]) => {
+            const display = this.getDisplay(route);
+            return [key, route.name, display.name, ...(display.aliases || [])]
+                .some(name => name && this.normalizeName(name) === wanted);
+        });
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Resolves a stop name regardless of case and diacritics
+     * @param {Object} timetable Timetable data
+     * @param {string} value Stop name to resolve, e.g. "lumabryggan"
+     * @returns {string|null} Stop name as written in the timetable, or null if unknown
+     */
+    resolveStop(timetable, value) {
+        const wanted = this.normalizeName(value);
+        for (const route of Object.values((timetable && timetable.routes) || {})) {
+            for (const directionKey of this.timeHandler.getDirectionKeys(route)) {
+                const stop = this.getStops(route, directionKey).find(name => this.normalizeName(name) === wanted);
+                if (stop) return stop;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Normalizes a name for forgiving comparison: case, diacritics,
+     * spaces and punctuation are ignored, so "sjöstaden" matches "sjo_staden"
+     * @param {string} value Name to normalize
+     * @returns {string} Normalized name
+     */
+    normalizeName(value) {
+        return String(value || "")
+            .normalize("NFD")
+            .replace(/[\u0300-\u036f]/g, "")
+            .toLowerCase()
+            .replace(/[^a-z0-9]/g, "");
+    }
+
+    /**
+     * Chooses the stop to highlight for a direction. The configured stop is used
+     * when the direction serves it; otherwise the data file's highlight_stop
+     * @private
+     * @param {Object} route Route data
+     * @param {string|null} directionKey Direction name
+     * @param {Object} display Display block of the direction
+     * @param {boolean} isReturn True if this is a return direction
+     * @returns {string|null} Stop to highlight
+     */
+    getHighlightStop(route, directionKey, display, isReturn) {
+        const configuredStop = isReturn ? this.config.cityReturnStop : this.config.highlightStop;
+        if (configuredStop && this.getStops(route, directionKey).includes(configuredStop)) {
+            return configuredStop;
+        }
+        return display.highlight_stop || null;
+    }
+
+    /**
+     * Gets all stops served by a route direction, across schedule types
+     * @param {Object} route Route data
+     * @param {string|null} directionKey Direction name
+     * @returns {string[]} Stop names in timetable order
+     */
+    getStops(route, directionKey) {
+        const stops = new Set(directionKey === null && Array.isArray(route.stops) ? route.stops : []);
+        ["weekday", "weekend"].forEach(scheduleType => {
+            const departures = this.timeHandler.getBaseDepartures(route, directionKey, scheduleType) || {};
+            Object.keys(departures).forEach(stop => stops.add(stop));
+        });
+        return [...stops];
+    }
+
+    /**
+     * Gets the display position of a route
+     * @private
+     * @param {string} routeKey Route key in the timetable
+     * @param {Object} route Route data
+     * @param {number} index Position of the route in the file
+     * @returns {number} Sort key, lower is shown first
+     */
+    getRouteOrder(routeKey, route, index) {
+        const configuredOrder = this.config.routeOrder || [];
+        if (configuredOrder.includes(routeKey)) {
+            return configuredOrder.indexOf(routeKey) - configuredOrder.length;
+        }
+
+        const display = this.getDisplay(route);
+        return typeof display.order === "number" ? display.order : 1000 + index;
+    }
+
+    /**
+     * Gets the name a route is shown with, from display.name or the route's name
+     * @param {string} routeKey Route key in the timetable
+     * @param {Object} route Route data
+     * @returns {string} Route name
+     */
+    getRouteName(routeKey, route) {
+        return this.getDisplay(route).name || route.name || routeKey;
+    }
+
+    /**
+     * Builds a title for a direction without a display title,
+     * e.g. "M/S Emelie: Nybroplan → Hammarbysjöstad"
+     * @private
+     * @param {string} routeKey Route key in the timetable
+     * @param {Object} route Route data
+     * @param {string|null} directionKey Direction name
+     * @returns {string} Title
+     */
+    getDefaultTitle(routeKey, route, directionKey) {
+        const name = this.getRouteName(routeKey, route);
+        if (directionKey === null) {
+            return name;
+        }
+        return `${name}: ${directionKey.split('_to_').join(' → ')}`;
+    }
+
+    /**
+     * Gets the display block of a route or direction
+     * @private
+     * @param {Object} item Route or direction data
+     * @returns {Object} Display settings, empty if none are given
+     */
+    getDisplay(item) {
+        return (item && item.display) || {};
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RouteModel;
+}
@@ -0,0 +1,250 @@
+/**
+ * Resseltrafiken Web Application - Settings Module
+ *
+ * Keeps the user's settings in local storage: home pier, city return pier,
+ * departures per stop, directions, update interval and which routes are shown
+ * in which order, the interface language and how departure times are shown. Settings can be exported and imported as JSON, and URL
+ * parameters override them for a single view without changing what is saved.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+class SettingsStore {
+    /**
+     * Initializes the SettingsStore
+     * @param {Object} defaults Application config; the defaults of the editable settings are read from it
+     * @param {Object} [options] Storage options
+     * @param {Storage} [options.storage] Storage for settings, defaults to localStorage
+     * @param {string} [options.storageKey="resseltrafiken-settings"] Storage key
+     */
+    constructor(defaults, options = {}) {
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = options.storageKey || "resseltrafiken-settings";
+
+        // Editable settings with the URL parameter that overrides each one.
+        // The update interval is in milliseconds, but seconds in the URL
+        this.fields = {
+            highlightStop: { param: "home", type: "stop" },
+            cityReturnStop: { param: "citystop", type: "stop" },
+            maxVisibleDepartures: { param: "departures", type: "number", min: 1, max: 30 },
+            showBothDirections: { param: "both", type: "boolean" },
+            updateInterval: { param: "interval", type: "number", min: 10000, max: 600000, urlScale: 1000 },
+            routeOrder: { param: "order", type: "list" },
+            hiddenRoutes: { param: "hide", type: "list" },
+            language: { param: "lang", type: "language" },
+            timeDisplay: { param: "time", type: "choice", values: ["clock", "countdown", "hybrid"] }
+        };
+
+        this.defaults = {};
+        Object.keys(this.fields).forEach(key => {
+            this.defaults[key] = defaults[key] !== undefined ? defaults[key] : null;
+        });
+        this.saved = this.load();
+    }
+
+    /**
+     * Loads settings from storage
+     * @private
+     * @returns {Object} Saved settings that differ from the defaults
+     */
+    load() {
+        try {
+            const stored = this.storage && JSON.parse(this.storage.getItem(this.storageKey));
+            return stored ? this.sanitize(stored).settings : {};
+        } catch (error) {
+            console.warn('Could not read saved settings:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Writes settings to storage
+     * @private
+     */
+    save() {
+        if (!this.storage) return;
+        try {
+            if (Object.keys(this.saved).length === 0) {
+                this.storage.removeItem(this.storageKey);
+            } else {
+                this.storage.setItem(this.storageKey, JSON.stringify(this.saved));
+            }
+        } catch (error) {
+            console.warn('Could not save settings:', error);
+        }
+    }
+
+    /**
+     * Gets the settings in effect: defaults, then saved settings, then overrides
+     * @param {Object} [overrides] Overrides from getOverrides
+     * @returns {Object} All editable settings
+     */
+    resolve(overrides = {}) {
+        return { ...this.defaults, ...this.saved, ...overrides };
+    }
+
+    /**
+     * Changes saved settings. Invalid values are left out, and values equal
+     * to the default are not stored, so later changes to a default apply
+     * @param {Object} changes Settings to change
+     * @returns {Object} Saved settings merged with the defaults
+     */
+    update(changes) {
+        const merged = { ...this.saved, ...this.sanitize(changes).settings };
+        this.saved = {};
+        Object.entries(merged).forEach(([key, value]) => {
+            if (JSON.stringify(value) !== JSON.stringify(this.defaults[key])) {
+                this.saved[key] = value;
+            }
+        });
+        this.save();
+        return this.resolve();
+    }
+
+    /**
+     * Removes all saved settings
+     * @returns {Object} The defaults
+     */
+    reset() {
+        this.saved = {};
+        this.save();
+        return this.resolve();
+    }
+
+    /**
+     * Gets the URL parameters that override settings
+     * @returns {string[]} Parameter names
+     */
+    getParams() {
+        return Object.values(this.fields).map(field => field.param);
+    }
+
+    /**
+     * Reads setting overrides from view state parsed from the URL
+     * @param {Object} state View state from UrlState.parse
+     * @returns {Object} Overrides of valid parameters, keyed by setting
+     */
+    getOverrides(state) {
+        const values = {};
+        Object.entries(this.fields).forEach(([key, field]) => {
+            const value = state[field.param];
+            if (value === null || value === undefined) return;
+
+            if (field.type === "number") {
+                values[key] = Number(value) * (field.urlScale || 1);
+            } else if (field.type === "boolean") {
+                values[key] = !["0", "false", "nej"].includes(value.toLowerCase());
+            } else if (field.type === "list") {
+                values[key] = value.split(",");
+            } else {
+                values[key] = value;
+            }
+        });
+
+        const { settings, ignored } = this.sanitize(values);
+        ignored.forEach(key => console.warn(`Ignoring invalid ${this.fields[key].param} parameter: ${state[this.fields[key].param]}`));
+        return settings;
+    }
+
+    /**
+     * Exports the settings as JSON, with the default of every setting not changed
+     * @returns {string} JSON document
+     */
+    exportJson() {
+        return JSON.stringify({ type: "resseltrafiken-settings", version: 1, settings: this.resolve() }, null, 2) + "\n";
+    }
+
+    /**
+     * Replaces the saved settings with settings exported by exportJson
+     * A plain object of settings is also accepted
+     * @param {string} text JSON document
+     * @returns {string[]} Keys in the document that were not valid settings
+     * @throws {Error} If the document is not JSON or holds no valid settings, with the
+     *                 key of a translated message in error.messageKey
+     */
+    importJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw this.createImportError('Filen är inte giltig JSON', 'settings.invalidJson');
+        }
+        const values = data && typeof data.settings === "object" ? data.settings : data;
+        if (!values || typeof values !== "object" || Array.isArray(values)) {
+            throw this.createImportError('Filen innehåller inga inställningar', 'settings.noSettings');
+        }
+
+        const { settings, ignored } = this.sanitize(values);
+        if (Object.keys(settings).length === 0) {
+            throw this.createImportError('Filen innehåller inga inställningar', 'settings.noSettings');
+        }
+        this.saved = {};
+        this.update(settings);
+        return ignored;
+    }
+
+    /**
+     * Creates an error for a settings file that cannot be imported
+     * @private
+     * @param {string} message Message in Swedish
+     * @param {string} messageKey Key of the message in the I18n catalogs
+     * @returns {Error} Error with messageKey
+     */
+    createImportError(message, messageKey) {
+        const error = new Error(message);
+        error.messageKey = messageKey;
+        return error;
+    }
+
+    /**
+     * Checks settings against the field definitions
+     * @private
+     * @param {Object} values Settings to check
+     * @returns {Object} Valid settings, and the keys that were unknown or invalid
+     */
+    sanitize(values) {
+        const settings = {};
+        const ignored = [];
+
+        Object.entries(values || {}).forEach(([key, value]) => {
+            const field = this.fields[key];
+            let valid = false;
+
+            if (!field) {
+                valid = false;
+            } else if (field.type === "stop") {
+                valid = typeof value === "string" && value.trim() !== "";
+                value = valid ? value.trim() : value;
+            } else if (field.type === "number") {
+                valid = Number.isFinite(value) && value >= field.min && value <= field.max;
+                value = Math.round(value);
+            } else if (field.type === "boolean") {
+                valid = typeof value === "boolean";
+            } else if (field.type === "list") {
+                // null keeps the default order or visibility
+                valid = value === null || (Array.isArray(value) && value.every(item => typeof item === "string"));
+                value = valid && value ? [...new Set(value.map(item => item.trim()).filter(Boolean))] : value;
+            } else if (field.type === "language") {
+                // null follows the browser's language
+                valid = value === null || (typeof value === "string" && /^[a-z]{2}$/i.test(value.trim()));
+                value = valid && value ? value.trim().toLowerCase() : value;
+            } else if (field.type === "choice") {
+                valid = field.values.includes(value);
+            }
+
+            if (valid) {
+                settings[key] = value;
+            } else {
+                ignored.push(key);
+            }
+        });
+
+        return { settings, ignored };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SettingsStore;
+}
@@ -3,7 +3,8 @@
  * 
  * Manages all time-related calculations, schedule processing, and holiday detection
  * for the Resseltrafiken timetable application. This module handles Swedish holidays,
- * schedule types, and time conversions.
+ * schedule types, and time conversions. All schedule calculations use Stockholm
+ * wall-clock time, independent of the device's time zone.
  * 
  * Version History:
  * 2.0.0 (2025-01-16) - Converted to static web module, improved holiday handling
@@ -17,19 +18,196 @@
 class TimeHandler {
     /**
      * Initializes the TimeHandler with Swedish holiday definitions
-     * Fixed holidays are dates that occur on the same date every year
+     * Fixed holidays are dates that occur on the same date every year. Each day is
+     * a public holiday ("holiday") or an eve kept as a Sunday, such as Julafton ("eve").
+     * Days only have ids; their names are the holiday.<id> messages of I18n
+     * @param {Object} [options] Time handling options
+     * @param {string} [options.timeZone="Europe/Stockholm"] Time zone the timetables are written in
+     * @param {Function} [options.clock] Returns the current instant, defaults to the system clock
      */
-    constructor() {
+    constructor(options = {}) {
         this.fixedHolidays = {
-            "01-01": "Nyårsdagen",
-            "01-06": "Trettondedag jul",
-            "05-01": "Första maj",
-            "06-06": "Nationaldagen",
-            "12-24": "Julafton",
-            "12-25": "Juldagen",
-            "12-26": "Annandag jul",
-            "12-31": "Nyårsafton"
+            "01-01": { id: "new-years-day", type: "holiday" },
+            "01-06": { id: "epiphany", type: "holiday" },
+            "05-01": { id: "may-day", type: "holiday" },
+            "06-06": { id: "national-day", type: "holiday" },
+            "12-24": { id: "christmas-eve", type: "eve" },
+            "12-25": { id: "christmas-day", type: "holiday" },
+            "12-26": { id: "boxing-day", type: "holiday" },
+            "12-31": { id: "new-years-eve", type: "eve" }
         };
+
+        // Schedule type per day type, for lines without metadata.day_type_rules
+        this.defaultDayTypeRules = {
+            holiday: "weekend",
+            eve: "weekend",
+            squeeze: "weekday"
+        };
+
+        // Weekday names used by recurring cancellations, indexed by Date.getUTCDay()
+        this.weekdayNames = [
+            "sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"
+        ];
+
+        // A service day runs from 04:00 to 04:00, so boats at 00:05 belong to the day before
+        this.serviceDayStart = 4 * 60;
+
+        // All "now" lookups go through the clock, so tests and previews can replace it
+        this.clock = options.clock || (() => new Date());
+
+        // Timetables are in Stockholm wall-clock time, whatever zone the device runs in
+        this.timeZone = options.timeZone || "Europe/Stockholm";
+        this.zoneFormatter = new Intl.DateTimeFormat("en-US", {
+            timeZone: this.timeZone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "numeric",
+            day: "numeric",
+            hour: "numeric",
+            minute: "numeric",
+            second: "numeric"
+        });
+    }
+
+    /**
+     * Gets the current wall-clock time in the timetable's time zone
+     * @returns {Date} Wall-clock date, see toZonedTime
+     */
+    now() {
+        return this.toZonedTime(this.clock());
+    }
+
+    /**
+     * Replaces the clock used for the current time
+     * @param {Function|null} clock Returns the current instant, or null for the system clock
+     */
+    setClock(clock) {
+        this.clock = clock || (() => new Date());
+    }
+
+    /**
+     * Creates a clock that starts at a given instant and then runs at normal speed
+     * @param {Date} start Instant the clock starts at
+     * @returns {Function} Clock returning the current simulated instant
+     */
+    createOffsetClock(start) {
+        const offset = start.getTime() - Date.now();
+        return () => new Date(Date.now() + offset);
+    }
+
+    /**
+     * Parses a wall-clock date and time such as "2025-06-20T23:30" to the
+     * instant it happens in the timetable's time zone
+     * @param {string} value Date and time in YYYY-MM-DDTHH:MM format
+     * @returns {Date|null} Instant, or null if the value is invalid
+     */
+    parseZonedDateTime(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(value || "");
+        if (!match) return null;
+
+        const [, year, month, day, hours, minutes] = match.map(Number);
+        const date = this.createDate(year, month, day);
+        if (date.getUTCMonth() !== month - 1 || hours > 23 || minutes > 59) return null;
+        return this.toInstant(date, hours * 60 + minutes);
+    }
+
+    /**
+     * Converts an instant to wall-clock time in the timetable's time zone.
+     * The result's UTC getters (getUTCHours, getUTCDate, getUTCDay...) return the
+     * Stockholm wall-clock values, so it can be used with all date methods here.
+     * UTC has no DST, so every Stockholm time exists in it, whatever zone the
+     * device is in. It does not point at the original instant and must not be
+     * compared with one
+     * @param {Date} instant Moment to convert
+     * @returns {Date} Wall-clock date
+     */
+    toZonedTime(instant) {
+        const parts = this.getZonedParts(instant);
+        return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+    }
+
+    /**
+     * Creates a wall-clock date at midnight, see toZonedTime
+     * @param {number} year Full year
+     * @param {number} month Month (1-12)
+     * @param {number} day Day of the month, may run past the end of the month
+     * @returns {Date} Wall-clock date
+     */
+    createDate(year, month, day) {
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    /**
+     * Gets the wall-clock fields of an instant in the timetable's time zone
+     * @private
+     * @param {Date} instant Moment to convert
+     * @returns {Object} Object with year, month (1-12), day, hour, minute and second
+     */
+    getZonedParts(instant) {
+        const parts = {};
+        this.zoneFormatter.formatToParts(instant).forEach(part => {
+            if (part.type !== "literal") {
+                parts[part.type] = Number(part.value);
+            }
+        });
+        return parts;
+    }
+
+    /**
+     * Gets the offset of the timetable's time zone from UTC at an instant,
+     * 60 in Swedish winter time and 120 in summer time
+     * @param {Date} instant Moment to check
+     * @returns {number} Offset in minutes
+     */
+    getUtcOffset(instant) {
+        const parts = this.getZonedParts(instant);
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return Math.round((wallClock - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+    }
+
+    /**
+     * Converts a wall-clock time on a date to the instant it happens.
+     * Minutes past 24:00 fall on the following day. Times skipped when clocks
+     * go forward resolve to the instant an hour later on the wall clock
+     * @param {Date} date Wall-clock date
+     * @param {number} minutes Minutes since midnight on that date
+     * @returns {Date} Instant
+     */
+    toInstant(date, minutes) {
+        const wallClock = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), 0, minutes);
+        const firstGuess = wallClock - this.getUtcOffset(new Date(wallClock)) * 60000;
+        return new Date(wallClock - this.getUtcOffset(new Date(firstGuess)) * 60000);
+    }
+
+    /**
+     * Gets the real minutes elapsed between two wall-clock times on a date.
+     * Differs from the wall-clock difference across the DST changeover,
+     * when 01:30 to 03:30 is one hour in March and three hours in October
+     * @param {Date} date Wall-clock date the times refer to
+     * @param {number} fromMinutes Start, in minutes since midnight
+     * @param {number} toMinutes End, in minutes since midnight, may exceed 24:00
+     * @returns {number} Elapsed minutes
+     */
+    getMinutesBetween(date, fromMinutes, toMinutes) {
+        return Math.round((this.toInstant(date, toMinutes) - this.toInstant(date, fromMinutes)) / 60000);
+    }
+
+    /**
+     * Gets the length of a day: 24 hours, or 23 and 25 hours on DST changeover days
+     * @param {Date} date Wall-clock date
+     * @returns {number} Hours in the day
+     */
+    getHoursInDay(date) {
+        return this.getMinutesBetween(date, 0, 24 * 60) / 60;
+    }
+
+    /**
+     * Gets minutes since midnight of a wall-clock date
+     * @param {Date} [date] Wall-clock date, defaults to now
+     * @returns {number} Minutes since midnight
+     */
+    getCurrentMinutes(date = this.now()) {
+        return date.getUTCHours() * 60 + date.getUTCMinutes();
     }
 
     /**
@@ -54,6 +232,41 @@ class TimeHandler {
         return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
     }
 
+    /**
+     * Converts a timetable time to minutes since the start of its service day.
+     * Times before the service day starts, such as "00:05", and times written
+     * past midnight, such as "24:05", both give minutes after 24:00
+     * @param {string} timeStr Time in HH:MM format, hours may run to 27
+     * @returns {number} Minutes since midnight of the service day
+     */
+    getServiceMinutes(timeStr) {
+        const minutes = this.timeToMinutes(timeStr);
+        return minutes < this.serviceDayStart ? minutes + 24 * 60 : minutes;
+    }
+
+    /**
+     * Formats service-day minutes as a wall-clock time, so 1445 becomes "00:05"
+     * @param {number} minutes Minutes since midnight of the service day
+     * @returns {string} Time in HH:MM format
+     */
+    formatServiceTime(minutes) {
+        return this.minutesToTime(minutes % (24 * 60));
+    }
+
+    /**
+     * Gets the service day a moment belongs to, and the time within it.
+     * Before the service day starts, the previous day's service is still running
+     * @param {Date} [now] Reference wall-clock time, defaults to now
+     * @returns {Object} Object with date (wall-clock date of the service day) and minutes
+     */
+    getServiceTime(now = this.now()) {
+        const minutes = this.getCurrentMinutes(now);
+        if (minutes < this.serviceDayStart) {
+            return { date: this.addDays(now, -1), minutes: minutes + 24 * 60 };
+        }
+        return { date: now, minutes: minutes };
+    }
+
     /**
      * Calculates Easter Sunday for a given year using the Meeus/Jones/Butcher algorithm
      * This algorithm is valid for years between 1583 and 4099
@@ -76,7 +289,7 @@ class TimeHandler {
         const month = Math.floor((h + l - 7 * m + 114) / 31);
         const day = ((h + l - 7 * m + 114) % 31) + 1;
         
-        return new Date(year, month - 1, day);
+        return this.createDate(year, month, day);
     }
 
     /**
@@ -86,10 +299,10 @@ class TimeHandler {
      * @returns {Date} Midsummer Eve date
      */
     calculateMidsummer(year) {
-        const june19 = new Date(year, 5, 19);
-        const dayOfWeek = june19.getDay();
+        const june19 = this.createDate(year, 6, 19);
+        const dayOfWeek = june19.getUTCDay();
         const daysToAdd = (5 - dayOfWeek + 7) % 7; // Calculate days until Friday
-        return new Date(year, 5, 19 + daysToAdd);
+        return this.createDate(year, 6, 19 + daysToAdd);
     }
 
     /**
@@ -98,8 +311,8 @@ class TimeHandler {
      * @returns {string} Date in MM-DD format
      */
     formatDate(date) {
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
+        const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+        const day = String(date.getUTCDate()).padStart(2, '0');
         return `${month}-${day}`;
     }
 
@@ -111,178 +324,620 @@ class TimeHandler {
      */
     addDays(date, days) {
         const result = new Date(date);
-        result.setDate(result.getDate() + days);
+        result.setUTCDate(result.getUTCDate() + days);
         return result;
     }
 
+    /**
+     * Calculates All Saints' Day (Saturday between October 31 and November 6)
+     * @param {number} year The year to calculate All Saints' Day for
+     * @returns {Date} All Saints' Day date
+     */
+    calculateAllSaintsDay(year) {
+        const october31 = this.createDate(year, 10, 31);
+        const daysToAdd = (6 - october31.getUTCDay() + 7) % 7; // Calculate days until Saturday
+        return this.createDate(year, 10, 31 + daysToAdd);
+    }
+
     /**
      * Gets all variable holidays for a specific year
      * Variable holidays are those that occur on different dates each year
      * @param {number} year The year to get holidays for
-     * @returns {Object} Object mapping dates to holiday names
+     * @returns {Object} Object mapping dates to holidays with id and type
      */
     getVariableHolidays(year) {
         const easter = this.calculateEaster(year);
         const midsummer = this.calculateMidsummer(year);
+        const allSaints = this.calculateAllSaintsDay(year);
         
         return {
-            [this.formatDate(easter)]: "Påskdagen",
-            [this.formatDate(this.addDays(easter, -2))]: "Långfredagen",
-            [this.formatDate(this.addDays(easter, 1))]: "Annandag påsk",
-            [this.formatDate(this.addDays(easter, 39))]: "Kristi himmelsfärdsdag",
-            [this.formatDate(this.addDays(easter, 49))]: "Pingstdagen",
-            [this.formatDate(midsummer)]: "Midsommarafton",
-            [this.formatDate(this.addDays(midsummer, 1))]: "Midsommardagen"
+            [this.formatDate(this.addDays(easter, -2))]: { id: "good-friday", type: "holiday" },
+            [this.formatDate(this.addDays(easter, -1))]: { id: "easter-eve", type: "eve" },
+            [this.formatDate(easter)]: { id: "easter-day", type: "holiday" },
+            [this.formatDate(this.addDays(easter, 1))]: { id: "easter-monday", type: "holiday" },
+            [this.formatDate(this.addDays(easter, 39))]: { id: "ascension-day", type: "holiday" },
+            [this.formatDate(this.addDays(easter, 48))]: { id: "whitsun-eve", type: "eve" },
+            [this.formatDate(this.addDays(easter, 49))]: { id: "whitsun-day", type: "holiday" },
+            [this.formatDate(midsummer)]: { id: "midsummer-eve", type: "eve" },
+            [this.formatDate(this.addDays(midsummer, 1))]: { id: "midsummer-day", type: "holiday" },
+            [this.formatDate(allSaints)]: { id: "all-saints-day", type: "holiday" }
         };
     }
 
     /**
-     * Checks if a specific date is a holiday
-     * Combines both fixed and variable holidays
+     * Gets the holiday calendar for a year: public holidays, eves and
+     * squeeze days. A squeeze day (klämdag) is a Monday or Friday between a
+     * public holiday and the weekend, such as the Friday after Ascension Day
+     * @param {number} year The year to get the calendar for
+     * @returns {Object} Object mapping MM-DD dates to days with id and type.
+     *                  Squeeze days also have the holidayId of the holiday they border
+     */
+    getHolidayCalendar(year) {
+        const calendar = { ...this.fixedHolidays };
+
+        // A public holiday outranks an eve on the same date, such as Pingstafton on National Day
+        Object.entries(this.getVariableHolidays(year)).forEach(([formatted, day]) => {
+            const existing = calendar[formatted];
+            if (existing && existing.type === "holiday" && day.type !== "holiday") return;
+            calendar[formatted] = day;
+        });
+
+        Object.entries(calendar).forEach(([formatted, holiday]) => {
+            if (holiday.type !== "holiday") return;
+
+            const [month, day] = formatted.split('-').map(Number);
+            const date = this.createDate(year, month, day);
+            const offset = { 2: -1, 4: 1 }[date.getUTCDay()];
+            if (!offset) return;
+
+            const squeeze = this.addDays(date, offset);
+            const squeezeDate = this.formatDate(squeeze);
+            if (squeeze.getUTCFullYear() === year && !calendar[squeezeDate]) {
+                calendar[squeezeDate] = {
+                    id: offset < 0 ? "squeeze-before" : "squeeze-after",
+                    holidayId: holiday.id,
+                    type: "squeeze"
+                };
+            }
+        });
+
+        return calendar;
+    }
+
+    /**
+     * Gets the holiday calendar entry for a date
+     * @param {Date} date Date to check
+     * @returns {Object|null} Day with id and type ("holiday", "eve" or "squeeze"), or null.
+     *                       I18n.holidayName names it from the holiday.<id> messages
+     */
+    getHoliday(date) {
+        return this.getHolidayCalendar(date.getUTCFullYear())[this.formatDate(date)] || null;
+    }
+
+    /**
+     * Checks if a specific date is a public holiday
+     * Eves and squeeze days are not public holidays; see getHoliday
      * @param {Date} date Date to check
-     * @returns {boolean} True if date is a holiday
+     * @returns {boolean} True if date is a public holiday
      */
     isHoliday(date) {
-        const formatted = this.formatDate(date);
-        const year = date.getFullYear();
-        
-        // Check fixed holidays first
-        if (this.fixedHolidays[formatted]) {
-            return true;
+        const holiday = this.getHoliday(date);
+        return !!holiday && holiday.type === "holiday";
+    }
+
+    /**
+     * Formats date to YYYY-MM-DD string for date exception checking
+     * @param {Date} date Date to format
+     * @returns {string} Date in YYYY-MM-DD format
+     */
+    formatISODate(date) {
+        return `${date.getUTCFullYear()}-${this.formatDate(date)}`;
+    }
+
+    /**
+     * Parses a date range string such as "2024-12-23 - 2025-01-05"
+     * @param {string} rangeStr Date range in "YYYY-MM-DD - YYYY-MM-DD" format
+     * @returns {Object|null} Object with start and end ISO dates, or null if invalid
+     */
+    parseDateRange(rangeStr) {
+        const match = /^\s*(\d{4}-\d{2}-\d{2})\s*-\s*(\d{4}-\d{2}-\d{2})\s*$/.exec(rangeStr || '');
+        if (!match) return null;
+        return { start: match[1], end: match[2] };
+    }
+
+    /**
+     * Checks if a date falls within a valid_period object
+     * A missing period, or a missing start or end date, is treated as open-ended
+     * @param {Object} validPeriod Object with start_date and end_date in YYYY-MM-DD format
+     * @param {Date} date Date to check
+     * @returns {boolean} True if date is within the period
+     */
+    isWithinValidPeriod(validPeriod, date) {
+        if (!validPeriod) return true;
+        const isoDate = this.formatISODate(date);
+        return (!validPeriod.start_date || isoDate >= validPeriod.start_date) &&
+               (!validPeriod.end_date || isoDate <= validPeriod.end_date);
+    }
+
+    /**
+     * Checks if a route runs on a given date according to its own valid_period
+     * Routes without metadata.valid_period follow the timetable's top-level period
+     * @param {Object} route Route data from the timetable
+     * @param {Date} date Date to check
+     * @returns {boolean} True if the route's timetable is valid on the date
+     */
+    isRouteValidOn(route, date) {
+        return this.isWithinValidPeriod(route && route.metadata && route.metadata.valid_period, date);
+    }
+
+    /**
+     * Selects the season that applies to a date from a data index
+     * When seasons overlap the one that started last wins. Outside all seasons the
+     * most recently started one is used, or the first upcoming one if none has started
+     * @param {Array<Object>} seasons Season entries with file and valid_period
+     * @param {Date} date Date to select a season for
+     * @returns {Object|null} Selected season entry
+     */
+    getSeasonForDate(seasons, date) {
+        if (!Array.isArray(seasons) || seasons.length === 0) return null;
+
+        const isoDate = this.formatISODate(date);
+        const byStartDesc = [...seasons].sort((a, b) =>
+            b.valid_period.start_date.localeCompare(a.valid_period.start_date));
+
+        return byStartDesc.find(season => this.isWithinValidPeriod(season.valid_period, date)) ||
+               byStartDesc.find(season => season.valid_period.start_date <= isoDate) ||
+               byStartDesc[byStartDesc.length - 1];
+    }
+
+    /**
+     * Gets the first season that starts after a date
+     * @param {Array<Object>} seasons Season entries with file and valid_period
+     * @param {Date} date Reference date
+     * @returns {Object|null} Next season entry, or null if none is scheduled
+     */
+    getNextSeason(seasons, date) {
+        if (!Array.isArray(seasons)) return null;
+
+        const isoDate = this.formatISODate(date);
+        return [...seasons]
+            .filter(season => season.valid_period.start_date > isoDate)
+            .sort((a, b) => a.valid_period.start_date.localeCompare(b.valid_period.start_date))[0] || null;
+    }
+
+    /**
+     * Resolves the date exceptions that apply to a line on a given date
+     * Reads no_traffic and holiday_traffic from metadata.holiday_notes, the
+     * active period from metadata.holiday_schedule.periods and the rule for the
+     * day's holiday type from metadata.day_type_rules. Dates listed in the notes
+     * take precedence over the rule
+     * @param {Object} route Route data from the timetable
+     * @param {Date} date Calendar date to resolve
+     * @returns {Object} Exceptions with noTraffic, holidayTraffic, holidayPeriod,
+     *                   holiday (calendar day or null) and dayTypeRule
+     */
+    getDateExceptions(route, date) {
+        const metadata = (route && route.metadata) || {};
+        const notes = metadata.holiday_notes || {};
+        const periods = (metadata.holiday_schedule && metadata.holiday_schedule.periods) || [];
+        const isoDate = this.formatISODate(date);
+        const holiday = this.getHoliday(date);
+        const dayTypeRule = (holiday && metadata.day_type_rules && metadata.day_type_rules[holiday.type]) || null;
+        const holidayTraffic = (notes.holiday_traffic || []).includes(isoDate);
+
+        const holidayPeriod = periods.find(period => {
+            const range = this.parseDateRange(period.dates);
+            return range && isoDate >= range.start && isoDate <= range.end;
+        }) || null;
+
+        return {
+            noTraffic: (notes.no_traffic || []).includes(isoDate) ||
+                (!holidayTraffic && dayTypeRule === "no_service"),
+            holidayTraffic: holidayTraffic,
+            holidayPeriod: holidayPeriod,
+            holiday: holiday,
+            dayTypeRule: dayTypeRule
+        };
+    }
+
+    /**
+     * Finds the extra departures that belong to a direction
+     * Keys are matched against the direction name, so "to_nybroplan" applies to
+     * "Hammarbysjöstad_to_Nybroplan" and "from_nybroplan" to "Nybroplan_to_Hammarbysjöstad"
+     * @param {Object} extraDepartures Extra departures keyed by to_/from_ stop
+     * @param {string} directionKey Direction name from the timetable
+     * @returns {Object|null} Stop to time mapping, or null if none applies
+     */
+    getExtraDeparturesForDirection(extraDepartures, directionKey) {
+        const [origin, destination] = directionKey.toLowerCase().split('_to_');
+
+        for (const [key, departures] of Object.entries(extraDepartures || {})) {
+            const separator = key.indexOf('_');
+            const relation = key.slice(0, separator);
+            const stop = key.slice(separator + 1).toLowerCase();
+            if ((relation === 'to' && stop === destination) ||
+                (relation === 'from' && stop === origin)) {
+                return departures;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Gets the direction names of a route
+     * Routes without directions (such as the triangular Sjöstadstrafiken)
+     * have a single unnamed direction, represented by null
+     * @param {Object} route Route data from the timetable
+     * @returns {Array<string|null>} Direction names
+     */
+    getDirectionKeys(route) {
+        return route && route.directions ? Object.keys(route.directions) : [null];
+    }
+
+    /**
+     * Gets the unmodified stop-to-times mapping for a route direction
+     * Supports both route.schedule[type] and route.directions[key][`${type}_schedule`].departures
+     * @param {Object} route Route data from the timetable
+     * @param {string|null} directionKey Direction name, or null for routes without directions
+     * @param {string} scheduleType Schedule type (weekday/weekend/holiday)
+     * @returns {Object|null} Stop to times mapping, or null if the schedule is missing
+     */
+    getBaseDepartures(route, directionKey, scheduleType) {
+        if (!route) return null;
+
+        if (directionKey === null) {
+            return (route.schedule && route.schedule[scheduleType]) || null;
+        }
+
+        const direction = route.directions && route.directions[directionKey];
+        const schedule = direction && direction[`${scheduleType}_schedule`];
+        return (schedule && schedule.departures) || null;
+    }
+
+    /**
+     * Determines the schedule type a line runs on a given date
+     * Days listed as holiday_traffic run on the weekend schedule; other
+     * holidays, eves and squeeze days follow the line's day_type_rules
+     * @param {Object} route Route data from the timetable
+     * @param {string} scheduleType Base schedule type (weekday/weekend)
+     * @param {Date} date Calendar date to resolve
+     * @returns {string} "weekday", "weekend" or "holiday"
+     */
+    getEffectiveScheduleType(route, scheduleType, date) {
+        const exceptions = this.getDateExceptions(route, date);
+        if (exceptions.holidayTraffic) {
+            return "weekend";
+        }
+        if (exceptions.dayTypeRule && exceptions.dayTypeRule !== "no_service") {
+            return exceptions.dayTypeRule;
+        }
+        return scheduleType;
+    }
+
+    /**
+     * Resolves the effective departures for a direction on a given date
+     * Cancels no-traffic days, switches holiday traffic days to the weekend
+     * schedule and merges extra departures during holiday schedule periods
+     * @param {Object} route Route data from the timetable
+     * @param {string|null} directionKey Direction name, e.g. "Hammarbysjöstad_to_Nybroplan", or null for routes without directions
+     * @param {string} scheduleType Base schedule type (weekday/weekend)
+     * @param {Date} date Calendar date to resolve
+     * @returns {Object|null} Stop to times mapping, or null if there is no traffic
+     */
+    getEffectiveDepartures(route, directionKey, scheduleType, date) {
+        const exceptions = this.getDateExceptions(route, date);
+        if (exceptions.noTraffic) {
+            return null;
+        }
+
+        // Lines without a holiday schedule of their own run their weekend schedule
+        const effectiveType = this.getEffectiveScheduleType(route, scheduleType, date);
+        const schedule = this.getBaseDepartures(route, directionKey, effectiveType) ||
+            (effectiveType === "holiday" ? this.getBaseDepartures(route, directionKey, "weekend") : null);
+        if (!schedule) {
+            return null;
+        }
+
+        // Copy the arrays so merged extra departures never leak into the timetable data
+        const departures = {};
+        for (const [stop, times] of Object.entries(schedule)) {
+            departures[stop] = [...times];
+        }
+
+        if (exceptions.holidayPeriod && directionKey) {
+            const extras = this.getExtraDeparturesForDirection(
+                route.metadata.holiday_schedule.extra_departures,
+                directionKey
+            );
+            for (const [stop, time] of Object.entries(extras || {})) {
+                if (!departures[stop] || departures[stop].includes(time)) continue;
+                departures[stop].push(time);
+                departures[stop].sort((a, b) => this.getServiceMinutes(a) - this.getServiceMinutes(b));
+            }
+        }
+
+        return departures;
+    }
+
+    /**
+     * Builds trips by zipping the per-stop time arrays of a direction
+     * The n:th time of every stop belongs to the n:th trip, so all stops must list
+     * the same number of times. Stop order follows the order in the data file
+     * @param {Object} departures Stop to times mapping
+     * @returns {Array<Object>|null} Trips with index and stops, or null if the stop arrays differ in length
+     */
+    buildTrips(departures) {
+        const stops = Object.keys(departures || {});
+        if (stops.length === 0) {
+            return [];
+        }
+
+        const tripCount = departures[stops[0]].length;
+        if (stops.some(stop => departures[stop].length !== tripCount)) {
+            console.warn("Cannot build trips, stops list different number of times:", stops.map(stop => `${stop}: ${departures[stop].length}`));
+            return null;
+        }
+
+        return Array.from({ length: tripCount }, (_, index) => {
+            let previous = -1;
+            let offset = 0;
+
+            const tripStops = stops.map(stop => {
+                let minutes = this.getServiceMinutes(departures[stop][index]) + offset;
+
+                // A trip that passes midnight continues on the next day
+                if (minutes < previous) {
+                    offset += 24 * 60;
+                    minutes += 24 * 60;
+                }
+                previous = minutes;
+
+                return { stop, time: this.formatServiceTime(minutes), minutes };
+            });
+
+            return { index, stops: tripStops };
+        });
+    }
+
+    /**
+     * Estimates where the boat on a trip is at a given time
+     * @param {Object} trip Trip from buildTrips
+     * @param {number} currentMinutes Minutes since midnight
+     * @returns {Object} Position with status "upcoming", "at", "between" or "completed",
+     *                   plus stop, from/to and minutesUntilDeparture where relevant
+     */
+    getTripPosition(trip, currentMinutes) {
+        const stops = trip.stops;
+        const first = stops[0];
+        const last = stops[stops.length - 1];
+
+        if (currentMinutes < first.minutes) {
+            return { status: "upcoming", stop: first.stop, minutesUntilDeparture: first.minutes - currentMinutes };
+        }
+        if (currentMinutes > last.minutes) {
+            return { status: "completed", stop: last.stop };
+        }
+
+        for (let i = 0; i < stops.length; i++) {
+            if (stops[i].minutes === currentMinutes) {
+                return { status: "at", stop: stops[i].stop };
+            }
+            if (i + 1 < stops.length && currentMinutes < stops[i + 1].minutes) {
+                return { status: "between", from: stops[i].stop, to: stops[i + 1].stop };
+            }
+        }
+
+        return { status: "at", stop: last.stop };
+    }
+
+    /**
+     * Gets the recurring cancellations that hit a stop on a given date
+     * Cancellations live in metadata.recurring_cancellations and match on weekday,
+     * optional start_date/end_date and, per departure, optional stop and direction
+     * @param {Object} route Route data from the timetable
+     * @param {string|null} directionKey Direction name, or null for routes without directions
+     * @param {string} stop Stop name
+     * @param {Date} date Calendar date to resolve
+     * @returns {Object} Mapping of cancelled time to reason
+     */
+    getCancelledDepartures(route, directionKey, stop, date) {
+        const rules = (route && route.metadata && route.metadata.recurring_cancellations) || [];
+        const weekday = this.weekdayNames[date.getUTCDay()];
+        const isoDate = this.formatISODate(date);
+        const cancelled = {};
+
+        rules.forEach(rule => {
+            if (!(rule.weekdays || []).includes(weekday)) return;
+            if (rule.start_date && isoDate < rule.start_date) return;
+            if (rule.end_date && isoDate > rule.end_date) return;
+
+            (rule.departures || []).forEach(departure => {
+                if (departure.stop && departure.stop !== stop) return;
+                if (departure.direction && departure.direction !== directionKey) return;
+                // Keyed on the displayed time, so "24:05" and "00:05" match alike
+                cancelled[this.formatServiceTime(this.getServiceMinutes(departure.time))] = rule.reason || '';
+            });
+        });
+
+        return cancelled;
+    }
+
+    /**
+     * Checks whether a departure runs on a date. A boat leaving after
+     * midnight belongs to the previous day's schedule
+     * @param {Object} route Route data
+     * @param {string|null} directionKey Direction name
+     * @param {string} stop Stop name
+     * @param {string} time Departure time in HH:MM format
+     * @param {Date} date Calendar date the boat leaves
+     * @returns {Object} Object with runs and, for cancellations, reason
+     */
+    getDepartureStatus(route, directionKey, stop, time, date) {
+        const minutes = this.getServiceMinutes(time);
+        const serviceDate = minutes >= 24 * 60 ? this.addDays(date, -1) : date;
+        const scheduleType = this.getScheduleTypeForDate(serviceDate);
+        const departures = this.isRouteValidOn(route, serviceDate) ?
+            this.getEffectiveDepartures(route, directionKey, scheduleType, serviceDate) :
+            null;
+        const runs = departures && (departures[stop] || [])
+            .some(departure => this.getServiceMinutes(departure) === minutes);
+        if (!runs) {
+            return { runs: false, reason: null };
+        }
+
+        const cancelled = this.getCancelledDepartures(route, directionKey, stop, serviceDate);
+        const displayTime = this.formatServiceTime(minutes);
+        if (displayTime in cancelled) {
+            return { runs: false, reason: cancelled[displayTime] || null };
         }
+        return { runs: true };
+    }
 
-        // Then check variable holidays
-        const variableHolidays = this.getVariableHolidays(year);
-        return !!variableHolidays[formatted];
+    /**
+     * Gets cancellations for a stop today and tomorrow, in the shape
+     * expected by processScheduleTimes
+     * @param {Object} route Route data from the timetable
+     * @param {string|null} directionKey Direction name, or null for routes without directions
+     * @param {string} stop Stop name
+     * @param {Date} [date] Date treated as today, defaults to the current date
+     * @returns {Object} Object with today and tomorrow time-to-reason mappings
+     */
+    getUpcomingCancellations(route, directionKey, stop, date = this.now()) {
+        return {
+            today: this.getCancelledDepartures(route, directionKey, stop, date),
+            tomorrow: this.getCancelledDepartures(route, directionKey, stop, this.addDays(date, 1))
+        };
     }
 
     /**
-     * Checks if current time is after last departure of the day
+     * Gets the calendar date whose schedule is currently displayed
+     * This is the current service day, or the next one after its last departure
      * @param {Object} timetable Current timetable data
+     * @param {Date} [now] Reference wall-clock time, defaults to now
+     * @returns {Date} Date of the displayed service day
+     */
+    getServiceDate(timetable, now = this.now()) {
+        const serviceDate = this.getServiceTime(now).date;
+        return this.isAfterLastDeparture(timetable, now) ? this.addDays(serviceDate, 1) : serviceDate;
+    }
+
+    /**
+     * Checks if current time is after last departure of the current service day
+     * Late boats after midnight count towards the day they started on
+     * @param {Object} timetable Current timetable data
+     * @param {Date} [now] Reference wall-clock time, defaults to now
      * @returns {boolean} True if after last departure
      */
-    isAfterLastDeparture(timetable) {
-        const now = new Date();
-        const currentTime = now.getHours() * 60 + now.getMinutes();
-        const scheduleType = this.getBasicScheduleType();
+    isAfterLastDeparture(timetable, now = this.now()) {
+        const serviceTime = this.getServiceTime(now);
+        const scheduleType = this.getScheduleTypeForDate(serviceTime.date);
         
         if (!timetable || !timetable.routes) {
             return false;
         }
 
-        let latestDeparture = "00:00";
-
-        // Check Sjöstadstrafiken departures
-        const sjoSchedule = timetable.routes.sjo_staden.schedule[scheduleType];
-        Object.values(sjoSchedule).forEach(times => {
-            const lastTime = times[times.length - 1];
-            if (this.timeToMinutes(lastTime) > this.timeToMinutes(latestDeparture)) {
-                latestDeparture = lastTime;
-            }
-        });
+        let latestDeparture = 0;
 
-        // Check Emelietrafiken departures
-        const emelieRoutes = timetable.routes.city_line.directions;
-        Object.values(emelieRoutes).forEach(direction => {
-            const schedule = direction[`${scheduleType}_schedule`].departures;
-            Object.values(schedule).forEach(times => {
-                const lastTime = times[times.length - 1];
-                if (this.timeToMinutes(lastTime) > this.timeToMinutes(latestDeparture)) {
-                    latestDeparture = lastTime;
-                }
+        // Check the last departure of every stop on every route and direction,
+        // as each line runs it on this date
+        Object.values(timetable.routes).forEach(route => {
+            this.getDirectionKeys(route).forEach(directionKey => {
+                const schedule = this.getEffectiveDepartures(route, directionKey, scheduleType, serviceTime.date) || {};
+                Object.values(schedule).forEach(times => {
+                    times.forEach(time => {
+                        latestDeparture = Math.max(latestDeparture, this.getServiceMinutes(time));
+                    });
+                });
             });
         });
 
-        return currentTime > this.timeToMinutes(latestDeparture);
+        return serviceTime.minutes > latestDeparture;
     }
 
     /**
      * Gets basic schedule type based on current day
+     * @param {Date} [now] Reference wall-clock time, defaults to now
      * @returns {string} "weekend" or "weekday"
      */
-    getBasicScheduleType() {
-        const now = new Date();
-        return now.getDay() === 6 || now.getDay() === 0 ? "weekend" : "weekday";
+    getBasicScheduleType(now = this.now()) {
+        return now.getUTCDay() === 6 || now.getUTCDay() === 0 ? "weekend" : "weekday";
     }
 
     /**
-     * Determines schedule type based on current time and holidays
-     * Takes into account holidays and next day scheduling
-     * @param {Object} timetable Current timetable data
+     * Gets schedule type for a calendar date
+     * Public holidays, eves and weekends run the weekend schedule and squeeze
+     * days the weekday schedule; lines may override this with day_type_rules
+     * @param {Date} date Date to check
      * @returns {string} "weekend" or "weekday"
      */
-    getScheduleType(timetable) {
-        const now = new Date();
-        
-        // Check if current time is a holiday
-        if (this.isHoliday(now)) {
-            return "weekend";
+    getScheduleTypeForDate(date) {
+        const holiday = this.getHoliday(date);
+        if (holiday && this.defaultDayTypeRules[holiday.type]) {
+            return this.defaultDayTypeRules[holiday.type];
         }
-
-        // If after last departure, check next day's schedule
-        if (this.isAfterLastDeparture(timetable)) {
-            const tomorrow = new Date(now);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            
-            if (this.isHoliday(tomorrow)) {
-                return "weekend";
-            }
-            
-            const tomorrowDay = tomorrow.getDay();
-            if (tomorrowDay === 0 || tomorrowDay === 6) {
-                return "weekend";
-            }
-            
-            return "weekday";
-        }
-
-        return this.getBasicScheduleType();
+        const day = date.getUTCDay();
+        return day === 0 || day === 6 ? "weekend" : "weekday";
     }
 
     /**
-     * Gets display name for schedule type
-     * @param {string} scheduleType The schedule type
-     * @returns {string} Display name in Swedish
+     * Determines schedule type based on current time and holidays
+     * Uses the displayed service day, so late boats after midnight keep the
+     * schedule of the day they belong to, and after the last departure the
+     * next day's schedule applies, also when a holiday starts or ends at midnight
+     * @param {Object} timetable Current timetable data
+     * @param {Date} [now] Reference wall-clock time, defaults to now
+     * @returns {string} "weekend" or "weekday"
      */
-    getScheduleDisplayName(scheduleType) {
-        return scheduleType === "weekday" ? "Vardagar" : "Helgtrafik";
+    getScheduleType(timetable, now = this.now()) {
+        return this.getScheduleTypeForDate(this.getServiceDate(timetable, now));
     }
 
     /**
      * Processes and sorts schedule times for display
-     * Handles tomorrow times and sorts by next departure
+     * Handles tomorrow times and sorts by next departure. "Today" and "tomorrow"
+     * are service days, so a 00:05 boat is today's last departure
      * @param {string[]} times Array of time strings
      * @param {number} maxDepartures Maximum number of departures to return
-     * @returns {Array<Object>} Processed and sorted departure times
+     * @param {Object} [options] Optional processing options
+     * @param {Object} [options.cancellations] Today and tomorrow time-to-reason mappings
+     * @param {boolean} [options.hideCancelled] Drop cancelled departures instead of flagging them
+     * @param {number} [options.currentMinutes] Service-day minutes to process from, defaults to the clock's time
+     * @returns {Array<Object>} Processed and sorted departure times, with the displayed time,
+     *                          serviceTime (e.g. "24:05") and service-day minutes
      */
-    processScheduleTimes(times, maxDepartures) {
+    processScheduleTimes(times, maxDepartures, options = {}) {
         if (!Array.isArray(times)) {
             console.error("Invalid times array:", times);
             return [];
         }
 
-        const now = new Date();
-        const currentMinutes = now.getHours() * 60 + now.getMinutes();
-        const isBeforeMidnight = currentMinutes < 24 * 60;
+        const currentMinutes = options.currentMinutes ?? this.getServiceTime().minutes;
         
         // Process times and create extended information
-        let processedTimes = times.map(time => {
-            const minutesSinceMidnight = this.timeToMinutes(time);
+        // The index of a time in its stop array is also the index of its trip
+        let processedTimes = times.map((time, index) => {
+            const minutesSinceMidnight = this.getServiceMinutes(time);
+            const displayTime = this.formatServiceTime(minutesSinceMidnight);
+            const serviceTime = this.minutesToTime(minutesSinceMidnight);
             let diff = minutesSinceMidnight - currentMinutes;
             
             // Handle times that might be for tomorrow
-            if (isBeforeMidnight && diff < 0) {
+            if (diff < 0) {
                 const tomorrowDiff = (24 * 60 + minutesSinceMidnight) - currentMinutes;
                 return [
                     {
-                        time: time,
+                        time: displayTime,
+                        serviceTime: serviceTime,
+                        index: index,
                         minutes: minutesSinceMidnight,
                         diff: diff,
                         isPast: true,
                         isToday: true
                     },
                     {
-                        time: time,
+                        time: displayTime,
+                        serviceTime: serviceTime,
+                        index: index,
                         minutes: minutesSinceMidnight + 24 * 60,
                         diff: tomorrowDiff,
                         isPast: false,
@@ -292,7 +947,9 @@ class TimeHandler {
             }
             
             return [{
-                time: time,
+                time: displayTime,
+                serviceTime: serviceTime,
+                index: index,
                 minutes: minutesSinceMidnight,
                 diff: diff,
                 isPast: diff < 0,
@@ -300,11 +957,24 @@ class TimeHandler {
             }];
         }).flat();
 
+        // Flag cancelled departures, or drop them so the remaining slots are filled
+        const cancellations = options.cancellations || {};
+        processedTimes.forEach(t => {
+            const reasons = (t.isToday ? cancellations.today : cancellations.tomorrow) || {};
+            if (Object.prototype.hasOwnProperty.call(reasons, t.time)) {
+                t.cancelled = true;
+                t.cancelReason = reasons[t.time];
+            }
+        });
+        if (options.hideCancelled) {
+            processedTimes = processedTimes.filter(t => !t.cancelled);
+        }
+
         // Sort by time difference
         processedTimes.sort((a, b) => a.diff - b.diff);
 
-        // Find the next departure
-        const nextDepartureIndex = processedTimes.findIndex(t => !t.isPast);
+        // Find the next departure that actually runs
+        const nextDepartureIndex = processedTimes.findIndex(t => !t.isPast && !t.cancelled);
         
         let selectedTimes;
         if (nextDepartureIndex === -1) {
@@ -331,9 +1001,23 @@ class TimeHandler {
         }
 
         // Return final format
-        return selectedTimes.map(t => ({
-            time: t.time,
-            isToday: t.isToday
-        }));
+        return selectedTimes.map(t => {
+            const result = {
+                time: t.time,
+                serviceTime: t.serviceTime,
+                minutes: t.minutes,
+                index: t.index,
+                isToday: t.isToday
+            };
+            if (t.cancelled) {
+                result.cancelled = true;
+                result.cancelReason = t.cancelReason;
+            }
+            return result;
+        });
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimeHandler;
+}
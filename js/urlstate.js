@@ -0,0 +1,139 @@
+/**
+ * Resseltrafiken Web Application - URL State Module
+ *
+ * Reads and writes the view state kept in the page URL, so that views can be
+ * bookmarked and shared. Handles the ?route= shortcuts and the
+ * web+resseltrafiken protocol handler declared in the manifests.
+ *
+ * Supported parameters:
+ *   route      Route key or alias, e.g. "sjostaden" or "emelie"
+ *   direction  Direction key, or "outbound"/"return"
+ *   stop       Stop to focus and highlight, also accepts web+resseltrafiken: URLs
+ *   date       Date to show the timetable for, in YYYY-MM-DD format
+ *   at         Simulated Stockholm time to render the board at, e.g. 2025-06-20T23:30
+ *   board      Any value but 0 shows the large departure board for wall screens
+ *   count      Boats listed per route on the board, 1 to 10
+ *   rotate     Seconds each route is shown on the board, 0 to show all at once
+ *   shift      0 turns off the board's burn-in pixel shifting
+ *   dim        0 turns off the board's night dimming
+ *   home, citystop, departures, both, interval, order, hide, lang, time
+ *              Override the saved settings for this view, see SettingsStore
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+class UrlState {
+    /**
+     * Initializes the UrlState
+     * @param {string} [protocol="web+resseltrafiken"] Custom protocol registered in the manifest
+     */
+    constructor(protocol = "web+resseltrafiken") {
+        this.protocol = protocol;
+        this.keys = ["route", "direction", "stop", "date", "at", "board", "count", "rotate", "shift", "dim",
+            "home", "citystop", "departures", "both", "interval", "order", "hide", "lang", "time"];
+        this.boardDefaults = { count: 3, rotate: 15, shift: true, dim: true };
+    }
+
+    /**
+     * Parses view state from a query string
+     * @param {string} search Query string, e.g. location.search
+     * @returns {Object} State with route, direction, stop, date, at, the board parameters
+     *                  and the setting overrides, null where absent
+     */
+    parse(search) {
+        const params = new URLSearchParams(search || "");
+        const state = {};
+
+        this.keys.forEach(key => {
+            const value = params.get(key);
+            state[key] = value && value.trim() ? value.trim() : null;
+        });
+
+        if (state.stop) {
+            state.stop = this.stripProtocol(state.stop);
+        }
+        if (state.date && !/^\d{4}-\d{2}-\d{2}$/.test(state.date)) {
+            console.warn(`Ignoring invalid date parameter: ${state.date}`);
+            state.date = null;
+        }
+        if (state.at && !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(state.at)) {
+            console.warn(`Ignoring invalid at parameter: ${state.at}`);
+            state.at = null;
+        }
+
+        return state;
+    }
+
+    /**
+     * Gets the departure board options of a view state
+     * @param {Object} state View state from parse
+     * @returns {Object|null} Options with count, rotate (seconds), shift and dim,
+     *                        or null if the board is not asked for
+     */
+    getBoardOptions(state) {
+        if (!state.board || state.board === "0") {
+            return null;
+        }
+
+        const toNumber = (value, fallback, min, max) => {
+            const number = Number(value);
+            if (value === null || !Number.isInteger(number)) return fallback;
+            return Math.min(max, Math.max(min, number));
+        };
+        return {
+            count: toNumber(state.count, this.boardDefaults.count, 1, 10),
+            rotate: toNumber(state.rotate, this.boardDefaults.rotate, 0, 3600),
+            shift: state.shift === null ? this.boardDefaults.shift : state.shift !== "0",
+            dim: state.dim === null ? this.boardDefaults.dim : state.dim !== "0"
+        };
+    }
+
+    /**
+     * Removes the protocol prefix that protocol handlers pass along,
+     * so "web+resseltrafiken:Lumabryggan" becomes "Lumabryggan"
+     * @param {string} value Parameter value
+     * @returns {string} Value without protocol prefix
+     */
+    stripProtocol(value) {
+        const prefix = `${this.protocol}:`;
+        if (value.toLowerCase().startsWith(prefix)) {
+            return decodeURIComponent(value.slice(prefix.length).replace(/^\/\//, "").replace(/\/$/, ""));
+        }
+        return value;
+    }
+
+    /**
+     * Builds a query string from view state, leaving out empty values
+     * @param {Object} state View state
+     * @returns {string} Query string including "?", or "" if the state is empty
+     */
+    toSearch(state) {
+        const params = new URLSearchParams();
+        this.keys.forEach(key => {
+            if (state[key]) {
+                params.set(key, state[key]);
+            }
+        });
+        const search = params.toString();
+        return search ? `?${search}` : "";
+    }
+
+    /**
+     * Writes view state to the page URL without reloading
+     * @param {Object} state View state
+     * @param {boolean} [replace=false] Replace the current history entry instead of adding one
+     */
+    write(state, replace = false) {
+        const search = this.toSearch(state);
+        if (search === window.location.search) return;
+
+        const url = `${window.location.pathname}${search}${window.location.hash || ""}`;
+        if (replace) {
+            window.history.replaceState(state, "", url);
+        } else {
+            window.history.pushState(state, "", url);
+        }
+    }
+}
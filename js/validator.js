@@ -0,0 +1,600 @@
+/**
+ * Resseltrafiken Web Application - Timetable Validator Module
+ *
+ * Validates timetable data in the Ressel.json format and reports every problem
+ * with the JSON path where it was found. Used by the app when loading data and
+ * by tools/validate-timetable.js and tools/ressel.js when checking data files in Node.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+class TimetableValidator {
+    /**
+     * Initializes the validator with the schedule types every line must provide,
+     * the optional holiday schedule, the values of metadata.day_type_rules,
+     * the fare and traveller types of metadata.pricing and the start of the
+     * service day, as in TimeHandler
+     */
+    constructor() {
+        this.scheduleTypes = ["weekday", "weekend"];
+        this.optionalScheduleTypes = ["holiday"];
+        this.dayTypes = ["holiday", "eve", "squeeze"];
+        this.dayTypeRules = ["weekday", "weekend", "holiday", "no_service"];
+        this.fareTypes = ["single", "day", "discount_card", "monthly"];
+        this.travellerTypes = ["adult", "senior_youth"];
+        this.weekdayNames = [
+            "sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"
+        ];
+        this.serviceDayStart = 4 * 60;
+    }
+
+    /**
+     * Validates timetable data
+     * @param {Object} data Parsed timetable data
+     * @returns {Array<Object>} Issues with path, message and severity ("error" or "warning")
+     */
+    validate(data) {
+        const issues = [];
+        const report = (path, message, severity = "error") => {
+            issues.push({ path, message, severity });
+        };
+
+        if (!this.isObject(data)) {
+            report("$", "Tidtabellen måste vara ett JSON-objekt");
+            return issues;
+        }
+
+        if (!this.isObject(data.metadata)) {
+            report("metadata", "Saknas eller är inte ett objekt");
+        } else {
+            this.validateMetadata(data.metadata, "metadata", report, true);
+        }
+
+        if (!this.isObject(data.routes) || Object.keys(data.routes).length === 0) {
+            report("routes", "Saknas eller innehåller inga linjer");
+            return issues;
+        }
+
+        for (const [routeKey, route] of Object.entries(data.routes)) {
+            this.validateRoute(route, `routes.${routeKey}`, report);
+        }
+
+        return issues;
+    }
+
+    /**
+     * Validates a season index such as data/index.json
+     * @param {Object} data Parsed season index
+     * @param {Function} [hasFile] Checks that a listed season file exists, where the caller can look
+     * @returns {Array<Object>} Issues with path, message and severity ("error" or "warning")
+     */
+    validateIndex(data, hasFile = null) {
+        const issues = [];
+        const report = (path, message, severity = "error") => {
+            issues.push({ path, message, severity });
+        };
+
+        if (!this.isObject(data) || !Array.isArray(data.seasons) || data.seasons.length === 0) {
+            report("seasons", "Saknas eller innehåller inga säsonger");
+            return issues;
+        }
+
+        data.seasons.forEach((season, index) => {
+            const path = `seasons[${index}]`;
+            if (!this.isObject(season)) {
+                report(path, "Måste vara ett objekt med file och valid_period");
+                return;
+            }
+            if (typeof season.file !== "string" || !season.file.endsWith(".json")) {
+                report(`${path}.file`, "Filnamn saknas eller slutar inte på .json");
+            } else if (hasFile && !hasFile(season.file)) {
+                report(`${path}.file`, `Filen ${season.file} finns inte`);
+            }
+            this.validatePeriod(season.valid_period, `${path}.valid_period`, report);
+        });
+
+        return issues;
+    }
+
+    /**
+     * Checks if validation issues contain errors (not only warnings)
+     * @param {Array<Object>} issues Issues returned by validate
+     * @returns {boolean} True if at least one issue is an error
+     */
+    hasErrors(issues) {
+        return issues.some(issue => issue.severity === "error");
+    }
+
+    /**
+     * Formats issues as one line of text per issue
+     * @param {Array<Object>} issues Issues returned by validate
+     * @returns {string[]} Formatted issue lines
+     */
+    formatIssues(issues) {
+        return issues.map(issue =>
+            `${issue.severity === "error" ? "Fel" : "Varning"}: ${issue.path}: ${issue.message}`);
+    }
+
+    /**
+     * Validates top-level or line metadata
+     * @private
+     * @param {Object} metadata Metadata object
+     * @param {string} path JSON path of the metadata
+     * @param {Function} report Issue reporter
+     * @param {boolean} isTopLevel True for the timetable's own metadata
+     */
+    validateMetadata(metadata, path, report, isTopLevel) {
+        if (isTopLevel) {
+            if (typeof metadata.version !== "string" || !metadata.version) {
+                report(`${path}.version`, "Versionsnamn saknas");
+            }
+            if (!metadata.valid_period) {
+                report(`${path}.valid_period`, "Giltighetsperiod saknas");
+            }
+        }
+
+        if (metadata.valid_period !== undefined) {
+            this.validatePeriod(metadata.valid_period, `${path}.valid_period`, report);
+        }
+    }
+
+    /**
+     * Validates a valid_period object with start_date and end_date
+     * @private
+     * @param {Object} period Period object
+     * @param {string} path JSON path of the period
+     * @param {Function} report Issue reporter
+     */
+    validatePeriod(period, path, report) {
+        if (!this.isObject(period)) {
+            report(path, "Måste vara ett objekt med start_date och end_date");
+            return;
+        }
+
+        const startValid = this.validateDate(period.start_date, `${path}.start_date`, report);
+        const endValid = this.validateDate(period.end_date, `${path}.end_date`, report);
+        if (startValid && endValid && period.start_date > period.end_date) {
+            report(path, `Startdatum ${period.start_date} är efter slutdatum ${period.end_date}`);
+        }
+    }
+
+    /**
+     * Validates a single YYYY-MM-DD date
+     * @private
+     * @param {*} value Value to check
+     * @param {string} path JSON path of the value
+     * @param {Function} report Issue reporter
+     * @returns {boolean} True if the date is valid
+     */
+    validateDate(value, path, report) {
+        if (!this.isValidDate(value)) {
+            report(path, `Ogiltigt datum "${value}", förväntat YYYY-MM-DD`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Validates one route, its schedules and its line metadata
+     * @private
+     * @param {Object} route Route data
+     * @param {string} path JSON path of the route
+     * @param {Function} report Issue reporter
+     */
+    validateRoute(route, path, report) {
+        if (!this.isObject(route)) {
+            report(path, "Linjen måste vara ett objekt");
+            return;
+        }
+
+        if (typeof route.name !== "string" || !route.name) {
+            report(`${path}.name`, "Linjenamn saknas");
+        }
+
+        if (route.stops !== undefined &&
+            (!Array.isArray(route.stops) || route.stops.some(stop => typeof stop !== "string"))) {
+            report(`${path}.stops`, "Måste vara en lista med hållplatsnamn");
+        }
+
+        const knownStops = new Set(Array.isArray(route.stops) ? route.stops : []);
+        const directionKeys = [];
+
+        if (route.schedule !== undefined) {
+            for (const type of [...this.scheduleTypes, ...this.optionalScheduleTypes]) {
+                const schedule = route.schedule[type];
+                const schedulePath = `${path}.schedule.${type}`;
+                if (schedule === undefined && this.optionalScheduleTypes.includes(type)) continue;
+                if (!this.isObject(schedule)) {
+                    report(schedulePath, `Schema för ${type} saknas`);
+                    continue;
+                }
+                this.validateStopTimes(schedule, schedulePath, route, report, false);
+                Object.keys(schedule).forEach(stop => knownStops.add(stop));
+            }
+        } else if (this.isObject(route.directions)) {
+            for (const [directionKey, direction] of Object.entries(route.directions)) {
+                directionKeys.push(directionKey);
+                for (const type of [...this.scheduleTypes, ...this.optionalScheduleTypes]) {
+                    const schedulePath = `${path}.directions.${directionKey}.${type}_schedule`;
+                    const schedule = direction && direction[`${type}_schedule`];
+                    if (schedule === undefined && this.optionalScheduleTypes.includes(type)) continue;
+                    if (!this.isObject(schedule) || !this.isObject(schedule.departures)) {
+                        report(schedulePath, `Schema för ${type} med departures saknas`);
+                        continue;
+                    }
+                    this.validateStopTimes(schedule.departures, `${schedulePath}.departures`, route, report, true);
+                    Object.keys(schedule.departures).forEach(stop => knownStops.add(stop));
+                }
+            }
+        } else {
+            report(path, "Linjen saknar både schedule och directions");
+        }
+
+        this.validateDisplay(route.display, `${path}.display`, knownStops, report);
+        directionKeys.forEach(directionKey => {
+            this.validateDisplay((route.directions[directionKey] || {}).display,
+                `${path}.directions.${directionKey}.display`, knownStops, report);
+        });
+
+        if (route.metadata !== undefined) {
+            if (!this.isObject(route.metadata)) {
+                report(`${path}.metadata`, "Måste vara ett objekt");
+            } else {
+                this.validateMetadata(route.metadata, `${path}.metadata`, report, false);
+                this.validateHolidayNotes(route, `${path}.metadata`, knownStops, directionKeys, report);
+                this.validateDayTypeRules(route, `${path}.metadata.day_type_rules`, report);
+                this.validatePricing(route.metadata.pricing, `${path}.metadata.pricing`, report);
+            }
+        }
+    }
+
+    /**
+     * Validates an optional display block of a route or direction
+     * @private
+     * @param {Object|undefined} display Display block
+     * @param {string} path JSON path of the block
+     * @param {Set<string>} knownStops Stops served by the line
+     * @param {Function} report Issue reporter
+     */
+    validateDisplay(display, path, knownStops, report) {
+        if (display === undefined) return;
+        if (!this.isObject(display)) {
+            report(path, "Måste vara ett objekt");
+            return;
+        }
+        if (display.order !== undefined && typeof display.order !== "number") {
+            report(`${path}.order`, "Måste vara ett tal");
+        }
+        if (display.highlight_stop !== undefined) {
+            this.validateStopReference(display.highlight_stop, `${path}.highlight_stop`, knownStops, report);
+        }
+    }
+
+    /**
+     * Validates the stop-to-times map of one schedule
+     * @private
+     * @param {Object} stopTimes Mapping of stop name to time list
+     * @param {string} path JSON path of the mapping
+     * @param {Object} route Route the schedule belongs to
+     * @param {Function} report Issue reporter
+     * @param {boolean} requireEqualTrips True if every stop must list the same number of trips
+     */
+    validateStopTimes(stopTimes, path, route, report, requireEqualTrips) {
+        const counts = {};
+
+        for (const [stop, times] of Object.entries(stopTimes)) {
+            const stopPath = `${path}.${stop}`;
+
+            if (Array.isArray(route.stops) && !route.stops.includes(stop)) {
+                report(stopPath, `Hållplatsen "${stop}" finns inte i linjens stops`);
+            }
+
+            if (!Array.isArray(times)) {
+                report(stopPath, "Måste vara en lista med tider");
+                continue;
+            }
+            counts[stop] = times.length;
+            this.validateTimeSequence(times, stopPath, report);
+        }
+
+        if (Array.isArray(route.stops)) {
+            route.stops
+                .filter(stop => !Object.prototype.hasOwnProperty.call(stopTimes, stop))
+                .forEach(stop => report(`${path}.${stop}`, `Tider saknas för hållplatsen "${stop}"`));
+        }
+
+        const distinctCounts = new Set(Object.values(counts));
+        if (requireEqualTrips && distinctCounts.size > 1) {
+            const summary = Object.entries(counts).map(([stop, count]) => `${stop}: ${count}`).join(", ");
+            report(path, `Olika antal turer per hållplats (${summary})`);
+        }
+    }
+
+    /**
+     * Validates time syntax and that times increase through the service day.
+     * Late boats may be written "24:05" or "00:05"; like the board, every time
+     * before the service day starts counts as after midnight
+     * @private
+     * @param {Array} times Time list for one stop
+     * @param {string} path JSON path of the list
+     * @param {Function} report Issue reporter
+     */
+    validateTimeSequence(times, path, report) {
+        let previous = null;
+
+        times.forEach((time, index) => {
+            const timePath = `${path}[${index}]`;
+            if (!this.isValidTime(time)) {
+                report(timePath, `Ogiltig tid "${time}", förväntat HH:MM`);
+                return;
+            }
+
+            const minutes = this.getServiceMinutes(time);
+            if (previous !== null && minutes <= previous) {
+                report(timePath, `Tiden ${time} kommer inte efter föregående tid`);
+                return;
+            }
+            previous = minutes;
+        });
+    }
+
+    /**
+     * Validates holiday notes, holiday schedule periods, extra departures
+     * and recurring cancellations of a line
+     * @private
+     * @param {Object} route Route data
+     * @param {string} path JSON path of the metadata
+     * @param {Set<string>} knownStops Stops served by the line
+     * @param {string[]} directionKeys Direction names of the line
+     * @param {Function} report Issue reporter
+     */
+    validateHolidayNotes(route, path, knownStops, directionKeys, report) {
+        const metadata = route.metadata;
+        const notes = metadata.holiday_notes;
+        if (notes !== undefined) {
+            ["no_traffic", "holiday_traffic"].forEach(key => {
+                if (notes[key] === undefined) return;
+                if (!Array.isArray(notes[key])) {
+                    report(`${path}.holiday_notes.${key}`, "Måste vara en lista med datum");
+                    return;
+                }
+                notes[key].forEach((date, index) =>
+                    this.validateDate(date, `${path}.holiday_notes.${key}[${index}]`, report));
+            });
+        }
+
+        const holidaySchedule = metadata.holiday_schedule;
+        if (holidaySchedule !== undefined) {
+            (holidaySchedule.periods || []).forEach((period, index) => {
+                const periodPath = `${path}.holiday_schedule.periods[${index}].dates`;
+                const match = /^\s*(\S+)\s+-\s+(\S+)\s*$/.exec(period.dates || "");
+                if (!match) {
+                    report(periodPath, `Ogiltigt datumintervall "${period.dates}", förväntat "YYYY-MM-DD - YYYY-MM-DD"`);
+                    return;
+                }
+                this.validatePeriod({ start_date: match[1], end_date: match[2] }, periodPath, report);
+            });
+
+            for (const [key, departures] of Object.entries(holidaySchedule.extra_departures || {})) {
+                const extraPath = `${path}.holiday_schedule.extra_departures.${key}`;
+                if (!/^(to|from)_/.test(key)) {
+                    report(extraPath, `Nyckeln "${key}" måste börja med to_ eller from_`);
+                }
+                for (const [stop, time] of Object.entries(departures || {})) {
+                    this.validateStopReference(stop, `${extraPath}.${stop}`, knownStops, report);
+                    if (!this.isValidTime(time)) {
+                        report(`${extraPath}.${stop}`, `Ogiltig tid "${time}", förväntat HH:MM`);
+                    }
+                }
+            }
+        }
+
+        const cancellations = metadata.recurring_cancellations;
+        if (cancellations === undefined) return;
+        if (!Array.isArray(cancellations)) {
+            report(`${path}.recurring_cancellations`, "Måste vara en lista");
+            return;
+        }
+
+        cancellations.forEach((rule, ruleIndex) => {
+            const rulePath = `${path}.recurring_cancellations[${ruleIndex}]`;
+            if (!Array.isArray(rule.weekdays) || rule.weekdays.length === 0) {
+                report(`${rulePath}.weekdays`, "Minst en veckodag krävs");
+            } else {
+                rule.weekdays
+                    .filter(day => !this.weekdayNames.includes(day))
+                    .forEach(day => report(`${rulePath}.weekdays`, `Okänd veckodag "${day}"`));
+            }
+            if (rule.start_date !== undefined) this.validateDate(rule.start_date, `${rulePath}.start_date`, report);
+            if (rule.end_date !== undefined) this.validateDate(rule.end_date, `${rulePath}.end_date`, report);
+
+            (rule.departures || []).forEach((departure, index) => {
+                const departurePath = `${rulePath}.departures[${index}]`;
+                if (!this.isValidTime(departure.time)) {
+                    report(`${departurePath}.time`, `Ogiltig tid "${departure.time}", förväntat HH:MM`);
+                } else if (!this.matchesDeparture(route, departure)) {
+                    report(departurePath, `Avgången ${departure.time} finns inte i något schema och ställer inte in någon tur`, "warning");
+                }
+                if (departure.stop !== undefined) {
+                    this.validateStopReference(departure.stop, `${departurePath}.stop`, knownStops, report);
+                }
+                if (departure.direction !== undefined && !directionKeys.includes(departure.direction)) {
+                    report(`${departurePath}.direction`, `Okänd riktning "${departure.direction}"`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Checks whether a recurring cancellation matches a departure in any
+     * schedule of the line, on its stop and direction when it names them
+     * @private
+     * @param {Object} route Route data
+     * @param {Object} departure Cancelled departure with time, optional stop and direction
+     * @returns {boolean} True if some schedule lists the departure
+     */
+    matchesDeparture(route, departure) {
+        const minutes = this.getServiceMinutes(departure.time);
+        const types = [...this.scheduleTypes, ...this.optionalScheduleTypes];
+        const schedules = [];
+
+        if (route.schedule !== undefined) {
+            types.forEach(type => schedules.push(route.schedule[type]));
+        } else {
+            for (const [directionKey, direction] of Object.entries(route.directions || {})) {
+                if (departure.direction !== undefined && departure.direction !== directionKey) continue;
+                types.forEach(type => schedules.push(((direction || {})[`${type}_schedule`] || {}).departures));
+            }
+        }
+
+        return schedules
+            .filter(stopTimes => this.isObject(stopTimes))
+            .some(stopTimes => Object.entries(stopTimes)
+                .filter(([stop]) => departure.stop === undefined || departure.stop === stop)
+                .some(([, times]) => Array.isArray(times) &&
+                    times.some(time => this.isValidTime(time) && this.getServiceMinutes(time) === minutes)));
+    }
+
+    /**
+     * Validates the schedule type each holiday calendar day type maps to.
+     * A rule for the holiday schedule on a line without one runs the weekend schedule
+     * @private
+     * @param {Object} route Route data
+     * @param {string} path JSON path of the rule table
+     * @param {Function} report Issue reporter
+     */
+    validateDayTypeRules(route, path, report) {
+        const rules = route.metadata.day_type_rules;
+        if (rules === undefined) return;
+        if (!this.isObject(rules)) {
+            report(path, "Måste vara ett objekt");
+            return;
+        }
+
+        for (const [dayType, rule] of Object.entries(rules)) {
+            if (!this.dayTypes.includes(dayType)) {
+                report(`${path}.${dayType}`, `Okänd dagtyp "${dayType}", förväntat ${this.dayTypes.join(", ")}`);
+            } else if (!this.dayTypeRules.includes(rule)) {
+                report(`${path}.${dayType}`, `Okänd regel "${rule}", förväntat ${this.dayTypeRules.join(", ")}`);
+            }
+        }
+
+        const hasHolidaySchedule = route.schedule !== undefined ?
+            this.isObject(route.schedule.holiday) :
+            Object.values(route.directions || {}).some(direction => direction && direction.holiday_schedule);
+        if (Object.values(rules).includes("holiday") && !hasHolidaySchedule) {
+            report(path, "Linjen saknar helgdagsschema, helgschemat används", "warning");
+        }
+    }
+
+    /**
+     * Validates the fares of a line. Fares are only shown, never used for the
+     * timetable, so problems are warnings and the fare is left out of the fares view
+     * @private
+     * @param {Object} pricing Fares by fare type, with prices per traveller type
+     * @param {string} path JSON path of the fares
+     * @param {Function} report Issue reporter
+     */
+    validatePricing(pricing, path, report) {
+        if (pricing === undefined) return;
+        if (!this.isObject(pricing)) {
+            report(path, "Måste vara ett objekt", "warning");
+            return;
+        }
+
+        for (const [fareType, fare] of Object.entries(pricing)) {
+            if (fareType === "notes") {
+                if (!this.isObject(fare) || Object.values(fare).some(note => typeof note !== "string")) {
+                    report(`${path}.notes`, "Måste vara ett objekt med texter", "warning");
+                }
+            } else if (!this.fareTypes.includes(fareType)) {
+                report(`${path}.${fareType}`, `Okänd biljettyp "${fareType}", förväntat ${this.fareTypes.join(", ")}`, "warning");
+            } else if (!this.isObject(fare)) {
+                report(`${path}.${fareType}`, "Måste vara ett objekt", "warning");
+            } else {
+                this.travellerTypes.forEach(traveller => {
+                    if (fare[traveller] !== undefined && !(Number.isFinite(fare[traveller]) && fare[traveller] >= 0)) {
+                        report(`${path}.${fareType}.${traveller}`, "Priset måste vara ett tal, minst 0", "warning");
+                    }
+                });
+                if (fareType === "discount_card" && !(Number.isInteger(fare.trips) && fare.trips > 0)) {
+                    report(`${path}.${fareType}.trips`, "Antal resor saknas, 10 används", "warning");
+                }
+            }
+        }
+    }
+
+    /**
+     * Reports a stop name that the line does not serve
+     * @private
+     * @param {string} stop Stop name
+     * @param {string} path JSON path of the reference
+     * @param {Set<string>} knownStops Stops served by the line
+     * @param {Function} report Issue reporter
+     */
+    validateStopReference(stop, path, knownStops, report) {
+        if (!knownStops.has(stop)) {
+            report(path, `Hållplatsen "${stop}" trafikeras inte av linjen`);
+        }
+    }
+
+    /**
+     * Checks for a plain object
+     * @private
+     * @param {*} value Value to check
+     * @returns {boolean} True if value is a non-array object
+     */
+    isObject(value) {
+        return value !== null && typeof value === "object" && !Array.isArray(value);
+    }
+
+    /**
+     * Checks HH:MM time syntax. Late boats may be written past midnight, up to 27:59
+     * @param {*} value Value to check
+     * @returns {boolean} True if value is a valid HH:MM time
+     */
+    isValidTime(value) {
+        return typeof value === "string" && /^([01]\d|2[0-7]):[0-5]\d$/.test(value);
+    }
+
+    /**
+     * Checks YYYY-MM-DD date syntax and that the date exists in the calendar
+     * @param {*} value Value to check
+     * @returns {boolean} True if value is a valid date
+     */
+    isValidDate(value) {
+        if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+        const [year, month, day] = value.split("-").map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    }
+
+    /**
+     * Converts a valid HH:MM time to minutes since midnight
+     * @private
+     * @param {string} time Time in HH:MM format
+     * @returns {number} Minutes since midnight
+     */
+    timeToMinutes(time) {
+        const [hours, minutes] = time.split(":").map(Number);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Converts a time to minutes since the start of its service day, the
+     * same way TimeHandler.getServiceMinutes orders departures
+     * @private
+     * @param {string} time Time in HH:MM format
+     * @returns {number} Minutes, 24 * 60 or more for times after midnight
+     */
+    getServiceMinutes(time) {
+        const minutes = this.timeToMinutes(time);
+        return minutes < this.serviceDayStart ? minutes + 24 * 60 : minutes;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimetableValidator;
+}
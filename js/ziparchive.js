@@ -0,0 +1,194 @@
+/**
+ * Resseltrafiken Web Application - Zip Archive Module
+ *
+ * Minimal zip support for GTFS feeds, without dependencies so it runs in the
+ * browser and in Node. Archives are written uncompressed; stored and deflated
+ * entries can be read, the latter through the platform's DecompressionStream.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+class ZipArchive {
+    /**
+     * Initializes the ZipArchive with the CRC-32 lookup table
+     */
+    constructor() {
+        this.crcTable = [];
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            this.crcTable.push(c >>> 0);
+        }
+    }
+
+    /**
+     * Creates an uncompressed zip archive
+     * @param {Object} files Mapping of file name to text content
+     * @param {Date} [date] Modification time written for every entry, defaults to now
+     * @returns {Uint8Array} Zip archive
+     */
+    create(files, date = new Date()) {
+        const encoder = new TextEncoder();
+        const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+        const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        Object.entries(files).forEach(([name, content]) => {
+            const nameBytes = encoder.encode(name);
+            const data = encoder.encode(content);
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);       // File names are UTF-8
+            local.setUint16(8, 0, true);            // Stored, no compression
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, day, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+            centralParts.push(new Uint8Array(central.buffer), nameBytes);
+            offset += 30 + nameBytes.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, centralParts.length / 2, true);
+        end.setUint16(10, centralParts.length / 2, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return this.concat([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+    }
+
+    /**
+     * Reads the text files in a zip archive. Folders inside the archive
+     * are ignored, so a feed zipped with its folder is read the same way
+     * @param {ArrayBuffer|Uint8Array} archive Zip archive
+     * @returns {Promise<Object>} Mapping of file name, without folders, to text content
+     * @throws {Error} If the archive cannot be read
+     */
+    async read(archive) {
+        const bytes = archive instanceof Uint8Array ? archive : new Uint8Array(archive);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const decoder = new TextDecoder();
+
+        let endOffset = -1;
+        for (let position = bytes.length - 22; position >= Math.max(0, bytes.length - 65557); position--) {
+            if (view.getUint32(position, true) === 0x06054b50) {
+                endOffset = position;
+                break;
+            }
+        }
+        if (endOffset === -1) {
+            throw new Error('Filen är inte ett zip-arkiv');
+        }
+
+        const files = {};
+        const count = view.getUint16(endOffset + 10, true);
+        let position = view.getUint32(endOffset + 16, true);
+
+        for (let index = 0; index < count; index++) {
+            if (view.getUint32(position, true) !== 0x02014b50) {
+                throw new Error('Zip-arkivets innehållsförteckning är skadad');
+            }
+            const method = view.getUint16(position + 10, true);
+            const compressedSize = view.getUint32(position + 20, true);
+            const nameLength = view.getUint16(position + 28, true);
+            const extraLength = view.getUint16(position + 30, true);
+            const commentLength = view.getUint16(position + 32, true);
+            const localOffset = view.getUint32(position + 42, true);
+            const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+            position += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue;
+
+            const dataStart = localOffset + 30 +
+                view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const data = bytes.subarray(dataStart, dataStart + compressedSize);
+            files[name.split('/').pop()] = decoder.decode(await this.inflate(data, method, name));
+        }
+
+        return files;
+    }
+
+    /**
+     * Unpacks the data of one entry
+     * @private
+     * @param {Uint8Array} data Entry data
+     * @param {number} method Compression method
+     * @param {string} name Entry name, for error messages
+     * @returns {Promise<Uint8Array>} Unpacked data
+     */
+    async inflate(data, method, name) {
+        if (method === 0) {
+            return data;
+        }
+        if (method !== 8 || typeof DecompressionStream === 'undefined') {
+            throw new Error(`Kan inte packa upp ${name} (metod ${method})`);
+        }
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Calculates the CRC-32 checksum of data
+     * @private
+     * @param {Uint8Array} data Data to check
+     * @returns {number} Checksum
+     */
+    crc32(data) {
+        let crc = 0xFFFFFFFF;
+        for (let index = 0; index < data.length; index++) {
+            crc = this.crcTable[(crc ^ data[index]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Joins byte arrays
+     * @private
+     * @param {Uint8Array[]} parts Parts to join
+     * @returns {Uint8Array} Joined bytes
+     */
+    concat(parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipArchive;
+}
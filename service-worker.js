@@ -0,0 +1,237 @@
+/**
+ * Resseltrafiken Web Application - Service Worker
+ *
+ * Provides offline support. The app shell and the current and next season's
+ * timetables are precached on install. Everything is served
+ * stale-while-revalidate: the cached copy is returned at once and refreshed
+ * from the network in the background. When a refreshed timetable carries a
+ * new metadata.version, open pages are told that a newer timetable is
+ * available; when the network is unreachable they are told they run from cache.
+ *
+ * Bump CACHE_VERSION when the list of shell files changes.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+/* global TimeHandler */
+importScripts('js/timehandler.js');
+
+const CACHE_VERSION = 'v2.0.0-8';
+const SHELL_CACHE = `resseltrafiken-shell-${CACHE_VERSION}`;
+const DATA_CACHE = 'resseltrafiken-data';
+const DATA_INDEX = 'data/index.json';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.json',
+    'manifest.en.json',
+    'css/styles.css',
+    'css/board.css',
+    'js/timehandler.js',
+    'js/i18n.js',
+    'js/validator.js',
+    'js/routemodel.js',
+    'js/journeyplanner.js',
+    'js/urlstate.js',
+    'js/fares.js',
+    'js/settings.js',
+    'js/reminders.js',
+    'js/calendarexport.js',
+    'js/ziparchive.js',
+    'js/gtfs.js',
+    'js/board.js',
+    'js/renderer.js',
+    'js/app.js',
+    'icons/boat.png',
+    'icons/boat.svg'
+];
+
+/**
+ * Resolves a path relative to the service worker's scope
+ * @param {string} path Relative path
+ * @returns {string} Absolute URL
+ */
+function scopedUrl(path) {
+    return new URL(path, self.registration.scope).href;
+}
+
+/**
+ * Checks if a request is for timetable data
+ * @param {URL} url Request URL
+ * @returns {boolean} True for JSON files under data/
+ */
+function isDataRequest(url) {
+    return url.origin === self.location.origin &&
+        url.pathname.startsWith(new URL('data/', self.registration.scope).pathname) &&
+        url.pathname.endsWith('.json');
+}
+
+/**
+ * Gets the timetable files to precache: the data index and the
+ * seasons valid today and next, as listed in the index
+ * @returns {Promise<string[]>} Absolute URLs of data files
+ */
+async function getDataFiles() {
+    const indexUrl = scopedUrl(DATA_INDEX);
+    try {
+        const index = await (await fetch(indexUrl)).json();
+        const timeHandler = new TimeHandler();
+        const now = timeHandler.now();
+        const seasons = [
+            timeHandler.getSeasonForDate(index.seasons, now),
+            timeHandler.getNextSeason(index.seasons, now)
+        ].filter(Boolean);
+
+        return [indexUrl, ...seasons.map(season => new URL(season.file, indexUrl).href)];
+    } catch (error) {
+        // Without an index the app falls back to the default timetable file
+        return [scopedUrl('data/Ressel.json')];
+    }
+}
+
+/**
+ * Sends a message to every page controlled by this service worker
+ * @param {Object} message Message to send
+ */
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
+
+/**
+ * Reads metadata.version from a timetable response
+ * @param {Response} response Response to read, consumed through a clone
+ * @returns {Promise<string|null>} Version, or null for files without one
+ */
+async function readVersion(response) {
+    try {
+        const data = await response.clone().json();
+        return (data.metadata && data.metadata.version) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Refreshes a cached timetable from the network. A changed metadata.version
+ * replaces the cached copy and tells open pages that a newer timetable is
+ * available; a changed data index (new season files) does the same
+ * @param {Request} request Data request
+ * @param {Cache} cache Data cache
+ * @param {Response|undefined} cached Currently cached response
+ * @returns {Promise<Response>} Network response
+ */
+async function revalidateData(request, cache, cached) {
+    const response = await fetch(request, { cache: 'no-cache' });
+    if (!response.ok) {
+        return response;
+    }
+
+    const [newVersion, newText] = await Promise.all([readVersion(response), response.clone().text()]);
+    const oldText = cached ? await cached.clone().text() : null;
+    await cache.put(request, response.clone());
+
+    if (oldText !== null && newText !== oldText) {
+        const oldVersion = await readVersion(cached);
+        if (newVersion !== oldVersion || newVersion === null) {
+            notifyClients({ type: 'timetable-update', url: request.url, version: newVersion });
+        }
+    }
+    notifyClients({ type: 'online' });
+    return response;
+}
+
+/**
+ * Serves a request stale-while-revalidate
+ * @param {FetchEvent} event Fetch event
+ * @param {string} cacheName Cache to use
+ * @param {Function} revalidate Fetches and caches a fresh copy
+ * @returns {Promise<Response>} Cached response, or the network response if nothing is cached
+ */
+async function staleWhileRevalidate(event, cacheName, revalidate) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+
+    // The cached body goes to the page, so the revalidation compares against a copy
+    const network = revalidate(event.request, cache, cached && cached.clone()).catch(error => {
+        notifyClients({ type: 'offline' });
+        if (cached) return cached;
+        throw error;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES.map(scopedUrl));
+
+        const data = await caches.open(DATA_CACHE);
+        await data.addAll(await getDataFiles());
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('resseltrafiken-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', event => {
+    // Pages ask for the next season to be cached once it appears in the index.
+    // Files already cached are left to revalidation so updates are still noticed
+    if (event.data && event.data.type === 'precache-data') {
+        event.waitUntil((async () => {
+            const cache = await caches.open(DATA_CACHE);
+            const files = await getDataFiles();
+            const cached = await Promise.all(files.map(file => cache.match(file)));
+            await cache.addAll(files.filter((file, index) => !cached[index]));
+        })().catch(error => console.warn('Could not preload timetables:', error)));
+    }
+});
+
+self.addEventListener('notificationclick', event => {
+    // Departure reminders open the timetable, reusing an open window
+    event.notification.close();
+    event.waitUntil((async () => {
+        const clients = await self.clients.matchAll({ type: 'window' });
+        if (clients.length > 0) {
+            return clients[0].focus();
+        }
+        return self.clients.openWindow(self.registration.scope);
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    if (event.request.method !== 'GET') return;
+
+    const url = new URL(event.request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (isDataRequest(url)) {
+        event.respondWith(staleWhileRevalidate(event, DATA_CACHE, revalidateData));
+        return;
+    }
+
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE, async (request, cache) => {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    }));
+});
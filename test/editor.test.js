@@ -0,0 +1,285 @@
+/**
+ * Resseltrafiken Tests - Timetable Editor
+ *
+ * Grid editing, pasting from spreadsheets and CSV files, stop and direction
+ * changes and the mapping of validation issues to cells, on the fixture
+ * timetable, and the keyboard and paste handling of the rendered grid.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+const { describe, it, beforeEach, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom } = require('./helpers/dom.js');
+const { loadTimetable, createTimeHandler } = require('./helpers/fixtures.js');
+const TimetableValidator = require('../js/validator.js');
+const TimetableEditor = require('../js/editor.js');
+const I18n = require('../js/i18n.js');
+const Renderer = require('../js/renderer.js');
+
+/**
+ * Creates an editor with the fixture timetable loaded
+ * @returns {TimetableEditor} Editor
+ */
+function createEditor() {
+    const editor = new TimetableEditor(createTimeHandler('2025-03-11T12:00'), new TimetableValidator());
+    editor.load(loadTimetable());
+    return editor;
+}
+
+describe('TimetableEditor', () => {
+    let editor;
+
+    beforeEach(() => {
+        editor = createEditor();
+    });
+
+    it('refuses data without routes', () => {
+        assert.throws(() => editor.load({ metadata: {} }), { messageKey: 'editor.notTimetable' });
+        assert.throws(() => editor.load(null), { messageKey: 'editor.notTimetable' });
+    });
+
+    it('edits a copy of the loaded data', () => {
+        const data = loadTimetable();
+        editor.load(data);
+        editor.setCell('loop', null, 'weekday', 0, 0, '06:01');
+        assert.equal(data.routes.loop.schedule.weekday.Alfa[0], '06:00');
+    });
+
+    it('shows a schedule as trips by stops', () => {
+        const grid = editor.getGrid('ferry', 'Delta_to_Alfa', 'weekend');
+        assert.deepEqual(grid.stops, ['Delta', 'Beta', 'Alfa']);
+        assert.deepEqual(grid.rows, [['10:40', '11:00', '11:10'], ['14:40', '15:00', '15:10']]);
+        assert.deepEqual(editor.getGrid('ferry', 'Alfa_to_Delta', 'holiday').rows, []);
+    });
+
+    it('normalizes typed times and leaves the rest for the validator', () => {
+        assert.equal(editor.normalizeTime('7.05'), '07:05');
+        assert.equal(editor.normalizeTime(' 7:05 '), '07:05');
+        assert.equal(editor.normalizeTime('705'), '07:05');
+        assert.equal(editor.normalizeTime('2405'), '24:05');
+        assert.equal(editor.normalizeTime('7'), '7');
+        assert.equal(editor.normalizeTime('kl 7'), 'kl 7');
+    });
+
+    it('sets cells beyond the last trip and drops blank cells at the end of a column', () => {
+        assert.equal(editor.setCell('loop', null, 'weekend', 4, 0, '1800'), '18:00');
+        assert.deepEqual(editor.timetable.routes.loop.schedule.weekend.Alfa, ['09:00', '12:00', '15:00', '', '18:00']);
+
+        editor.setCell('loop', null, 'weekend', 4, 0, '');
+        assert.deepEqual(editor.timetable.routes.loop.schedule.weekend.Alfa, ['09:00', '12:00', '15:00']);
+    });
+
+    it('inserts and removes trips in every column', () => {
+        editor.insertRow('ferry', 'Alfa_to_Delta', 'weekend', 1);
+        assert.deepEqual(editor.getGrid('ferry', 'Alfa_to_Delta', 'weekend').rows[1], ['', '', '']);
+
+        editor.removeRow('ferry', 'Alfa_to_Delta', 'weekend', 0);
+        assert.deepEqual(editor.getGrid('ferry', 'Alfa_to_Delta', 'weekend').rows, [['', '', ''], ['14:00', '14:10', '14:30']]);
+    });
+
+    it('splits pasted text at tabs, semicolons, commas or spaces', () => {
+        assert.deepEqual(editor.parseCells('07:00\t07:10\r\n08:00\t08:10\r\n'), [['07:00', '07:10'], ['08:00', '08:10']]);
+        assert.deepEqual(editor.parseCells('"Alfa; norra";Beta\n7.00;7.10'), [['Alfa; norra', 'Beta'], ['7.00', '7.10']]);
+        assert.deepEqual(editor.parseCells('"Say ""hej""",x'), [['Say "hej"', 'x']]);
+        assert.deepEqual(editor.parseCells('07:00  07:30 08:00'), [['07:00', '07:30', '08:00']]);
+    });
+
+    it('pastes a block of times from the chosen cell', () => {
+        const result = editor.paste('ferry', 'Alfa_to_Delta', 'weekday', 3, 1, '17.15\t17.35\t9.99\n18.10\t18.30');
+        assert.deepEqual(result, { pasted: 4, ignored: 1 });
+
+        const grid = editor.getGrid('ferry', 'Alfa_to_Delta', 'weekday');
+        assert.deepEqual(grid.rows[3], ['17:00', '17:15', '17:35']);
+        assert.deepEqual(grid.rows[4], ['', '18:10', '18:30']);
+    });
+
+    it('pastes under the stops named in a first line and adds stops it does not know', () => {
+        const result = editor.paste('ferry', 'Alfa_to_Delta', 'weekend', 0, 2, 'Delta,Gamma,Alfa\n10.35,10.20,10.00');
+        assert.deepEqual(result, { pasted: 3, ignored: 0 });
+
+        const grid = editor.getGrid('ferry', 'Alfa_to_Delta', 'weekend');
+        assert.deepEqual(grid.stops, ['Alfa', 'Beta', 'Delta', 'Gamma']);
+        assert.deepEqual(grid.rows[0], ['10:00', '10:10', '10:35', '10:20']);
+        assert.deepEqual(editor.getGrid('ferry', 'Alfa_to_Delta', 'weekday').stops, ['Alfa', 'Beta', 'Delta', 'Gamma']);
+    });
+
+    it('replaces a whole schedule with a CSV file', () => {
+        editor.importCsv('loop', null, 'weekend', 'Alfa;Beta;Gamma\n10:00;10:05;10:10\n');
+        assert.deepEqual(editor.timetable.routes.loop.schedule.weekend, {
+            Alfa: ['10:00'], Beta: ['10:05'], Gamma: ['10:10']
+        });
+    });
+
+    it('adds, moves and removes stops in every schedule of a direction', () => {
+        editor.addStop('loop', null, 'Delta');
+        assert.deepEqual(editor.timetable.routes.loop.stops, ['Alfa', 'Beta', 'Gamma', 'Delta']);
+        assert.deepEqual(editor.timetable.routes.loop.schedule.weekend.Delta, []);
+        assert.throws(() => editor.addStop('loop', null, ' Beta '), { messageKey: 'editor.stopExists', messageParams: { stop: 'Beta' } });
+        assert.throws(() => editor.addStop('loop', null, '  '), { messageKey: 'editor.stopNameMissing' });
+
+        editor.moveStop('loop', null, 'Delta', -1);
+        assert.deepEqual(editor.timetable.routes.loop.stops, ['Alfa', 'Beta', 'Delta', 'Gamma']);
+        assert.deepEqual(Object.keys(editor.timetable.routes.loop.schedule.weekday), ['Alfa', 'Beta', 'Delta', 'Gamma']);
+
+        editor.removeStop('loop', null, 'Delta');
+        assert.deepEqual(editor.getStops('loop', null), ['Alfa', 'Beta', 'Gamma']);
+    });
+
+    it('renames a stop everywhere on the line', () => {
+        editor.renameStop('ferry', 'Alfa', 'Alfahamnen');
+        const ferry = editor.timetable.routes.ferry;
+        assert.deepEqual(editor.getStops('ferry', 'Alfa_to_Delta'), ['Alfahamnen', 'Beta', 'Delta']);
+        assert.deepEqual(editor.getStops('ferry', 'Delta_to_Alfa'), ['Delta', 'Beta', 'Alfahamnen']);
+        assert.equal(ferry.directions.Alfa_to_Delta.display.highlight_stop, 'Alfahamnen');
+        assert.equal(ferry.metadata.recurring_cancellations[0].departures[0].stop, 'Alfahamnen');
+        assert.deepEqual(Object.keys(ferry.metadata.holiday_schedule.extra_departures.to_delta), ['Alfahamnen', 'Beta', 'Delta']);
+        assert.equal(editor.timetable.routes.loop.stops[0], 'Alfa');
+        assert.deepEqual(editor.validate(), []);
+
+        assert.throws(() => editor.renameStop('ferry', 'Beta', 'Delta'), { messageKey: 'editor.stopExists' });
+    });
+
+    it('adds a direction with the stops of the first in reverse, and keeps the last one', () => {
+        assert.equal(editor.addDirection('ferry', 'Delta to Beta', 'Kortturen'), 'Delta_to_Beta');
+        const direction = editor.timetable.routes.ferry.directions.Delta_to_Beta;
+        assert.deepEqual(direction.display, { title: 'Kortturen' });
+        assert.deepEqual(direction.weekday_schedule.departures, { Delta: [], Beta: [], Alfa: [] });
+        assert.throws(() => editor.addDirection('ferry', 'Delta_to_Beta'), { messageKey: 'editor.directionExists' });
+
+        editor.removeDirection('ferry', 'Delta_to_Beta');
+        editor.removeDirection('ferry', 'Delta_to_Alfa');
+        assert.throws(() => editor.removeDirection('ferry', 'Alfa_to_Delta'), { messageKey: 'editor.lastDirection' });
+    });
+
+    it('creates a holiday schedule from the weekend schedule and removes it', () => {
+        editor.addHolidaySchedule('loop', null);
+        assert.deepEqual(editor.timetable.routes.loop.schedule.holiday, editor.timetable.routes.loop.schedule.weekend);
+        editor.setCell('loop', null, 'holiday', 0, 0, '09:30');
+        assert.equal(editor.timetable.routes.loop.schedule.weekend.Alfa[0], '09:00');
+
+        editor.removeHolidaySchedule('loop', null);
+        assert.equal(editor.hasSchedule('loop', null, 'holiday'), false);
+    });
+
+    it('edits exception dates and day type rules, leaving out what is empty', () => {
+        editor.setExceptionDates('ferry', 'no_traffic', '2025-12-26\n2025-12-24, 2025-12-26');
+        editor.setDayTypeRule('ferry', 'squeeze', 'weekday');
+        assert.deepEqual(editor.getExceptions('ferry'), {
+            no_traffic: ['2025-12-24', '2025-12-26'],
+            holiday_traffic: ['2025-03-14'],
+            day_type_rules: { holiday: 'weekend', eve: 'no_service', squeeze: 'weekday' }
+        });
+
+        editor.setExceptionDates('loop', 'holiday_traffic', '2025-06-06');
+        editor.setExceptionDates('loop', 'holiday_traffic', '');
+        editor.setDayTypeRule('loop', 'eve', 'no_service');
+        editor.setDayTypeRule('loop', 'eve', null);
+        assert.equal(editor.timetable.routes.loop.metadata, undefined);
+    });
+
+    it('maps validation issues to cells, columns and the whole grid', () => {
+        editor.setCell('ferry', 'Alfa_to_Delta', 'weekday', 1, 1, '7.00');
+        editor.setCell('ferry', 'Alfa_to_Delta', 'weekday', 2, 2, 'x');
+        editor.setCell('ferry', 'Alfa_to_Delta', 'weekday', 4, 0, '18:00');
+
+        const issues = editor.getGridIssues(editor.validate(), 'ferry', 'Alfa_to_Delta', 'weekday');
+        assert.deepEqual(Object.keys(issues.cells).sort(), ['1:1', '2:2']);
+        assert.match(issues.cells['2:2'], /Ogiltig tid "x"/);
+        assert.equal(issues.grid.length, 1);
+        assert.match(issues.grid[0], /Olika antal turer/);
+
+        editor.removeStop('loop', null, 'Gamma');
+        editor.timetable.routes.loop.stops.push('Gamma');
+        const loopIssues = editor.getGridIssues(editor.validate(), 'loop', null, 'weekday');
+        assert.match(loopIssues.columns[2], /Tider saknas/);
+    });
+
+    it('stamps the download with today\'s date', () => {
+        const data = JSON.parse(editor.serialize());
+        assert.equal(data.metadata.last_updated, '2025-03-11');
+        assert.deepEqual(data.routes, loadTimetable().routes);
+    });
+});
+
+describe('Renderer.createEditorGrid', () => {
+    before(() => {
+        installDom();
+    });
+
+    /**
+     * Renders the weekday grid of the fixture's ferry with recording handlers
+     * @returns {Object} Grid element and the calls the handlers received
+     */
+    function renderGrid() {
+        const editor = createEditor();
+        const renderer = new Renderer({ maxVisibleDepartures: 4 }, createTimeHandler('2025-03-11T12:00'), new I18n({ language: 'sv' }));
+        const calls = [];
+        const record = name => (...args) => {
+            calls.push([name, ...args]);
+            return 'stored';
+        };
+        const element = renderer.createEditorGrid(
+            editor.getGrid('ferry', 'Alfa_to_Delta', 'weekday'),
+            { cells: { '1:2': 'Fel' }, columns: { 0: 'Kolumnfel' }, grid: [] },
+            { onCell: record('cell'), onPaste: record('paste'), onInsertRow: record('insert'), onRemoveRow: record('remove') }
+        );
+        return { element, calls };
+    }
+
+    it('labels the cells and marks the ones with issues', () => {
+        const { element } = renderGrid();
+        const cell = element.querySelector('input[data-row="1"][data-column="2"]');
+        assert.equal(cell.value, '08:30');
+        assert.equal(cell.getAttribute('aria-label'), 'Delta, tur 2');
+        assert.ok(cell.classList.contains('invalid'));
+        assert.equal(cell.title, 'Fel');
+        assert.equal(element.querySelector('th[scope="col"]').title, 'Kolumnfel');
+        assert.equal(element.querySelectorAll('.invalid').length, 2);
+    });
+
+    it('passes typed times on and shows them as stored', () => {
+        const { element, calls } = renderGrid();
+        const cell = element.querySelector('input[data-row="0"][data-column="1"]');
+        cell.value = '7.11';
+        cell.dispatch('change');
+        assert.deepEqual(calls, [['cell', 0, 1, '7.11']]);
+        assert.equal(cell.value, 'stored');
+    });
+
+    it('passes pasted blocks on as a whole and leaves single values to the input', () => {
+        const { element, calls } = renderGrid();
+        const cell = element.querySelector('input[data-row="2"][data-column="0"]');
+        const clipboard = text => ({ clipboardData: { getData: () => text } });
+
+        assert.equal(cell.dispatch('paste', clipboard('09:05')).defaultPrevented, false);
+        assert.equal(cell.dispatch('paste', clipboard('09:05\t09:15\n')).defaultPrevented, true);
+        assert.deepEqual(calls, [['paste', 2, 0, '09:05\t09:15\n']]);
+    });
+
+    it('moves between trips with the arrow keys and Enter', () => {
+        const { element } = renderGrid();
+        const focused = [];
+        element.querySelectorAll('input[data-row]').forEach(input => {
+            input.focus = () => focused.push(`${input.dataset.row}:${input.dataset.column}`);
+        });
+
+        const cell = element.querySelector('input[data-row="1"][data-column="1"]');
+        cell.dispatch('keydown', { key: 'ArrowDown' });
+        cell.dispatch('keydown', { key: 'Enter' });
+        cell.dispatch('keydown', { key: 'ArrowUp' });
+        element.querySelector('input[data-row="3"][data-column="1"]').dispatch('keydown', { key: 'ArrowDown' });
+        assert.deepEqual(focused, ['2:1', '2:1', '0:1']);
+    });
+
+    it('inserts and removes trips from the row buttons', () => {
+        const { element, calls } = renderGrid();
+        const buttons = element.querySelectorAll('button');
+        buttons[2].dispatch('click');
+        buttons[3].dispatch('click');
+        assert.equal(buttons[2].getAttribute('aria-label'), 'Infoga tur före tur 2');
+        assert.deepEqual(calls, [['insert', 1], ['remove', 1]]);
+    });
+});
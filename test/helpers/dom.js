@@ -0,0 +1,381 @@
+/**
+ * Resseltrafiken Tests - DOM Shim
+ *
+ * A small stand-in for the browser DOM, enough for the renderer to build its
+ * elements in Node: elements, text nodes, attributes, class lists, datasets,
+ * event listeners, simple selectors and node comparison. Elements serialize
+ * to indented HTML for snapshots.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+// Properties the renderer sets directly that the browser reflects as attributes
+const REFLECTED_PROPERTIES = {
+    id: "id",
+    className: "class",
+    title: "title",
+    src: "src",
+    alt: "alt",
+    type: "type",
+    name: "name",
+    htmlFor: "for",
+    tabIndex: "tabindex"
+};
+
+// Elements written without a closing tag
+const VOID_ELEMENTS = ["img", "input", "br"];
+
+class TextNode {
+    /**
+     * Creates a text node
+     * @param {string} text Text content
+     */
+    constructor(text) {
+        this.nodeType = 3;
+        this.nodeName = "#text";
+        this.parentNode = null;
+        this.textContent = String(text);
+    }
+
+    get nodeValue() {
+        return this.textContent;
+    }
+
+    set nodeValue(text) {
+        this.textContent = String(text);
+    }
+
+    isEqualNode(node) {
+        return !!node && node.nodeType === this.nodeType && node.textContent === this.textContent;
+    }
+
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+}
+
+class ClassList {
+    /**
+     * Creates the class list of an element, stored in its class attribute
+     * @param {Element} element Owning element
+     */
+    constructor(element) {
+        this.element = element;
+    }
+
+    get values() {
+        return (this.element.getAttribute("class") || "").split(/\s+/).filter(Boolean);
+    }
+
+    add(...names) {
+        const values = this.values;
+        names.forEach(name => {
+            if (!values.includes(name)) values.push(name);
+        });
+        this.element.setAttribute("class", values.join(" "));
+    }
+
+    remove(...names) {
+        this.element.setAttribute("class", this.values.filter(value => !names.includes(value)).join(" "));
+    }
+
+    contains(name) {
+        return this.values.includes(name);
+    }
+
+    toggle(name, force) {
+        const wanted = force === undefined ? !this.contains(name) : force;
+        if (wanted) {
+            this.add(name);
+        } else {
+            this.remove(name);
+        }
+        return wanted;
+    }
+}
+
+class Element {
+    /**
+     * Creates an element
+     * @param {string} tagName Tag name
+     */
+    constructor(tagName) {
+        this.nodeType = 1;
+        this.tagName = tagName.toUpperCase();
+        this.nodeName = this.tagName;
+        this.parentNode = null;
+        this.childNodes = [];
+        this.attributeMap = new Map();
+        this.listeners = {};
+        this.classList = new ClassList(this);
+        this.style = { setProperty() {}, removeProperty() {} };
+        this.value = "";
+
+        // data-* attributes through camelCase keys, as in the browser
+        const toAttribute = key => `data-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+        this.dataset = new Proxy({}, {
+            get: (target, key) => this.getAttribute(toAttribute(String(key))) ?? undefined,
+            set: (target, key, value) => {
+                this.setAttribute(toAttribute(String(key)), value);
+                return true;
+            },
+            deleteProperty: (target, key) => {
+                this.removeAttribute(toAttribute(String(key)));
+                return true;
+            }
+        });
+    }
+
+    get children() {
+        return this.childNodes.filter(node => node.nodeType === 1);
+    }
+
+    get nodeValue() {
+        return null;
+    }
+
+    get firstChild() {
+        return this.childNodes[0] || null;
+    }
+
+    get lastChild() {
+        return this.childNodes[this.childNodes.length - 1] || null;
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join("");
+    }
+
+    set textContent(text) {
+        this.childNodes.forEach(node => {
+            node.parentNode = null;
+        });
+        this.childNodes = [];
+        if (String(text) !== "") {
+            this.appendChild(new TextNode(text));
+        }
+    }
+
+    // Markup is not parsed; tags are dropped and the text is kept
+    set innerHTML(html) {
+        this.textContent = String(html).replace(/<[^>]*>/g, "").trim();
+    }
+
+    get attributes() {
+        return [...this.attributeMap].map(([name, value]) => ({ name, value }));
+    }
+
+    setAttribute(name, value) {
+        this.attributeMap.set(name, String(value));
+    }
+
+    getAttribute(name) {
+        return this.attributeMap.has(name) ? this.attributeMap.get(name) : null;
+    }
+
+    hasAttribute(name) {
+        return this.attributeMap.has(name);
+    }
+
+    removeAttribute(name) {
+        this.attributeMap.delete(name);
+    }
+
+    appendChild(node) {
+        if (node.parentNode) node.parentNode.removeChild(node);
+        this.childNodes.push(node);
+        node.parentNode = this;
+        return node;
+    }
+
+    append(...nodes) {
+        nodes.forEach(node => this.appendChild(typeof node === "string" ? new TextNode(node) : node));
+    }
+
+    insertBefore(node, reference) {
+        if (node.parentNode) node.parentNode.removeChild(node);
+        const index = this.childNodes.indexOf(reference);
+        this.childNodes.splice(index === -1 ? this.childNodes.length : index, 0, node);
+        node.parentNode = this;
+        return node;
+    }
+
+    removeChild(node) {
+        this.childNodes = this.childNodes.filter(child => child !== node);
+        node.parentNode = null;
+        return node;
+    }
+
+    replaceChild(node, old) {
+        this.insertBefore(node, old);
+        return this.removeChild(old);
+    }
+
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(registered => registered !== listener);
+    }
+
+    /**
+     * Delivers an event to the listeners of this element and its ancestors
+     * @param {string} type Event type, e.g. "click"
+     * @param {Object} [properties] Extra event properties, e.g. key
+     * @returns {Object} The event
+     */
+    dispatch(type, properties = {}) {
+        const event = { type, target: this, defaultPrevented: false, ...properties };
+        event.preventDefault = () => {
+            event.defaultPrevented = true;
+        };
+        for (let element = this; element; element = element.parentNode) {
+            event.currentTarget = element;
+            (element.listeners[type] || []).forEach(listener => listener(event));
+        }
+        return event;
+    }
+
+    /**
+     * Compares the element with another node: tag, attributes in any order
+     * and children in order, as the browser does
+     * @param {Element|TextNode} node Node to compare with
+     * @returns {boolean} True if the nodes are equal
+     */
+    isEqualNode(node) {
+        if (!node || node.nodeType !== this.nodeType || node.nodeName !== this.nodeName) return false;
+        if (node.attributeMap.size !== this.attributeMap.size) return false;
+        for (const [name, value] of this.attributeMap) {
+            if (node.getAttribute(name) !== value) return false;
+        }
+        return node.childNodes.length === this.childNodes.length &&
+            this.childNodes.every((child, index) => child.isEqualNode(node.childNodes[index]));
+    }
+
+    focus() {}
+
+    scrollIntoView() {}
+
+    /**
+     * Checks the element against a simple selector: a tag, classes, an id
+     * and attributes, such as "span.trip-time" or "[data-time]"
+     * @param {string} selector Selector without combinators
+     * @returns {boolean} True if the element matches
+     */
+    matches(selector) {
+        const pattern = /([#.]?)([\w-]+)|\[([\w-]+)(?:="([^"]*)")?\]/g;
+        let match;
+        while ((match = pattern.exec(selector)) !== null) {
+            const [, prefix, name, attribute, value] = match;
+            if (attribute) {
+                if (!this.hasAttribute(attribute)) return false;
+                if (value !== undefined && this.getAttribute(attribute) !== value) return false;
+            } else if (prefix === ".") {
+                if (!this.classList.contains(name)) return false;
+            } else if (prefix === "#") {
+                if (this.getAttribute("id") !== name) return false;
+            } else if (this.tagName !== name.toUpperCase()) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    querySelectorAll(selector) {
+        const found = [];
+        const walk = element => element.children.forEach(child => {
+            if (child.matches(selector)) found.push(child);
+            walk(child);
+        });
+        walk(this);
+        return found;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    closest(selector) {
+        for (let element = this; element && element.nodeType === 1; element = element.parentNode) {
+            if (element.matches(selector)) return element;
+        }
+        return null;
+    }
+}
+
+Object.entries(REFLECTED_PROPERTIES).forEach(([property, attribute]) => {
+    Object.defineProperty(Element.prototype, property, {
+        get() {
+            const value = this.getAttribute(attribute);
+            if (property === "tabIndex") return value === null ? -1 : Number(value);
+            return value === null ? "" : value;
+        },
+        set(value) {
+            this.setAttribute(attribute, value);
+        }
+    });
+});
+
+/**
+ * Installs a fresh document as the global document, and the Node type
+ * constants, as the renderer expects
+ * @returns {Object} The document
+ */
+function installDom() {
+    const document = {
+        documentElement: new Element("html"),
+        body: new Element("body"),
+        createElement: tagName => new Element(tagName),
+        createTextNode: text => new TextNode(text),
+        getElementById(id) {
+            return this.body.querySelector(`#${id}`);
+        },
+        querySelector(selector) {
+            return this.body.querySelector(selector);
+        },
+        querySelectorAll(selector) {
+            return this.body.querySelectorAll(selector);
+        },
+        addEventListener() {}
+    };
+    document.documentElement.appendChild(document.body);
+    global.document = document;
+    global.Node = { ELEMENT_NODE: 1, TEXT_NODE: 3 };
+    return document;
+}
+
+/**
+ * Serializes a node as indented HTML, one element or text per line
+ * @param {Element|TextNode} node Node to serialize
+ * @param {string} [indent] Indentation of the node
+ * @returns {string} HTML
+ */
+function serialize(node, indent = "") {
+    if (node.nodeType === 3) {
+        return `${indent}${node.textContent}`;
+    }
+
+    const tag = node.tagName.toLowerCase();
+    const attributes = node.attributes.map(({ name, value }) => ` ${name}="${value.replace(/"/g, "&quot;")}"`).join("");
+    const open = `${indent}<${tag}${attributes}>`;
+    if (VOID_ELEMENTS.includes(tag)) {
+        return open;
+    }
+    if (node.childNodes.length === 0) {
+        return `${open}</${tag}>`;
+    }
+    if (node.childNodes.length === 1 && node.firstChild.nodeType === 3) {
+        return `${open}${node.textContent}</${tag}>`;
+    }
+    const children = node.childNodes.map(child => serialize(child, `${indent}  `));
+    return [open, ...children, `${indent}</${tag}>`].join("\n");
+}
+
+module.exports = { installDom, serialize, Element };
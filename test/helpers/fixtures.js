@@ -0,0 +1,49 @@
+/**
+ * Resseltrafiken Tests - Fixtures
+ *
+ * Loads the fixture timetables in test/fixtures and creates time handlers
+ * whose clock is stopped at a given Stockholm time, so tests give the same
+ * result on every machine, in every time zone and on every day.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TimeHandler = require('../../js/timehandler.js');
+
+/**
+ * Loads a fixture timetable. Every call returns a fresh copy
+ * @param {string} [name="timetable"] Fixture name without .json
+ * @returns {Object} Timetable data
+ */
+function loadTimetable(name = 'timetable') {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', `${name}.json`), 'utf8'));
+}
+
+/**
+ * Creates a time handler with its clock stopped at a Stockholm wall-clock time
+ * @param {string} at Date and time in YYYY-MM-DDTHH:MM format
+ * @returns {TimeHandler} Time handler
+ */
+function createTimeHandler(at) {
+    const instant = new TimeHandler().parseZonedDateTime(at);
+    if (!instant) {
+        throw new Error(`Invalid fixture time ${at}`);
+    }
+    return new TimeHandler({ clock: () => instant });
+}
+
+/**
+ * Creates a wall-clock date, as the time handler uses them
+ * @param {string} isoDate Date in YYYY-MM-DD format
+ * @returns {Date} Date at midnight
+ */
+function date(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+module.exports = { loadTimetable, createTimeHandler, date };
@@ -0,0 +1,45 @@
+/**
+ * Resseltrafiken Tests - Snapshots
+ *
+ * Compares rendered output with the snapshot files in test/snapshots.
+ * Snapshots are only written when the tests run with UPDATE_SNAPSHOTS=1,
+ * for a new test or after an intended change. A missing snapshot fails,
+ * and on CI it fails even when updating, so a deleted one is noticed.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_DIR = path.join(__dirname, '..', 'snapshots');
+
+/**
+ * Checks output against its snapshot
+ * @param {string} name Snapshot name, used as the file name
+ * @param {string} actual Output to check
+ */
+function matchSnapshot(name, actual) {
+    const file = path.join(SNAPSHOT_DIR, `${name}.html`);
+    const content = `${actual}\n`;
+
+    const exists = fs.existsSync(file);
+    if (!exists && process.env.CI) {
+        assert.fail(`Snapshot ${name} is missing; snapshots are not written on CI`);
+    }
+    if (process.env.UPDATE_SNAPSHOTS) {
+        fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+        fs.writeFileSync(file, content);
+        return;
+    }
+    if (!exists) {
+        assert.fail(`Snapshot ${name} is missing, run with UPDATE_SNAPSHOTS=1 to write it`);
+    }
+
+    assert.equal(content, fs.readFileSync(file, 'utf8'), `Snapshot ${name} differs, rerun with UPDATE_SNAPSHOTS=1 if intended`);
+}
+
+module.exports = { matchSnapshot };
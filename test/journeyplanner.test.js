@@ -0,0 +1,80 @@
+/**
+ * Resseltrafiken Tests - Journey Planner
+ *
+ * Plans journeys on the fixture timetable: transfers between the loop line
+ * and the ferry, cancelled departures and arrive-by queries.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const JourneyPlanner = require('../js/journeyplanner.js');
+const { loadTimetable, createTimeHandler, date } = require('./helpers/fixtures.js');
+
+const planner = new JourneyPlanner(createTimeHandler('2025-03-11T07:00'));
+
+/**
+ * Describes the legs of a journey, for compact comparisons
+ * @param {Object} journey Journey from JourneyPlanner.plan
+ * @returns {string[]} One "route from time - to time" entry per leg
+ */
+function legs(journey) {
+    return journey.legs.map(leg => `${leg.routeKey} ${leg.from} ${leg.departure} - ${leg.to} ${leg.arrival}`);
+}
+
+describe('JourneyPlanner.plan', () => {
+    it('lists the stops of every line', () => {
+        assert.deepEqual(planner.getStops(loadTimetable()), ['Alfa', 'Beta', 'Delta', 'Gamma']);
+    });
+
+    it('transfers between the ferry and the loop line', () => {
+        const [journey, ...others] = planner.plan(loadTimetable(), {
+            origin: 'Delta', destination: 'Gamma', date: date('2025-03-11'), time: '07:30'
+        });
+
+        assert.equal(others.length, 0);
+        assert.deepEqual(legs(journey), ['ferry Delta 07:40 - Beta 08:00', 'loop Beta 08:05 - Gamma 08:10']);
+        assert.equal(journey.transfers, 1);
+        assert.deepEqual(journey.transferWaits, [{ stop: 'Beta', minutes: 5 }]);
+        assert.equal(journey.duration, 30);
+    });
+
+    it('goes around a cancelled departure', () => {
+        const journeys = planner.plan(loadTimetable(), {
+            origin: 'Alfa', destination: 'Delta', date: date('2025-03-11'), time: '07:45'
+        });
+
+        // On Tuesdays the ferry does not leave Alfa at 08:00, but still calls at Beta
+        assert.deepEqual(journeys.map(legs), [
+            ['loop Alfa 08:00 - Beta 08:05', 'ferry Beta 08:10 - Delta 08:30'],
+            ['ferry Alfa 09:00 - Delta 09:30']
+        ]);
+    });
+
+    it('takes the departure on days it is not cancelled', () => {
+        const [journey] = planner.plan(loadTimetable(), {
+            origin: 'Alfa', destination: 'Delta', date: date('2025-03-12'), time: '07:45'
+        });
+
+        assert.deepEqual(legs(journey), ['ferry Alfa 08:00 - Delta 08:30']);
+        assert.equal(journey.transfers, 0);
+    });
+
+    it('ranks arrive-by journeys by latest departure', () => {
+        const journeys = planner.plan(loadTimetable(), {
+            origin: 'Alfa', destination: 'Delta', date: date('2025-03-11'), time: '09:30', mode: 'arrive'
+        });
+
+        assert.deepEqual(journeys.map(journey => journey.departure), ['09:00', '08:00', '07:00']);
+        assert.ok(journeys.every(journey => journey.arrivalMinutes <= 9 * 60 + 30));
+    });
+
+    it('finds nothing between a stop and itself', () => {
+        assert.deepEqual(planner.plan(loadTimetable(), {
+            origin: 'Alfa', destination: 'Alfa', date: date('2025-03-11'), time: '07:00'
+        }), []);
+    });
+});
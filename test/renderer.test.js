@@ -0,0 +1,213 @@
+/**
+ * Resseltrafiken Tests - Renderer
+ *
+ * Renders fixture timetables on fixed clocks with the DOM shim and compares
+ * them with snapshots, and checks the highlight classes and aria-labels
+ * that tell the next departure apart.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom, serialize } = require('./helpers/dom.js');
+const { matchSnapshot } = require('./helpers/snapshot.js');
+const { loadTimetable, createTimeHandler } = require('./helpers/fixtures.js');
+const I18n = require('../js/i18n.js');
+const Renderer = require('../js/renderer.js');
+const RouteModel = require('../js/routemodel.js');
+
+/**
+ * Renders one direction of a fixture line the way the app does on the live board
+ * @param {Object} options Render options
+ * @param {string} options.at Stockholm time to render at, YYYY-MM-DDTHH:MM
+ * @param {string} options.route Route key in the fixture
+ * @param {string|null} [options.direction] Direction key, or null for lines without directions
+ * @param {string} options.highlightStop Stop to highlight
+ * @param {string} [options.language="sv"] Language of the texts
+ * @param {number} [options.maxDepartures=4] Departures per stop
+ * @returns {Object} The timetable element and the renderer
+ */
+function renderTimetable({ at, route, direction = null, highlightStop, language = 'sv', maxDepartures = 4 }) {
+    const timeHandler = createTimeHandler(at);
+    const timetable = loadTimetable();
+    const config = { maxVisibleDepartures: maxDepartures, showBothDirections: true };
+    const renderer = new Renderer(config, timeHandler, new I18n({ language }));
+    const routeModel = new RouteModel(config, timeHandler);
+
+    const serviceDate = timeHandler.getServiceDate(timetable);
+    const scheduleType = timeHandler.getScheduleTypeForDate(serviceDate);
+    const [routeView] = routeModel.getRouteViews(timetable, { route, direction, stop: highlightStop });
+
+    const wrapper = renderer.createWrapper();
+    renderer.createRouteTimetables(wrapper, routeView, scheduleType, serviceDate);
+    return { element: wrapper.querySelector('.timetable'), renderer };
+}
+
+describe('Renderer.createTimetable', () => {
+    before(() => {
+        installDom();
+    });
+
+    it('renders a loop line with the next departure leaving soon', () => {
+        const { element } = renderTimetable({ at: '2025-03-11T07:58', route: 'loop', highlightStop: 'Beta' });
+        matchSnapshot('loop-leaving-soon', serialize(element));
+
+        const highlighted = element.querySelectorAll('.highlight-yellow');
+        assert.equal(highlighted.length, 1);
+        assert.equal(highlighted[0].textContent, '08:05');
+        assert.equal(highlighted[0].getAttribute('aria-label'), 'Snar avgång 08:05');
+        assert.equal(highlighted[0].closest('.row').dataset.stop, 'Beta');
+        assert.ok(highlighted[0].closest('.row').classList.contains('highlight-stop'));
+        assert.equal(element.querySelectorAll('.highlight-green').length, 0);
+    });
+
+    it('renders the boats after midnight as today\'s and the rest as tomorrow\'s', () => {
+        const { element } = renderTimetable({ at: '2025-03-11T23:50', route: 'loop', highlightStop: 'Beta' });
+        matchSnapshot('loop-late-evening', serialize(element));
+
+        const next = element.querySelector('.highlight-green');
+        assert.equal(next.textContent, '00:10');
+        assert.equal(next.getAttribute('aria-label'), 'Nästa avgång 00:10');
+
+        const tomorrow = element.querySelectorAll('.tomorrow-time');
+        assert.ok(tomorrow.length > 0);
+        tomorrow.forEach(time => assert.equal(time.getAttribute('aria-label'), `I morgon ${time.textContent}`));
+    });
+
+    it('strikes through cancelled departures and highlights the next that runs', () => {
+        const { element } = renderTimetable({ at: '2025-03-11T07:30', route: 'ferry', direction: 'Alfa_to_Delta', highlightStop: 'Alfa' });
+        matchSnapshot('ferry-cancelled', serialize(element));
+
+        const alfa = element.querySelector('[data-stop="Alfa"]');
+        const next = alfa.querySelector('.highlight-green');
+        assert.equal(next.textContent, '09:00');
+        assert.equal(alfa.querySelectorAll('.highlight-yellow').length, 0);
+
+        const cancelled = element.querySelector('.cancelled-time');
+        assert.equal(cancelled.title, 'Inställd: Servicestopp');
+        assert.equal(cancelled.getAttribute('aria-label'), 'Inställd: Servicestopp 08:00');
+        assert.ok(element.querySelector('.cancellation-note'));
+    });
+
+    it('makes the times of a directed line open their trip', () => {
+        const { element } = renderTimetable({ at: '2025-03-11T07:30', route: 'ferry', direction: 'Alfa_to_Delta', highlightStop: 'Alfa' });
+        const time = element.querySelector('[data-stop="Beta"]').querySelector('.trip-time');
+        assert.equal(time.tabIndex, 0);
+
+        time.dispatch('click');
+        const details = element.querySelector('.trip-details');
+        assert.ok(details);
+        matchSnapshot('ferry-trip-details', serialize(details));
+
+        time.dispatch('click');
+        assert.equal(element.querySelector('.trip-details'), null);
+    });
+
+    it('renders the texts in English', () => {
+        const { element } = renderTimetable({
+            at: '2025-03-11T07:30', route: 'ferry', direction: 'Alfa_to_Delta', highlightStop: 'Alfa', language: 'en'
+        });
+        matchSnapshot('ferry-cancelled-en', serialize(element));
+
+        assert.equal(element.querySelector('.highlight-green').getAttribute('aria-label'), 'Next departure 09:00');
+        assert.equal(element.querySelector('.cancelled-time').title, 'Cancelled: Servicestopp');
+    });
+});
+
+describe('Renderer.createNotification', () => {
+    before(() => {
+        installDom();
+    });
+
+    it('shows a hostile route name from the URL as text', () => {
+        const i18n = new I18n({ language: 'sv' });
+        const renderer = new Renderer({}, createTimeHandler('2025-03-11T07:30'), i18n);
+        const wrapper = renderer.createWrapper();
+        const route = '<img src=x onerror=alert(1)>';
+
+        renderer.createNotification(wrapper, i18n.t('notice.unknownRoute', { route }), 'warning');
+
+        const notification = wrapper.querySelector('.notification');
+        assert.ok(notification.textContent.includes(route));
+        assert.equal(wrapper.querySelectorAll('img').length, 0);
+    });
+});
+
+describe('Renderer.patchElement', () => {
+    before(() => {
+        installDom();
+    });
+
+    /**
+     * Renders both directions of the ferry line, optionally after a notice
+     * @param {Renderer} renderer Renderer to render with
+     * @param {TimeHandler} timeHandler Time handler of the renderer
+     * @param {boolean} withNotice True to render a notice before the timetables
+     * @returns {HTMLElement} Board wrapper
+     */
+    function renderFerry(renderer, timeHandler, withNotice) {
+        const timetable = loadTimetable();
+        const routeModel = new RouteModel({ showBothDirections: true }, timeHandler);
+        const serviceDate = timeHandler.getServiceDate(timetable);
+        const scheduleType = timeHandler.getScheduleTypeForDate(serviceDate);
+        const [routeView] = routeModel.getRouteViews(timetable, { route: 'ferry' });
+
+        const wrapper = renderer.createWrapper();
+        if (withNotice) {
+            renderer.createNotification(wrapper, 'Visar tidtabell för ett annat datum', 'warning');
+        }
+        renderer.createRouteTimetables(wrapper, routeView, scheduleType, serviceDate);
+        return wrapper;
+    }
+
+    it('keeps every timetable selectable when a notice before them goes away', () => {
+        const timeHandler = createTimeHandler('2025-03-11T07:30');
+        const renderer = new Renderer({ maxVisibleDepartures: 4, showBothDirections: true }, timeHandler, new I18n({ language: 'sv' }));
+        const board = renderFerry(renderer, timeHandler, true);
+
+        renderer.patchElement(board, renderFerry(renderer, timeHandler, false));
+
+        const tables = board.querySelectorAll('.timetable');
+        assert.equal(board.querySelectorAll('.notification').length, 0);
+        assert.equal(tables.length, 2);
+        tables.forEach(table => {
+            table.querySelector('.trip-time').dispatch('click');
+            assert.ok(table.querySelector('.trip-details'), table.getAttribute('data-title'));
+        });
+    });
+
+    it('patches an unchanged timetable in place', () => {
+        const timeHandler = createTimeHandler('2025-03-11T07:30');
+        const renderer = new Renderer({ maxVisibleDepartures: 4, showBothDirections: true }, timeHandler, new I18n({ language: 'sv' }));
+        const board = renderFerry(renderer, timeHandler, false);
+        const [first] = board.querySelectorAll('.timetable');
+
+        renderer.patchElement(board, renderFerry(renderer, timeHandler, false));
+
+        assert.equal(board.querySelectorAll('.timetable')[0], first);
+    });
+
+    it('replaces elements marked data-patch="replace" only when they change', () => {
+        const renderer = new Renderer({}, createTimeHandler('2025-03-11T07:30'), new I18n({ language: 'sv' }));
+        const render = text => {
+            const wrapper = renderer.createWrapper();
+            const details = document.createElement('div');
+            details.dataset.patch = 'replace';
+            details.textContent = text;
+            wrapper.appendChild(details);
+            return wrapper;
+        };
+        const board = render('08:00');
+        const details = board.firstChild;
+
+        renderer.patchElement(board, render('08:00'));
+        assert.equal(board.firstChild, details);
+
+        renderer.patchElement(board, render('08:15'));
+        assert.notEqual(board.firstChild, details);
+        assert.equal(board.firstChild.textContent, '08:15');
+    });
+});
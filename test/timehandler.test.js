@@ -0,0 +1,269 @@
+/**
+ * Resseltrafiken Tests - Time Handler
+ *
+ * Holiday calculations across many years, schedule types around midnight and
+ * the selection of departures in processScheduleTimes, on fixed clocks.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TimeHandler = require('../js/timehandler.js');
+const { loadTimetable, createTimeHandler, date } = require('./helpers/fixtures.js');
+
+const timeHandler = new TimeHandler();
+
+/**
+ * Lists the times of processed departures, with "+1" for tomorrow's and
+ * "x" for cancelled ones, for compact comparisons
+ * @param {Array<Object>} departures Output of processScheduleTimes
+ * @returns {string[]} Times
+ */
+function times(departures) {
+    return departures.map(departure =>
+        `${departure.time}${departure.isToday ? '' : '+1'}${departure.cancelled ? 'x' : ''}`);
+}
+
+describe('calculateEaster', () => {
+    const easterSundays = [
+        '1818-03-22', '1943-04-25', '2000-04-23', '2001-04-15', '2002-03-31', '2003-04-20',
+        '2004-04-11', '2005-03-27', '2006-04-16', '2007-04-08', '2008-03-23', '2009-04-12',
+        '2010-04-04', '2011-04-24', '2012-04-08', '2013-03-31', '2014-04-20', '2015-04-05',
+        '2016-03-27', '2017-04-16', '2018-04-01', '2019-04-21', '2020-04-12', '2021-04-04',
+        '2022-04-17', '2023-04-09', '2024-03-31', '2025-04-20', '2026-04-05', '2027-03-28',
+        '2028-04-16', '2029-04-01', '2030-04-21', '2031-04-13', '2032-03-28', '2033-04-17',
+        '2034-04-09', '2035-03-25', '2036-04-13', '2037-04-05', '2038-04-25', '2039-04-10',
+        '2040-04-01', '2285-03-22'
+    ];
+
+    easterSundays.forEach(expected => {
+        it(`finds Easter Sunday ${expected}`, () => {
+            const easter = timeHandler.calculateEaster(Number(expected.slice(0, 4)));
+            assert.equal(timeHandler.formatISODate(easter), expected);
+            assert.equal(easter.getUTCDay(), 0);
+        });
+    });
+});
+
+describe('calculateMidsummer', () => {
+    const midsummerEves = {
+        2020: '2020-06-19', 2021: '2021-06-25', 2022: '2022-06-24', 2023: '2023-06-23',
+        2024: '2024-06-21', 2025: '2025-06-20', 2026: '2026-06-19', 2027: '2027-06-25',
+        2028: '2028-06-23', 2029: '2029-06-22', 2030: '2030-06-21'
+    };
+
+    Object.entries(midsummerEves).forEach(([year, expected]) => {
+        it(`finds Midsummer Eve ${expected}`, () => {
+            assert.equal(timeHandler.formatISODate(timeHandler.calculateMidsummer(Number(year))), expected);
+        });
+    });
+
+    it('is always a Friday between June 19 and 25', () => {
+        for (let year = 1950; year <= 2100; year++) {
+            const midsummer = timeHandler.calculateMidsummer(year);
+            assert.equal(midsummer.getUTCDay(), 5, `${year}`);
+            assert.equal(midsummer.getUTCMonth(), 5, `${year}`);
+            assert.ok(midsummer.getUTCDate() >= 19 && midsummer.getUTCDate() <= 25, `${year}`);
+        }
+    });
+});
+
+describe('holiday calendar', () => {
+    it('has 13 public holidays on the right weekdays every year', () => {
+        // Ascension Day on May Day (2008) or Whit Sunday on National Day (2049) make one day of two holidays
+        const weekdays = {
+            'good-friday': 5,
+            'easter-day': 0,
+            'easter-monday': 1,
+            'ascension-day': 4,
+            'whitsun-day': 0,
+            'midsummer-day': 6,
+            'all-saints-day': 6
+        };
+
+        for (let year = 2005; year <= 2100; year++) {
+            const holidays = Object.entries(timeHandler.getHolidayCalendar(year))
+                .filter(([, day]) => day.type === 'holiday');
+            const easter = timeHandler.calculateEaster(year);
+            const sharedDays = [[39, '05-01'], [49, '06-06']]
+                .filter(([days, fixed]) => timeHandler.formatDate(timeHandler.addDays(easter, days)) === fixed);
+            assert.equal(holidays.length, 13 - sharedDays.length, `${year}`);
+
+            holidays.forEach(([formatted, day]) => {
+                if (!(day.id in weekdays)) return;
+                const [month, dayOfMonth] = formatted.split('-').map(Number);
+                assert.equal(new Date(Date.UTC(year, month - 1, dayOfMonth)).getUTCDay(), weekdays[day.id], `${day.id} ${year}`);
+            });
+        }
+    });
+
+    const days = [
+        ['2025-01-01', 'new-years-day', 'holiday'],
+        ['2025-01-06', 'epiphany', 'holiday'],
+        ['2025-04-18', 'good-friday', 'holiday'],
+        ['2025-04-19', 'easter-eve', 'eve'],
+        ['2025-04-21', 'easter-monday', 'holiday'],
+        ['2025-05-01', 'may-day', 'holiday'],
+        ['2025-05-02', 'squeeze-after', 'squeeze'],
+        ['2025-05-29', 'ascension-day', 'holiday'],
+        ['2025-05-30', 'squeeze-after', 'squeeze'],
+        ['2025-06-07', 'whitsun-eve', 'eve'],
+        ['2025-06-20', 'midsummer-eve', 'eve'],
+        ['2025-06-21', 'midsummer-day', 'holiday'],
+        ['2025-11-01', 'all-saints-day', 'holiday'],
+        ['2025-12-24', 'christmas-eve', 'eve'],
+        ['2025-12-31', 'new-years-eve', 'eve'],
+        ['2026-01-05', 'squeeze-before', 'squeeze'],
+        ['2071-06-06', 'national-day', 'holiday'],
+        ['2025-03-11', null, null],
+        ['2025-06-19', null, null]
+    ];
+
+    days.forEach(([isoDate, id, type]) => {
+        it(`classifies ${isoDate} as ${id || 'an ordinary day'}`, () => {
+            const holiday = timeHandler.getHoliday(date(isoDate));
+            assert.equal(holiday && holiday.id, id);
+            assert.equal(holiday && holiday.type, type);
+            assert.equal(timeHandler.isHoliday(date(isoDate)), type === 'holiday');
+        });
+    });
+
+    it('names the holiday a squeeze day borders', () => {
+        assert.equal(timeHandler.getHoliday(date('2025-05-30')).holidayId, 'ascension-day');
+        assert.equal(timeHandler.getHoliday(date('2026-01-05')).holidayId, 'epiphany');
+    });
+});
+
+describe('getScheduleType near midnight', () => {
+    const timetable = loadTimetable();
+    const cases = [
+        ['2025-03-11T23:50', 'weekday', '2025-03-11', 'a Tuesday evening before the late boats'],
+        ['2025-03-12T00:10', 'weekday', '2025-03-11', 'the late boats after midnight, on the day they started'],
+        ['2025-03-12T03:59', 'weekday', '2025-03-12', 'the night after the last boat, on the next service day'],
+        ['2025-03-08T00:10', 'weekday', '2025-03-07', 'a Friday night before its last boat'],
+        ['2025-03-08T00:30', 'weekend', '2025-03-08', 'a Friday night after its last boat'],
+        ['2025-03-09T16:00', 'weekday', '2025-03-10', 'a Sunday after the last weekend boat'],
+        ['2025-04-17T23:59', 'weekday', '2025-04-17', 'the evening before Good Friday'],
+        ['2025-04-18T03:59', 'weekend', '2025-04-18', 'the night into Good Friday'],
+        ['2025-05-29T10:00', 'weekend', '2025-05-29', 'Ascension Day'],
+        ['2025-05-30T10:00', 'weekday', '2025-05-30', 'the squeeze day after Ascension Day']
+    ];
+
+    cases.forEach(([at, scheduleType, serviceDate, description]) => {
+        it(`runs the ${scheduleType} schedule at ${at}, ${description}`, () => {
+            const clocked = createTimeHandler(at);
+            assert.equal(clocked.getScheduleType(timetable), scheduleType);
+            assert.equal(clocked.formatISODate(clocked.getServiceDate(timetable)), serviceDate);
+        });
+    });
+
+    it('counts real hours on daylight saving days', () => {
+        assert.equal(timeHandler.getHoursInDay(date('2025-03-30')), 23);
+        assert.equal(timeHandler.getHoursInDay(date('2025-10-26')), 25);
+        assert.equal(timeHandler.getHoursInDay(date('2025-03-11')), 24);
+    });
+
+    it('keeps Stockholm times that fall in a DST gap of the device zone', () => {
+        const deviceZone = process.env.TZ;
+        process.env.TZ = 'America/New_York';
+        try {
+            // 02:30 in Stockholm on 2025-03-09 is skipped on a New York clock
+            const now = timeHandler.toZonedTime(new Date('2025-03-09T01:30:00Z'));
+            assert.equal(timeHandler.getCurrentMinutes(now), 150);
+            assert.equal(timeHandler.formatISODate(now), '2025-03-09');
+        } finally {
+            if (deviceZone === undefined) {
+                delete process.env.TZ;
+            } else {
+                process.env.TZ = deviceZone;
+            }
+        }
+    });
+});
+
+describe('line exceptions', () => {
+    const timetable = loadTimetable();
+    const ferry = timetable.routes.ferry;
+    const direction = 'Alfa_to_Delta';
+
+    it('cancels no-traffic days and eves with a no_service rule', () => {
+        assert.equal(timeHandler.getEffectiveDepartures(ferry, direction, 'weekend', date('2025-12-25')), null);
+        assert.equal(timeHandler.getEffectiveDepartures(ferry, direction, 'weekend', date('2025-12-24')), null);
+    });
+
+    it('runs the weekend schedule on holiday traffic days and squeeze days with a weekend rule', () => {
+        assert.deepEqual(timeHandler.getEffectiveDepartures(ferry, direction, 'weekday', date('2025-03-14')).Alfa, ['10:00', '14:00']);
+        assert.equal(timeHandler.getEffectiveScheduleType(ferry, 'weekday', date('2025-05-30')), 'weekend');
+    });
+
+    it('merges extra departures in holiday periods without changing the timetable', () => {
+        const departures = timeHandler.getEffectiveDepartures(ferry, direction, 'weekday', date('2025-02-18'));
+        assert.deepEqual(departures.Alfa, ['07:00', '08:00', '09:00', '13:00', '17:00']);
+        assert.equal(ferry.directions[direction].weekday_schedule.departures.Alfa.length, 4);
+    });
+
+    it('finds recurring cancellations by weekday, stop and direction', () => {
+        assert.deepEqual(timeHandler.getCancelledDepartures(ferry, direction, 'Alfa', date('2025-03-11')), { '08:00': 'Servicestopp' });
+        assert.deepEqual(timeHandler.getCancelledDepartures(ferry, direction, 'Beta', date('2025-03-11')), {});
+        assert.deepEqual(timeHandler.getCancelledDepartures(ferry, direction, 'Alfa', date('2025-03-12')), {});
+    });
+});
+
+describe('processScheduleTimes', () => {
+    const clocked = createTimeHandler('2025-03-11T07:30');
+
+    it('starts at the next departure and fills up with tomorrow\'s', () => {
+        assert.deepEqual(times(clocked.processScheduleTimes(['06:00', '07:00', '08:00', '09:00', '10:00'], 3)),
+            ['08:00', '09:00', '10:00']);
+        assert.deepEqual(times(clocked.processScheduleTimes(['06:00', '07:00', '08:00'], 3)),
+            ['08:00', '06:00+1', '07:00+1']);
+    });
+
+    it('backfills past departures when there are fewer departures than slots', () => {
+        assert.deepEqual(times(clocked.processScheduleTimes(['08:00', '12:00'], 4, { currentMinutes: 10 * 60 })),
+            ['12:00', '08:00+1', '08:00']);
+    });
+
+    it('shows the latest departures once every departure has left', () => {
+        assert.deepEqual(times(clocked.processScheduleTimes(['22:00', '23:45', '00:05'], 3, { currentMinutes: 24 * 60 + 10 })),
+            ['22:00+1', '23:45+1', '00:05+1']);
+    });
+
+    it('keeps boats after midnight last in the service day', () => {
+        const departures = clocked.processScheduleTimes(['22:00', '23:45', '00:05'], 3, { currentMinutes: 23 * 60 });
+        assert.deepEqual(times(departures), ['23:45', '00:05', '22:00+1']);
+        assert.equal(departures[1].serviceTime, '24:05');
+        assert.equal(departures[1].minutes, 24 * 60 + 5);
+    });
+
+    it('starts at the next departure that runs', () => {
+        const cancellations = { today: { '08:00': 'Servicestopp' } };
+        assert.deepEqual(times(clocked.processScheduleTimes(['07:00', '08:00', '09:00', '10:00', '11:00'], 3, { cancellations })),
+            ['09:00', '10:00', '11:00']);
+    });
+
+    it('flags cancelled departures with their reason', () => {
+        const cancellations = { tomorrow: { '06:00': 'Servicestopp' } };
+        const departures = clocked.processScheduleTimes(['06:00', '07:00', '08:00'], 3, { cancellations });
+        assert.deepEqual(times(departures), ['08:00', '06:00+1x', '07:00+1']);
+        assert.equal(departures[1].cancelReason, 'Servicestopp');
+    });
+
+    it('drops cancelled departures when asked to, backfilling the free slot', () => {
+        const cancellations = { tomorrow: { '07:00': 'Servicestopp' } };
+        assert.deepEqual(times(clocked.processScheduleTimes(['07:00', '08:00', '09:00'], 3, { cancellations, hideCancelled: true })),
+            ['08:00', '09:00', '07:00']);
+    });
+
+    it('keeps the index of each time for its trip', () => {
+        assert.deepEqual(clocked.processScheduleTimes(['06:00', '07:00', '08:00'], 2).map(departure => departure.index), [2, 0]);
+    });
+
+    it('returns nothing for invalid input', (t) => {
+        t.mock.method(console, 'error', () => {});
+        assert.deepEqual(clocked.processScheduleTimes(null, 3), []);
+    });
+});
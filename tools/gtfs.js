@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * Resseltrafiken - GTFS Conversion Tool
+ *
+ * Converts a timetable in the Ressel.json format to a zipped GTFS feed, or a
+ * GTFS feed back to a timetable, using the same converter as the web
+ * application. Imported timetables are validated before they are written.
+ *
+ * Usage: node tools/gtfs.js export data/Ressel.json ressel-gtfs.zip
+ *        node tools/gtfs.js import ressel-gtfs.zip Ressel.json
+ * A feed to import may also be a folder of GTFS .txt files.
+ * Exits with status 1 if the conversion fails.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TimeHandler = require('../js/timehandler.js');
+const TimetableValidator = require('../js/validator.js');
+const GtfsConverter = require('../js/gtfs.js');
+const ZipArchive = require('../js/ziparchive.js');
+
+const [command, input, output] = process.argv.slice(2);
+if (!['export', 'import'].includes(command) || !input || !output) {
+    console.error('Usage: node tools/gtfs.js export <timetable.json> <feed.zip>');
+    console.error('       node tools/gtfs.js import <feed.zip|feed folder> <timetable.json>');
+    process.exit(2);
+}
+
+const converter = new GtfsConverter(new TimeHandler());
+const archive = new ZipArchive();
+
+/**
+ * Reads the GTFS files of a zip archive or a folder
+ * @param {string} feedPath Path to the feed
+ * @returns {Promise<Object>} Mapping of file name to CSV content
+ */
+async function readFeed(feedPath) {
+    if (!fs.statSync(feedPath).isDirectory()) {
+        return archive.read(fs.readFileSync(feedPath));
+    }
+    const files = {};
+    fs.readdirSync(feedPath)
+        .filter(name => name.endsWith('.txt'))
+        .forEach(name => {
+            files[name] = fs.readFileSync(path.join(feedPath, name), 'utf8');
+        });
+    return files;
+}
+
+async function main() {
+    if (command === 'export') {
+        const timetable = JSON.parse(fs.readFileSync(input, 'utf8'));
+        const files = converter.exportFeed(timetable);
+        fs.writeFileSync(output, archive.create(files));
+        console.log(`${output}: ${Object.keys(files).length} GTFS files`);
+        return;
+    }
+
+    const { timetable, warnings } = converter.importFeed(await readFeed(input));
+    warnings.forEach(warning => console.warn(`  warning: ${warning.message}`));
+
+    const validator = new TimetableValidator();
+    const issues = validator.validate(timetable);
+    validator.formatIssues(issues).forEach(line => console.log(`  ${line}`));
+    if (validator.hasErrors(issues)) {
+        throw new Error('Imported timetable is not valid, nothing written');
+    }
+
+    fs.writeFileSync(output, JSON.stringify(timetable, null, 2) + '\n');
+    console.log(`${output}: ${Object.keys(timetable.routes).length} routes`);
+}
+
+main().catch(error => {
+    console.error(`${input}: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+/**
+ * Resseltrafiken - Timetable Command-Line Tool
+ *
+ * Answers timetable questions from the command line, for scripts, chat bots
+ * and cron jobs. Uses the same time handler, route model and departure board
+ * as the web application, so holidays, squeeze days, exceptions and
+ * cancellations are resolved exactly as in the app, on Stockholm time.
+ *
+ * Usage: node tools/ressel.js next --stop Lumabryggan [--route emelie] [--count 5]
+ *        node tools/ressel.js day [--date 2025-04-18] [--route emelie] [--stop Nybroplan]
+ *        node tools/ressel.js validate data/*.json
+ * All commands take --json for JSON output. next and day also take --file to
+ * read another timetable or season index than data/index.json, and
+ * --at YYYY-MM-DDTHH:MM to ask as if it were another time. Exits with
+ * status 1 on errors and invalid files, and 2 on usage errors.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const TimeHandler = require('../js/timehandler.js');
+const TimetableValidator = require('../js/validator.js');
+const RouteModel = require('../js/routemodel.js');
+const DepartureBoard = require('../js/board.js');
+const I18n = require('../js/i18n.js');
+
+const USAGE = [
+    'Usage: node tools/ressel.js next --stop <stop> [--route <route>] [--count <n>]',
+    '       node tools/ressel.js day [--date <YYYY-MM-DD>] [--route <route>] [--stop <stop>]',
+    '       node tools/ressel.js validate <file.json> [more files...]',
+    'Options: --json, --file <timetable or index.json>, --at <YYYY-MM-DDTHH:MM>'
+].join('\n');
+
+/**
+ * Error in the command line rather than in the data, reported with the usage text
+ */
+class UsageError extends Error {}
+
+let args;
+try {
+    args = parseArgs({
+        allowPositionals: true,
+        options: {
+            stop: { type: 'string' },
+            route: { type: 'string' },
+            count: { type: 'string', default: '5' },
+            date: { type: 'string' },
+            at: { type: 'string' },
+            file: { type: 'string', default: path.join(__dirname, '..', 'data', 'index.json') },
+            json: { type: 'boolean', default: false }
+        }
+    });
+} catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    process.exit(2);
+}
+
+const [command, ...files] = args.positionals;
+const options = args.values;
+const validator = new TimetableValidator();
+const i18n = new I18n({ language: 'en' });
+
+/**
+ * Creates the time handler, with its clock stopped at --at if given
+ * @returns {TimeHandler} Time handler
+ * @throws {UsageError} If --at is not a valid date and time
+ */
+function createTimeHandler() {
+    if (!options.at) {
+        return new TimeHandler();
+    }
+    const instant = new TimeHandler().parseZonedDateTime(options.at);
+    if (!instant) {
+        throw new UsageError(`Invalid --at "${options.at}", expected YYYY-MM-DDTHH:MM`);
+    }
+    return new TimeHandler({ clock: () => instant });
+}
+
+/**
+ * Reads --file and validates it. A season index is resolved to the file of
+ * the season that applies on the date, as the app does
+ * @param {TimeHandler} timeHandler Time handler
+ * @param {Date} date Wall-clock date to pick the season for
+ * @returns {Object} Timetable data
+ * @throws {Error} If the file cannot be read or is not a valid timetable
+ */
+function loadTimetable(timeHandler, date) {
+    let file = options.file;
+    let data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    if (Array.isArray(data.seasons)) {
+        const season = timeHandler.getSeasonForDate(data.seasons, date);
+        if (!season) {
+            throw new Error(`${file}: no seasons listed`);
+        }
+        file = path.join(path.dirname(file), season.file);
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    const issues = validator.validate(data);
+    if (validator.hasErrors(issues)) {
+        throw new Error(`${file} is not valid, check it with: node tools/ressel.js validate ${file}`);
+    }
+    return data;
+}
+
+/**
+ * Resolves --route to a route key
+ * @param {RouteModel} routeModel Route model
+ * @param {Object} timetable Timetable data
+ * @returns {string|null} Route key, or null if no route was asked for
+ * @throws {Error} If no route matches
+ */
+function resolveRoute(routeModel, timetable) {
+    if (!options.route) return null;
+    const routeKey = routeModel.resolveRouteKey(timetable, options.route);
+    if (!routeKey) {
+        throw new Error(`Unknown route "${options.route}"`);
+    }
+    return routeKey;
+}
+
+/**
+ * Resolves --stop to a stop name as written in the timetable
+ * @param {RouteModel} routeModel Route model
+ * @param {Object} timetable Timetable data
+ * @returns {string|null} Stop name, or null if no stop was asked for
+ * @throws {Error} If no stop matches
+ */
+function resolveStop(routeModel, timetable) {
+    if (!options.stop) return null;
+    const stop = routeModel.resolveStop(timetable, options.stop);
+    if (!stop) {
+        throw new Error(`Unknown stop "${options.stop}"`);
+    }
+    return stop;
+}
+
+/**
+ * Formats a wall-clock date and time as YYYY-MM-DD HH:MM
+ * @param {TimeHandler} timeHandler Time handler
+ * @param {Date} date Wall-clock date
+ * @returns {string} Formatted date and time
+ */
+function formatDateTime(timeHandler, date) {
+    return `${timeHandler.formatISODate(date)} ${timeHandler.minutesToTime(timeHandler.getCurrentMinutes(date))}`;
+}
+
+/**
+ * Lists the next departures from a stop, per route
+ * @returns {Object} Output with stop, now and routes
+ */
+function next() {
+    if (!options.stop) {
+        throw new UsageError('next needs --stop');
+    }
+    const count = Number(options.count);
+    if (!Number.isInteger(count) || count < 1) {
+        throw new UsageError(`Invalid --count "${options.count}"`);
+    }
+
+    const timeHandler = createTimeHandler();
+    const now = timeHandler.now();
+    const timetable = loadTimetable(timeHandler, now);
+    const routeModel = new RouteModel({}, timeHandler);
+    const board = new DepartureBoard(timeHandler, routeModel);
+    const routeKey = resolveRoute(routeModel, timetable);
+    const stop = resolveStop(routeModel, timetable);
+    const clock = timeHandler.clock();
+
+    const routes = board.getRoutes(timetable, stop, count, routeKey).map(route => ({
+        key: route.key,
+        name: route.name,
+        departures: route.departures.map(departure => {
+            const instant = timeHandler.toInstant(route.serviceDate, departure.minutes);
+            return {
+                date: timeHandler.formatISODate(timeHandler.toZonedTime(instant)),
+                time: departure.time,
+                minutesLeft: Math.ceil((instant - clock) / 60000),
+                destination: departure.destination,
+                cancelled: !!departure.cancelled,
+                cancelReason: departure.cancelReason || null
+            };
+        })
+    }));
+
+    return { stop: stop, now: formatDateTime(timeHandler, now), routes: routes };
+}
+
+/**
+ * Prints the output of next as text
+ * @param {Object} result Output of next
+ */
+function printNext(result) {
+    console.log(`${result.stop}, ${result.now}`);
+    if (result.routes.length === 0) {
+        console.log('  No departures');
+    }
+    const today = result.now.slice(0, 10);
+    result.routes.forEach(route => {
+        console.log(route.name);
+        route.departures.forEach(departure => {
+            const when = departure.date === today ? departure.time : `${departure.date} ${departure.time}`;
+            const status = departure.cancelled ?
+                `cancelled${departure.cancelReason ? `: ${departure.cancelReason}` : ''}` :
+                `in ${departure.minutesLeft} min`;
+            console.log(`  ${when}  ${departure.destination}  (${status})`);
+        });
+    });
+}
+
+/**
+ * Describes how every line runs on a date: its schedule type, exceptions
+ * and departures per direction, from the first stop or from --stop
+ * @returns {Object} Output with date, weekday, holiday, scheduleType and routes
+ */
+function day() {
+    const timeHandler = createTimeHandler();
+    let date = timeHandler.now();
+    if (options.date) {
+        const instant = timeHandler.parseZonedDateTime(`${options.date}T12:00`);
+        if (!instant) {
+            throw new UsageError(`Invalid --date "${options.date}", expected YYYY-MM-DD`);
+        }
+        date = timeHandler.toZonedTime(instant);
+    }
+    date = timeHandler.createDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+
+    const timetable = loadTimetable(timeHandler, date);
+    const routeModel = new RouteModel({ showBothDirections: true }, timeHandler);
+    const routeKey = resolveRoute(routeModel, timetable);
+    const stop = resolveStop(routeModel, timetable);
+    const scheduleType = timeHandler.getScheduleTypeForDate(date);
+    const holiday = timeHandler.getHoliday(date);
+
+    const routes = routeModel.getRouteViews(timetable, { route: routeKey, includeHidden: true }).map(routeView => {
+        const route = routeView.route;
+        const exceptions = timeHandler.getDateExceptions(route, date);
+        const runs = timeHandler.isRouteValidOn(route, date) && !exceptions.noTraffic;
+
+        const directions = runs ? routeView.directions.map(direction => {
+            const departures = timeHandler.getEffectiveDepartures(route, direction.key, scheduleType, date) || {};
+            const from = stop && departures[stop] ? stop : Object.keys(departures)[0];
+            if (!from) return null;
+
+            const cancelled = timeHandler.getCancelledDepartures(route, direction.key, from, date);
+            return {
+                key: direction.key,
+                title: direction.title,
+                stop: from,
+                departures: departures[from].map(time => {
+                    const displayTime = timeHandler.formatServiceTime(timeHandler.getServiceMinutes(time));
+                    return displayTime in cancelled ?
+                        { time: displayTime, cancelled: true, cancelReason: cancelled[displayTime] || null } :
+                        { time: displayTime, cancelled: false };
+                })
+            };
+        }).filter(direction => direction && (!stop || direction.stop === stop)) : [];
+
+        return {
+            key: routeView.key,
+            name: routeView.name,
+            runs: runs,
+            scheduleType: runs ? timeHandler.getEffectiveScheduleType(route, scheduleType, date) : null,
+            holidayPeriod: exceptions.holidayPeriod ? exceptions.holidayPeriod.dates : null,
+            directions: directions
+        };
+    });
+
+    return {
+        date: timeHandler.formatISODate(date),
+        weekday: timeHandler.weekdayNames[date.getUTCDay()],
+        holiday: holiday ? { ...holiday, name: i18n.holidayName(holiday) } : null,
+        scheduleType: scheduleType,
+        routes: routes
+    };
+}
+
+/**
+ * Prints the output of day as text
+ * @param {Object} result Output of day
+ */
+function printDay(result) {
+    const holiday = result.holiday ? `, ${result.holiday.name} (${result.holiday.type})` : '';
+    console.log(`${result.date} ${result.weekday}${holiday}: ${result.scheduleType} schedule`);
+    result.routes.forEach(route => {
+        if (!route.runs) {
+            console.log(`${route.name}: no traffic`);
+            return;
+        }
+        const period = route.holidayPeriod ? `, holiday period ${route.holidayPeriod}` : '';
+        console.log(`${route.name}: ${route.scheduleType} schedule${period}`);
+        if (route.directions.length === 0) {
+            console.log('  No departures');
+        }
+        route.directions.forEach(direction => {
+            const times = direction.departures.map(departure => departure.cancelled ? `(${departure.time})` : departure.time);
+            console.log(`  ${direction.title}, from ${direction.stop}: ${times.join(' ')}`);
+            direction.departures.filter(departure => departure.cancelled).forEach(departure => {
+                console.log(`    ${departure.time} cancelled${departure.cancelReason ? `: ${departure.cancelReason}` : ''}`);
+            });
+        });
+    });
+}
+
+/**
+ * Validates timetable files and season indexes
+ * @returns {Array<Object>} One entry per file with file, valid and issues
+ */
+function validate() {
+    if (files.length === 0) {
+        throw new UsageError('validate needs at least one file');
+    }
+
+    return files.map(file => {
+        let issues;
+        try {
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            const hasFile = name => fs.existsSync(path.join(path.dirname(file), name));
+            issues = Array.isArray(data.seasons) ? validator.validateIndex(data, hasFile) : validator.validate(data);
+        } catch (error) {
+            issues = [{ path: '$', message: error.message, severity: 'error' }];
+        }
+        return { file: file, valid: !validator.hasErrors(issues), issues: issues };
+    });
+}
+
+/**
+ * Prints the output of validate as text
+ * @param {Array<Object>} results Output of validate
+ */
+function printValidate(results) {
+    results.forEach(result => {
+        if (result.issues.length === 0) {
+            console.log(`${result.file}: OK`);
+            return;
+        }
+        console.log(`${result.file}:`);
+        validator.formatIssues(result.issues).forEach(line => console.log(`  ${line}`));
+    });
+}
+
+const commands = {
+    next: { run: next, print: printNext },
+    day: { run: day, print: printDay },
+    validate: { run: validate, print: printValidate }
+};
+
+try {
+    if (!commands[command]) {
+        throw new UsageError(command ? `Unknown command "${command}"` : 'No command given');
+    }
+    if (command !== 'validate' && files.length > 0) {
+        throw new UsageError(`Unexpected argument "${files[0]}"`);
+    }
+
+    const result = commands[command].run();
+    if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        commands[command].print(result);
+    }
+    if (command === 'validate' && result.some(entry => !entry.valid)) {
+        process.exit(1);
+    }
+} catch (error) {
+    if (error instanceof UsageError) {
+        console.error(`${error.message}\n${USAGE}`);
+        process.exit(2);
+    }
+    if (options.json) {
+        console.log(JSON.stringify({ error: error.message }, null, 2));
+    } else {
+        console.error(error.message);
+    }
+    process.exit(1);
+}
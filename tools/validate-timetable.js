@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * Resseltrafiken - Timetable Validation Tool
+ *
+ * Validates one or more timetable files in the Ressel.json format from the
+ * command line, using the same validator as the web application. A season
+ * index such as data/index.json is checked along with the files it lists.
+ *
+ * Usage: node tools/validate-timetable.js data/Ressel.json [more files...]
+ * Exits with status 1 if any file contains errors.
+ *
+ * @author Christian Gillinger
+ * @version 2.0.0
+ * @license MIT
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TimetableValidator = require('../js/validator.js');
+
+const files = process.argv.slice(2);
+if (files.length === 0) {
+    console.error('Usage: node tools/validate-timetable.js <file.json> [more files...]');
+    process.exit(2);
+}
+
+const validator = new TimetableValidator();
+let failed = false;
+
+files.forEach(file => {
+    let issues;
+    try {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const hasFile = name => fs.existsSync(path.join(path.dirname(file), name));
+        issues = Array.isArray(data.seasons) ? validator.validateIndex(data, hasFile) : validator.validate(data);
+    } catch (error) {
+        issues = [{ path: '$', message: error.message, severity: 'error' }];
+    }
+
+    if (issues.length === 0) {
+        console.log(`${file}: OK`);
+        return;
+    }
+
+    console.log(`${file}:`);
+    validator.formatIssues(issues).forEach(line => console.log(`  ${line}`));
+    failed = failed || validator.hasErrors(issues);
+});
+
+process.exit(failed ? 1 : 0);